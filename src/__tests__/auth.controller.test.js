@@ -1,10 +1,31 @@
 import crypto from 'crypto';
-import { register, login, refresh, logout } from '../controllers/auth.controller.js';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} from '../controllers/auth.controller.js';
 import User from '../models/user.model.js';
+import VerificationToken from '../models/verificationToken.model.js';
+import Session from '../models/session.model.js';
+import { sendMail } from '../config/mailer.js';
+import {
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  registerLoginSuccess,
+} from '../helpers/loginThrottle.helpers.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 
 jest.mock('../models/user.model.js');
+jest.mock('../models/verificationToken.model.js');
+jest.mock('../models/session.model.js');
+jest.mock('../config/mailer.js');
+jest.mock('../helpers/loginThrottle.helpers.js');
 jest.mock('bcryptjs');
 jest.mock('jsonwebtoken');
 
@@ -28,9 +49,13 @@ describe('Auth Controller', () => {
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn(),
+      set: jest.fn().mockReturnThis(),
       cookie: jest.fn().mockReturnThis(),
       clearCookie: jest.fn().mockReturnThis(),
     };
+
+    // Por defecto el limitador de intentos permite el login.
+    reserveLoginAttempt.mockResolvedValue({ allowed: true });
   });
 
   // -------------------------------------------------------------------------
@@ -52,6 +77,38 @@ describe('Auth Controller', () => {
       });
     });
 
+    it('should issue a hashed verification token and email the link', async () => {
+      req.body = { email: 'test@example.com', password: 'password123' };
+      bcrypt.hash.mockResolvedValue('hashedPassword');
+      User.create.mockResolvedValue({ _id: 'mockUserId', email: 'test@example.com' });
+      sendMail.mockResolvedValue({});
+
+      await register(req, res);
+
+      const stored = VerificationToken.create.mock.calls[0][0];
+      const mailed = sendMail.mock.calls[0][0];
+      const plainToken = mailed.text.match(/verify-email\?token=([a-f0-9]+)/)[1];
+
+      expect(stored).toEqual(expect.objectContaining({
+        user: 'mockUserId',
+        type: 'EMAIL_VERIFICATION',
+        token: hashToken(plainToken),
+      }));
+      expect(mailed.to).toBe('test@example.com');
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should still register the user if the verification email fails', async () => {
+      req.body = { email: 'test@example.com', password: 'password123' };
+      bcrypt.hash.mockResolvedValue('hashedPassword');
+      User.create.mockResolvedValue({ _id: 'mockUserId', email: 'test@example.com' });
+      sendMail.mockRejectedValue(new Error('SMTP down'));
+
+      await register(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
     it('should return 409 if email already exists', async () => {
       req.body = { email: 'test@example.com', password: 'password123' };
       User.create.mockRejectedValue({ code: 11000 });
@@ -116,16 +173,32 @@ describe('Auth Controller', () => {
       jwt.sign
         .mockReturnValueOnce('fakeAccessToken')
         .mockReturnValueOnce('fakeRefreshToken');
-      User.findByIdAndUpdate.mockResolvedValue({});
+      Session.create.mockResolvedValue({});
+      req.headers = { 'user-agent': 'RopaBase/1.0 (iPhone)' };
+      req.ip = '10.0.0.1';
 
       await login(req, res);
 
       expect(User.findOne).toHaveBeenCalledWith({ email: req.body.email });
       expect(bcrypt.compare).toHaveBeenCalledWith(req.body.password, user.password);
-      // El hash SHA-256 del refresh token se guarda en DB (no el token en texto plano)
-      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
-        'mockUserId',
-        { refreshToken: expect.any(String) }
+      // Se crea una sesión por dispositivo con el hash SHA-256 del refresh token
+      // (no el token en texto plano); el usuario no se modifica.
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'mockUserId',
+        refreshTokenHash: hashToken('fakeRefreshToken'),
+        userAgent: 'RopaBase/1.0 (iPhone)',
+        ip: '10.0.0.1',
+        expires: expect.any(Date),
+      }));
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      // Un login correcto reinicia el contador del email y devuelve el intento de la IP
+      expect(registerLoginSuccess).toHaveBeenCalledWith('test@example.com', '10.0.0.1');
+      // El sessionId va en el payload de ambos tokens
+      const sessionId = Session.create.mock.calls[0][0]._id;
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { userId: 'mockUserId', sessionId },
+        process.env.JWT_REFRESH_SECRET,
+        { expiresIn: '7d', jwtid: expect.any(String) }
       );
       // Las dos cookies se emiten con httpOnly: true
       expect(res.cookie).toHaveBeenCalledWith(
@@ -144,28 +217,102 @@ describe('Auth Controller', () => {
       );
     });
 
+    it('should return an mfa pending token instead of a session when 2FA is enabled', async () => {
+      req.body = { email: 'test@example.com', password: 'password123' };
+      req.ip = '10.0.0.1';
+      const user = {
+        _id: 'mockUserId',
+        email: 'test@example.com',
+        password: 'hashedPassword',
+        twoFactor: { enabled: true },
+      };
+      User.findOne.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(true);
+      jwt.sign.mockReturnValue('fakeMfaToken');
+
+      await login(req, res);
+
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { userId: 'mockUserId', purpose: 'mfa' },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      );
+      // Sin segundo factor no hay sesión, ni cookies, ni reinicio del contador
+      expect(Session.create).not.toHaveBeenCalled();
+      expect(res.cookie).not.toHaveBeenCalled();
+      expect(registerLoginSuccess).not.toHaveBeenCalled();
+      // La contraseña era correcta: solo la IP recupera su intento
+      expect(releaseLoginAttempt).toHaveBeenCalledWith('10.0.0.1');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: 'fakeMfaToken',
+      });
+    });
+
     it('should return 401 if user is not found', async () => {
       req.body = { email: 'notfound@example.com', password: 'password123' };
+      req.ip = '10.0.0.1';
       User.findOne.mockResolvedValue(null);
 
       await login(req, res);
 
+      // Los emails inexistentes también cuentan: el intento reservado no se devuelve
+      expect(reserveLoginAttempt).toHaveBeenCalledWith('notfound@example.com', '10.0.0.1');
+      expect(registerLoginSuccess).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid credentials' });
+    });
+
+    it('should return 401 for accounts created with OAuth (no password)', async () => {
+      req.body = { email: 'social@example.com', password: 'anything' };
+      req.ip = '10.0.0.1';
+      User.findOne.mockResolvedValue({ _id: 'mockUserId', email: 'social@example.com' });
+
+      await login(req, res);
+
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(reserveLoginAttempt).toHaveBeenCalledWith('social@example.com', '10.0.0.1');
+      expect(registerLoginSuccess).not.toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({ message: 'Invalid credentials' });
     });
 
     it('should return 401 if password is incorrect', async () => {
       req.body = { email: 'test@example.com', password: 'wrongpassword' };
+      req.ip = '10.0.0.1';
       const user = { _id: 'mockUserId', email: 'test@example.com', password: 'hashedPassword' };
       User.findOne.mockResolvedValue(user);
       bcrypt.compare.mockResolvedValue(false);
 
       await login(req, res);
 
+      // Reservado antes de comparar la contraseña
+      expect(reserveLoginAttempt).toHaveBeenCalledWith('test@example.com', '10.0.0.1');
+      expect(reserveLoginAttempt.mock.invocationCallOrder[0]).toBeLessThan(bcrypt.compare.mock.invocationCallOrder[0]);
+      expect(registerLoginSuccess).not.toHaveBeenCalled();
+      expect(releaseLoginAttempt).not.toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({ message: 'Invalid credentials' });
     });
 
+    it('should return 429 with Retry-After when the attempt is throttled', async () => {
+      req.body = { email: 'test@example.com', password: 'password123' };
+      req.ip = '10.0.0.1';
+      reserveLoginAttempt.mockResolvedValue({ allowed: false, retryAfter: 900, reason: 'account_locked' });
+
+      await login(req, res);
+
+      expect(reserveLoginAttempt).toHaveBeenCalledWith('test@example.com', '10.0.0.1');
+      // Ni siquiera se consulta al usuario ni se compara la contraseña
+      expect(User.findOne).not.toHaveBeenCalled();
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '900');
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Too many login attempts, please try again later' });
+    });
+
     it('should return 400 if password is missing', async () => {
       req.body = { email: 'test@example.com' };
 
@@ -228,56 +375,101 @@ describe('Auth Controller', () => {
       expect(res.json).toHaveBeenCalledWith({ message: 'Invalid refresh token' });
     });
 
-    it('should return 401 if user is not found in DB', async () => {
+    it('should return 401 if the session is not found in DB (revocada o logout)', async () => {
       req.cookies.refreshToken = 'validRefreshToken';
-      jwt.verify.mockReturnValue({ userId: 'mockUserId' });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      jwt.verify.mockReturnValue({ userId: 'mockUserId', sessionId: 'mockSessionId' });
+      jwt.sign.mockReturnValue('rotatedToken');
+      Session.findOneAndUpdate.mockResolvedValue(null);
+      Session.findOneAndDelete.mockResolvedValue(null);
 
       await refresh(req, res);
 
+      // Solo se acepta el token vigente de la sesión
+      expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'mockSessionId', user: 'mockUserId', refreshTokenHash: hashToken('validRefreshToken') },
+        expect.any(Object)
+      );
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({ message: 'Invalid refresh token' });
     });
 
-    it('should return 401 if stored hash does not match (token revocado)', async () => {
-      req.cookies.refreshToken = 'validRefreshToken';
-      jwt.verify.mockReturnValue({ userId: 'mockUserId' });
-      // El hash almacenado es diferente → token revocado (logout previo)
-      User.findById.mockReturnValue({
-        select: jest.fn().mockResolvedValue({
-          _id: 'mockUserId',
-          refreshToken: 'differentStoredHash_thatWillNotMatch',
-        }),
-      });
+    it('should revoke the whole session if an already-rotated token is reused', async () => {
+      req.cookies.refreshToken = 'alreadyRotatedToken';
+      jwt.verify.mockReturnValue({ userId: 'mockUserId', sessionId: 'mockSessionId' });
+      jwt.sign.mockReturnValue('rotatedToken');
+      // El hash vigente es otro → el token ya fue rotado
+      Session.findOneAndUpdate.mockResolvedValue(null);
+      Session.findOneAndDelete.mockResolvedValue({ _id: 'mockSessionId' });
 
       await refresh(req, res);
 
+      expect(Session.findOneAndDelete).toHaveBeenCalledWith({ _id: 'mockSessionId', user: 'mockUserId' });
+      expect(res.clearCookie).toHaveBeenCalledWith('accessToken', expect.any(Object));
+      expect(res.clearCookie).toHaveBeenCalledWith('refreshToken', expect.any(Object));
+      expect(res.cookie).not.toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid refresh token' });
+      expect(res.json).toHaveBeenCalledWith({ message: 'Refresh token reuse detected' });
     });
 
-    it('should issue a new access token cookie when both barriers pass', async () => {
+    it('should rotate both tokens when the current refresh token is presented', async () => {
       const tokenValue = 'validRefreshToken';
       req.cookies.refreshToken = tokenValue;
-      jwt.verify.mockReturnValue({ userId: 'mockUserId' });
-      // El hash almacenado DEBE coincidir con SHA-256('validRefreshToken')
-      const correctHash = hashToken(tokenValue);
-      User.findById.mockReturnValue({
-        select: jest.fn().mockResolvedValue({
-          _id: 'mockUserId',
-          refreshToken: correctHash,
-        }),
-      });
-      jwt.sign.mockReturnValue('newAccessToken');
+      jwt.verify.mockReturnValue({ userId: 'mockUserId', sessionId: 'mockSessionId' });
+      jwt.sign
+        .mockReturnValueOnce('newAccessToken')
+        .mockReturnValueOnce('newRefreshToken');
+      Session.findOneAndUpdate.mockResolvedValue({ _id: 'mockSessionId' });
 
       await refresh(req, res);
 
+      // Ambos tokens siguen ligados a la misma sesión (familia)
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { userId: 'mockUserId', sessionId: 'mockSessionId' },
+        process.env.JWT_SECRET,
+        { expiresIn: '15m' }
+      );
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { userId: 'mockUserId', sessionId: 'mockSessionId' },
+        process.env.JWT_REFRESH_SECRET,
+        { expiresIn: '7d', jwtid: expect.any(String) }
+      );
+      // El hash del token presentado se reemplaza por el del nuevo en una sola operación
+      expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'mockSessionId', user: 'mockUserId', refreshTokenHash: hashToken(tokenValue) },
+        {
+          refreshTokenHash: hashToken('newRefreshToken'),
+          lastUsedAt: expect.any(Date),
+          expires: expect.any(Date),
+        }
+      );
+      expect(Session.findOneAndDelete).not.toHaveBeenCalled();
       expect(res.cookie).toHaveBeenCalledWith(
         'accessToken',
         'newAccessToken',
         expect.objectContaining({ httpOnly: true })
       );
-      expect(res.json).toHaveBeenCalledWith({ message: 'Token refreshed successfully', accessToken: 'newAccessToken' });
+      expect(res.cookie).toHaveBeenCalledWith(
+        'refreshToken',
+        'newRefreshToken',
+        expect.objectContaining({ httpOnly: true })
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Token refreshed successfully',
+        accessToken: 'newAccessToken',
+        refreshToken: 'newRefreshToken',
+      });
+    });
+
+    it('should accept the refresh token from the body (mobile)', async () => {
+      req.body = { refreshToken: 'mobileRefreshToken' };
+      jwt.verify.mockReturnValue({ userId: 'mockUserId', sessionId: 'mockSessionId' });
+      jwt.sign.mockReturnValue('rotatedToken');
+      Session.findOneAndUpdate.mockResolvedValue({ _id: 'mockSessionId' });
+
+      await refresh(req, res);
+
+      expect(jwt.verify).toHaveBeenCalledWith('mobileRefreshToken', process.env.JWT_REFRESH_SECRET);
+      expect(res.status).toHaveBeenCalledWith(200);
     });
   });
 
@@ -285,18 +477,15 @@ describe('Auth Controller', () => {
   // logout
   // -------------------------------------------------------------------------
   describe('logout', () => {
-    it('should clear cookies and invalidate token in DB', async () => {
+    it('should clear cookies and delete this device session in DB', async () => {
       const tokenValue = 'validRefreshToken';
       req.cookies.refreshToken = tokenValue;
-      User.findOneAndUpdate.mockResolvedValue({});
+      Session.findOneAndDelete.mockResolvedValue({});
 
       await logout(req, res);
 
       // Se busca en DB por el hash SHA-256 del token recibido
-      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
-        { refreshToken: hashToken(tokenValue) },
-        { $unset: { refreshToken: 1 } }
-      );
+      expect(Session.findOneAndDelete).toHaveBeenCalledWith({ refreshTokenHash: hashToken(tokenValue) });
       expect(res.clearCookie).toHaveBeenCalledWith('accessToken', expect.any(Object));
       expect(res.clearCookie).toHaveBeenCalledWith('refreshToken', expect.any(Object));
       expect(res.json).toHaveBeenCalledWith({ message: 'Logged out successfully' });
@@ -307,7 +496,7 @@ describe('Auth Controller', () => {
 
       await logout(req, res);
 
-      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Session.findOneAndDelete).not.toHaveBeenCalled();
       expect(res.clearCookie).toHaveBeenCalledWith('accessToken', expect.any(Object));
       expect(res.clearCookie).toHaveBeenCalledWith('refreshToken', expect.any(Object));
       expect(res.json).toHaveBeenCalledWith({ message: 'Logged out successfully' });
@@ -315,7 +504,7 @@ describe('Auth Controller', () => {
 
     it('should still clear cookies if DB update fails (graceful degradation)', async () => {
       req.cookies.refreshToken = 'validRefreshToken';
-      User.findOneAndUpdate.mockRejectedValue(new Error('DB error'));
+      Session.findOneAndDelete.mockRejectedValue(new Error('DB error'));
 
       await logout(req, res);
 
@@ -325,4 +514,218 @@ describe('Auth Controller', () => {
       expect(res.json).toHaveBeenCalledWith({ message: 'Logged out successfully' });
     });
   });
+
+  // -------------------------------------------------------------------------
+  // forgotPassword
+  // -------------------------------------------------------------------------
+  describe('forgotPassword', () => {
+    it('should return 400 if email is missing', async () => {
+      await forgotPassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Email is required' });
+    });
+
+    it('should respond generically without sending mail if the user does not exist', async () => {
+      req.body = { email: 'ghost@example.com' };
+      User.findOne.mockResolvedValue(null);
+
+      await forgotPassword(req, res);
+
+      expect(VerificationToken.create).not.toHaveBeenCalled();
+      expect(sendMail).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'If the email is registered, a reset link has been sent',
+      });
+    });
+
+    it('should store only the hash of a new reset token and mail the plain token', async () => {
+      req.body = { email: 'test@example.com' };
+      User.findOne.mockResolvedValue({ _id: 'mockUserId', email: 'test@example.com' });
+      VerificationToken.deleteMany.mockResolvedValue({});
+      VerificationToken.create.mockResolvedValue({});
+      sendMail.mockResolvedValue({});
+
+      await forgotPassword(req, res);
+
+      // Los enlaces anteriores quedan invalidados
+      expect(VerificationToken.deleteMany).toHaveBeenCalledWith({ user: 'mockUserId', type: 'PASSWORD_RESET' });
+
+      const stored = VerificationToken.create.mock.calls[0][0];
+      const mailed = sendMail.mock.calls[0][0];
+      const plainToken = mailed.text.match(/token=([a-f0-9]+)/)[1];
+
+      expect(mailed.to).toBe('test@example.com');
+      expect(stored.token).toBe(hashToken(plainToken));
+      expect(stored.token).not.toBe(plainToken);
+      expect(stored.type).toBe('PASSWORD_RESET');
+      // Expira en ~30 minutos
+      const ttl = stored.expires.getTime() - Date.now();
+      expect(ttl).toBeGreaterThan(29 * 60 * 1000);
+      expect(ttl).toBeLessThanOrEqual(30 * 60 * 1000);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 500 if the mail transport fails', async () => {
+      req.body = { email: 'test@example.com' };
+      User.findOne.mockResolvedValue({ _id: 'mockUserId', email: 'test@example.com' });
+      VerificationToken.deleteMany.mockResolvedValue({});
+      VerificationToken.create.mockResolvedValue({});
+      sendMail.mockRejectedValue(new Error('SMTP down'));
+
+      await forgotPassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // resetPassword
+  // -------------------------------------------------------------------------
+  describe('resetPassword', () => {
+    it('should return 400 if token or password are missing', async () => {
+      req.body = { token: 'abc' };
+
+      await resetPassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token and password are required' });
+    });
+
+    it('should return 400 if the token is invalid, used or expired', async () => {
+      req.body = { token: 'usedToken', password: 'newPassword' };
+      VerificationToken.findOneAndDelete.mockResolvedValue(null);
+
+      await resetPassword(req, res);
+
+      expect(VerificationToken.findOneAndDelete).toHaveBeenCalledWith({
+        token: hashToken('usedToken'),
+        type: 'PASSWORD_RESET',
+        expires: { $gt: expect.any(Date) },
+      });
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid or expired reset token' });
+    });
+
+    it('should update the password and revoke every session of the user', async () => {
+      req.body = { token: 'validToken', password: 'newPassword' };
+      VerificationToken.findOneAndDelete.mockResolvedValue({ user: 'mockUserId' });
+      bcrypt.hash.mockResolvedValue('newHashedPassword');
+      User.findByIdAndUpdate.mockResolvedValue({});
+      Session.deleteMany.mockResolvedValue({});
+
+      await resetPassword(req, res);
+
+      expect(bcrypt.hash).toHaveBeenCalledWith('newPassword', 10);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('mockUserId', { password: 'newHashedPassword' });
+      expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'mockUserId' });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Password has been reset successfully' });
+    });
+
+    it('should return 500 on database error', async () => {
+      req.body = { token: 'validToken', password: 'newPassword' };
+      VerificationToken.findOneAndDelete.mockRejectedValue(new Error('DB error'));
+
+      await resetPassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // verifyEmail
+  // -------------------------------------------------------------------------
+  describe('verifyEmail', () => {
+    it('should return 400 if token is missing', async () => {
+      await verifyEmail(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token is required' });
+    });
+
+    it('should return 400 if the token is invalid, used or expired', async () => {
+      req.body = { token: 'badToken' };
+      VerificationToken.findOneAndDelete.mockResolvedValue(null);
+
+      await verifyEmail(req, res);
+
+      expect(VerificationToken.findOneAndDelete).toHaveBeenCalledWith({
+        token: hashToken('badToken'),
+        type: 'EMAIL_VERIFICATION',
+        expires: { $gt: expect.any(Date) },
+      });
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid or expired verification token' });
+    });
+
+    it('should set emailVerified on the user', async () => {
+      req.body = { token: 'goodToken' };
+      VerificationToken.findOneAndDelete.mockResolvedValue({ user: 'mockUserId' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      await verifyEmail(req, res);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('mockUserId', { emailVerified: expect.any(Date) });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Email verified successfully' });
+    });
+
+    it('should return 500 on database error', async () => {
+      req.body = { token: 'goodToken' };
+      VerificationToken.findOneAndDelete.mockRejectedValue(new Error('DB error'));
+
+      await verifyEmail(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // resendVerification
+  // -------------------------------------------------------------------------
+  describe('resendVerification', () => {
+    beforeEach(() => {
+      req.user = { userId: 'mockUserId' };
+    });
+
+    it('should return 404 if the user no longer exists', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await resendVerification(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 409 if the email is already verified', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', emailVerified: new Date() });
+
+      await resendVerification(req, res);
+
+      expect(sendMail).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Email already verified' });
+    });
+
+    it('should invalidate previous links and send a new one', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', email: 'test@example.com' });
+      sendMail.mockResolvedValue({});
+
+      await resendVerification(req, res);
+
+      expect(VerificationToken.deleteMany).toHaveBeenCalledWith({ user: 'mockUserId', type: 'EMAIL_VERIFICATION' });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'test@example.com' }));
+      expect(res.json).toHaveBeenCalledWith({ message: 'Verification email sent' });
+    });
+
+    it('should return 500 on database error', async () => {
+      User.findById.mockRejectedValue(new Error('DB error'));
+
+      await resendVerification(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
 });
@@ -1,7 +1,9 @@
-import { protect } from '../middlewares/auth.middleware.js';
+import { protect, requireVerifiedEmail } from '../middlewares/auth.middleware.js';
 import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
 
 jest.mock('jsonwebtoken');
+jest.mock('../models/user.model.js');
 
 describe('Auth Middleware', () => {
   let req, res, next;
@@ -9,10 +11,11 @@ describe('Auth Middleware', () => {
   beforeEach(() => {
     jest.clearAllMocks();
 
-    // El middleware ahora lee el token desde req.cookies.accessToken (cookie HTTP-only)
-    // en lugar de req.headers.authorization (Bearer token).
+    // El middleware lee el token desde req.cookies.accessToken (cookie HTTP-only)
+    // y, si no hay cookie, desde req.headers.authorization (Bearer token, mobile).
     req = {
       cookies: {},
+      headers: {},
     };
 
     res = {
@@ -53,6 +56,7 @@ describe('Auth Middleware', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'No token provided, authorization denied',
+        code: 'TOKEN_MISSING',
       });
       expect(next).not.toHaveBeenCalled();
       expect(jwt.verify).not.toHaveBeenCalled();
@@ -66,6 +70,7 @@ describe('Auth Middleware', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'No token provided, authorization denied',
+        code: 'TOKEN_MISSING',
       });
       expect(next).not.toHaveBeenCalled();
     });
@@ -81,7 +86,7 @@ describe('Auth Middleware', () => {
 
       expect(jwt.verify).toHaveBeenCalledWith(token, process.env.JWT_SECRET);
       expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Token is not valid' });
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token is not valid', code: 'TOKEN_INVALID' });
       expect(next).not.toHaveBeenCalled();
     });
 
@@ -98,7 +103,7 @@ describe('Auth Middleware', () => {
 
       expect(jwt.verify).toHaveBeenCalledWith(token, process.env.JWT_SECRET);
       expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Token is not valid' });
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
       expect(next).not.toHaveBeenCalled();
     });
 
@@ -115,7 +120,82 @@ describe('Auth Middleware', () => {
 
       expect(jwt.verify).toHaveBeenCalledWith(token, process.env.JWT_SECRET);
       expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Token is not valid' });
+      expect(res.json).toHaveBeenCalledWith({ message: 'Malformed token', code: 'TOKEN_MALFORMED' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 when the token signature is invalid', () => {
+      req.cookies.accessToken = 'forged.jwt.token';
+      const error = new Error('invalid signature');
+      error.name = 'JsonWebTokenError';
+      jwt.verify.mockImplementation(() => {
+        throw error;
+      });
+
+      protect(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid token signature', code: 'TOKEN_INVALID_SIGNATURE' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens issued for another purpose (mfa pending)', () => {
+      req.cookies.accessToken = 'mfa.jwt.token';
+      jwt.verify.mockReturnValue({ userId: 'user123', purpose: 'mfa' });
+
+      protect(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token is not valid', code: 'TOKEN_INVALID' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should accept an Authorization: Bearer token when there is no cookie (mobile)', () => {
+      const decoded = { userId: 'mobileUser' };
+      req.headers.authorization = 'Bearer mobile.jwt.token';
+      jwt.verify.mockReturnValue(decoded);
+
+      protect(req, res, next);
+
+      expect(jwt.verify).toHaveBeenCalledWith('mobile.jwt.token', process.env.JWT_SECRET);
+      expect(req.user).toEqual(decoded);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should accept a lowercase bearer scheme', () => {
+      req.headers.authorization = 'bearer mobile.jwt.token';
+      jwt.verify.mockReturnValue({ userId: 'mobileUser' });
+
+      protect(req, res, next);
+
+      expect(jwt.verify).toHaveBeenCalledWith('mobile.jwt.token', process.env.JWT_SECRET);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should prefer the cookie over the Authorization header', () => {
+      req.cookies.accessToken = 'cookie.jwt.token';
+      req.headers.authorization = 'Bearer header.jwt.token';
+      jwt.verify.mockReturnValue({ userId: 'user123' });
+
+      protect(req, res, next);
+
+      expect(jwt.verify).toHaveBeenCalledTimes(1);
+      expect(jwt.verify).toHaveBeenCalledWith('cookie.jwt.token', process.env.JWT_SECRET);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it.each([
+      ['a non-Bearer scheme', 'Basic dXNlcjpwYXNz'],
+      ['a missing token', 'Bearer'],
+      ['extra segments', 'Bearer one two'],
+    ])('should return 401 for a malformed Authorization header (%s)', (_, header) => {
+      req.headers.authorization = header;
+
+      protect(req, res, next);
+
+      expect(jwt.verify).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Malformed authorization header', code: 'TOKEN_MALFORMED' });
       expect(next).not.toHaveBeenCalled();
     });
 
@@ -132,4 +212,74 @@ describe('Auth Middleware', () => {
       expect(next).toHaveBeenCalled();
     });
   });
+
+  describe('requireVerifiedEmail middleware', () => {
+    const mockUserLookup = (user) => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    };
+
+    beforeEach(() => {
+      req.user = { userId: 'user123' };
+      req.method = 'POST';
+    });
+
+    afterEach(() => {
+      delete process.env.EMAIL_VERIFICATION_POLICY;
+    });
+
+    it('should skip the check entirely when the policy is off (default)', async () => {
+      await requireVerifiedEmail(req, res, next);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should let verified users through under the required policy', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'required';
+      mockUserLookup({ emailVerified: new Date() });
+
+      await requireVerifiedEmail(req, res, next);
+
+      expect(User.findById).toHaveBeenCalledWith('user123');
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 for unverified users under the required policy', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'required';
+      req.method = 'GET';
+      mockUserLookup({ emailVerified: undefined });
+
+      await requireVerifiedEmail(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Email verification required' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should allow reads but refuse writes for unverified users under the readonly policy', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'readonly';
+      mockUserLookup({ emailVerified: undefined });
+
+      req.method = 'GET';
+      await requireVerifiedEmail(req, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      req.method = 'DELETE';
+      await requireVerifiedEmail(req, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return 500 if the user lookup fails', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'required';
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      User.findById.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('DB error')) });
+
+      await requireVerifiedEmail(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(next).not.toHaveBeenCalled();
+      consoleErrorSpy.mockRestore();
+    });
+  });
 });
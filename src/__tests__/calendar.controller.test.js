@@ -0,0 +1,688 @@
+import {
+  getCalendar,
+  exportCalendar,
+  createCalendarEntry,
+  updateCalendarEntry,
+  deleteCalendarEntry,
+  markEntryWorn,
+  unmarkEntryWorn,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+} from '../controllers/calendar.controller.js';
+import { hashToken } from '../helpers/auth.helpers.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import Outfit from '../models/outfit.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import WearEvent from '../models/wearEvent.model.js';
+import StatusChange from '../models/statusChange.model.js';
+import User from '../models/user.model.js';
+
+jest.mock('../models/calendarEntry.model.js');
+jest.mock('../models/outfit.model.js');
+jest.mock('../models/clothing.model.js');
+jest.mock('../models/wearEvent.model.js');
+jest.mock('../models/statusChange.model.js');
+jest.mock('../models/user.model.js');
+
+describe('Calendar Controller', () => {
+  let req, res;
+  const userId = '64b0000000000000000000aa';
+  const entryId = '64b0000000000000000000ee';
+  const outfitId = '64b0000000000000000000dd';
+  const itemA = '64b0000000000000000000b1';
+  const itemB = '64b0000000000000000000b2';
+
+  const ownEntry = (extra = {}) => ({
+    _id: entryId,
+    owner: { toString: () => userId },
+    date: new Date('2026-03-15'),
+    outfit: null,
+    items: [itemA],
+    wornAt: null,
+    wearEvents: [],
+    ...extra,
+  });
+
+  // Consulta por rango: find().sort().populate().
+  const mockRangeQuery = (entries) => {
+    const populate = jest.fn().mockResolvedValue(entries);
+    const sort = jest.fn().mockReturnValue({ populate });
+    CalendarEntry.find.mockReturnValue({ sort });
+    return { sort, populate };
+  };
+
+  // refreshWearStats de cada prenda tras registrar o borrar usos.
+  const mockWearStats = () => {
+    WearEvent.countDocuments.mockResolvedValue(1);
+    WearEvent.findOne.mockReturnValue({
+      sort: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue({ wornAt: new Date('2026-03-15') }) }),
+    });
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    req = { body: {}, params: { id: entryId }, query: {}, user: { userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      set: jest.fn(),
+    };
+    CalendarEntry.findByIdAndUpdate.mockImplementation(async (id, data) => ({ _id: id, ...data }));
+  });
+
+  describe('getCalendar', () => {
+    it('should return the entries in the range, ordered by day', async () => {
+      req.query = { from: '2026-03-01', to: '2026-03-31' };
+      const entries = [ownEntry()];
+      const { sort, populate } = mockRangeQuery(entries);
+
+      await getCalendar(req, res);
+
+      expect(CalendarEntry.find).toHaveBeenCalledWith({
+        owner: userId,
+        date: { $gte: new Date('2026-03-01'), $lte: new Date('2026-03-31') },
+      });
+      expect(sort).toHaveBeenCalledWith({ date: 1, _id: 1 });
+      expect(populate).toHaveBeenCalledWith(expect.arrayContaining([expect.objectContaining({ path: 'outfit' })]));
+      expect(res.json).toHaveBeenCalledWith(entries);
+    });
+
+    it('should not populate trashed items and drop them from the response', async () => {
+      req.query = { from: '2026-03-01', to: '2026-03-31' };
+      const item = { _id: itemA, name: 'Camisa' };
+      const { populate } = mockRangeQuery([
+        ownEntry({ items: [item, null] }),
+        ownEntry({ items: [], outfit: { name: 'Oficina', items: [null, item] } }),
+      ]);
+
+      await getCalendar(req, res);
+
+      const [paths] = populate.mock.calls[0];
+      const trashAware = { match: { deletedAt: null }, options: { retainNullValues: true } };
+      expect(paths).toContainEqual(expect.objectContaining({ path: 'items', ...trashAware }));
+      expect(paths).toContainEqual(expect.objectContaining({
+        path: 'outfit',
+        populate: expect.objectContaining({ path: 'items', ...trashAware }),
+      }));
+      const [entries] = res.json.mock.calls[0];
+      expect(entries[0].items).toEqual([item]);
+      expect(entries[1].outfit.items).toEqual([item]);
+    });
+
+    it('should return 400 for an invalid range', async () => {
+      req.query = { from: '2026-03-01' };
+
+      await getCalendar(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'from and to must be valid dates' });
+      expect(CalendarEntry.find).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      req.query = { from: '2026-03-01', to: '2026-03-31' };
+      CalendarEntry.find.mockImplementation(() => {
+        throw new Error('Database error');
+      });
+
+      await getCalendar(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('exportCalendar', () => {
+    it('should send the entries as an iCalendar attachment', async () => {
+      req.query = { from: '2026-03-01', to: '2026-03-31' };
+      mockRangeQuery([{ _id: entryId, date: new Date('2026-03-15'), outfit: { name: 'Oficina', items: [] }, items: [] }]);
+
+      await exportCalendar(req, res);
+
+      expect(res.set).toHaveBeenCalledWith({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="ropabase-calendar.ics"',
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      const [ics] = res.send.mock.calls[0];
+      expect(ics).toContain('SUMMARY:Oficina\r\n');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20260315\r\n');
+    });
+
+    it('should return 400 for an invalid range', async () => {
+      req.query = { from: '2026-03-31', to: '2026-03-01' };
+
+      await exportCalendar(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should handle database errors', async () => {
+      req.query = { from: '2026-03-01', to: '2026-03-31' };
+      CalendarEntry.find.mockImplementation(() => {
+        throw new Error('Database error');
+      });
+
+      await exportCalendar(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('createCalendarEntry', () => {
+    beforeEach(() => {
+      CalendarEntry.create.mockImplementation(async (data) => ({ _id: entryId, ...data }));
+    });
+
+    it('should assign an outfit of the user to a day', async () => {
+      req.body = { date: '2026-03-15', outfit: outfitId };
+      Outfit.exists.mockResolvedValue({ _id: outfitId });
+
+      await createCalendarEntry(req, res);
+
+      expect(Outfit.exists).toHaveBeenCalledWith({ _id: outfitId, owner: userId });
+      expect(CalendarEntry.create).toHaveBeenCalledWith({
+        date: new Date('2026-03-15'),
+        outfit: outfitId,
+        items: [],
+        owner: userId,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should assign loose items of the user to a day', async () => {
+      req.body = { date: '2026-03-15', items: [itemA, itemB] };
+      ClothingItem.countDocuments.mockResolvedValue(2);
+
+      await createCalendarEntry(req, res);
+
+      expect(ClothingItem.countDocuments).toHaveBeenCalledWith({ _id: { $in: [itemA, itemB] }, owner: userId, deletedAt: null });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 400 for an outfit of another user', async () => {
+      req.body = { date: '2026-03-15', outfit: outfitId };
+      Outfit.exists.mockResolvedValue(null);
+
+      await createCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Outfit must be an outfit of the user' });
+      expect(CalendarEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for items of another user', async () => {
+      req.body = { date: '2026-03-15', items: [itemA, itemB] };
+      ClothingItem.countDocuments.mockResolvedValue(1);
+
+      await createCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Items must be clothing items of the user' });
+    });
+
+    it('should return 400 for invalid data', async () => {
+      req.body = { outfit: outfitId };
+
+      await createCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'date must be a valid date' });
+    });
+
+    it('should handle database errors', async () => {
+      req.body = { date: '2026-03-15', items: [itemA] };
+      ClothingItem.countDocuments.mockRejectedValue(new Error('Database error'));
+
+      await createCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('updateCalendarEntry', () => {
+    it('should move the entry to another day', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      req.body = { date: '2026-03-20' };
+
+      await updateCalendarEntry(req, res);
+
+      expect(CalendarEntry.findByIdAndUpdate).toHaveBeenCalledWith(
+        entryId,
+        { date: new Date('2026-03-20') },
+        { new: true, runValidators: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should replace the loose items with an outfit', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      Outfit.exists.mockResolvedValue({ _id: outfitId });
+      req.body = { outfit: outfitId };
+
+      await updateCalendarEntry(req, res);
+
+      expect(CalendarEntry.findByIdAndUpdate).toHaveBeenCalledWith(
+        entryId,
+        { outfit: outfitId, items: [] },
+        expect.any(Object)
+      );
+    });
+
+    it('should allow editing the note of a worn entry', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ wornAt: new Date() }));
+      req.body = { note: 'Llovió' };
+
+      await updateCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 409 when moving a worn entry', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ wornAt: new Date() }));
+      req.body = { date: '2026-03-20' };
+
+      await updateCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unmark the entry as worn before changing its date or clothes' });
+    });
+
+    it('should return 400 for invalid data', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      req.body = { items: [] };
+
+      await updateCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'An outfit or at least one item is required' });
+    });
+
+    it('should return 400 for items of another user', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      ClothingItem.countDocuments.mockResolvedValue(0);
+      req.body = { items: [itemB] };
+
+      await updateCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(CalendarEntry.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if the entry does not exist', async () => {
+      CalendarEntry.findById.mockResolvedValue(null);
+
+      await updateCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Calendar entry not found' });
+    });
+
+    it('should return 403 if the user is not the owner', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ owner: { toString: () => 'otherUser' } }));
+      req.body = { date: '2026-03-20' };
+
+      await updateCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not authorized to update this calendar entry' });
+    });
+
+    it('should handle database errors', async () => {
+      CalendarEntry.findById.mockRejectedValue(new Error('Database error'));
+
+      await updateCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteCalendarEntry', () => {
+    it('should delete the entry', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+
+      await deleteCalendarEntry(req, res);
+
+      expect(CalendarEntry.findByIdAndDelete).toHaveBeenCalledWith(entryId);
+      expect(WearEvent.deleteMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should return 403 if the user is not the owner', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ owner: { toString: () => 'otherUser' } }));
+
+      await deleteCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not authorized to delete this calendar entry' });
+      expect(CalendarEntry.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      CalendarEntry.findByIdAndDelete.mockRejectedValue(new Error('Database error'));
+
+      await deleteCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('markEntryWorn', () => {
+    beforeEach(() => {
+      mockWearStats();
+      CalendarEntry.findOneAndUpdate.mockImplementation(async () => ownEntry());
+      WearEvent.insertMany.mockImplementation(async (docs) => docs.map((doc, index) => ({ _id: `wear${index}`, ...doc })));
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      // Ninguna prenda está en la papelera salvo que el test diga lo contrario.
+      ClothingItem.distinct.mockImplementation(async (field, { _id }) => _id.$in);
+    });
+
+    it('should record a wear of each item of the outfit on the entry date', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ outfit: outfitId, items: [] }));
+      Outfit.findOne.mockResolvedValue({ _id: outfitId, items: [itemA, itemB] });
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: itemB, status: 'CLEAN' }]) });
+
+      await markEntryWorn(req, res);
+
+      expect(Outfit.findOne).toHaveBeenCalledWith({ _id: outfitId, owner: userId });
+      expect(WearEvent.insertMany).toHaveBeenCalledWith([
+        { item: itemA, owner: userId, wornAt: new Date('2026-03-15') },
+        { item: itemB, owner: userId, wornAt: new Date('2026-03-15') },
+      ]);
+      expect(ClothingItem.updateOne).toHaveBeenCalledTimes(2);
+      // Las prendas limpias pasan a usadas.
+      expect(StatusChange.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ item: itemB, from: 'CLEAN', to: 'WORN' }),
+      ]);
+      expect(CalendarEntry.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: entryId, owner: userId, wornAt: null },
+        { wornAt: expect.any(Date) }
+      );
+      expect(CalendarEntry.findByIdAndUpdate).toHaveBeenCalledWith(
+        entryId,
+        { wearEvents: ['wear0', 'wear1'] },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should record the loose items of the entry', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+
+      await markEntryWorn(req, res);
+
+      expect(Outfit.findOne).not.toHaveBeenCalled();
+      expect(WearEvent.insertMany).toHaveBeenCalledWith([{ item: itemA, owner: userId, wornAt: new Date('2026-03-15') }]);
+    });
+
+    it('should skip the items that are in the trash', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ outfit: outfitId, items: [] }));
+      Outfit.findOne.mockResolvedValue({ _id: outfitId, items: [itemA, itemB] });
+      ClothingItem.distinct.mockResolvedValue([itemB]);
+
+      await markEntryWorn(req, res);
+
+      expect(ClothingItem.distinct).toHaveBeenCalledWith('_id', {
+        _id: { $in: [itemA, itemB] },
+        owner: userId,
+        deletedAt: null,
+      });
+      expect(WearEvent.insertMany).toHaveBeenCalledWith([{ item: itemB, owner: userId, wornAt: new Date('2026-03-15') }]);
+      expect(ClothingItem.updateOne).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 400 when every item is in the trash', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      ClothingItem.distinct.mockResolvedValue([]);
+
+      await markEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Calendar entry has no items to mark as worn' });
+      expect(WearEvent.insertMany).not.toHaveBeenCalled();
+      expect(StatusChange.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for future entries', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ date: new Date('2999-01-01') }));
+
+      await markEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Future entries cannot be marked as worn' });
+    });
+
+    it('should return 400 when the entry has no items left', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ items: [] }));
+
+      await markEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(WearEvent.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if it is already marked as worn', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ wornAt: new Date() }));
+
+      await markEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(WearEvent.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 without recording wears when another request marked it first', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      CalendarEntry.findOneAndUpdate.mockResolvedValue(null);
+
+      await markEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Calendar entry is already marked as worn' });
+      expect(WearEvent.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should record the wears once for parallel requests', async () => {
+      // La entrada real: solo la primera actualización la encuentra sin marcar.
+      let wornAt = null;
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      CalendarEntry.findOneAndUpdate.mockImplementation(async (filter, update) => {
+        if (wornAt !== filter.wornAt) return null;
+        const before = ownEntry({ wornAt });
+        ({ wornAt } = update);
+        return before;
+      });
+
+      const results = [res, { ...res, status: jest.fn().mockReturnThis() }];
+      await Promise.all(results.map((response) => markEntryWorn(req, response)));
+
+      expect(WearEvent.insertMany).toHaveBeenCalledTimes(1);
+      expect(results.map((response) => response.status.mock.calls[0][0]).sort()).toEqual([200, 409]);
+    });
+
+    it('should leave the entry unmarked when the wears cannot be recorded', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      WearEvent.insertMany.mockRejectedValue(new Error('Database error'));
+
+      await markEntryWorn(req, res);
+
+      expect(CalendarEntry.updateOne).toHaveBeenCalledWith({ _id: entryId }, { wornAt: null });
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    it('should return 404 if the entry does not exist', async () => {
+      CalendarEntry.findById.mockResolvedValue(null);
+
+      await markEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should handle database errors', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+      WearEvent.insertMany.mockRejectedValue(new Error('Database error'));
+
+      await markEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('unmarkEntryWorn', () => {
+    it('should delete the wears recorded by the entry', async () => {
+      mockWearStats();
+      const wornEntry = ownEntry({ wornAt: new Date(), wearEvents: ['wear0'] });
+      const unmarkedEntry = ownEntry();
+      CalendarEntry.findById.mockResolvedValueOnce(wornEntry).mockResolvedValueOnce(unmarkedEntry);
+      CalendarEntry.findOneAndUpdate.mockResolvedValue(wornEntry);
+      WearEvent.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'wear0', item: itemA }]) });
+
+      await unmarkEntryWorn(req, res);
+
+      expect(CalendarEntry.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: entryId, owner: userId, wornAt: { $ne: null } },
+        { wornAt: null, wearEvents: [] }
+      );
+      expect(WearEvent.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['wear0'] } });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(unmarkedEntry);
+    });
+
+    it('should return 409 without deleting wears when another request unmarked it first', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ wornAt: new Date(), wearEvents: ['wear0'] }));
+      CalendarEntry.findOneAndUpdate.mockResolvedValue(null);
+
+      await unmarkEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Calendar entry is not marked as worn' });
+      expect(WearEvent.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if it is not marked as worn', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry());
+
+      await unmarkEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Calendar entry is not marked as worn' });
+    });
+
+    it('should return 403 if the user is not the owner', async () => {
+      CalendarEntry.findById.mockResolvedValue(ownEntry({ owner: { toString: () => 'otherUser' } }));
+
+      await unmarkEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should handle database errors', async () => {
+      CalendarEntry.findById.mockRejectedValue(new Error('Database error'));
+
+      await unmarkEntryWorn(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('createCalendarFeed', () => {
+    beforeEach(() => {
+      req.protocol = 'http';
+      req.get = jest.fn().mockReturnValue('localhost:5000');
+    });
+
+    it('should store only the token hash and return the feed URL', async () => {
+      await createCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const [{ url }] = res.json.mock.calls[0];
+      const [, token] = url.match(/^http:\/\/localhost:5000\/api\/calendar\/feed\/([a-f0-9]+)\.ics$/);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(userId, { calendarFeedToken: hashToken(token) });
+    });
+
+    it('should rotate the token on every call', async () => {
+      await createCalendarFeed(req, res);
+      await createCalendarFeed(req, res);
+
+      const [[first], [second]] = res.json.mock.calls;
+      expect(first.url).not.toBe(second.url);
+    });
+
+    it('should handle database errors', async () => {
+      User.findByIdAndUpdate.mockRejectedValue(new Error('Database error'));
+
+      await createCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('revokeCalendarFeed', () => {
+    it('should remove the feed token', async () => {
+      await revokeCalendarFeed(req, res);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(userId, { $unset: { calendarFeedToken: 1 } });
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should handle database errors', async () => {
+      User.findByIdAndUpdate.mockRejectedValue(new Error('Database error'));
+
+      await revokeCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getCalendarFeed', () => {
+    const mockFeedOwner = (user) => {
+      const select = jest.fn().mockResolvedValue(user);
+      User.findOne.mockReturnValue({ select });
+    };
+
+    beforeEach(() => {
+      req = { params: { token: 'secret-token' } };
+    });
+
+    it('should serve the iCalendar of the token owner inline', async () => {
+      mockFeedOwner({ _id: userId });
+      mockRangeQuery([{ _id: entryId, date: new Date('2026-03-15'), outfit: { name: 'Oficina', items: [] }, items: [] }]);
+
+      await getCalendarFeed(req, res);
+
+      expect(User.findOne).toHaveBeenCalledWith({ calendarFeedToken: hashToken('secret-token') });
+      expect(CalendarEntry.find).toHaveBeenCalledWith({
+        owner: userId,
+        date: { $gte: expect.any(Date), $lte: expect.any(Date) },
+      });
+      expect(res.set).toHaveBeenCalledWith('Content-Type', 'text/calendar; charset=utf-8');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send.mock.calls[0][0]).toContain('SUMMARY:Oficina\r\n');
+    });
+
+    it('should return 404 for an unknown or revoked token', async () => {
+      mockFeedOwner(null);
+
+      await getCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Calendar feed not found' });
+      expect(CalendarEntry.find).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      User.findOne.mockImplementation(() => {
+        throw new Error('Database error');
+      });
+
+      await getCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import {
+  toCalendarDay,
+  parseCalendarRange,
+  parseCalendarEntryData,
+  escapeICalText,
+  foldICalLine,
+  buildICalendar,
+  getCalendarFeedRange,
+  buildCalendarFeedUrl,
+} from '../helpers/calendar.helpers.js';
+
+describe('Calendar Helpers', () => {
+  const outfitId = '64b0000000000000000000dd';
+  const itemA = '64b0000000000000000000b1';
+
+  describe('toCalendarDay', () => {
+    it.each([
+      ['2026-03-15', '2026-03-15T00:00:00.000Z'],
+      ['2026-03-15T23:59:00Z', '2026-03-15T00:00:00.000Z'],
+      [new Date('2026-03-15T10:00:00Z'), '2026-03-15T00:00:00.000Z'],
+    ])('should convert %p to the start of its UTC day', (value, expected) => {
+      expect(toCalendarDay(value).toISOString()).toBe(expected);
+    });
+
+    it.each([['tomorrow'], [undefined], [20260315]])('should return null for %p', (value) => {
+      expect(toCalendarDay(value)).toBeNull();
+    });
+  });
+
+  describe('parseCalendarRange', () => {
+    it('should parse an inclusive range', () => {
+      expect(parseCalendarRange({ from: '2026-03-01', to: '2026-03-31' })).toEqual({
+        from: new Date('2026-03-01'),
+        to: new Date('2026-03-31'),
+      });
+    });
+
+    it.each([
+      [{ from: '2026-03-01' }, 'from and to must be valid dates'],
+      [{ from: '2026-03-31', to: '2026-03-01' }, 'from must be before to'],
+      [{ from: '2026-01-01', to: '2027-01-02' }, 'The range can span at most 366 days'],
+    ])('should reject %p', (query, error) => {
+      expect(parseCalendarRange(query)).toEqual({ error });
+    });
+  });
+
+  describe('getCalendarFeedRange', () => {
+    it('should cover the last 90 days and the next 365 from the start of today', () => {
+      expect(getCalendarFeedRange(new Date('2026-03-15T18:30:00Z'))).toEqual({
+        from: new Date('2025-12-15'),
+        to: new Date('2027-03-15'),
+      });
+    });
+  });
+
+  describe('buildCalendarFeedUrl', () => {
+    const req = { protocol: 'http', get: () => 'localhost:5000' };
+
+    afterEach(() => {
+      delete process.env.API_BASE_URL;
+    });
+
+    it('should build the URL from the request host', () => {
+      expect(buildCalendarFeedUrl(req, 'abc')).toBe('http://localhost:5000/api/calendar/feed/abc.ics');
+    });
+
+    it('should prefer API_BASE_URL', () => {
+      process.env.API_BASE_URL = 'https://api.ropabase.app';
+      expect(buildCalendarFeedUrl(req, 'abc')).toBe('https://api.ropabase.app/api/calendar/feed/abc.ics');
+    });
+  });
+
+  describe('parseCalendarEntryData', () => {
+    it('should accept an outfit for a day', () => {
+      expect(parseCalendarEntryData({ date: '2026-03-15', outfit: outfitId, note: ' Cena ' })).toEqual({
+        data: { date: new Date('2026-03-15'), outfit: outfitId, items: [], note: 'Cena' },
+        error: null,
+      });
+    });
+
+    it('should accept loose items for a day', () => {
+      expect(parseCalendarEntryData({ date: '2026-03-15', items: itemA }).data).toEqual({
+        date: new Date('2026-03-15'),
+        items: [itemA],
+        outfit: null,
+      });
+    });
+
+    it.each([
+      [{ outfit: outfitId }, 'date must be a valid date'],
+      [{ date: '2026-03-15' }, 'An outfit or at least one item is required'],
+      [{ date: '2026-03-15', outfit: 'nope' }, 'outfit must be an outfit id'],
+      [{ date: '2026-03-15', items: 'nope' }, 'Items must be a list of clothing item ids'],
+      [{ date: '2026-03-15', outfit: outfitId, items: [itemA] }, 'Use either an outfit or a list of items'],
+      [{ date: '2026-03-15', outfit: outfitId, note: 42 }, 'note must be a string'],
+      [{ date: '2026-03-15', outfit: outfitId, note: 'x'.repeat(501) }, 'note must be at most 500 characters'],
+    ])('should reject %p', (body, error) => {
+      expect(parseCalendarEntryData(body)).toEqual({ data: null, error });
+    });
+
+    it('should reject too many items', () => {
+      const items = Array.from({ length: 21 }, (_, i) => `64b0000000000000000000${String(i).padStart(2, '0')}`);
+
+      expect(parseCalendarEntryData({ date: '2026-03-15', items }).error).toBe('An entry can have at most 20 items');
+    });
+
+    it('should move an existing entry without touching its clothes', () => {
+      const current = { outfit: outfitId, items: [] };
+
+      expect(parseCalendarEntryData({ date: '2026-03-20' }, current)).toEqual({
+        data: { date: new Date('2026-03-20') },
+        error: null,
+      });
+    });
+
+    it('should switch an outfit entry to loose items and clear the note', () => {
+      const current = { outfit: outfitId, items: [] };
+
+      expect(parseCalendarEntryData({ items: [itemA], note: '' }, current).data).toEqual({
+        items: [itemA],
+        outfit: null,
+        note: null,
+      });
+    });
+
+    it('should not leave an existing entry empty', () => {
+      const current = { outfit: outfitId, items: [] };
+
+      expect(parseCalendarEntryData({ outfit: null }, current).error).toBe('An outfit or at least one item is required');
+    });
+  });
+
+  describe('iCalendar', () => {
+    it('should escape special characters', () => {
+      expect(escapeICalText('Camisa, jeans; zapatos\\botas\nNota')).toBe('Camisa\\, jeans\\; zapatos\\\\botas\\nNota');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const line = `SUMMARY:${'ñ'.repeat(80)}`;
+      const folded = foldICalLine(line);
+
+      const parts = folded.split('\r\n ');
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach((part, index) => {
+        expect(Buffer.byteLength(part)).toBeLessThanOrEqual(index === 0 ? 75 : 74);
+      });
+      expect(parts.join('')).toBe(line);
+      expect(foldICalLine('SUMMARY:Corto')).toBe('SUMMARY:Corto');
+    });
+
+    it('should build an all-day event per entry', () => {
+      const entries = [
+        {
+          _id: 'entry1',
+          date: new Date('2026-03-15'),
+          outfit: { name: 'Oficina', items: [{ name: 'Camisa' }, { name: 'Chino' }] },
+          items: [],
+          note: 'Reunión, con cliente',
+        },
+        { _id: 'entry2', date: new Date('2026-03-16'), outfit: null, items: [{ name: 'Chándal' }, null] },
+        { _id: 'entry3', date: new Date('2026-03-17'), outfit: null, items: [] },
+      ];
+
+      const ics = buildICalendar(entries, { now: new Date('2026-03-01T12:30:00Z') });
+      const lines = ics.split('\r\n');
+
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines).toEqual(expect.arrayContaining([
+        'UID:entry1@ropabase',
+        'DTSTAMP:20260301T123000Z',
+        'DTSTART;VALUE=DATE:20260315',
+        'DTEND;VALUE=DATE:20260316',
+        'SUMMARY:Oficina',
+        'DESCRIPTION:- Camisa\\n- Chino\\n\\nReunión\\, con cliente',
+        'SUMMARY:Chándal',
+        'SUMMARY:Outfit',
+      ]));
+      expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(3);
+    });
+
+    it('should build an empty calendar', () => {
+      expect(buildICalendar([])).toMatch(/^BEGIN:VCALENDAR\r\n[\s\S]*END:VCALENDAR\r\n$/);
+    });
+  });
+});
@@ -0,0 +1,319 @@
+import mongoose from 'mongoose';
+import {
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from '../controllers/category.controller.js';
+import Category from '../models/category.model.js';
+import ClothingItem from '../models/clothing.model.js';
+
+jest.mock('../models/category.model.js');
+jest.mock('../models/clothing.model.js');
+
+describe('Category Controller', () => {
+  let req, res;
+  const userId = '64b0000000000000000000aa';
+  const id = () => new mongoose.Types.ObjectId();
+
+  // Árbol de prueba: SHOES (sistema) > SNEAKERS (usuario) > RUNNING (usuario)
+  const shoes = { _id: id(), key: 'SHOES', name: 'Shoes', owner: null, parentId: null, ancestors: [] };
+  const sneakers = { _id: id(), key: 'SNEAKERS', name: 'Sneakers', owner: userId, parentId: shoes._id, ancestors: [shoes._id] };
+  const running = {
+    _id: id(), key: 'RUNNING', name: 'Running', owner: userId, parentId: sneakers._id, ancestors: [shoes._id, sneakers._id],
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    req = { body: {}, params: {}, user: { userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+  });
+
+  describe('listCategories', () => {
+    it('should return the system categories and the user ones', async () => {
+      Category.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([shoes, sneakers]) });
+
+      await listCategories(req, res);
+
+      expect(Category.find).toHaveBeenCalledWith({ owner: { $in: [null, userId] } });
+      expect(res.json).toHaveBeenCalledWith([
+        { id: shoes._id, key: 'SHOES', name: 'Shoes', parent: null, system: true },
+        { id: sneakers._id, key: 'SNEAKERS', name: 'Sneakers', parent: shoes._id, system: false },
+      ]);
+    });
+
+    it('should handle database errors', async () => {
+      Category.find.mockReturnValue({ sort: jest.fn().mockRejectedValue(new Error('Database error')) });
+
+      await listCategories(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('createCategory', () => {
+    it('should create a subcategory under a system category', async () => {
+      req.body = { name: ' Zapatillas de running ', parent: 'shoes' };
+      Category.findOne.mockResolvedValue(shoes);
+      Category.exists.mockResolvedValue(null);
+      Category.create.mockImplementation(async (data) => ({ _id: 'newId', ...data }));
+
+      await createCategory(req, res);
+
+      expect(Category.findOne).toHaveBeenCalledWith({ key: 'SHOES', owner: { $in: [null, userId] } });
+      expect(Category.create).toHaveBeenCalledWith({
+        key: 'ZAPATILLAS_DE_RUNNING',
+        name: 'Zapatillas de running',
+        owner: userId,
+        parentId: shoes._id,
+        ancestors: [shoes._id],
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ key: 'ZAPATILLAS_DE_RUNNING', system: false }));
+    });
+
+    it('should create a root category', async () => {
+      req.body = { name: 'Vestidos de fiesta' };
+      Category.exists.mockResolvedValue(null);
+      Category.create.mockImplementation(async (data) => ({ _id: 'newId', ...data }));
+
+      await createCategory(req, res);
+
+      expect(Category.create).toHaveBeenCalledWith(expect.objectContaining({ parentId: null, ancestors: [] }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it.each([
+      [{}, 'Name must be a non-empty string'],
+      [{ name: 'x'.repeat(51) }, 'Name must be at most 50 characters'],
+      [{ name: '¡¡!!' }, 'Name must contain letters or numbers'],
+    ])('should return 400 for body %p', async (body, message) => {
+      req.body = body;
+
+      await createCategory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+    });
+
+    it('should return 400 for an unknown parent or a too deep tree', async () => {
+      req.body = { name: 'Trail', parent: 'missing' };
+      Category.findOne.mockResolvedValue(null);
+      await createCategory(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ message: 'Parent category not found' });
+
+      const deep = { ...running, ancestors: [shoes._id, sneakers._id, running._id] };
+      Category.findOne.mockResolvedValue(deep);
+      await createCategory(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ message: 'Categories can be nested at most 4 levels deep' });
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 409 when the key already exists', async () => {
+      req.body = { name: 'shirt' };
+      Category.exists.mockResolvedValue({ _id: 'existing' });
+
+      await createCategory(req, res);
+
+      expect(Category.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    it('should return 409 on a concurrent duplicate', async () => {
+      req.body = { name: 'Boots' };
+      Category.exists.mockResolvedValue(null);
+      Category.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await createCategory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Category already exists' });
+    });
+
+    it('should handle database errors', async () => {
+      req.body = { name: 'Boots' };
+      Category.exists.mockRejectedValue(new Error('Database error'));
+
+      await createCategory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('updateCategory', () => {
+    it('should rename a category without changing its key', async () => {
+      req.params.id = String(sneakers._id);
+      req.body = { name: 'Zapatillas' };
+      Category.findOne.mockResolvedValue(sneakers);
+      Category.findByIdAndUpdate.mockResolvedValue({ ...sneakers, name: 'Zapatillas' });
+
+      await updateCategory(req, res);
+
+      expect(Category.findByIdAndUpdate).toHaveBeenCalledWith(sneakers._id, { name: 'Zapatillas' }, { new: true, runValidators: true });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ key: 'SNEAKERS', name: 'Zapatillas' }));
+    });
+
+    it('should move a category to the root together with its subcategories', async () => {
+      req.params.id = String(sneakers._id);
+      req.body = { parent: null };
+      Category.findOne.mockResolvedValue(sneakers);
+      Category.find.mockResolvedValue([running]);
+      Category.findByIdAndUpdate.mockResolvedValue({ ...sneakers, parentId: null, ancestors: [] });
+
+      await updateCategory(req, res);
+
+      expect(Category.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: { filter: { _id: running._id }, update: { $set: { ancestors: [sneakers._id] } } },
+      }]);
+      expect(Category.findByIdAndUpdate).toHaveBeenCalledWith(
+        sneakers._id,
+        { parentId: null, ancestors: [] },
+        { new: true, runValidators: true }
+      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ parent: null }));
+    });
+
+    it('should move a category under another one', async () => {
+      const boots = { _id: id(), key: 'BOOTS', owner: userId, parentId: null, ancestors: [] };
+      req.params.id = String(boots._id);
+      req.body = { parent: 'SHOES' };
+      Category.findOne.mockResolvedValueOnce(boots).mockResolvedValueOnce(shoes);
+      Category.find.mockResolvedValue([]);
+      Category.findByIdAndUpdate.mockResolvedValue({ ...boots, parentId: shoes._id });
+
+      await updateCategory(req, res);
+
+      expect(Category.bulkWrite).not.toHaveBeenCalled();
+      expect(Category.findByIdAndUpdate).toHaveBeenCalledWith(
+        boots._id,
+        { parentId: shoes._id, ancestors: [shoes._id] },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('should reject moving a category under its own subtree', async () => {
+      req.params.id = String(sneakers._id);
+      req.body = { parent: String(running._id) };
+      Category.findOne.mockResolvedValueOnce(sneakers).mockResolvedValueOnce(running);
+
+      await updateCategory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'A category cannot be moved under itself or its subcategories' });
+    });
+
+    it('should reject a move that makes the tree too deep', async () => {
+      const other = { _id: id(), key: 'OTHER_SHOES', owner: userId, ancestors: [shoes._id, id()] };
+      req.params.id = String(sneakers._id);
+      req.body = { parent: String(other._id) };
+      Category.findOne.mockResolvedValueOnce(sneakers).mockResolvedValueOnce(other);
+      Category.find.mockResolvedValue([running]);
+
+      await updateCategory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Categories can be nested at most 4 levels deep' });
+    });
+
+    it('should return 400 for an unknown parent', async () => {
+      req.params.id = String(sneakers._id);
+      req.body = { parent: 'missing' };
+      Category.findOne.mockResolvedValueOnce(sneakers).mockResolvedValueOnce(null);
+
+      await updateCategory(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({ message: 'Parent category not found' });
+    });
+
+    it('should return 400 when there is nothing to update or the name is invalid', async () => {
+      await updateCategory(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ message: 'Nothing to update' });
+
+      req.body = { name: '' };
+      await updateCategory(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ message: 'Name must be a non-empty string' });
+    });
+
+    it('should return 403 for system categories and 404 for unknown ones', async () => {
+      req.params.id = String(shoes._id);
+      req.body = { name: 'Calzado' };
+      Category.findOne.mockResolvedValue(shoes);
+      await updateCategory(req, res);
+      expect(res.status).toHaveBeenLastCalledWith(403);
+
+      Category.findOne.mockResolvedValue(null);
+      await updateCategory(req, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+    });
+
+    it('should handle database errors', async () => {
+      req.params.id = 'bad';
+      req.body = { name: 'x' };
+      Category.findOne.mockRejectedValue(new Error('Database error'));
+
+      await updateCategory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteCategory', () => {
+    it('should reparent children and move the items to the parent category', async () => {
+      req.params.id = String(sneakers._id);
+      Category.findOne.mockResolvedValue(sneakers);
+      Category.findById.mockResolvedValue(shoes);
+      ClothingItem.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      await deleteCategory(req, res);
+
+      expect(Category.updateMany).toHaveBeenCalledWith({ parentId: sneakers._id }, { $set: { parentId: shoes._id } });
+      expect(Category.updateMany).toHaveBeenCalledWith({ ancestors: sneakers._id }, { $pull: { ancestors: sneakers._id } });
+      expect(ClothingItem.updateMany).toHaveBeenCalledWith(
+        { owner: userId, category: 'SNEAKERS' },
+        { $set: { category: 'SHOES' } }
+      );
+      expect(Category.deleteOne).toHaveBeenCalledWith({ _id: sneakers._id });
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should move the items of a root category to OTHER', async () => {
+      const root = { _id: id(), key: 'FORMAL', owner: userId, parentId: null, ancestors: [] };
+      req.params.id = String(root._id);
+      Category.findOne.mockResolvedValue(root);
+      ClothingItem.updateMany.mockResolvedValue({ modifiedCount: 0 });
+
+      await deleteCategory(req, res);
+
+      expect(Category.findById).not.toHaveBeenCalled();
+      expect(ClothingItem.updateMany).toHaveBeenCalledWith({ owner: userId, category: 'FORMAL' }, { $set: { category: 'OTHER' } });
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should return 403 for system categories', async () => {
+      req.params.id = String(shoes._id);
+      Category.findOne.mockResolvedValue(shoes);
+
+      await deleteCategory(req, res);
+
+      expect(Category.deleteOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'System categories cannot be modified' });
+    });
+
+    it('should handle database errors', async () => {
+      req.params.id = String(sneakers._id);
+      Category.findOne.mockRejectedValue(new Error('Database error'));
+
+      await deleteCategory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import {
+  toCategoryKey,
+  findCategory,
+  getCategoryKeys,
+  ensureDefaultCategories,
+  migrateItemCategories,
+  migrateCategories,
+} from '../helpers/category.helpers.js';
+import Category from '../models/category.model.js';
+import ClothingItem from '../models/clothing.model.js';
+
+jest.mock('../models/category.model.js');
+jest.mock('../models/clothing.model.js');
+
+describe('Category Helpers', () => {
+  const userId = '64b0000000000000000000aa';
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('toCategoryKey', () => {
+    it.each([
+      ['shirt', 'SHIRT'],
+      ['Ropa interior', 'ROPA_INTERIOR'],
+      ['  Zapatillas / Running ', 'ZAPATILLAS_RUNNING'],
+      ['Camisón', 'CAMISON'],
+      ['¡!', ''],
+    ])('should convert %p to %p', (value, expected) => {
+      expect(toCategoryKey(value)).toBe(expected);
+    });
+  });
+
+  describe('findCategory', () => {
+    it('should look up old enum values by key, in any case', async () => {
+      Category.findOne.mockResolvedValue({ key: 'PANTS' });
+
+      await expect(findCategory(userId, 'Pants')).resolves.toEqual({ key: 'PANTS' });
+      expect(Category.findOne).toHaveBeenCalledWith({ key: 'PANTS', owner: { $in: [null, userId] } });
+    });
+
+    it('should look up by id', async () => {
+      await findCategory(userId, '64b0000000000000000000bb');
+
+      expect(Category.findOne).toHaveBeenCalledWith({ _id: '64b0000000000000000000bb', owner: { $in: [null, userId] } });
+    });
+
+    it.each([[undefined], [''], [{ $ne: null }]])('should return null for %p', async (value) => {
+      await expect(findCategory(userId, value)).resolves.toBeNull();
+      expect(Category.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCategoryKeys', () => {
+    it('should include the keys of every visible subcategory', async () => {
+      const select = jest.fn().mockResolvedValue([{ key: 'SNEAKERS' }, { key: 'RUNNING' }]);
+      Category.find.mockReturnValue({ select });
+
+      const keys = await getCategoryKeys(userId, { _id: 'shoesId', key: 'SHOES' });
+
+      expect(Category.find).toHaveBeenCalledWith({ ancestors: 'shoesId', owner: { $in: [null, userId] } });
+      expect(keys).toEqual(['SHOES', 'SNEAKERS', 'RUNNING']);
+    });
+  });
+
+  describe('ensureDefaultCategories', () => {
+    it('should upsert the system categories without overwriting them', async () => {
+      await ensureDefaultCategories();
+
+      const [operations] = Category.bulkWrite.mock.calls[0];
+      expect(operations.map((operation) => operation.updateOne.filter.key)).toEqual(
+        expect.arrayContaining(['SHIRT', 'PANTS', 'SHOES', 'JACKET', 'ACCESSORY', 'OTHER', 'DRESS', 'SKIRT', 'UNDERWEAR'])
+      );
+      expect(operations[0].updateOne).toEqual(expect.objectContaining({ upsert: true, filter: { owner: null, key: 'SHIRT' } }));
+      expect(operations[0].updateOne.update).toEqual({ $setOnInsert: expect.objectContaining({ name: 'Shirts' }) });
+    });
+  });
+
+  describe('migrateItemCategories', () => {
+    it('should normalize keys and move unknown categories to OTHER', async () => {
+      const items = [
+        { _id: 'item1', owner: userId, category: 'Pants' },
+        { _id: 'item2', owner: userId, category: 'SNEAKERS' },
+        { _id: 'item3', owner: userId, category: 'vintage' },
+      ];
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue(items) });
+      Category.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ owner: userId, key: 'SNEAKERS' }]) });
+
+      const migrated = await migrateItemCategories();
+
+      expect(ClothingItem.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: 'item1' }, update: { $set: { category: 'PANTS' } } } },
+        { updateOne: { filter: { _id: 'item3' }, update: { $set: { category: 'OTHER' } } } },
+      ]);
+      expect(migrated).toBe(2);
+    });
+
+    it('should do nothing when every item already uses a valid key', async () => {
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      await expect(migrateItemCategories()).resolves.toBe(0);
+      expect(ClothingItem.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should not write when the reviewed items are already valid', async () => {
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'item1', owner: userId, category: 'BOOTS' }]) });
+      Category.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ owner: userId, key: 'BOOTS' }]) });
+
+      await expect(migrateItemCategories()).resolves.toBe(0);
+      expect(ClothingItem.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('migrateCategories', () => {
+    it('should seed the defaults and migrate the items', async () => {
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      await expect(migrateCategories()).resolves.toBe(0);
+      expect(Category.bulkWrite).toHaveBeenCalled();
+    });
+  });
+});
@@ -8,14 +8,27 @@ import {
 // Importa los modelos 'ClothingItem' y 'User' de Mongoose que utiliza el controlador.
 import ClothingItem from '../models/clothing.model.js';
 import User from '../models/user.model.js';
+import Category from '../models/category.model.js';
 // Importa el módulo 'cloudinary' para poder referenciarlo en las pruebas.
 import cloudinary from '../config/cloudinary.js';
+import { processImage, extractPalette } from '../helpers/imageProcessing.helpers.js';
 
 // Usa jest.mock para reemplazar las implementaciones reales de los módulos con versiones simuladas.
 // Mockea el modelo 'ClothingItem' de Mongoose. Esto intercepta las interacciones con la colección de prendas.
 jest.mock('../models/clothing.model.js');
 // Mockea el modelo 'User' de Mongoose, ya que el controlador interactúa con él para vincular prendas a usuarios.
 jest.mock('../models/user.model.js');
+// Mockea el modelo 'Category': el controlador valida y expande las categorías contra la colección.
+jest.mock('../models/category.model.js');
+// Mockea los modelos 'WearEvent' y 'StatusChange', que cargan los helpers de filtros de uso y estado.
+jest.mock('../models/wearEvent.model.js');
+jest.mock('../models/statusChange.model.js');
+// Las imágenes de prueba no son fotos reales: se suben sin procesar (ver imageProcessing.helpers.test.js).
+jest.mock('../helpers/imageProcessing.helpers.js', () => ({
+  processImage: jest.fn(async (buffer) => buffer),
+  // Todas las fotos de prueba son azul marino.
+  extractPalette: jest.fn(async () => [{ hex: '#1f2a44', family: 'BLUE', share: 1 }]),
+}));
 // Mockea el módulo de Cloudinary para evitar llamadas reales a la API durante las pruebas.
 jest.mock('../config/cloudinary.js', () => ({
   uploader: {
@@ -27,6 +40,8 @@ jest.mock('../config/cloudinary.js', () => ({
     }),
     destroy: jest.fn(),
   },
+  // Versiones reducidas: URLs de la imagen subida con su transformación.
+  url: jest.fn((publicId, { transformation }) => `http://mock.cloudinary.com/w_${transformation[0].width}/image.jpg`),
 }));
 
 // Describe un bloque de pruebas para el "Clothing Controller".
@@ -42,13 +57,12 @@ describe('Clothing Controller', () => {
   beforeEach(() => {
     // Limpia el estado de todos los mocks, restableciendo sus contadores de llamadas y valores simulados.
     jest.clearAllMocks();
-    // Mockea ClothingItem.schema para que el controlador pueda leer los enumValues
-    // sin depender de la instancia real de Mongoose (que no existe en tests).
-    ClothingItem.schema = {
-      path: jest.fn().mockReturnValue({
-        enumValues: ['SHIRT', 'PANTS', 'SHOES', 'JACKET', 'ACCESSORY', 'OTHER'],
-      }),
-    };
+    // Las categorías del sistema existen para cualquier usuario: findCategory las
+    // busca por clave y el listado consulta sus subcategorías (ninguna por defecto).
+    Category.findOne.mockImplementation(async ({ key }) => (
+      ['SHIRT', 'PANTS', 'SHOES', 'JACKET', 'ACCESSORY', 'OTHER'].includes(key) ? { _id: `${key}_ID`, key } : null
+    ));
+    Category.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
     // Inicializa el objeto 'req' (request) con propiedades que simulan una petición HTTP.
     req = {
       body: {}, // Simula el cuerpo de la petición HTTP, donde van los datos.
@@ -71,25 +85,37 @@ describe('Clothing Controller', () => {
 
   // Inicia un sub-bloque de pruebas para la función 'getClothingItems'.
   describe('getClothingItems', () => {
+    // Simula la consulta encadenada find().sort().limit() y devuelve los mocks
+    // de cada eslabón para poder verificar con qué argumentos se llamaron.
+    const mockFindQuery = (items, total = items.length) => {
+      const limit = jest.fn().mockResolvedValue(items);
+      const sort = jest.fn().mockReturnValue({ limit });
+      ClothingItem.find.mockReturnValue({ sort });
+      ClothingItem.countDocuments.mockResolvedValue(total);
+      return { sort, limit };
+    };
+
     // Define una prueba: debería devolver todas las prendas de vestir para un usuario autenticado.
     it('should return all clothing items for a user', async () => {
       // Define un array de objetos simulados que representan prendas de vestir.
       const items = [{ _id: clothingItemId, name: 'T-Shirt', owner: userId }];
-      // Simula que la función 'find' del modelo 'ClothingItem' resuelve con el array de prendas simuladas.
-      ClothingItem.find.mockResolvedValue(items);
+      // Simula que la consulta del modelo 'ClothingItem' resuelve con el array de prendas simuladas.
+      mockFindQuery(items);
 
       // Llama a la función 'getClothingItems' del controlador con los objetos 'req' y 'res' simulados.
       await getClothingItems(req, res);
 
       // Verifica que 'ClothingItem.find' fue llamado con un filtro que busca prendas cuyo 'owner' es el 'userId' simulado.
-      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId });
-      // Verifica que el método 'json' de la respuesta fue llamado con el array de prendas simuladas.
-      expect(res.json).toHaveBeenCalledWith(items);
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null });
+      // Verifica que la respuesta usa el sobre paginado: prendas, cursor siguiente y total.
+      expect(res.json).toHaveBeenCalledWith({ items, nextCursor: null, total: 1 });
     });
 
     it('should handle errors when fetching items', async () => {
       const error = new Error('Database error');
-      ClothingItem.find.mockRejectedValue(error);
+      ClothingItem.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ limit: jest.fn().mockRejectedValue(error) }),
+      });
 
       await getClothingItems(req, res);
 
@@ -100,7 +126,7 @@ describe('Clothing Controller', () => {
     it('should filter by text search field (name)', async () => {
       req.query = { name: 'shirt' };
       const mockItems = [{ _id: '1', name: 'T-Shirt', owner: userId }];
-      ClothingItem.find.mockResolvedValue(mockItems);
+      mockFindQuery(mockItems);
 
       await getClothingItems(req, res);
 
@@ -110,29 +136,68 @@ describe('Clothing Controller', () => {
           name: { $regex: 'shirt', $options: 'i' }
         })
       );
-      expect(res.json).toHaveBeenCalledWith(mockItems);
+      expect(res.json).toHaveBeenCalledWith({ items: mockItems, nextCursor: null, total: 1 });
     });
 
-    it('should filter by exact match field (color)', async () => {
-      req.query = { color: 'Blue' };
-      const mockItems = [{ _id: '1', color: 'Blue', owner: userId }];
-      ClothingItem.find.mockResolvedValue(mockItems);
+    it('should filter a known color by its family (color)', async () => {
+      req.query = { color: 'azul' };
+      const mockItems = [{ _id: '1', color: 'Navy', owner: userId }];
+      mockFindQuery(mockItems);
 
       await getClothingItems(req, res);
 
-      expect(ClothingItem.find).toHaveBeenCalledWith(
-        expect.objectContaining({
-          owner: userId,
-          color: 'Blue'
-        })
-      );
-      expect(res.json).toHaveBeenCalledWith(mockItems);
+      // "azul" también encuentra "Blue", "navy" o "#1a2b5c"
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null, colorFamily: { $eq: 'BLUE' } });
+      expect(res.json).toHaveBeenCalledWith({ items: mockItems, nextCursor: null, total: 1 });
+    });
+
+    it('should filter a hex color by that exact shade and other colors case-insensitively', async () => {
+      req.query = { color: '#1A2B5C' };
+      mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null, colorHex: '#1a2b5c' });
+
+      ClothingItem.find.mockClear();
+      req.query = { color: 'Estampado (v2)' };
+
+      await getClothingItems(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({
+        owner: userId,
+        deletedAt: null,
+        color: { $regex: '^Estampado \\(v2\\)$', $options: 'i' },
+      });
+    });
+
+    it('should filter by color family given as a key or a Spanish/English name', async () => {
+      const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+      req.query = { colorFamily: 'azul,Red,BLUE' };
+      mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({
+        owner: userId,
+        deletedAt: null,
+        colorFamily: { $in: ['BLUE', 'RED'] },
+      });
+
+      ClothingItem.find.mockClear();
+      req.query = { colorFamily: 'azul,plaid' };
+
+      await getClothingItems(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null });
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid colorFamily filter value ignored: azul,plaid'));
+      consoleLogSpy.mockRestore();
     });
 
     it('should filter by valid category (normalized to uppercase)', async () => {
       req.query = { category: 'shirt' };
       const mockItems = [{ _id: '1', category: 'SHIRT', owner: userId }];
-      ClothingItem.find.mockResolvedValue(mockItems);
+      mockFindQuery(mockItems);
 
       await getClothingItems(req, res);
 
@@ -142,25 +207,263 @@ describe('Clothing Controller', () => {
           category: 'SHIRT'
         })
       );
-      expect(res.json).toHaveBeenCalledWith(mockItems);
+      expect(res.json).toHaveBeenCalledWith({ items: mockItems, nextCursor: null, total: 1 });
+    });
+
+    it('should include the subcategories of the category filter', async () => {
+      req.query = { category: 'shoes' };
+      Category.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ key: 'SNEAKERS' }, { key: 'BOOTS' }]) });
+      mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(Category.find).toHaveBeenCalledWith({ ancestors: 'SHOES_ID', owner: { $in: [null, userId] } });
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null, category: { $in: ['SHOES', 'SNEAKERS', 'BOOTS'] } });
+    });
+
+    it('should filter by the exact category with includeSubcategories=false', async () => {
+      req.query = { category: 'SHOES', includeSubcategories: 'false' };
+      mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(Category.find).not.toHaveBeenCalled();
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null, category: 'SHOES' });
     });
 
     it('should ignore invalid category filter', async () => {
       const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
       req.query = { category: 'invalid_category' };
       const mockItems = [{ _id: '1', owner: userId }];
-      ClothingItem.find.mockResolvedValue(mockItems);
+      mockFindQuery(mockItems);
 
       await getClothingItems(req, res);
 
       expect(consoleLogSpy).toHaveBeenCalledWith(
         expect.stringContaining('Invalid category filter value ignored')
       );
-      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId });
-      expect(res.json).toHaveBeenCalledWith(mockItems);
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null });
+      expect(res.json).toHaveBeenCalledWith({ items: mockItems, nextCursor: null, total: 1 });
+
+      consoleLogSpy.mockRestore();
+    });
+
+    it('should sort by newest first and use the default page size', async () => {
+      const { sort, limit } = mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      // Se pide uno de más para saber si hay página siguiente
+      expect(limit).toHaveBeenCalledWith(21);
+      expect(ClothingItem.countDocuments).toHaveBeenCalledWith({ owner: userId, deletedAt: null });
+    });
+
+    it('should apply a whitelisted sort field and direction', async () => {
+      req.query = { sort: '-name' };
+      const { sort } = mockFindQuery([]);
+
+      await getClothingItems(req, res);
 
+      expect(sort).toHaveBeenCalledWith({ name: -1, _id: -1 });
+    });
+
+    it('should ignore sort fields outside the whitelist', async () => {
+      const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+      req.query = { sort: 'imagePublicId' };
+      const { sort } = mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid sort value ignored'));
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
       consoleLogSpy.mockRestore();
     });
+
+    it('should cap the limit', async () => {
+      req.query = { limit: '1000' };
+      const { limit } = mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(limit).toHaveBeenCalledWith(101);
+    });
+
+    it('should return a cursor when there are more items and continue from it', async () => {
+      req.query = { sort: 'name', limit: '2' };
+      const items = [
+        { _id: '64b000000000000000000001', name: 'Abrigo' },
+        { _id: '64b000000000000000000002', name: 'Blusa' },
+        { _id: '64b000000000000000000003', name: 'Camisa' },
+      ];
+      mockFindQuery(items, 5);
+
+      await getClothingItems(req, res);
+
+      const [firstPage] = res.json.mock.calls[0];
+      expect(firstPage.items).toEqual(items.slice(0, 2));
+      expect(firstPage.total).toBe(5);
+      expect(firstPage.nextCursor).toEqual(expect.any(String));
+
+      // Segunda página: el cursor se traduce en "después de Blusa"
+      req.query = { sort: 'name', limit: '2', cursor: firstPage.nextCursor };
+      mockFindQuery([items[2]], 5);
+
+      await getClothingItems(req, res);
+
+      const [pageFilters] = ClothingItem.find.mock.calls[1];
+      expect(pageFilters.$and[0]).toEqual({ owner: userId, deletedAt: null });
+      expect(JSON.stringify(pageFilters.$and[1])).toContain('Blusa');
+      // El total no depende de la página
+      expect(ClothingItem.countDocuments).toHaveBeenLastCalledWith({ owner: userId, deletedAt: null });
+      expect(res.json).toHaveBeenLastCalledWith({ items: [items[2]], nextCursor: null, total: 5 });
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      req.query = { cursor: 'not-a-cursor' };
+
+      await getClothingItems(req, res);
+
+      expect(ClothingItem.find).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid cursor' });
+    });
+
+    it('should return 400 for a cursor whose value is a query operator', async () => {
+      const cursor = Buffer.from(JSON.stringify({ s: 'name', v: { $ne: null }, id: '64b0000000000000000000b1' })).toString('base64url');
+      req.query = { sort: 'name', cursor };
+
+      await getClothingItems(req, res);
+
+      expect(ClothingItem.find).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid cursor' });
+    });
+
+    it('should escape regex metacharacters in text filters', async () => {
+      req.query = { name: 't-shirt (v2).*' };
+      mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith(
+        expect.objectContaining({ name: { $regex: 't-shirt \\(v2\\)\\.\\*', $options: 'i' } })
+      );
+    });
+
+    it('should filter by attributes and log the ignored ones', async () => {
+      const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+      req.query = { seasons: 'summer,winter', store: 'zara', maxPrice: '40', sizeSystem: 'mars' };
+      mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({
+        owner: userId,
+        deletedAt: null,
+        seasons: { $in: ['SUMMER', 'WINTER'] },
+        store: { $regex: 'zara', $options: 'i' },
+        purchasePrice: { $lte: 40 },
+      });
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid sizeSystem filter value ignored: mars'));
+      consoleLogSpy.mockRestore();
+    });
+
+    it('should filter items not worn since a date and sort by wear count', async () => {
+      const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+      req.query = { notWornSince: '2026-04-19', maxWears: '3', minWears: 'many', sort: '-wearCount' };
+      const { sort } = mockFindQuery([]);
+
+      await getClothingItems(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({
+        owner: userId,
+        deletedAt: null,
+        lastWornAt: { $not: { $gte: new Date('2026-04-19') } },
+        wearCount: { $not: { $gt: 3 } },
+      });
+      expect(sort).toHaveBeenCalledWith({ wearCount: -1, _id: -1 });
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid minWears filter value ignored: many'));
+      consoleLogSpy.mockRestore();
+    });
+
+    describe('full-text search (q)', () => {
+      // Con q la consulta añade skip() para el cursor por posición.
+      const mockSearchQuery = (items, total = items.length) => {
+        const limit = jest.fn().mockResolvedValue(items);
+        const skip = jest.fn().mockReturnValue({ limit });
+        const sort = jest.fn().mockReturnValue({ skip });
+        ClothingItem.find.mockReturnValue({ sort });
+        ClothingItem.countDocuments.mockResolvedValue(total);
+        return { sort, skip, limit };
+      };
+
+      it('should search the text index with folded and stemmed terms, ranked by score', async () => {
+        req.query = { q: 'Camisón azules' };
+        const items = [{ _id: '1', name: 'Camisón' }];
+        const { sort, skip } = mockSearchQuery(items);
+
+        await getClothingItems(req, res);
+
+        const [filters, projection] = ClothingItem.find.mock.calls[0];
+        expect(filters.owner).toBe(userId);
+        expect(filters.$text.$search.split(' ')).toEqual(expect.arrayContaining(['camison', 'azules', 'azul']));
+        expect(projection).toEqual({ score: { $meta: 'textScore' } });
+        expect(sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' }, _id: -1 });
+        expect(skip).toHaveBeenCalledWith(0);
+        expect(ClothingItem.countDocuments).toHaveBeenCalledWith(filters);
+        expect(res.json).toHaveBeenCalledWith({ items, nextCursor: null, total: 1 });
+      });
+
+      it('should page relevance results with an offset cursor', async () => {
+        req.query = { q: 'jeans', limit: '1' };
+        mockSearchQuery([{ _id: '1' }, { _id: '2' }], 3);
+
+        await getClothingItems(req, res);
+
+        const [firstPage] = res.json.mock.calls[0];
+        expect(firstPage.nextCursor).toEqual(expect.any(String));
+
+        req.query = { q: 'jeans', limit: '1', cursor: firstPage.nextCursor };
+        const { skip } = mockSearchQuery([{ _id: '2' }], 3);
+
+        await getClothingItems(req, res);
+
+        expect(skip).toHaveBeenCalledWith(1);
+      });
+
+      it('should reject a cursor generated for another sort', async () => {
+        req.query = { q: 'jeans', cursor: 'not-a-cursor' };
+
+        await getClothingItems(req, res);
+
+        expect(ClothingItem.find).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ message: 'Invalid cursor' });
+      });
+
+      it('should use the explicit sort instead of relevance when given', async () => {
+        req.query = { q: 'jeans', sort: 'name' };
+        const { sort } = mockFindQuery([]);
+
+        await getClothingItems(req, res);
+
+        expect(ClothingItem.find).toHaveBeenCalledWith(expect.objectContaining({ $text: { $search: expect.any(String) } }));
+        expect(sort).toHaveBeenCalledWith({ name: 1, _id: 1 });
+      });
+
+      it('should ignore a query without searchable terms', async () => {
+        const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+        req.query = { q: '"$!' };
+        mockFindQuery([]);
+
+        await getClothingItems(req, res);
+
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('without searchable terms ignored'));
+        expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null });
+        consoleLogSpy.mockRestore();
+      });
+    });
   });
 
   // Inicia un sub-bloque de pruebas para la función 'createClothingItem'.
@@ -169,8 +472,8 @@ describe('Clothing Controller', () => {
     it('should create a new item with an image uploaded to Cloudinary', async () => {
       // Configura el 'body' de la petición.
       req.body = { name: 'Jeans', category: 'Pants', color: 'Blue' };
-      // Simula un archivo subido con un buffer de datos.
-      req.file = { buffer: Buffer.from('mockImageData') };
+      // Simula un archivo subido en el campo 'image' (upload.fields).
+      req.files = { image: [{ buffer: Buffer.from('mockImageData') }] };
       // Define el objeto de la nueva prenda con la URL simulada de Cloudinary y el Public ID.
       const newItem = {
         _id: clothingItemId,
@@ -192,9 +495,28 @@ describe('Clothing Controller', () => {
       expect(cloudinary.uploader.upload_stream).toHaveBeenCalled();
       // Verifica que 'ClothingItem.create' fue llamado con los datos correctos, incluyendo la URL de Cloudinary y el Public ID.
       expect(ClothingItem.create).toHaveBeenCalledWith({
-        name: 'Jeans', category: 'Pants', color: 'Blue', brand: undefined, 
+        // La categoría se guarda con su clave canónica.
+        name: 'Jeans', category: 'PANTS', color: 'Blue', brand: undefined, 
+        // La foto subida es la principal y se repite en imageUrl/imagePublicId.
+        images: [{
+          url: 'http://mock.cloudinary.com/image.jpg',
+          publicId: 'mock_public_id',
+          thumbnail: { url: 'http://mock.cloudinary.com/w_256/image.jpg', publicId: 'mock_public_id' },
+          medium: { url: 'http://mock.cloudinary.com/w_800/image.jpg', publicId: 'mock_public_id' },
+          palette: [{ hex: '#1f2a44', family: 'BLUE', share: 1 }],
+          role: 'FRONT',
+          order: 0,
+          primary: true,
+        }],
         imageUrl: 'http://mock.cloudinary.com/image.jpg', 
         imagePublicId: 'mock_public_id', // Afirma el Public ID
+        // Versiones reducidas de la principal para los listados.
+        thumbnailUrl: 'http://mock.cloudinary.com/w_256/image.jpg',
+        mediumUrl: 'http://mock.cloudinary.com/w_800/image.jpg',
+        palette: [{ hex: '#1f2a44', family: 'BLUE', share: 1 }],
+        // El texto de color se entiende: manda sobre el de la foto.
+        colorHex: '#1e88e5',
+        colorFamily: 'BLUE',
         owner: userId
       });
       // Verifica que el usuario fue actualizado con el nuevo ítem.
@@ -207,7 +529,7 @@ describe('Clothing Controller', () => {
     // Define una prueba: debería crear una nueva prenda sin imagen.
     it('should create a new item without an image', async () => {
       // Configura el 'body' de la petición.
-      req.body = { name: 'Socks', category: 'Accessories', color: 'White' };
+      req.body = { name: 'Socks', category: 'Accessory', color: 'White' };
       // La petición no incluye un archivo (req.file es undefined).
       const newItem = { _id: clothingItemId, ...req.body, owner: userId, imageUrl: null, imagePublicId: null }; // imagePublicId también es null
 
@@ -222,13 +544,101 @@ describe('Clothing Controller', () => {
       expect(cloudinary.uploader.upload_stream).not.toHaveBeenCalled();
       // Verifica que 'ClothingItem.create' fue llamado con 'imageUrl' como null.
       expect(ClothingItem.create).toHaveBeenCalledWith({
-        name: 'Socks', category: 'Accessories', color: 'White', brand: undefined, imageUrl: null, imagePublicId: null, owner: userId
+        name: 'Socks', category: 'ACCESSORY', color: 'White', brand: undefined, images: [], imageUrl: null, imagePublicId: null, thumbnailUrl: null, mediumUrl: null,
+        palette: [], colorHex: '#ffffff', colorFamily: 'WHITE', owner: userId
       });
       // Verifica la respuesta HTTP.
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith(newItem);
     });
 
+    it('should create an item with several images and their roles', async () => {
+      req.body = { name: 'Jeans', category: 'Pants', color: 'Blue', roles: 'back,label' };
+      req.files = {
+        image: [{ buffer: Buffer.from('front') }],
+        images: [{ buffer: Buffer.from('back') }, { buffer: Buffer.from('label') }],
+      };
+      ClothingItem.create.mockResolvedValue({ _id: clothingItemId });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      await createClothingItem(req, res);
+
+      // Cada foto se sube una sola vez: thumbnail y medium son URLs de la completa.
+      expect(cloudinary.uploader.upload_stream).toHaveBeenCalledTimes(3);
+      const [[data]] = ClothingItem.create.mock.calls;
+      expect(data.images.map(({ role, order, primary }) => ({ role, order, primary }))).toEqual([
+        { role: 'BACK', order: 0, primary: true },
+        { role: 'LABEL', order: 1, primary: false },
+        { role: 'DETAIL', order: 2, primary: false },
+      ]);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 400 when the file is not a valid image', async () => {
+      req.body = { name: 'Jeans', category: 'Pants', color: 'Blue' };
+      req.files = { image: [{ buffer: Buffer.from('not an image') }] };
+      const error = new Error('The uploaded file is not a valid image');
+      error.name = 'InvalidImageError';
+      processImage.mockRejectedValueOnce(error);
+
+      await createClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'The uploaded file is not a valid image' });
+      expect(cloudinary.uploader.upload_stream).not.toHaveBeenCalled();
+      expect(ClothingItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should suggest the color of the image when color is omitted', async () => {
+      req.body = { name: 'Jeans', category: 'Pants' };
+      req.files = { image: [{ buffer: Buffer.from('mockImageData') }] };
+      ClothingItem.create.mockResolvedValue({ _id: clothingItemId });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      await createClothingItem(req, res);
+
+      expect(ClothingItem.create).toHaveBeenCalledWith(expect.objectContaining({
+        color: 'azul', colorHex: '#1f2a44', colorFamily: 'BLUE',
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should suggest the color in English for English clients', async () => {
+      req.body = { name: 'Jeans', category: 'Pants' };
+      req.headers = { 'accept-language': 'en-US,en;q=0.9,es;q=0.8' };
+      req.files = { images: [{ buffer: Buffer.from('mockImageData') }] };
+      ClothingItem.create.mockResolvedValue({ _id: clothingItemId });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      await createClothingItem(req, res);
+
+      expect(ClothingItem.create).toHaveBeenCalledWith(expect.objectContaining({ color: 'blue', colorFamily: 'BLUE' }));
+    });
+
+    it('should return 400 and delete the images when no color can be detected', async () => {
+      req.body = { name: 'Jeans', category: 'Pants' };
+      req.files = { image: [{ buffer: Buffer.from('transparent') }] };
+      extractPalette.mockResolvedValueOnce([]);
+
+      await createClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Color is required: no color could be detected in the image' });
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('mock_public_id');
+      expect(ClothingItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid image roles before uploading', async () => {
+      req.body = { name: 'Jeans', category: 'Pants', color: 'Blue', roles: 'side' };
+      req.files = { images: [{ buffer: Buffer.from('side') }] };
+
+      await createClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'roles must be a list of: FRONT, BACK, LABEL, DETAIL' });
+      expect(cloudinary.uploader.upload_stream).not.toHaveBeenCalled();
+    });
+
     // Define una prueba: debería devolver un error 400 si faltan campos obligatorios en la creación de la prenda.
     it('should return 400 if required fields are missing', async () => {
       // Configura el 'body' de la petición con datos incompletos (faltan 'category' y 'color').
@@ -243,6 +653,48 @@ describe('Clothing Controller', () => {
       expect(res.json).toHaveBeenCalledWith({ message: 'Name, category, and color are required' });
     });
 
+    it('should create an item with the optional attributes sent as form fields', async () => {
+      req.body = {
+        name: 'Jeans', category: 'Pants', color: 'Blue',
+        size: '32', sizeSystem: 'us', materials: 'denim,elastane', purchasePrice: '59.9', purchaseCurrency: 'usd',
+      };
+      ClothingItem.create.mockResolvedValue({ _id: clothingItemId });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      await createClothingItem(req, res);
+
+      expect(ClothingItem.create).toHaveBeenCalledWith(expect.objectContaining({
+        size: '32',
+        sizeSystem: 'US',
+        materials: ['DENIM', 'ELASTANE'],
+        purchasePrice: 59.9,
+        purchaseCurrency: 'USD',
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 400 for invalid attributes', async () => {
+      req.body = { name: 'Jeans', category: 'Pants', color: 'Blue', seasons: 'monsoon' };
+
+      await createClothingItem(req, res);
+
+      expect(ClothingItem.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: expect.stringContaining('Invalid seasons value: MONSOON') });
+    });
+
+    it('should return 400 for an unknown category before uploading the image', async () => {
+      req.body = { name: 'Vestido', category: 'Gowns', color: 'Red' };
+      req.file = { buffer: Buffer.from('mockImageData') };
+
+      await createClothingItem(req, res);
+
+      expect(cloudinary.uploader.upload_stream).not.toHaveBeenCalled();
+      expect(ClothingItem.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid category' });
+    });
+
     it('should handle database errors during item creation', async () => {
       req.body = { name: 'Jeans', category: 'Pants', color: 'Blue' };
       const error = new Error('Database error');
@@ -253,6 +705,44 @@ describe('Clothing Controller', () => {
       expect(res.status).toHaveBeenCalledWith(500);
       expect(res.json).toHaveBeenCalledWith({ message: 'Internal server error' });
     });
+
+    it('should return 400 and delete the uploaded images when the item fails validation', async () => {
+      req.body = { name: 'Jeans', category: 'Pants', color: 'Blue' };
+      req.files = { image: [{ buffer: Buffer.from('mockImageData') }] };
+      const error = new Error('ClothingItem validation failed');
+      error.name = 'ValidationError';
+      ClothingItem.create.mockRejectedValue(error);
+
+      await createClothingItem(req, res);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('mock_public_id');
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Validation error' });
+    });
+
+    it('should keep the images once the item is saved, even if updating the user fails', async () => {
+      req.body = { name: 'Jeans', category: 'Pants', color: 'Blue' };
+      req.files = { image: [{ buffer: Buffer.from('mockImageData') }] };
+      ClothingItem.create.mockResolvedValue({ _id: clothingItemId });
+      User.findByIdAndUpdate.mockRejectedValueOnce(new Error('Database error'));
+
+      await createClothingItem(req, res);
+
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    it('should still respond when deleting the unused images fails', async () => {
+      req.body = { name: 'Jeans', category: 'Pants', color: 'Blue' };
+      req.files = { image: [{ buffer: Buffer.from('mockImageData') }] };
+      ClothingItem.create.mockRejectedValue(new Error('Database error'));
+      cloudinary.uploader.destroy.mockRejectedValueOnce(new Error('Cloudinary down'));
+
+      await createClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Internal server error' });
+    });
   });
 
   // Inicia un sub-bloque de pruebas para la función 'updateClothingItem'.
@@ -282,12 +772,47 @@ describe('Clothing Controller', () => {
       expect(ClothingItem.findById).toHaveBeenCalledWith(clothingItemId);
       expect(ClothingItem.findByIdAndUpdate).toHaveBeenCalledWith(
         clothingItemId,
-        { name: 'Updated T-Shirt', category: undefined, color: undefined, brand: undefined },
+        {
+          name: 'Updated T-Shirt',
+          category: undefined,
+          color: undefined,
+          brand: undefined,
+          // findByIdAndUpdate no pasa por el hook del modelo: los términos se recalculan en el controlador.
+          searchText: { name: 'updated shirt', brand: '', color: '', notes: '', tags: '' },
+        },
         { new: true }
       );
       expect(res.json).toHaveBeenCalledWith(updatedItem);
     });
 
+    it('should normalize a new color and fall back to the image palette when it is not recognized', async () => {
+      req.params.id = clothingItemId;
+      req.body = { color: '#1A2B5C' };
+      const item = {
+        _id: clothingItemId,
+        owner: userId,
+        color: 'azul',
+        palette: [{ hex: '#d32f2f', family: 'RED', share: 1 }],
+      };
+      ClothingItem.findById.mockResolvedValue(item);
+      ClothingItem.findByIdAndUpdate.mockResolvedValue(item);
+
+      await updateClothingItem(req, res);
+
+      expect(ClothingItem.findByIdAndUpdate.mock.calls[0][1]).toEqual(expect.objectContaining({
+        color: '#1A2B5C', colorHex: '#1a2b5c', colorFamily: 'BLUE',
+      }));
+
+      ClothingItem.findByIdAndUpdate.mockClear();
+      req.body = { color: 'estampado' };
+
+      await updateClothingItem(req, res);
+
+      expect(ClothingItem.findByIdAndUpdate.mock.calls[0][1]).toEqual(expect.objectContaining({
+        colorHex: '#d32f2f', colorFamily: 'RED',
+      }));
+    });
+
     // Define una prueba: debería actualizar una prenda y subir una nueva imagen a Cloudinary.
     it('should update an item and upload a new image to Cloudinary', async () => {
       req.params.id = clothingItemId;
@@ -299,8 +824,13 @@ describe('Clothing Controller', () => {
         _id: clothingItemId, 
         owner: userId, 
         name: 'Old Jeans', 
+        images: [
+          { _id: 'image1', url: 'http://old.cloudinary.com/old_image.jpg', publicId: 'old_public_id', role: 'FRONT', order: 0, primary: true },
+          { _id: 'image2', url: 'http://old.cloudinary.com/label.jpg', publicId: 'label_public_id', role: 'LABEL', order: 1, primary: false },
+        ],
         imageUrl: 'http://old.cloudinary.com/old_image.jpg',
-        imagePublicId: 'old_public_id' 
+        imagePublicId: 'old_public_id',
+        __v: 2,
       };
       // El 'updatedItem' debe contener la nueva URL de Cloudinary y el nuevo Public ID.
       const updatedItem = { 
@@ -311,7 +841,7 @@ describe('Clothing Controller', () => {
       };
       
       ClothingItem.findById.mockResolvedValue(item);
-      ClothingItem.findByIdAndUpdate.mockResolvedValue(updatedItem);
+      ClothingItem.findOneAndUpdate.mockResolvedValue(updatedItem);
 
       await updateClothingItem(req, res);
 
@@ -320,14 +850,51 @@ describe('Clothing Controller', () => {
       // Verifica que la imagen antigua fue eliminada de Cloudinary.
       expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('old_public_id');
       expect(ClothingItem.findById).toHaveBeenCalledWith(clothingItemId);
-      expect(ClothingItem.findByIdAndUpdate).toHaveBeenCalledWith(
-        clothingItemId,
-        { name: 'Updated Jeans', category: undefined, color: undefined, brand: undefined, imageUrl: 'http://mock.cloudinary.com/image.jpg', imagePublicId: 'mock_public_id' },
+      // Solo se guarda si las fotos siguen como se leyeron, y la antigua se borra después.
+      expect(ClothingItem.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: clothingItemId, __v: 2 },
+        {
+          name: 'Updated Jeans', category: undefined, color: undefined, brand: undefined,
+          // Solo se reemplaza la foto principal: conserva su rol y su posición.
+          images: [
+            expect.objectContaining({ url: 'http://mock.cloudinary.com/image.jpg', publicId: 'mock_public_id', role: 'FRONT', order: 0, primary: true }),
+            item.images[1],
+          ],
+          imageUrl: 'http://mock.cloudinary.com/image.jpg', imagePublicId: 'mock_public_id',
+          thumbnailUrl: 'http://mock.cloudinary.com/w_256/image.jpg', mediumUrl: 'http://mock.cloudinary.com/w_800/image.jpg',
+          palette: [{ hex: '#1f2a44', family: 'BLUE', share: 1 }],
+          // La prenda no tiene un color que se entienda: se usa el de la foto nueva.
+          colorHex: '#1f2a44', colorFamily: 'BLUE',
+          searchText: expect.any(Object),
+          $inc: { __v: 1 },
+        },
         { new: true }
       );
+      expect(cloudinary.uploader.destroy.mock.invocationCallOrder[0])
+        .toBeGreaterThan(ClothingItem.findOneAndUpdate.mock.invocationCallOrder[0]);
       expect(res.json).toHaveBeenCalledWith(updatedItem);
     });
 
+    it('should return 409 and discard the new image when the images changed during the upload', async () => {
+      req.params.id = clothingItemId;
+      req.file = { buffer: Buffer.from('newMockImageData') };
+      ClothingItem.findById.mockResolvedValue({
+        _id: clothingItemId,
+        owner: userId,
+        images: [{ _id: 'image1', url: 'old.jpg', publicId: 'old_public_id', role: 'FRONT', order: 0, primary: true }],
+        __v: 2,
+      });
+      ClothingItem.findOneAndUpdate.mockResolvedValue(null);
+
+      await updateClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'The images of the item changed meanwhile, please try again' });
+      // La foto antigua sigue en la prenda: solo se borra la recién subida.
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('mock_public_id');
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalledWith('old_public_id');
+    });
+
     // Define una prueba: debería devolver un error 403 si el usuario no es el propietario de la prenda.
     it('should return 403 if user is not the owner', async () => {
       // Configura el 'id' de la prenda en los parámetros de la petición.
@@ -363,6 +930,57 @@ describe('Clothing Controller', () => {
       expect(res.json).toHaveBeenCalledWith({ message: 'Clothing item not found' });
     });
 
+    it('should update attributes using the stored currency and clear blank fields', async () => {
+      req.params.id = clothingItemId;
+      req.body = { purchasePrice: '15', notes: '' };
+      const item = { _id: clothingItemId, owner: userId, name: 'Jeans', notes: 'Old note', purchaseCurrency: 'EUR' };
+      ClothingItem.findById.mockResolvedValue(item);
+      ClothingItem.findByIdAndUpdate.mockResolvedValue(item);
+
+      await updateClothingItem(req, res);
+
+      const [, update] = ClothingItem.findByIdAndUpdate.mock.calls[0];
+      expect(update).toEqual(expect.objectContaining({ purchasePrice: 15, notes: null }));
+      expect(update.searchText.notes).toBe('');
+      expect(res.json).toHaveBeenCalledWith(item);
+    });
+
+    it('should return 400 when the update leaves a price without currency', async () => {
+      req.params.id = clothingItemId;
+      req.body = { purchasePrice: '15' };
+      ClothingItem.findById.mockResolvedValue({ _id: clothingItemId, owner: userId });
+
+      await updateClothingItem(req, res);
+
+      expect(ClothingItem.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'purchaseCurrency is required when purchasePrice is set' });
+    });
+
+    it('should store the canonical key of the new category', async () => {
+      req.params.id = clothingItemId;
+      req.body = { category: 'jacket' };
+      ClothingItem.findById.mockResolvedValue({ _id: clothingItemId, owner: userId });
+      ClothingItem.findByIdAndUpdate.mockResolvedValue({});
+
+      await updateClothingItem(req, res);
+
+      const [, update] = ClothingItem.findByIdAndUpdate.mock.calls[0];
+      expect(update.category).toBe('JACKET');
+    });
+
+    it('should return 400 when updating to an unknown category', async () => {
+      req.params.id = clothingItemId;
+      req.body = { category: 'Gowns' };
+      ClothingItem.findById.mockResolvedValue({ _id: clothingItemId, owner: userId });
+
+      await updateClothingItem(req, res);
+
+      expect(ClothingItem.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid category' });
+    });
+
     it('should handle database errors during update', async () => {
       req.params.id = clothingItemId;
       req.body = { name: 'Updated' };
@@ -378,45 +996,35 @@ describe('Clothing Controller', () => {
 
   // Inicia un sub-bloque de pruebas para la función 'deleteClothingItem'.
   describe('deleteClothingItem', () => {
-    // Define una prueba: debería eliminar una prenda con una imagen de Cloudinary.
-    it('should delete an item and its image from Cloudinary', async () => {
+    // Define una prueba: debería mover la prenda a la papelera sin tocar su imagen.
+    it('should move an item to the trash and keep its image', async () => {
       req.params.id = clothingItemId;
       // Simula un ítem con una URL de imagen de Cloudinary y un Public ID.
-      const item = { _id: clothingItemId, owner: userId, imageUrl: 'http://mock.cloudinary.com/image.jpg', imagePublicId: 'mock_public_id' };
+      const item = { _id: clothingItemId, owner: userId, imageUrl: 'http://mock.cloudinary.com/image.jpg', imagePublicId: 'mock_public_id', deletedAt: null };
 
       ClothingItem.findById.mockResolvedValue(item);
-      ClothingItem.findByIdAndDelete.mockResolvedValue({});
-      User.updateOne.mockResolvedValue({});
-      // Simula que la eliminación en Cloudinary es exitosa.
-      cloudinary.uploader.destroy.mockResolvedValue({});
+      ClothingItem.findByIdAndUpdate.mockResolvedValue({});
 
       await deleteClothingItem(req, res);
 
       expect(ClothingItem.findById).toHaveBeenCalledWith(clothingItemId);
-      // Verifica que 'destroy' de Cloudinary es llamado con el Public ID almacenado.
-      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('mock_public_id');
-      expect(ClothingItem.findByIdAndDelete).toHaveBeenCalledWith(clothingItemId);
-      expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $pull: { clothingItems: clothingItemId } });
+      expect(ClothingItem.findByIdAndUpdate).toHaveBeenCalledWith(clothingItemId, { deletedAt: expect.any(Date) });
+      // La imagen y las referencias se conservan hasta el borrado definitivo.
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+      expect(ClothingItem.findByIdAndDelete).not.toHaveBeenCalled();
+      expect(User.updateOne).not.toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(204);
     });
 
-    // Define una prueba: debería eliminar una prenda sin imagen.
-    it('should delete an item without an image', async () => {
+    // Define una prueba: una prenda que ya está en la papelera no se encuentra.
+    it('should return 404 if the item is already in the trash', async () => {
       req.params.id = clothingItemId;
-      // Simula un ítem sin 'imageUrl' ni 'imagePublicId'.
-      const item = { _id: clothingItemId, owner: userId, imageUrl: null, imagePublicId: null };
-
-      ClothingItem.findById.mockResolvedValue(item);
-      ClothingItem.findByIdAndDelete.mockResolvedValue({});
-      User.updateOne.mockResolvedValue({});
+      ClothingItem.findById.mockResolvedValue({ _id: clothingItemId, owner: userId, deletedAt: new Date('2026-03-01') });
 
       await deleteClothingItem(req, res);
 
-      expect(ClothingItem.findById).toHaveBeenCalledWith(clothingItemId);
-      // Verifica que 'destroy' de Cloudinary NO fue llamado.
-      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
-      expect(ClothingItem.findByIdAndDelete).toHaveBeenCalledWith(clothingItemId);
-      expect(res.status).toHaveBeenCalledWith(204);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(ClothingItem.findByIdAndUpdate).not.toHaveBeenCalled();
     });
 
     // Define una prueba: debería devolver un error 404 si no se encuentra la prenda a eliminar.
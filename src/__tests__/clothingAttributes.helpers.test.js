@@ -0,0 +1,218 @@
+import {
+  parseList,
+  normalizeTag,
+  parseTags,
+  validateTag,
+  parseDate,
+  parsePrice,
+  computeCostPerWear,
+  parseClothingAttributes,
+  buildAttributeFilters,
+} from '../helpers/clothingAttributes.helpers.js';
+
+describe('Clothing Attributes Helpers', () => {
+  describe('parseList', () => {
+    it.each([
+      [['cotton', 'Wool'], ['COTTON', 'WOOL']],
+      ['cotton, wool,,cotton', ['COTTON', 'WOOL']],
+      ['["linen"]', ['LINEN']],
+      ['', []],
+    ])('should parse %p', (value, expected) => {
+      expect(parseList(value)).toEqual(expected);
+    });
+
+    it.each([[5], [{ $ne: 1 }], ['[not json'], ['[1, 2]']])('should reject %p', (value) => {
+      expect(parseList(value)).toBeNull();
+    });
+  });
+
+  describe('tags', () => {
+    it('should normalize case and whitespace', () => {
+      expect(normalizeTag('  Fin de   Semana')).toBe('fin de semana');
+    });
+
+    it('should parse tag lists without duplicates', () => {
+      expect(parseTags('Verano, verano ,Playa')).toEqual(['verano', 'playa']);
+      expect(parseTags(['Oficina', '  '])).toEqual(['oficina']);
+      expect(parseTags({})).toBeNull();
+    });
+
+    it('should validate the tag length', () => {
+      expect(validateTag('verano')).toBeNull();
+      expect(validateTag('')).toBe('Tag must be a non-empty string');
+      expect(validateTag('x'.repeat(41))).toBe('Tags must be at most 40 characters');
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should parse ISO dates and reject anything else', () => {
+      expect(parseDate('2024-03-15')).toEqual(new Date('2024-03-15'));
+      expect(parseDate('yesterday')).toBeNull();
+      expect(parseDate(20240315)).toBeNull();
+    });
+  });
+
+  describe('parsePrice', () => {
+    it.each([
+      ['19.999', 20],
+      [' 5 ', 5],
+      [0, 0],
+      ['-1', null],
+      ['abc', null],
+      ['  ', null],
+      [{}, null],
+    ])('should parse %p as %p', (value, expected) => {
+      expect(parsePrice(value)).toBe(expected);
+    });
+  });
+
+  describe('computeCostPerWear', () => {
+    it.each([
+      [60, 8, 7.5],
+      [100, 3, 33.33],
+      [0, 2, 0],
+      [60, 0, null],
+      [60, undefined, null],
+      [null, 5, null],
+    ])('should split %p between %p wears as %p', (price, wears, expected) => {
+      expect(computeCostPerWear(price, wears)).toBe(expected);
+    });
+  });
+
+  describe('parseClothingAttributes', () => {
+    it('should normalize multipart string fields', () => {
+      const { data, error } = parseClothingAttributes({
+        size: ' m ',
+        sizeSystem: 'intl',
+        materials: 'cotton,elastane',
+        seasons: ['summer'],
+        occasions: '["casual","work"]',
+        notes: '  Lavar en frío ',
+        store: 'Zara',
+        purchaseDate: '2024-03-15',
+        purchasePrice: '29.90',
+        purchaseCurrency: 'eur',
+      });
+
+      expect(error).toBeNull();
+      expect(data).toEqual({
+        size: 'M',
+        sizeSystem: 'INTL',
+        materials: ['COTTON', 'ELASTANE'],
+        seasons: ['SUMMER'],
+        occasions: ['CASUAL', 'WORK'],
+        notes: 'Lavar en frío',
+        store: 'Zara',
+        purchaseDate: new Date('2024-03-15'),
+        purchasePrice: 29.9,
+        purchaseCurrency: 'EUR',
+      });
+    });
+
+    it('should only return the fields present in the body', () => {
+      expect(parseClothingAttributes({ name: 'Jeans' })).toEqual({ data: {}, error: null });
+    });
+
+    it('should treat empty strings as clearing the value', () => {
+      const { data } = parseClothingAttributes({
+        notes: '',
+        materials: '',
+        sizeSystem: '',
+        purchaseDate: '',
+        purchasePrice: '',
+        purchaseCurrency: '',
+      });
+
+      expect(data).toEqual({
+        notes: null,
+        materials: [],
+        sizeSystem: null,
+        purchaseDate: null,
+        purchasePrice: null,
+        purchaseCurrency: null,
+      });
+    });
+
+    it('should parse tags as free-form values', () => {
+      expect(parseClothingAttributes({ tags: 'Verano,Fin de semana' }).data).toEqual({ tags: ['verano', 'fin de semana'] });
+      expect(parseClothingAttributes({ tags: '' }).data).toEqual({ tags: [] });
+    });
+
+    it.each([
+      [{ tags: 7 }, 'tags must be a list of values'],
+      [{ tags: ['x'.repeat(41)] }, 'Tags must be at most 40 characters'],
+      [{ tags: Array.from({ length: 31 }, (_, index) => `tag${index}`) }, 'An item can have at most 30 tags'],
+      [{ materials: 'cotton,plastic' }, 'Invalid materials value: PLASTIC'],
+      [{ seasons: 3 }, 'seasons must be a list of values'],
+      [{ store: ['a'] }, 'store must be a string'],
+      [{ notes: 'x'.repeat(2001) }, 'notes must be at most 2000 characters'],
+      [{ sizeSystem: 'mars' }, 'Invalid sizeSystem value: mars'],
+      [{ purchaseDate: 'ayer' }, 'purchaseDate must be a valid date'],
+      [{ purchaseDate: '2999-01-01' }, 'purchaseDate cannot be in the future'],
+      [{ purchasePrice: '-3', purchaseCurrency: 'EUR' }, 'purchasePrice must be a non-negative number'],
+      [{ purchaseCurrency: 'euro' }, 'purchaseCurrency must be a 3-letter ISO 4217 code'],
+      [{ purchasePrice: '10' }, 'purchaseCurrency is required when purchasePrice is set'],
+    ])('should reject %p', (body, message) => {
+      const { data, error } = parseClothingAttributes(body);
+      expect(error).toEqual(expect.stringContaining(message));
+      expect(data).toEqual({});
+    });
+
+    it('should validate price and currency against the stored item', () => {
+      expect(parseClothingAttributes({ purchasePrice: '10' }, { purchaseCurrency: 'USD' }).error).toBeNull();
+      expect(parseClothingAttributes({ purchaseCurrency: '' }, { purchasePrice: 10, purchaseCurrency: 'USD' }).error)
+        .toBe('purchaseCurrency is required when purchasePrice is set');
+    });
+  });
+
+  describe('buildAttributeFilters', () => {
+    it('should build list, exact and range filters', () => {
+      const { filters, ignored } = buildAttributeFilters({
+        materials: 'cotton,wool',
+        seasons: 'winter',
+        size: 'm',
+        sizeSystem: 'eu',
+        purchaseCurrency: 'eur',
+        purchaseDateFrom: '2024-01-01',
+        purchaseDateTo: '2024-12-31',
+        minPrice: '10',
+        maxPrice: '50',
+      });
+
+      expect(ignored).toEqual([]);
+      expect(filters).toEqual({
+        materials: { $in: ['COTTON', 'WOOL'] },
+        seasons: { $in: ['WINTER'] },
+        size: 'M',
+        sizeSystem: 'EU',
+        purchaseCurrency: 'EUR',
+        purchaseDate: { $gte: new Date('2024-01-01'), $lte: new Date('2024-12-31') },
+        purchasePrice: { $gte: 10, $lte: 50 },
+      });
+    });
+
+    it('should drop unknown list values and report invalid parameters', () => {
+      const { filters, ignored } = buildAttributeFilters({
+        materials: 'cotton,plastic',
+        occasions: 'wedding',
+        sizeSystem: 'mars',
+        purchaseCurrency: 'euro',
+        purchaseDateFrom: 'ayer',
+        maxPrice: 'cheap',
+      });
+
+      expect(filters).toEqual({ materials: { $in: ['COTTON'] } });
+      expect(ignored).toEqual(['occasions', 'sizeSystem', 'purchaseCurrency', 'purchaseDateFrom', 'maxPrice']);
+    });
+
+    it('should match any or all tags', () => {
+      expect(buildAttributeFilters({ tags: 'Verano,playa' }).filters).toEqual({ tags: { $in: ['verano', 'playa'] } });
+      expect(buildAttributeFilters({ tags: 'verano,playa', tagMatch: 'all' }).filters).toEqual({ tags: { $all: ['verano', 'playa'] } });
+      expect(buildAttributeFilters({ tags: ' , ' }).ignored).toEqual(['tags']);
+    });
+
+    it('should ignore non-string parameters', () => {
+      expect(buildAttributeFilters({ seasons: { $ne: null }, minPrice: ['1'] })).toEqual({ filters: {}, ignored: [] });
+    });
+  });
+});
@@ -0,0 +1,403 @@
+import {
+  addClothingImages,
+  removeClothingImage,
+  reorderClothingImages,
+} from '../controllers/clothingImage.controller.js';
+import ClothingItem from '../models/clothing.model.js';
+import { uploadImageVariants, destroyImage } from '../helpers/upload.helpers.js';
+import { extractPalette } from '../helpers/imageProcessing.helpers.js';
+
+jest.mock('../models/clothing.model.js');
+jest.mock('../helpers/upload.helpers.js');
+jest.mock('../helpers/imageProcessing.helpers.js');
+
+describe('Clothing Image Controller', () => {
+  let req, res;
+  const userId = '64b0000000000000000000aa';
+  const itemId = '64b0000000000000000000bb';
+  const red = [{ hex: '#d32f2f', family: 'RED', share: 1 }];
+  const blue = [{ hex: '#1f2a44', family: 'BLUE', share: 1 }];
+  const front = { _id: 'image1', url: 'front.jpg', publicId: 'front', palette: red, role: 'FRONT', order: 0, primary: true };
+  const back = { _id: 'image2', url: 'back.jpg', publicId: 'back', palette: blue, role: 'BACK', order: 1, primary: false };
+  // 'estampado' no es un color conocido: colorHex y colorFamily salen de la foto principal.
+  const item = {
+    _id: itemId,
+    owner: { toString: () => userId },
+    color: 'estampado',
+    images: [front, back],
+    deletedAt: null,
+    __v: 3,
+  };
+
+  // Fotos guardadas en la primera llamada a findOneAndUpdate.
+  const savedImages = () => ClothingItem.findOneAndUpdate.mock.calls[0][1].images;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    req = { body: {}, params: { id: itemId }, query: {}, user: { userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+    ClothingItem.findById.mockResolvedValue(item);
+    ClothingItem.findOneAndUpdate.mockImplementation(async ({ _id }, data) => ({ _id, ...data }));
+    uploadImageVariants.mockResolvedValue({ url: 'label.jpg', publicId: 'label' });
+    extractPalette.mockResolvedValue(blue);
+  });
+
+  describe('addClothingImages', () => {
+    it('should upload the images and add them after the existing ones', async () => {
+      req.files = [{ buffer: Buffer.from('label') }];
+      req.body = { roles: 'label' };
+
+      await addClothingImages(req, res);
+
+      expect(ClothingItem.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: itemId, __v: 3 },
+        {
+          images: [front, back, { url: 'label.jpg', publicId: 'label', palette: blue, role: 'LABEL', order: 2, primary: false }],
+          imageUrl: 'front.jpg',
+          imagePublicId: 'front',
+          thumbnailUrl: null,
+          mediumUrl: null,
+          palette: red,
+          colorHex: '#d32f2f',
+          colorFamily: 'RED',
+          $inc: { __v: 1 },
+        },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should make the first new image primary when asked', async () => {
+      req.files = [{ buffer: Buffer.from('label') }];
+      req.body = { primary: 'true' };
+
+      await addClothingImages(req, res);
+
+      expect(savedImages().map(({ primary, role }) => ({ primary, role }))).toEqual([
+        { primary: false, role: 'FRONT' },
+        { primary: false, role: 'BACK' },
+        { primary: true, role: 'DETAIL' },
+      ]);
+      expect(ClothingItem.findOneAndUpdate.mock.calls[0][1].imageUrl).toBe('label.jpg');
+    });
+
+    it('should return 400 without images', async () => {
+      await addClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'At least one image is required' });
+      expect(ClothingItem.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when the item would have too many images', async () => {
+      req.files = Array.from({ length: 7 }, () => ({ buffer: Buffer.from('x') }));
+
+      await addClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'A clothing item can have at most 8 images' });
+      expect(uploadImageVariants).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an item in the trash', async () => {
+      req.files = [{ buffer: Buffer.from('label') }];
+      ClothingItem.findById.mockResolvedValue({ ...item, deletedAt: new Date() });
+
+      await addClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Clothing item not found' });
+    });
+
+    it('should return 403 if the item belongs to another user', async () => {
+      req.files = [{ buffer: Buffer.from('label') }];
+      ClothingItem.findById.mockResolvedValue({ ...item, owner: { toString: () => 'otherUser' } });
+
+      await addClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not authorized to update this item' });
+    });
+
+    it('should add the images to the ones saved meanwhile by another request', async () => {
+      req.files = [{ buffer: Buffer.from('label') }];
+      const side = { _id: 'image3', url: 'side.jpg', publicId: 'side', palette: blue, role: 'SIDE', order: 2, primary: false };
+      ClothingItem.findById
+        .mockResolvedValueOnce(item)
+        .mockResolvedValueOnce({ ...item, images: [front, back, side], __v: 4 });
+      ClothingItem.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      await addClothingImages(req, res);
+
+      expect(ClothingItem.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      const [filter, update] = ClothingItem.findOneAndUpdate.mock.calls[1];
+      expect(filter).toEqual({ _id: itemId, __v: 4 });
+      expect(update.images.map(({ publicId, order }) => ({ publicId, order }))).toEqual([
+        { publicId: 'front', order: 0 },
+        { publicId: 'back', order: 1 },
+        { publicId: 'side', order: 2 },
+        { publicId: 'label', order: 3 },
+      ]);
+      expect(destroyImage).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should delete the uploaded images when the item no longer has room for them', async () => {
+      req.files = [{ buffer: Buffer.from('label') }];
+      const full = Array.from({ length: 8 }, (_, index) => ({ ...back, _id: `image${index}`, order: index }));
+      ClothingItem.findById
+        .mockResolvedValueOnce(item)
+        .mockResolvedValueOnce({ ...item, images: full, __v: 4 });
+      ClothingItem.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      await addClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'A clothing item can have at most 8 images' });
+      expect(destroyImage).toHaveBeenCalledWith('label');
+    });
+
+    it('should return 409 and delete the uploaded images if the item keeps changing', async () => {
+      req.files = [{ buffer: Buffer.from('label') }];
+      ClothingItem.findOneAndUpdate.mockResolvedValue(null);
+
+      await addClothingImages(req, res);
+
+      expect(ClothingItem.findOneAndUpdate).toHaveBeenCalledTimes(3);
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'The images of the item changed meanwhile, please try again' });
+      expect(destroyImage).toHaveBeenCalledWith('label');
+    });
+
+    it('should handle upload errors', async () => {
+      req.files = [{ buffer: Buffer.from('label') }];
+      uploadImageVariants.mockRejectedValue(new Error('Storage down'));
+
+      await addClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(ClothingItem.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeClothingImage', () => {
+    it('should delete the image from the storage and promote the next one', async () => {
+      req.params.imageId = 'image1';
+
+      await removeClothingImage(req, res);
+
+      expect(destroyImage).toHaveBeenCalledWith('front');
+      // Se borra del almacenamiento después de quitarla de la prenda.
+      expect(destroyImage.mock.invocationCallOrder[0])
+        .toBeGreaterThan(ClothingItem.findOneAndUpdate.mock.invocationCallOrder[0]);
+      expect(ClothingItem.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: itemId, __v: 3 },
+        {
+          images: [{ ...back, order: 0, primary: true }],
+          imageUrl: 'back.jpg',
+          imagePublicId: 'back',
+          thumbnailUrl: null,
+          mediumUrl: null,
+          palette: blue,
+          colorHex: '#1f2a44',
+          colorFamily: 'BLUE',
+          $inc: { __v: 1 },
+        },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should also delete the reduced versions of the image', async () => {
+      req.params.imageId = 'image1';
+      const withVariants = {
+        ...front,
+        thumbnail: { url: 'front_thumb.webp', publicId: 'front_thumb' },
+        medium: { url: 'front_medium.webp', publicId: 'front_medium' },
+      };
+      ClothingItem.findById.mockResolvedValue({ ...item, images: [withVariants, back] });
+
+      await removeClothingImage(req, res);
+
+      expect(destroyImage).toHaveBeenCalledTimes(3);
+      expect(destroyImage).toHaveBeenCalledWith('front');
+      expect(destroyImage).toHaveBeenCalledWith('front_thumb');
+      expect(destroyImage).toHaveBeenCalledWith('front_medium');
+    });
+
+    it('should clear the image fields when the last image is removed', async () => {
+      req.params.imageId = 'image1';
+      ClothingItem.findById.mockResolvedValue({ ...item, images: [front] });
+
+      await removeClothingImage(req, res);
+
+      expect(ClothingItem.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: itemId, __v: 3 },
+        {
+          images: [],
+          imageUrl: null,
+          imagePublicId: null,
+          thumbnailUrl: null,
+          mediumUrl: null,
+          palette: [],
+          colorHex: null,
+          colorFamily: null,
+          $inc: { __v: 1 },
+        },
+        { new: true }
+      );
+    });
+
+    it('should return 409 and keep the file when the images changed meanwhile', async () => {
+      req.params.imageId = 'image1';
+      ClothingItem.findOneAndUpdate.mockResolvedValue(null);
+
+      await removeClothingImage(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'The images of the item changed meanwhile, please try again' });
+      expect(destroyImage).not.toHaveBeenCalled();
+    });
+
+    it('should keep the file when the item cannot be saved', async () => {
+      req.params.imageId = 'image1';
+      ClothingItem.findOneAndUpdate.mockRejectedValue(new Error('Database error'));
+
+      await removeClothingImage(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(destroyImage).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown image', async () => {
+      req.params.imageId = 'image9';
+
+      await removeClothingImage(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Image not found' });
+      expect(destroyImage).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if the item does not exist', async () => {
+      req.params.imageId = 'image1';
+      ClothingItem.findById.mockResolvedValue(null);
+
+      await removeClothingImage(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Clothing item not found' });
+    });
+
+    it('should handle database errors', async () => {
+      req.params.imageId = 'image1';
+      ClothingItem.findById.mockRejectedValue(new Error('Database error'));
+
+      await removeClothingImage(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('reorderClothingImages', () => {
+    it('should store the new order', async () => {
+      req.body = { order: ['image2', 'image1'] };
+
+      await reorderClothingImages(req, res);
+
+      expect(savedImages()).toEqual([
+        { ...back, order: 0 },
+        { ...front, order: 1 },
+      ]);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should change the primary image', async () => {
+      req.body = { primary: 'image2' };
+
+      await reorderClothingImages(req, res);
+
+      expect(ClothingItem.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: itemId, __v: 3 },
+        {
+          images: [{ ...front, primary: false }, { ...back, primary: true }],
+          imageUrl: 'back.jpg',
+          imagePublicId: 'back',
+          thumbnailUrl: null,
+          mediumUrl: null,
+          // La nueva principal es azul: cambia el color detectado de la prenda.
+          palette: blue,
+          colorHex: '#1f2a44',
+          colorFamily: 'BLUE',
+          $inc: { __v: 1 },
+        },
+        { new: true }
+      );
+    });
+
+    it('should return 409 when the images changed meanwhile', async () => {
+      req.body = { primary: 'image2' };
+      ClothingItem.findOneAndUpdate.mockResolvedValue(null);
+
+      await reorderClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'The images of the item changed meanwhile, please try again' });
+    });
+
+    it('should return 400 without order or primary', async () => {
+      await reorderClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'order or primary is required' });
+    });
+
+    it.each([
+      [['image1']],
+      [['image1', 'image1']],
+      [['image1', 'image9']],
+      [42],
+    ])('should return 400 for the order %p', async (order) => {
+      req.body = { order };
+
+      await reorderClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'order must list every image of the item exactly once' });
+    });
+
+    it('should return 400 for a primary image that is not in the item', async () => {
+      req.body = { primary: 'image9' };
+
+      await reorderClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'primary must be an image of the item' });
+    });
+
+    it('should return 403 if the item belongs to another user', async () => {
+      req.body = { primary: 'image2' };
+      ClothingItem.findById.mockResolvedValue({ ...item, owner: { toString: () => 'otherUser' } });
+
+      await reorderClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should handle database errors', async () => {
+      req.body = { primary: 'image2' };
+      ClothingItem.findOneAndUpdate.mockRejectedValue(new Error('Database error'));
+
+      await reorderClothingImages(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+import {
+  parseImageRoles,
+  validateImageCount,
+  uploadClothingImages,
+  destroyClothingImage,
+  normalizeImages,
+  appendImages,
+  replacePrimaryImage,
+  getPrimaryImageFields,
+  getImagePublicIds,
+  getImageUrls,
+  migrateItemImages,
+} from '../helpers/clothingImage.helpers.js';
+import { uploadImageVariants, destroyImage } from '../helpers/upload.helpers.js';
+import { extractPalette } from '../helpers/imageProcessing.helpers.js';
+import ClothingItem from '../models/clothing.model.js';
+
+jest.mock('../models/clothing.model.js');
+jest.mock('../helpers/upload.helpers.js');
+jest.mock('../helpers/imageProcessing.helpers.js');
+
+describe('Clothing Image Helpers', () => {
+  const front = { _id: 'image1', url: 'front.jpg', publicId: 'front', role: 'FRONT', order: 0, primary: true };
+  const back = { _id: 'image2', url: 'back.jpg', publicId: 'back', role: 'BACK', order: 1, primary: false };
+  const withVariants = {
+    ...front,
+    thumbnail: { url: 'front_thumb.webp', publicId: 'front_thumb' },
+    medium: { url: 'front_medium.webp', publicId: 'front_medium' },
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('parseImageRoles', () => {
+    it('should normalize the given roles and fill the missing ones', () => {
+      expect(parseImageRoles('back, Label', 3)).toEqual({ roles: ['BACK', 'LABEL', 'DETAIL'], error: null });
+    });
+
+    it('should use FRONT only for the first image of the item', () => {
+      expect(parseImageRoles(undefined, 2).roles).toEqual(['FRONT', 'DETAIL']);
+      expect(parseImageRoles(undefined, 1, 2).roles).toEqual(['DETAIL']);
+    });
+
+    it.each([
+      ['side', 1, 'roles must be a list of: FRONT, BACK, LABEL, DETAIL'],
+      [42, 1, 'roles must be a list of: FRONT, BACK, LABEL, DETAIL'],
+      ['front,back', 1, 'roles cannot have more entries than uploaded images'],
+    ])('should reject the roles %p for %p images', (value, count, error) => {
+      expect(parseImageRoles(value, count)).toEqual({ roles: null, error });
+    });
+  });
+
+  describe('validateImageCount', () => {
+    it('should allow up to 8 images', () => {
+      expect(validateImageCount(8)).toBeNull();
+      expect(validateImageCount(9)).toBe('A clothing item can have at most 8 images');
+    });
+  });
+
+  describe('uploadClothingImages', () => {
+    const palette = [{ hex: '#1f2a44', family: 'BLUE', share: 1 }];
+
+    beforeEach(() => {
+      extractPalette.mockResolvedValue(palette);
+    });
+
+    it('should upload every file with its versions and palette and return them', async () => {
+      uploadImageVariants
+        .mockResolvedValueOnce({ url: 'a.jpg', publicId: 'a' })
+        .mockResolvedValueOnce({ url: 'b.jpg', publicId: 'b' });
+
+      await expect(uploadClothingImages([{ buffer: 'a' }, { buffer: 'b' }])).resolves.toEqual([
+        { url: 'a.jpg', publicId: 'a', palette },
+        { url: 'b.jpg', publicId: 'b', palette },
+      ]);
+      expect(uploadImageVariants).toHaveBeenCalledWith('a', { removeBackground: true });
+      expect(extractPalette).toHaveBeenCalledWith('a');
+    });
+
+    it('should not upload a file whose palette cannot be read', async () => {
+      const error = new Error('The uploaded file is not a valid image');
+      error.name = 'InvalidImageError';
+      extractPalette.mockRejectedValueOnce(error);
+
+      await expect(uploadClothingImages([{ buffer: 'a' }])).rejects.toThrow('not a valid image');
+      expect(uploadImageVariants).not.toHaveBeenCalled();
+    });
+
+    it('should delete the uploaded images when one of them fails', async () => {
+      uploadImageVariants
+        .mockResolvedValueOnce(withVariants)
+        .mockRejectedValueOnce(new Error('Storage down'));
+
+      await expect(uploadClothingImages([{ buffer: 'a' }, { buffer: 'b' }])).rejects.toThrow('Storage down');
+      expect(destroyImage).toHaveBeenCalledWith('front');
+      expect(destroyImage).toHaveBeenCalledWith('front_thumb');
+      expect(destroyImage).toHaveBeenCalledWith('front_medium');
+    });
+  });
+
+  describe('destroyClothingImage', () => {
+    it('should delete the image and its versions', async () => {
+      await destroyClothingImage(withVariants);
+
+      expect(destroyImage.mock.calls).toEqual([['front'], ['front_thumb'], ['front_medium']]);
+    });
+
+    it('should delete once versions that share the public ID of the full image', async () => {
+      await destroyClothingImage({
+        ...front,
+        thumbnail: { url: 'front_256.webp', publicId: 'front' },
+        medium: { url: 'front_800.webp', publicId: 'front' },
+      });
+
+      expect(destroyImage.mock.calls).toEqual([['front']]);
+    });
+
+    it('should delete only the full image of older photos', async () => {
+      await destroyClothingImage(front);
+
+      expect(destroyImage.mock.calls).toEqual([['front']]);
+    });
+  });
+
+  describe('normalizeImages', () => {
+    it('should sort by order, renumber and keep a single primary', () => {
+      const images = [{ ...back, order: 5 }, { ...front, order: 2 }];
+
+      expect(normalizeImages(images)).toEqual([
+        { ...front, order: 0 },
+        { ...back, order: 1 },
+      ]);
+    });
+
+    it('should make the first image primary when none is', () => {
+      expect(normalizeImages([{ ...front, primary: false }, back])[0].primary).toBe(true);
+    });
+
+    it('should move the primary flag to the given image', () => {
+      const images = normalizeImages([front, back], 'image2');
+
+      expect(images.map(({ primary }) => primary)).toEqual([false, true]);
+    });
+
+    it('should keep the reduced versions and the palette of each image', () => {
+      const withPalette = { ...withVariants, palette: [{ hex: '#1f2a44', family: 'BLUE', share: 1 }] };
+
+      expect(normalizeImages([withPalette])).toEqual([withPalette]);
+    });
+
+    it('should return no images for an item without images', () => {
+      expect(normalizeImages()).toEqual([]);
+    });
+  });
+
+  describe('appendImages', () => {
+    const uploaded = [{ url: 'label.jpg', publicId: 'label' }];
+
+    it('should add the new images at the end', () => {
+      expect(appendImages([front, back], uploaded, ['LABEL'])).toEqual([
+        front,
+        back,
+        { url: 'label.jpg', publicId: 'label', role: 'LABEL', order: 2, primary: false },
+      ]);
+    });
+
+    it('should make the first new image primary when asked', () => {
+      const images = appendImages([front, back], uploaded, ['LABEL'], { primary: true });
+
+      expect(images.map(({ primary }) => primary)).toEqual([false, false, true]);
+    });
+  });
+
+  describe('replacePrimaryImage', () => {
+    const uploaded = { url: 'new.jpg', publicId: 'new' };
+
+    it('should replace the primary image keeping its role and position', () => {
+      const { images, replaced } = replacePrimaryImage([{ ...back, order: 0 }, { ...front, order: 1 }], uploaded);
+
+      expect(replaced.publicId).toBe('front');
+      expect(images).toEqual([
+        { ...back, order: 0 },
+        { url: 'new.jpg', publicId: 'new', role: 'FRONT', order: 1, primary: true },
+      ]);
+    });
+
+    it('should add the image as the front when the item has none', () => {
+      expect(replacePrimaryImage([], uploaded)).toEqual({
+        images: [{ url: 'new.jpg', publicId: 'new', role: 'FRONT', order: 0, primary: true }],
+        replaced: null,
+      });
+    });
+  });
+
+  describe('getPrimaryImageFields', () => {
+    it('should return the url and public id of the primary image', () => {
+      expect(getPrimaryImageFields([back, front])).toEqual({
+        imageUrl: 'front.jpg',
+        imagePublicId: 'front',
+        thumbnailUrl: null,
+        mediumUrl: null,
+        palette: [],
+      });
+      expect(getPrimaryImageFields([])).toEqual({
+        imageUrl: null, imagePublicId: null, thumbnailUrl: null, mediumUrl: null, palette: [],
+      });
+    });
+
+    it('should return the palette of the primary image', () => {
+      const palette = [{ hex: '#d32f2f', family: 'RED', share: 0.8 }];
+
+      expect(getPrimaryImageFields([{ ...front, palette }, back]).palette).toEqual(palette);
+    });
+
+    it('should return the reduced versions of the primary image', () => {
+      expect(getPrimaryImageFields([withVariants, back])).toEqual(expect.objectContaining({
+        thumbnailUrl: 'front_thumb.webp',
+        mediumUrl: 'front_medium.webp',
+      }));
+    });
+  });
+
+  describe('getImagePublicIds and getImageUrls', () => {
+    it('should list every image once, including the legacy single image', () => {
+      const item = { images: [front, back], imageUrl: 'front.jpg', imagePublicId: 'front' };
+
+      expect(getImagePublicIds(item)).toEqual(['front', 'back']);
+      expect(getImageUrls(item)).toEqual(['front.jpg', 'back.jpg']);
+      expect(getImagePublicIds({ imagePublicId: 'old' })).toEqual(['old']);
+      expect(getImagePublicIds({ images: [withVariants] })).toEqual(['front', 'front_thumb', 'front_medium']);
+      expect(getImageUrls({ imageUrl: null })).toEqual([]);
+    });
+  });
+
+  describe('migrateItemImages', () => {
+    it('should turn the single image of older items into their primary front image', async () => {
+      ClothingItem.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ _id: 'item1', imageUrl: 'old.jpg', imagePublicId: 'old' }]),
+      });
+
+      await expect(migrateItemImages()).resolves.toBe(1);
+      expect(ClothingItem.find).toHaveBeenCalledWith({
+        imagePublicId: { $nin: [null, ''] },
+        'images.0': { $exists: false },
+      });
+      expect(ClothingItem.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: 'item1' },
+          update: { $set: { images: [{ url: 'old.jpg', publicId: 'old', role: 'FRONT', order: 0, primary: true }] } },
+        },
+      }]);
+    });
+
+    it('should do nothing when every item is migrated', async () => {
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      await expect(migrateItemImages()).resolves.toBe(0);
+      expect(ClothingItem.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import {
+  normalizeHex,
+  getColorFamily,
+  parseColor,
+  parseColorFamily,
+  getColorLanguage,
+  suggestColor,
+  getItemColorFields,
+  buildPalette,
+  buildColorFilters,
+  migrateItemColors,
+} from '../helpers/color.helpers.js';
+import ClothingItem from '../models/clothing.model.js';
+
+jest.mock('../models/clothing.model.js');
+
+// Píxeles RGB de una imagen de width x height: fill(x, y) devuelve [r, g, b].
+const createPixels = (width, height, fill) => {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      pixels.set(fill(x, y), (y * width + x) * 3);
+    }
+  }
+  return pixels;
+};
+
+describe('Color Helpers', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('normalizeHex', () => {
+    it('should normalize 6 and 3 digit hex colors, with or without #', () => {
+      expect(normalizeHex('#1A2B5C')).toBe('#1a2b5c');
+      expect(normalizeHex(' 1a2b5c ')).toBe('#1a2b5c');
+      expect(normalizeHex('#abc')).toBe('#aabbcc');
+    });
+
+    it('should return null for anything else', () => {
+      expect(normalizeHex('azul')).toBeNull();
+      expect(normalizeHex('#12345')).toBeNull();
+      expect(normalizeHex(123456)).toBeNull();
+    });
+  });
+
+  describe('getColorFamily', () => {
+    it('should classify a hex into the family of the closest named color', () => {
+      expect(getColorFamily('#1a2b5c')).toBe('BLUE');
+      expect(getColorFamily('#ff0000')).toBe('RED');
+      expect(getColorFamily('#ffa500')).toBe('ORANGE');
+      expect(getColorFamily('#fafafa')).toBe('WHITE');
+      expect(getColorFamily('#101010')).toBe('BLACK');
+      expect(getColorFamily('#777777')).toBe('GRAY');
+    });
+
+    it('should return null for invalid colors', () => {
+      expect(getColorFamily('navy')).toBeNull();
+    });
+  });
+
+  describe('parseColor', () => {
+    it('should understand the same shade written in different ways', () => {
+      expect(['azul', 'Blue', 'navy', '#1a2b5c'].map((color) => parseColor(color).family)).toEqual([
+        'BLUE', 'BLUE', 'BLUE', 'BLUE',
+      ]);
+    });
+
+    it('should prefer the longest name and ignore accents, case, plural and gender', () => {
+      expect(parseColor('Azul marino oscuro')).toEqual({ hex: '#1f2a44', family: 'BLUE' });
+      expect(parseColor('Camisas BLANCAS')).toEqual({ hex: '#ffffff', family: 'WHITE' });
+      expect(parseColor('marrones')).toEqual({ hex: '#6f4e37', family: 'BROWN' });
+      expect(parseColor('Café')).toEqual({ hex: '#6f4e37', family: 'BROWN' });
+    });
+
+    it('should return null for unknown colors', () => {
+      expect(parseColor('estampado')).toBeNull();
+      expect(parseColor(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseColorFamily', () => {
+    it('should accept the key or the Spanish/English name of a family', () => {
+      expect(parseColorFamily('BLUE')).toBe('BLUE');
+      expect(parseColorFamily('blue')).toBe('BLUE');
+      expect(parseColorFamily('Marrón')).toBe('BROWN');
+      expect(parseColorFamily('marron')).toBe('BROWN');
+    });
+
+    it('should return null for anything else', () => {
+      expect(parseColorFamily('navy')).toBeNull();
+      expect(parseColorFamily(['blue'])).toBeNull();
+    });
+  });
+
+  describe('getColorLanguage / suggestColor', () => {
+    it('should pick the language from Accept-Language, Spanish by default', () => {
+      expect(getColorLanguage({ headers: { 'accept-language': 'en-GB,en;q=0.9' } })).toBe('en');
+      expect(getColorLanguage({ headers: { 'accept-language': 'es-AR' } })).toBe('es');
+      expect(getColorLanguage({ headers: { 'accept-language': 'fr-FR' } })).toBe('es');
+      expect(getColorLanguage({})).toBe('es');
+    });
+
+    it('should suggest the name of the dominant color family', () => {
+      const palette = [{ hex: '#6f4e37', family: 'BROWN', share: 0.7 }, { hex: '#ffffff', family: 'WHITE', share: 0.3 }];
+
+      expect(suggestColor(palette, 'es')).toBe('marrón');
+      expect(suggestColor(palette, 'en')).toBe('brown');
+      expect(suggestColor([])).toBeNull();
+    });
+  });
+
+  describe('getItemColorFields', () => {
+    const palette = [{ hex: '#c62929', family: 'RED', share: 1 }];
+
+    it('should use the color text when it is understood', () => {
+      expect(getItemColorFields('navy', palette)).toEqual({ colorHex: '#1f2a44', colorFamily: 'BLUE' });
+    });
+
+    it('should fall back to the dominant color of the image', () => {
+      expect(getItemColorFields('estampado', palette)).toEqual({ colorHex: '#c62929', colorFamily: 'RED' });
+    });
+
+    it('should return nulls without a known color or an image', () => {
+      expect(getItemColorFields('estampado')).toEqual({ colorHex: null, colorFamily: null });
+    });
+  });
+
+  describe('buildPalette', () => {
+    it('should return the dominant colors without the background', () => {
+      // Fondo blanco, prenda roja en el centro y un detalle azul.
+      const pixels = createPixels(20, 20, (x, y) => {
+        if (x >= 5 && x < 8 && y >= 5 && y < 8) return [0x1f, 0x2a, 0x44];
+        if (x >= 4 && x < 16 && y >= 4 && y < 16) return [0xc6, 0x28, 0x28];
+        return [0xff, 0xff, 0xff];
+      });
+
+      const palette = buildPalette(pixels, { width: 20, height: 20, channels: 3 });
+
+      expect(palette).toEqual([
+        { hex: '#c62828', family: 'RED', share: 0.94 },
+        { hex: '#1f2a44', family: 'BLUE', share: 0.06 },
+      ]);
+    });
+
+    it('should keep the only color of a photo without background', () => {
+      const pixels = createPixels(4, 4, () => [0x38, 0x8e, 0x3c]);
+
+      expect(buildPalette(pixels, { width: 4, height: 4, channels: 3 })).toEqual([
+        { hex: '#388e3c', family: 'GREEN', share: 1 },
+      ]);
+    });
+
+    it('should merge near-identical shades and skip transparent pixels', () => {
+      const pixels = Buffer.from([
+        0xc6, 0x28, 0x28, 255,
+        0xc9, 0x2c, 0x2a, 255,
+        0x00, 0x00, 0xff, 0,
+        0xc6, 0x28, 0x28, 255,
+      ]);
+
+      const palette = buildPalette(pixels, { width: 2, height: 2, channels: 4 });
+
+      expect(palette).toEqual([{ hex: expect.stringMatching(/^#c[67]2[9a]29$/), family: 'RED', share: 1 }]);
+    });
+
+    it('should return at most size colors and nothing for an empty image', () => {
+      const stripes = [[0, 0, 0], [255, 255, 255], [0xc6, 0x28, 0x28], [0x1e, 0x88, 0xe5]];
+      const pixels = createPixels(4, 1, (x) => stripes[x]);
+
+      expect(buildPalette(pixels, { width: 4, height: 1, channels: 3 }, 2)).toHaveLength(2);
+      expect(buildPalette(Buffer.alloc(0), { width: 0, height: 0, channels: 4 })).toEqual([]);
+    });
+  });
+
+  describe('buildColorFilters', () => {
+    it('should filter a color by its family, a hex by its shade and anything else case-insensitively', () => {
+      expect(buildColorFilters({ color: 'Navy' }).filters).toEqual({ colorFamily: { $eq: 'BLUE' } });
+      expect(buildColorFilters({ color: '#ABC' }).filters).toEqual({ colorHex: '#aabbcc' });
+      expect(buildColorFilters({ color: 'estampado' }).filters).toEqual({
+        color: { $regex: '^estampado$', $options: 'i' },
+      });
+    });
+
+    it('should require both the color and the families when both are given', () => {
+      expect(buildColorFilters({ color: 'azul', colorFamily: 'blue,red' }).filters).toEqual({
+        colorFamily: { $eq: 'BLUE', $in: ['BLUE', 'RED'] },
+      });
+    });
+
+    it('should filter by color families given as keys or names', () => {
+      expect(buildColorFilters({ colorFamily: 'azul,Red,blue' })).toEqual({
+        filters: { colorFamily: { $in: ['BLUE', 'RED'] } },
+        ignored: [],
+      });
+    });
+
+    it('should ignore invalid families', () => {
+      expect(buildColorFilters({ colorFamily: 'azul,plaid' })).toEqual({ filters: {}, ignored: ['colorFamily'] });
+      expect(buildColorFilters({})).toEqual({ filters: {}, ignored: [] });
+    });
+  });
+
+  describe('migrateItemColors', () => {
+    it('should compute colorHex and colorFamily of older items from their color', async () => {
+      ClothingItem.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ _id: 'item1', color: 'Navy' }, { _id: 'item2', color: 'estampado' }]),
+      });
+
+      await expect(migrateItemColors()).resolves.toBe(2);
+      expect(ClothingItem.find).toHaveBeenCalledWith({ colorFamily: { $exists: false } });
+      expect(ClothingItem.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: 'item1' }, update: { $set: { colorHex: '#1f2a44', colorFamily: 'BLUE' } } } },
+        { updateOne: { filter: { _id: 'item2' }, update: { $set: { colorHex: null, colorFamily: null } } } },
+      ]);
+    });
+
+    it('should do nothing when every item is migrated', async () => {
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      await expect(migrateItemColors()).resolves.toBe(0);
+      expect(ClothingItem.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
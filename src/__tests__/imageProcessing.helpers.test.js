@@ -0,0 +1,192 @@
+import sharp from 'sharp';
+import decodeHeif from 'heic-decode';
+import {
+  processImage,
+  createImageVariants,
+  extractPalette,
+  getImageFormat,
+  getMaxImageDimension,
+} from '../helpers/imageProcessing.helpers.js';
+
+// libheif no codifica: las fotos HEIC de prueba son solo la cabecera y el decodificador se simula.
+jest.mock('heic-decode', () => jest.fn());
+
+const HEIC = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from('ftypheic\0\0\0\0mif1heic', 'latin1')]);
+
+// Foto de móvil de 3000x1500 girada (orientación EXIF 6) y con ubicación GPS.
+const createPhoto = ({ width = 3000, height = 1500 } = {}) => sharp({
+  create: { width, height, channels: 3, background: '#3366cc' },
+})
+  .jpeg()
+  .withMetadata({
+    orientation: 6,
+    exif: { IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '34/1 36/1 0/1' } },
+  })
+  .toBuffer();
+
+describe('Image Processing Helpers', () => {
+  let photo;
+
+  beforeAll(async () => {
+    photo = await createPhoto();
+  });
+
+  beforeEach(() => {
+    delete process.env.IMAGE_FORMAT;
+    delete process.env.IMAGE_MAX_DIMENSION;
+  });
+
+  describe('getImageFormat / getMaxImageDimension', () => {
+    it('should default to WebP and 2048px', () => {
+      expect(getImageFormat()).toBe('webp');
+      expect(getMaxImageDimension()).toBe(2048);
+    });
+
+    it('should read IMAGE_FORMAT and IMAGE_MAX_DIMENSION', () => {
+      process.env.IMAGE_FORMAT = 'jpeg';
+      process.env.IMAGE_MAX_DIMENSION = '1200';
+
+      expect(getImageFormat()).toBe('jpeg');
+      expect(getMaxImageDimension()).toBe(1200);
+    });
+
+    it('should ignore unsupported formats', () => {
+      process.env.IMAGE_FORMAT = 'bmp';
+
+      expect(getImageFormat()).toBe('webp');
+    });
+  });
+
+  describe('processImage', () => {
+    it('should rotate, downscale, strip the metadata and convert to WebP', async () => {
+      const metadata = await sharp(await processImage(photo)).metadata();
+
+      // Girada según la orientación EXIF: el lado mayor pasa a ser el alto.
+      expect(metadata).toEqual(expect.objectContaining({ format: 'webp', width: 1024, height: 2048 }));
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.orientation).toBeUndefined();
+    });
+
+    it('should encode JPEG when asked', async () => {
+      const metadata = await sharp(await processImage(photo, { format: 'jpeg', maxDimension: 300 })).metadata();
+
+      expect(metadata).toEqual(expect.objectContaining({ format: 'jpeg', width: 150, height: 300 }));
+      expect(metadata.exif).toBeUndefined();
+    });
+
+    it('should not upscale small images', async () => {
+      const small = await createPhoto({ width: 100, height: 50 });
+
+      const metadata = await sharp(await processImage(small)).metadata();
+
+      expect(metadata).toEqual(expect.objectContaining({ width: 50, height: 100 }));
+    });
+
+    it('should convert AVIF images', async () => {
+      const avif = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#000' } }).avif().toBuffer();
+
+      const metadata = await sharp(await processImage(avif, { format: 'jpeg' })).metadata();
+
+      expect(metadata).toEqual(expect.objectContaining({ format: 'jpeg', width: 300, height: 200 }));
+    });
+
+    it('should decode HEIC photos with libheif and convert them', async () => {
+      decodeHeif.mockResolvedValue({ width: 4, height: 2, data: new Uint8ClampedArray(4 * 2 * 4).fill(255) });
+
+      const metadata = await sharp(await processImage(HEIC)).metadata();
+
+      expect(decodeHeif).toHaveBeenCalledWith({ buffer: HEIC });
+      expect(metadata).toEqual(expect.objectContaining({ format: 'webp', width: 4, height: 2 }));
+    });
+
+    it('should reject HEIC files that libheif cannot decode', async () => {
+      decodeHeif.mockRejectedValue(new Error('ERR_LIBHEIF format not supported'));
+
+      await expect(processImage(HEIC)).rejects.toMatchObject({ name: 'InvalidImageError' });
+    });
+
+    it('should reject files that are not images', async () => {
+      await expect(processImage(Buffer.from('not an image'))).rejects.toMatchObject({
+        name: 'InvalidImageError',
+        message: 'The uploaded file is not a valid image',
+      });
+    });
+  });
+
+  describe('createImageVariants', () => {
+    it('should generate the thumbnail, medium and full versions', async () => {
+      process.env.IMAGE_MAX_DIMENSION = '1600';
+
+      const variants = await createImageVariants(photo);
+      const sizes = await Promise.all(Object.values(variants).map((buffer) => sharp(buffer).metadata()));
+
+      expect(Object.keys(variants)).toEqual(['thumbnail', 'medium', 'full']);
+      expect(sizes.map(({ width, height, format }) => ({ width, height, format }))).toEqual([
+        { width: 128, height: 256, format: 'webp' },
+        { width: 400, height: 800, format: 'webp' },
+        { width: 800, height: 1600, format: 'webp' },
+      ]);
+      expect(sizes.every(({ exif }) => exif === undefined)).toBe(true);
+    });
+
+    it('should generate the versions of HEIC photos', async () => {
+      decodeHeif.mockResolvedValue({ width: 1000, height: 500, data: new Uint8ClampedArray(1000 * 500 * 4) });
+
+      const { thumbnail } = await createImageVariants(HEIC, { format: 'jpeg' });
+
+      await expect(sharp(thumbnail).metadata()).resolves.toEqual(expect.objectContaining({ format: 'jpeg', width: 256, height: 128 }));
+    });
+
+    it('should reject files that are not images', async () => {
+      await expect(createImageVariants(Buffer.from('not an image'))).rejects.toMatchObject({
+        name: 'InvalidImageError',
+      });
+    });
+  });
+
+  describe('extractPalette', () => {
+    // Prenda roja con un bolsillo azul, fotografiada sobre fondo blanco.
+    const createGarment = () => sharp({ create: { width: 400, height: 400, channels: 3, background: '#ffffff' } })
+      .composite([
+        { input: { create: { width: 200, height: 300, channels: 3, background: '#c62828' } }, left: 100, top: 50 },
+        { input: { create: { width: 60, height: 60, channels: 3, background: '#1f2a44' } }, left: 130, top: 100 },
+      ])
+      .png()
+      .toBuffer();
+
+    it('should return the dominant colors without the background', async () => {
+      const palette = await extractPalette(await createGarment());
+
+      expect(palette.map(({ family }) => family)).toEqual(['RED', 'BLUE']);
+      expect(palette[0].hex).toMatch(/^#[0-9a-f]{6}$/);
+      expect(palette[0].share).toBeGreaterThan(palette[1].share);
+    });
+
+    it('should ignore transparent pixels', async () => {
+      const cutout = await sharp({ create: { width: 100, height: 100, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+        .composite([{ input: { create: { width: 50, height: 50, channels: 4, background: '#388e3c' } }, left: 25, top: 25 }])
+        .png()
+        .toBuffer();
+
+      await expect(extractPalette(cutout)).resolves.toEqual([expect.objectContaining({ family: 'GREEN', share: 1 })]);
+    });
+
+    it('should keep the color of a garment that fills the photo', async () => {
+      const palette = await extractPalette(photo, { size: 1 });
+
+      expect(palette).toEqual([{ hex: expect.any(String), family: 'BLUE', share: 1 }]);
+    });
+
+    it('should read HEIC photos', async () => {
+      decodeHeif.mockResolvedValue({
+        width: 10, height: 10, data: new Uint8ClampedArray(10 * 10 * 4).map((value, index) => ([0xfd, 0xd8, 0x35, 255][index % 4])),
+      });
+
+      await expect(extractPalette(HEIC)).resolves.toEqual([expect.objectContaining({ family: 'YELLOW' })]);
+    });
+
+    it('should reject files that are not images', async () => {
+      await expect(extractPalette(Buffer.from('not an image'))).rejects.toMatchObject({ name: 'InvalidImageError' });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import cloudinary from '../config/cloudinary.js';
+import {
+  createCloudinaryStorage,
+  createLocalStorage,
+  setImageStorage,
+  getImageStorage,
+} from '../config/imageStorage.js';
+
+jest.mock('../config/cloudinary.js', () => ({
+  uploader: { upload_stream: jest.fn(), destroy: jest.fn() },
+  url: jest.fn(),
+}));
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]);
+
+describe('Image storage', () => {
+  beforeEach(() => {
+    setImageStorage(null);
+    delete process.env.IMAGE_STORAGE;
+  });
+
+  describe('getImageStorage', () => {
+    it('should default to Cloudinary', () => {
+      expect(getImageStorage().name).toBe('cloudinary');
+    });
+
+    it('should pick the storage named in IMAGE_STORAGE', () => {
+      process.env.IMAGE_STORAGE = 'local';
+
+      expect(getImageStorage().name).toBe('local');
+    });
+
+    it('should fall back to Cloudinary for unknown storages', () => {
+      process.env.IMAGE_STORAGE = 'floppy';
+
+      expect(getImageStorage().name).toBe('cloudinary');
+    });
+
+    it('should return the storage set with setImageStorage', () => {
+      const custom = { name: 'custom' };
+      setImageStorage(custom);
+
+      expect(getImageStorage()).toBe(custom);
+    });
+  });
+
+  describe('createCloudinaryStorage', () => {
+    const storage = createCloudinaryStorage();
+    const end = jest.fn();
+
+    beforeEach(() => {
+      cloudinary.uploader.upload_stream.mockImplementation((options, callback) => {
+        end.mockImplementation(() => callback(null, { secure_url: 'https://cdn/a.jpg', public_id: 'a' }));
+        return { end };
+      });
+    });
+
+    it('should upload the buffer and return its URL and public ID', async () => {
+      await expect(storage.upload(JPEG, {})).resolves.toEqual({ url: 'https://cdn/a.jpg', publicId: 'a' });
+      expect(cloudinary.uploader.upload_stream).toHaveBeenCalledWith({ resource_type: 'image' }, expect.any(Function));
+      expect(end).toHaveBeenCalledWith(JPEG);
+    });
+
+    it('should ask Cloudinary to remove the background', async () => {
+      await storage.upload(JPEG, { removeBackground: true });
+
+      expect(cloudinary.uploader.upload_stream).toHaveBeenCalledWith(
+        {
+          resource_type: 'image',
+          background_removal: 'cloudinary_ai',
+          transformation: [{ background: '#FFFFFF' }],
+        },
+        expect.any(Function)
+      );
+    });
+
+    it('should crop avatars to a square', async () => {
+      await storage.upload(JPEG, { squareCrop: 256 });
+
+      expect(cloudinary.uploader.upload_stream).toHaveBeenCalledWith(
+        {
+          resource_type: 'image',
+          transformation: [{ width: 256, height: 256, crop: 'fill', gravity: 'face' }],
+        },
+        expect.any(Function)
+      );
+    });
+
+    it('should reject when Cloudinary fails', async () => {
+      cloudinary.uploader.upload_stream.mockImplementation((options, callback) => ({
+        end: () => callback(new Error('Cloudinary down')),
+      }));
+
+      await expect(storage.upload(JPEG, {})).rejects.toThrow('Cloudinary down');
+    });
+
+    it('should destroy images and build their URLs', async () => {
+      cloudinary.url.mockReturnValue('https://cdn/a.jpg');
+
+      await storage.destroy('a');
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('a');
+      expect(storage.url('a')).toBe('https://cdn/a.jpg');
+      expect(cloudinary.url).toHaveBeenCalledWith('a', { secure: true });
+    });
+
+    it('should derive reduced versions from the uploaded image', () => {
+      cloudinary.url.mockReturnValue('https://cdn/c_limit,h_256,w_256/a.jpg');
+
+      expect(storage.resize('a', 256)).toEqual({ url: 'https://cdn/c_limit,h_256,w_256/a.jpg', publicId: 'a' });
+      expect(cloudinary.url).toHaveBeenCalledWith('a', {
+        secure: true,
+        transformation: [{ width: 256, height: 256, crop: 'limit' }],
+      });
+    });
+  });
+
+  describe('createLocalStorage', () => {
+    let uploadsDir;
+
+    beforeEach(async () => {
+      uploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ropabase-uploads-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(uploadsDir, { recursive: true, force: true });
+    });
+
+    it('should write the image to disk with the extension of its format', async () => {
+      const { url, publicId } = await createLocalStorage(uploadsDir).upload(JPEG, { removeBackground: true });
+
+      expect(publicId).toMatch(/^[0-9a-f-]{36}\.jpg$/);
+      expect(url).toBe(`/uploads/${publicId}`);
+      await expect(fs.readFile(path.join(uploadsDir, publicId))).resolves.toEqual(JPEG);
+    });
+
+    it('should recognize WebP images by their RIFF header', async () => {
+      const webp = Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1');
+
+      const { publicId } = await createLocalStorage(uploadsDir).upload(webp);
+
+      expect(publicId).toMatch(/\.webp$/);
+    });
+
+    it('should use UPLOADS_BASE_URL for absolute URLs', () => {
+      const storage = createLocalStorage(uploadsDir, 'https://api.ropabase.app/');
+
+      expect(storage.url('a.png')).toBe('https://api.ropabase.app/uploads/a.png');
+    });
+
+    it('should delete the image and ignore missing files', async () => {
+      const storage = createLocalStorage(uploadsDir);
+      const { publicId } = await storage.upload(Buffer.from('not an image'));
+      expect(publicId).toMatch(/\.bin$/);
+
+      await storage.destroy(publicId);
+      await storage.destroy(publicId);
+
+      await expect(fs.readdir(uploadsDir)).resolves.toEqual([]);
+    });
+
+    it('should not delete files outside the uploads folder', async () => {
+      const outside = path.join(path.dirname(uploadsDir), `${path.basename(uploadsDir)}-keep.txt`);
+      await fs.writeFile(outside, 'keep');
+
+      await createLocalStorage(uploadsDir).destroy(`../${path.basename(outside)}`);
+
+      await expect(fs.readFile(outside, 'utf8')).resolves.toBe('keep');
+      await fs.rm(outside);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import sharp from 'sharp';
+import { detectImageType } from '../helpers/imageType.helpers.js';
+
+// Cabecera ISO BMFF: caja ftyp con la marca principal, versión y marcas compatibles.
+const ftyp = (major, compatible = []) => {
+  const box = Buffer.from(`\0\0\0\0ftyp${major}\0\0\0\0${compatible.join('')}`, 'latin1');
+  box.writeUInt32BE(box.length, 0);
+  return Buffer.concat([box, Buffer.from('\0\0\0\x08meta', 'latin1')]);
+};
+
+describe('Image Type Helpers', () => {
+  describe('detectImageType', () => {
+    it.each([
+      ['jpeg', Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0x00]), 'image/jpeg'],
+      ['png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]), 'image/png'],
+      ['gif', Buffer.from('GIF89a', 'latin1'), 'image/gif'],
+      ['webp', Buffer.from('RIFF\x24\0\0\0WEBPVP8 ', 'latin1'), 'image/webp'],
+    ])('should detect %s by its signature', (format, buffer, mimetype) => {
+      expect(detectImageType(buffer)).toEqual(expect.objectContaining({ format, mimetype }));
+    });
+
+    it('should detect iPhone HEIC photos', () => {
+      expect(detectImageType(ftyp('heic', ['mif1', 'heic']))).toEqual({
+        format: 'heic',
+        extension: 'heic',
+        mimetype: 'image/heic',
+      });
+    });
+
+    it('should use the compatible brands of generic HEIF files', () => {
+      expect(detectImageType(ftyp('mif1', ['mif1', 'heic'])).format).toBe('heic');
+      expect(detectImageType(ftyp('mif1', ['mif1', 'avif'])).format).toBe('avif');
+      expect(detectImageType(ftyp('mif1', ['mif1'])).format).toBe('heif');
+    });
+
+    it('should detect AVIF images encoded by sharp', async () => {
+      const avif = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000' } }).avif().toBuffer();
+
+      expect(detectImageType(avif).format).toBe('avif');
+    });
+
+    it.each([
+      ['a PDF', Buffer.from('%PDF-1.7', 'latin1')],
+      ['a RIFF file that is not WebP', Buffer.from('RIFF\x24\0\0\0WAVEfmt ', 'latin1')],
+      ['an MP4 video', ftyp('isom', ['isom', 'mp41'])],
+      ['a truncated file', Buffer.from([0xff, 0xd8])],
+      ['an empty file', Buffer.alloc(0)],
+      ['something that is not a buffer', 'GIF89a'],
+    ])('should return null for %s', (description, buffer) => {
+      expect(detectImageType(buffer)).toBeNull();
+    });
+  });
+});
@@ -3,6 +3,7 @@ import {
   logClothingSuccess,
   logClothingError,
   logAuthInfo,
+  logAuthError,
   logDatabaseOperation,
 } from '../helpers/logging.helpers.js';
 
@@ -129,6 +130,16 @@ describe('Logging Helpers', () => {
     });
   });
 
+  describe('logAuthError', () => {
+    it('should log the error with the auth prefix', () => {
+      const error = new Error('Database error');
+
+      logAuthError('revocar sesión', error);
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('[AUTH] Error al revocar sesión:', error);
+    });
+  });
+
   describe('logDatabaseOperation', () => {
     it('should log database operation with filter', () => {
       const operation = 'find';
@@ -0,0 +1,197 @@
+import {
+  createMemoryAttemptStore,
+  createMongoAttemptStore,
+  setLoginAttemptStore,
+  getLoginAttemptStore,
+} from '../config/loginAttemptStore.js';
+import LoginAttempt from '../models/loginAttempt.model.js';
+
+jest.mock('../models/loginAttempt.model.js');
+
+describe('Login Attempt Store', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setLoginAttemptStore(null);
+    delete process.env.LOGIN_ATTEMPT_STORE;
+  });
+
+  describe('getLoginAttemptStore', () => {
+    const originalNodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalNodeEnv;
+    });
+
+    it('should default to the memory store outside production', () => {
+      expect(getLoginAttemptStore().name).toBe('memory');
+    });
+
+    it('should default to the mongo store in production', () => {
+      process.env.NODE_ENV = 'production';
+
+      expect(getLoginAttemptStore().name).toBe('mongo');
+    });
+
+    it('should pick the store named in LOGIN_ATTEMPT_STORE', () => {
+      process.env.LOGIN_ATTEMPT_STORE = 'mongo';
+
+      expect(getLoginAttemptStore().name).toBe('mongo');
+    });
+
+    it('should fall back to memory for unknown stores', () => {
+      process.env.LOGIN_ATTEMPT_STORE = 'redis';
+
+      expect(getLoginAttemptStore().name).toBe('memory');
+    });
+
+    it('should return the store set with setLoginAttemptStore', () => {
+      const custom = { name: 'custom' };
+      setLoginAttemptStore(custom);
+
+      expect(getLoginAttemptStore()).toBe(custom);
+    });
+  });
+
+  describe('createMemoryAttemptStore', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should reserve attempts returning the previous record, lock and reset keys', async () => {
+      const store = createMemoryAttemptStore();
+      const until = new Date(Date.now() + 60000);
+
+      expect(await store.reserve('email:a@b.com', 1000)).toBeNull();
+      const previous = await store.reserve('email:a@b.com', 1000);
+      await store.lock('email:a@b.com', until);
+
+      expect(previous.failures).toBe(1);
+      expect((await store.get('email:a@b.com')).failures).toBe(2);
+      expect((await store.get('email:a@b.com')).lockedUntil).toBe(until);
+
+      await store.reset('email:a@b.com');
+      expect(await store.get('email:a@b.com')).toBeNull();
+    });
+
+    it('should give back a reserved attempt', async () => {
+      const store = createMemoryAttemptStore();
+
+      await store.reserve('ip:1.1.1.1', 1000);
+      await store.release('ip:1.1.1.1');
+      await store.release('ip:1.1.1.1');
+
+      expect((await store.get('ip:1.1.1.1')).failures).toBe(0);
+    });
+
+    it('should ignore locks on unknown keys', async () => {
+      const store = createMemoryAttemptStore();
+
+      await store.lock('email:nobody@b.com', new Date());
+
+      expect(await store.get('email:nobody@b.com')).toBeNull();
+    });
+
+    it('should expire records after their window', async () => {
+      jest.useFakeTimers();
+      const store = createMemoryAttemptStore();
+
+      await store.reserve('ip:1.1.1.1', 1000);
+      jest.advanceTimersByTime(1000);
+
+      expect(await store.get('ip:1.1.1.1')).toBeNull();
+    });
+
+    it('should start counting again once a lock is over', async () => {
+      jest.useFakeTimers();
+      const store = createMemoryAttemptStore();
+
+      await store.reserve('email:a@b.com', 60000);
+      await store.lock('email:a@b.com', new Date(Date.now() + 1000));
+      jest.advanceTimersByTime(1000);
+
+      expect(await store.reserve('email:a@b.com', 60000)).toBeNull();
+    });
+  });
+
+  describe('createMongoAttemptStore', () => {
+    it('should only read records inside their window', async () => {
+      LoginAttempt.findOne.mockResolvedValue({ failures: 1 });
+
+      const record = await createMongoAttemptStore().get('email:a@b.com');
+
+      expect(record).toEqual({ failures: 1 });
+      expect(LoginAttempt.findOne).toHaveBeenCalledWith({ key: 'email:a@b.com', expiresAt: { $gt: expect.any(Date) } });
+    });
+
+    it('should reserve an attempt in a single upsert and return the previous record', async () => {
+      const previous = { failures: 2, expiresAt: new Date(Date.now() + 60000), lockedUntil: null };
+      LoginAttempt.findOneAndUpdate.mockResolvedValue(previous);
+
+      const record = await createMongoAttemptStore().reserve('email:a@b.com', 60000);
+
+      expect(record).toBe(previous);
+      expect(LoginAttempt.deleteOne).not.toHaveBeenCalled();
+      expect(LoginAttempt.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: 'email:a@b.com' },
+        [{
+          $set: {
+            failures: { $cond: [expect.any(Object), 1, { $add: ['$failures', 1] }] },
+            lastFailureAt: expect.any(Date),
+            lockedUntil: { $cond: [expect.any(Object), null, '$lockedUntil'] },
+            expiresAt: { $cond: [expect.any(Object), expect.any(Date), { $max: ['$expiresAt', expect.any(Date)] }] },
+          },
+        }],
+        { upsert: true }
+      );
+    });
+
+    it('should treat an expired window or a finished lock as no previous record', async () => {
+      const store = createMongoAttemptStore();
+      LoginAttempt.findOneAndUpdate
+        .mockResolvedValueOnce({ failures: 4, expiresAt: new Date(Date.now() - 1000) })
+        .mockResolvedValueOnce({ failures: 6, expiresAt: new Date(Date.now() + 60000), lockedUntil: new Date(Date.now() - 1000) });
+
+      await expect(store.reserve('email:a@b.com', 60000)).resolves.toBeNull();
+      await expect(store.reserve('email:a@b.com', 60000)).resolves.toBeNull();
+    });
+
+    it('should retry once when a parallel upsert created the key first (E11000)', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      const previous = { failures: 1, expiresAt: new Date(Date.now() + 60000) };
+      LoginAttempt.findOneAndUpdate.mockRejectedValueOnce(duplicate).mockResolvedValueOnce(previous);
+
+      await expect(createMongoAttemptStore().reserve('email:a@b.com', 60000)).resolves.toBe(previous);
+      expect(LoginAttempt.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    it('should propagate other database errors', async () => {
+      LoginAttempt.findOneAndUpdate.mockRejectedValue(new Error('connection lost'));
+
+      await expect(createMongoAttemptStore().reserve('email:a@b.com', 60000)).rejects.toThrow('connection lost');
+      expect(LoginAttempt.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give back a reserved attempt without going below zero', async () => {
+      await createMongoAttemptStore().release('ip:1.1.1.1');
+
+      expect(LoginAttempt.updateOne).toHaveBeenCalledWith(
+        { key: 'ip:1.1.1.1', failures: { $gt: 0 } },
+        { $inc: { failures: -1 } }
+      );
+    });
+
+    it('should lock and reset keys', async () => {
+      const until = new Date();
+      const store = createMongoAttemptStore();
+
+      await store.lock('ip:1.1.1.1', until);
+      await store.reset('ip:1.1.1.1');
+
+      expect(LoginAttempt.updateOne).toHaveBeenCalledWith(
+        { key: 'ip:1.1.1.1' },
+        { $set: { lockedUntil: until }, $max: { expiresAt: until } }
+      );
+      expect(LoginAttempt.deleteOne).toHaveBeenCalledWith({ key: 'ip:1.1.1.1' });
+    });
+  });
+});
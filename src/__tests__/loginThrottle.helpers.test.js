@@ -0,0 +1,153 @@
+import {
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  registerLoginSuccess,
+  forgetLoginAttempts,
+} from '../helpers/loginThrottle.helpers.js';
+import { createMemoryAttemptStore, setLoginAttemptStore } from '../config/loginAttemptStore.js';
+import { logAuthInfo } from '../helpers/logging.helpers.js';
+
+jest.mock('../helpers/logging.helpers.js');
+
+describe('Login Throttle Helpers', () => {
+  const email = 'Ana@Example.com';
+  const ip = '203.0.113.7';
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+    // Store limpio en cada test → los intentos no se arrastran entre pruebas.
+    setLoginAttemptStore(createMemoryAttemptStore());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.LOGIN_MAX_FAILURES_PER_IP;
+  });
+
+  // Intentos fallidos espaciados lo justo para que ninguno sea rechazado.
+  const failTimes = async (times, failIp = ip) => {
+    for (let i = 0; i < times; i += 1) {
+      jest.advanceTimersByTime(60 * 1000);
+      await expect(reserveLoginAttempt(email, failIp)).resolves.toEqual({ allowed: true });
+    }
+  };
+
+  it('should allow the first attempt', async () => {
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual({ allowed: true });
+  });
+
+  it('should require increasing delays after consecutive failures', async () => {
+    await reserveLoginAttempt(email, ip);
+    // El intento rechazado también cuenta: 2 intentos → 2 segundos
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual({ allowed: false, retryAfter: 2, reason: 'throttled' });
+
+    jest.advanceTimersByTime(2000);
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual({ allowed: true });
+
+    // 3 intentos → 4 segundos de espera para el cuarto
+    jest.advanceTimersByTime(3999);
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual({ allowed: false, retryAfter: 8, reason: 'throttled' });
+  });
+
+  it('should let a single one of many parallel attempts through', async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, () => reserveLoginAttempt(email, ip)));
+
+    expect(results.filter(({ allowed }) => allowed)).toHaveLength(1);
+  });
+
+  it('should treat the email case-insensitively', async () => {
+    await reserveLoginAttempt(email, ip);
+
+    const result = await reserveLoginAttempt('ana@example.com', ip);
+
+    expect(result.allowed).toBe(false);
+  });
+
+  it('should lock the account after 5 attempts and log it', async () => {
+    await failTimes(5);
+
+    // Desde otra IP tampoco se puede: el bloqueo es de la cuenta
+    await expect(reserveLoginAttempt(email, '198.51.100.1')).resolves.toEqual({
+      allowed: false,
+      retryAfter: 15 * 60,
+      reason: 'account_locked',
+    });
+    expect(logAuthInfo).toHaveBeenCalledWith(expect.stringContaining('Cuenta bloqueada temporalmente'), email);
+
+    // Insistir durante el bloqueo no lo alarga
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual({
+      allowed: false,
+      retryAfter: 5 * 60,
+      reason: 'account_locked',
+    });
+
+    // Cumplido el bloqueo, el contador vuelve a empezar
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual({ allowed: true });
+  });
+
+  it('should lock an IP that fails too often across accounts', async () => {
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+    await reserveLoginAttempt('a@example.com', ip);
+    await reserveLoginAttempt('b@example.com', ip);
+    await reserveLoginAttempt('c@example.com', ip);
+
+    await expect(reserveLoginAttempt('d@example.com', ip)).resolves.toEqual({
+      allowed: false,
+      retryAfter: 15 * 60,
+      reason: 'ip_locked',
+    });
+    expect(logAuthInfo).toHaveBeenCalledWith(expect.stringContaining(`IP ${ip} bloqueada`));
+  });
+
+  it('should forget attempts once the observation window passes', async () => {
+    await failTimes(4);
+
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    await reserveLoginAttempt(email, ip);
+
+    // El contador volvió a empezar → 2 intentos → 2s, no bloqueo
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual({ allowed: false, retryAfter: 2, reason: 'throttled' });
+  });
+
+  it('should reset the account counter and give the IP its attempt back after a successful login', async () => {
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+    await failTimes(2);
+    await reserveLoginAttempt('b@example.com', ip);
+
+    await registerLoginSuccess('b@example.com', ip);
+
+    jest.advanceTimersByTime(60 * 1000);
+    // 3 intentos de la IP, uno devuelto → el siguiente pasa
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual({ allowed: true });
+  });
+
+  it('should only give the IP its attempt back while the second factor is pending', async () => {
+    await reserveLoginAttempt(email, ip);
+
+    await releaseLoginAttempt(ip);
+
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual({ allowed: false, retryAfter: 2, reason: 'throttled' });
+  });
+
+  it('should forget the attempts of a deleted account but keep those of the IP', async () => {
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+    await failTimes(3);
+
+    await forgetLoginAttempts(email);
+
+    // La cuenta vuelve a empezar, la IP sigue bloqueada.
+    await expect(reserveLoginAttempt(email, '198.51.100.1')).resolves.toEqual({ allowed: true });
+    jest.advanceTimersByTime(60 * 1000);
+    await expect(reserveLoginAttempt(email, ip)).resolves.toEqual(expect.objectContaining({ reason: 'ip_locked' }));
+  });
+
+  it('should skip IP tracking when the IP is unknown', async () => {
+    await reserveLoginAttempt(email, undefined);
+    await releaseLoginAttempt(undefined);
+    jest.advanceTimersByTime(1000);
+
+    await expect(reserveLoginAttempt(email, undefined)).resolves.toEqual({ allowed: true });
+  });
+});
@@ -0,0 +1,95 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createConsoleTransport,
+  createFileTransport,
+  setMailTransport,
+  getMailTransport,
+  sendMail,
+} from '../config/mailer.js';
+
+describe('Mailer', () => {
+  let consoleLogSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    setMailTransport(null);
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+  });
+
+  describe('getMailTransport', () => {
+    it('should default to the console transport', () => {
+      expect(getMailTransport().name).toBe('console');
+    });
+
+    it('should pick the transport named in MAIL_TRANSPORT', () => {
+      process.env.MAIL_TRANSPORT = 'file';
+
+      expect(getMailTransport().name).toBe('file');
+    });
+
+    it('should fall back to console for unknown transports', () => {
+      process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+
+      expect(getMailTransport().name).toBe('console');
+    });
+
+    it('should return the transport set with setMailTransport', () => {
+      const custom = { name: 'custom', send: jest.fn() };
+      setMailTransport(custom);
+
+      expect(getMailTransport()).toBe(custom);
+    });
+  });
+
+  describe('sendMail', () => {
+    it('should delegate to the active transport adding the sender', async () => {
+      const custom = { name: 'custom', send: jest.fn().mockResolvedValue({ id: '1' }) };
+      setMailTransport(custom);
+
+      const result = await sendMail({ to: 'a@b.com', subject: 'Hola', text: 'Cuerpo' });
+
+      expect(result).toEqual({ id: '1' });
+      expect(custom.send).toHaveBeenCalledWith({
+        from: expect.any(String),
+        to: 'a@b.com',
+        subject: 'Hola',
+        text: 'Cuerpo',
+      });
+    });
+  });
+
+  describe('createConsoleTransport', () => {
+    it('should print the email to the console', async () => {
+      await createConsoleTransport().send({ to: 'a@b.com', subject: 'Hola', text: 'Cuerpo' });
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('a@b.com'));
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Cuerpo'));
+    });
+  });
+
+  describe('createFileTransport', () => {
+    let outboxDir;
+
+    beforeEach(async () => {
+      outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ropabase-mail-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(outboxDir, { recursive: true, force: true });
+    });
+
+    it('should write each email as a JSON file in the outbox', async () => {
+      const { id } = await createFileTransport(outboxDir).send({ to: 'a@b.com', subject: 'Hola', text: 'Cuerpo' });
+
+      const content = JSON.parse(await fs.readFile(path.join(outboxDir, `${id}.json`), 'utf8'));
+      expect(content).toEqual(expect.objectContaining({ to: 'a@b.com', subject: 'Hola', text: 'Cuerpo' }));
+      expect(content.sentAt).toBeDefined();
+    });
+  });
+});
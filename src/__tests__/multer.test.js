@@ -1,6 +1,7 @@
 import express from 'express';
 import request from 'supertest';
 import upload, { checkFileType } from '../config/multer.js';
+import { handleUploadErrors } from '../middlewares/upload.middleware.js';
 
 describe('Multer Configuration', () => {
   beforeEach(() => {
@@ -13,109 +14,67 @@ describe('Multer Configuration', () => {
   });
 
   describe('File Type Validation', () => {
-    it('should accept valid image file types (jpeg)', (done) => {
-      const file = {
-        originalname: 'test-image.jpeg',
-        mimetype: 'image/jpeg',
-      };
-
-      checkFileType(file, (error, result) => {
-        expect(error).toBeNull();
-        expect(result).toBe(true);
-        done();
-      });
-    });
-
-    it('should accept valid image file types (jpg)', (done) => {
-      const file = {
-        originalname: 'photo.jpg',
-        mimetype: 'image/jpeg',
-      };
+    const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+    const HEIC = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from('ftypheic\0\0\0\0mif1heic', 'latin1')]);
 
-      checkFileType(file, (error, result) => {
-        expect(error).toBeNull();
-        expect(result).toBe(true);
-        done();
-      });
-    });
-
-    it('should accept valid image file types (png)', (done) => {
+    it('should accept images by their content and return the detected type', (done) => {
       const file = {
         originalname: 'screenshot.png',
         mimetype: 'image/png',
+        buffer: PNG,
       };
 
       checkFileType(file, (error, result) => {
         expect(error).toBeNull();
-        expect(result).toBe(true);
+        expect(result).toEqual({ format: 'png', extension: 'png', mimetype: 'image/png' });
         done();
       });
     });
 
-    it('should accept valid image file types (gif)', (done) => {
+    it('should accept HEIC photos sent without an image mimetype', (done) => {
       const file = {
-        originalname: 'animation.gif',
-        mimetype: 'image/gif',
+        originalname: 'IMG_0001.HEIC',
+        mimetype: 'application/octet-stream',
+        buffer: HEIC,
       };
 
       checkFileType(file, (error, result) => {
         expect(error).toBeNull();
-        expect(result).toBe(true);
+        expect(result.format).toBe('heic');
         done();
       });
     });
 
-    it('should reject non-image file types (pdf)', (done) => {
+    it('should reject non-image files (pdf)', (done) => {
       const file = {
         originalname: 'document.pdf',
         mimetype: 'application/pdf',
+        buffer: Buffer.from('%PDF-1.7'),
       };
 
       checkFileType(file, (error, result) => {
-        expect(error).toBe('Error: Images Only!');
-        expect(result).toBeUndefined();
-        done();
-      });
-    });
-
-    it('should reject non-image file types (txt)', (done) => {
-      const file = {
-        originalname: 'notes.txt',
-        mimetype: 'text/plain',
-      };
-
-      checkFileType(file, (error, result) => {
-        expect(error).toBe('Error: Images Only!');
+        expect(error).toEqual(expect.objectContaining({
+          name: 'InvalidImageError',
+          message: 'Only JPEG, PNG, GIF, WebP, HEIC/HEIF and AVIF images are allowed',
+        }));
         expect(result).toBeUndefined();
         done();
       });
     });
 
-    it('should reject files with invalid extension even if mimetype is valid', (done) => {
+    it('should reject files that only claim to be images', (done) => {
       const file = {
-        originalname: 'fake.exe',
+        originalname: 'fake.jpg',
         mimetype: 'image/jpeg',
+        buffer: Buffer.from('MZ executable'),
       };
 
       checkFileType(file, (error, result) => {
-        expect(error).toBe('Error: Images Only!');
+        expect(error.name).toBe('InvalidImageError');
         expect(result).toBeUndefined();
         done();
       });
     });
-
-    it('should be case insensitive for file extensions', (done) => {
-      const file = {
-        originalname: 'IMAGE.JPEG',
-        mimetype: 'image/jpeg',
-      };
-
-      checkFileType(file, (error, result) => {
-        expect(error).toBeNull();
-        expect(result).toBe(true);
-        done();
-      });
-    });
   });
 
   describe('Storage Configuration', () => {
@@ -133,18 +92,50 @@ describe('Multer Configuration', () => {
     });
   });
 
-  describe('FileFilter Integration', () => {
-    it('should invoke fileFilter when a file is uploaded through multer middleware', async () => {
+  describe('Upload Integration', () => {
+    const createTestApp = () => {
       const testApp = express();
       testApp.post('/test', upload.single('image'), (req, res) => {
-        res.status(200).json({ success: true });
+        res.status(200).json({ mimetype: req.file.mimetype });
       });
+      testApp.use(handleUploadErrors);
+      return testApp;
+    };
 
-      const response = await request(testApp)
+    it('should store the detected mimetype instead of the declared one', async () => {
+      const response = await request(createTestApp())
         .post('/test')
-        .attach('image', Buffer.from('fake image data'), { filename: 'test.jpg', contentType: 'image/jpeg' });
+        .attach('image', Buffer.from([0xff, 0xd8, 0xff, 0xe0]), { filename: 'photo.bin', contentType: 'application/octet-stream' });
 
       expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({ mimetype: 'image/jpeg' });
+    });
+
+    it('should answer 400 with JSON for files that are not images', async () => {
+      const response = await request(createTestApp())
+        .post('/test')
+        .attach('image', Buffer.from('fake image data'), { filename: 'test.jpg', contentType: 'image/jpeg' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body).toEqual({ message: 'Only JPEG, PNG, GIF, WebP, HEIC/HEIF and AVIF images are allowed' });
+    });
+
+    it('should answer 413 with JSON for files over the size limit', async () => {
+      const response = await request(createTestApp())
+        .post('/test')
+        .attach('image', Buffer.alloc(10000001), { filename: 'huge.jpg', contentType: 'image/jpeg' });
+
+      expect(response.statusCode).toBe(413);
+      expect(response.body).toEqual({ message: 'Images must be 10 MB or smaller' });
+    });
+
+    it('should answer 400 with JSON for unexpected fields', async () => {
+      const response = await request(createTestApp())
+        .post('/test')
+        .attach('photo', Buffer.from([0xff, 0xd8, 0xff, 0xe0]), { filename: 'photo.jpg' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body).toEqual({ message: 'Unexpected field' });
     });
   });
 
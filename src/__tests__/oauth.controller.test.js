@@ -0,0 +1,631 @@
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import User from '../models/user.model.js';
+import Account from '../models/account.model.js';
+import Session from '../models/session.model.js';
+import VerificationToken from '../models/verificationToken.model.js';
+import OAuthLinkFlow from '../models/oauthLinkFlow.model.js';
+import { createOidcProvider, setOAuthProviders } from '../config/oauthProviders.js';
+
+jest.mock('../models/user.model.js');
+jest.mock('../models/account.model.js');
+jest.mock('../models/session.model.js');
+jest.mock('../models/verificationToken.model.js');
+jest.mock('../models/oauthLinkFlow.model.js');
+
+/**
+ * Proveedor de identidad simulado (OIDC mínimo) que corre en un puerto local.
+ * issueCode() hace de "usuario que acepta el consentimiento"; /token valida
+ * el PKCE igual que un IdP real, así el flujo se prueba de punta a punta.
+ */
+const createMockIdp = () => {
+  const codes = new Map();
+  const accessTokens = new Map();
+  const idp = express();
+  idp.use(express.urlencoded({ extended: false }));
+
+  idp.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier ?? '').digest('base64url');
+    if (
+      !grant
+      || req.body.grant_type !== 'authorization_code'
+      || req.body.client_id !== 'ropabase'
+      || req.body.redirect_uri !== grant.redirectUri
+      || challenge !== grant.codeChallenge
+    ) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.claims);
+    return res.json({ access_token: accessToken, token_type: 'Bearer' });
+  });
+
+  idp.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get(req.get('authorization')?.replace('Bearer ', ''));
+    return claims ? res.json(claims) : res.status(401).end();
+  });
+
+  return {
+    app: idp,
+    issueCode: ({ codeChallenge, redirectUri }, claims) => {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { codeChallenge, redirectUri, claims });
+      return code;
+    },
+  };
+};
+
+const mockIdp = createMockIdp();
+let idpServer;
+
+const googleLikeClaims = {
+  sub: 'idp-user-1',
+  email: 'Ana@Example.com',
+  email_verified: true,
+  name: 'Ana',
+  picture: 'http://idp.example/ana.png',
+};
+
+// Sigue la redirección inicial y devuelve lo que el navegador guardaría
+// (oauthState en el login, oauthLink en la vinculación).
+const beginFlow = async (response) => {
+  const location = new URL(response.body.authorizationUrl ?? response.headers.location);
+  const cookie = response.headers['set-cookie']
+    ?.find((c) => c.startsWith('oauthState=') || c.startsWith('oauthLink='))?.split(';')[0];
+  return {
+    location,
+    cookie,
+    state: location.searchParams.get('state'),
+    codeChallenge: location.searchParams.get('code_challenge'),
+    redirectUri: location.searchParams.get('redirect_uri'),
+  };
+};
+
+const startLogin = async () => beginFlow(await request(app).get('/api/auth/oauth/mockidp'));
+
+const callback = (flow, { code, state = flow.state, cookie = flow.cookie } = {}) => {
+  const params = new URLSearchParams({ state });
+  if (code) params.set('code', code);
+  const req = request(app).get(`/api/auth/oauth/mockidp/callback?${params}`);
+  return cookie ? req.set('Cookie', cookie) : req;
+};
+
+const frontendParams = (response) => {
+  const location = new URL(response.headers.location);
+  expect(`${location.origin}${location.pathname}`).toBe('http://localhost:3002/auth/callback');
+  return Object.fromEntries(location.searchParams);
+};
+
+describe('OAuth Controller', () => {
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+    // supertest levanta cada petición en un puerto distinto: la redirect_uri
+    // debe ser fija para que coincida entre el inicio y el callback.
+    process.env.OAUTH_REDIRECT_BASE_URL = 'http://localhost:3000';
+
+    await new Promise((resolve) => {
+      idpServer = mockIdp.app.listen(0, '127.0.0.1', resolve);
+    });
+    const base = `http://127.0.0.1:${idpServer.address().port}`;
+    setOAuthProviders([createOidcProvider({
+      id: 'mockidp',
+      clientId: 'ropabase',
+      clientSecret: 'mock-secret',
+      authorizationUrl: `${base}/authorize`,
+      tokenUrl: `${base}/token`,
+      userInfoUrl: `${base}/userinfo`,
+    })]);
+  });
+
+  afterAll(async () => {
+    setOAuthProviders(null);
+    delete process.env.OAUTH_REDIRECT_BASE_URL;
+    await new Promise((resolve) => idpServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    // resetAllMocks (no clear): los mockResolvedValue de un test no deben
+    // cambiar qué rama del callback recorre el siguiente.
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('GET /api/auth/oauth/:provider', () => {
+    it('should redirect to the provider with PKCE S256 and set a signed state cookie', async () => {
+      const response = await request(app).get('/api/auth/oauth/mockidp');
+
+      expect(response.statusCode).toBe(302);
+      const flow = await beginFlow(response);
+      expect(flow.location.pathname).toBe('/authorize');
+      expect(Object.fromEntries(flow.location.searchParams)).toEqual(expect.objectContaining({
+        response_type: 'code',
+        client_id: 'ropabase',
+        redirect_uri: 'http://localhost:3000/api/auth/oauth/mockidp/callback',
+        scope: 'openid email profile',
+        code_challenge_method: 'S256',
+      }));
+      expect(flow.codeChallenge).toMatch(/^[\w-]{43}$/);
+      expect(response.headers['set-cookie'][0]).toMatch(/HttpOnly/);
+      expect(response.headers['set-cookie'][0]).toMatch(/Path=\/api\/auth\/oauth/);
+    });
+
+    it('should return 404 for an unknown provider', async () => {
+      const response = await request(app).get('/api/auth/oauth/unknown');
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body).toEqual({ message: 'Unknown OAuth provider' });
+    });
+  });
+
+  describe('GET /api/auth/oauth/:provider/callback (login)', () => {
+    it('should create the user and account, start a session and set the auth cookies', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      User.findOne.mockResolvedValue(null);
+      User.create.mockResolvedValue({ _id: 'newUserId', email: 'ana@example.com' });
+
+      const response = await callback(flow, { code });
+
+      expect(response.statusCode).toBe(302);
+      expect(frontendParams(response)).toEqual({ status: 'success' });
+      expect(User.create).toHaveBeenCalledWith({
+        email: 'ana@example.com',
+        name: 'Ana',
+        image: 'http://idp.example/ana.png',
+        emailVerified: expect.any(Date),
+      });
+      expect(Account.create).toHaveBeenCalledWith({
+        user: 'newUserId',
+        provider: 'mockidp',
+        providerAccountId: 'idp-user-1',
+        email: 'ana@example.com',
+      });
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'newUserId' }));
+      const cookies = response.headers['set-cookie'].join(';');
+      expect(cookies).toMatch(/accessToken=[^;]+/);
+      expect(cookies).toMatch(/refreshToken=[^;]+/);
+      // La cookie de estado es de un solo uso
+      expect(cookies).toMatch(/oauthState=;/);
+    });
+
+    it('should log in a user that already linked the provider', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      Account.findOne.mockResolvedValue({ _id: 'accountId', user: 'existingUserId' });
+      User.findById.mockResolvedValue({ _id: 'existingUserId', email: 'ana@example.com' });
+
+      const response = await callback(flow, { code });
+
+      expect(Account.findOne).toHaveBeenCalledWith({ provider: 'mockidp', providerAccountId: 'idp-user-1' });
+      expect(User.create).not.toHaveBeenCalled();
+      expect(Account.create).not.toHaveBeenCalled();
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'existingUserId' }));
+      expect(frontendParams(response)).toEqual({ status: 'success' });
+    });
+
+    it('should link to an existing verified user by email when the provider verified it', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      User.findOne.mockResolvedValue({ _id: 'existingUserId', email: 'ana@example.com', emailVerified: new Date() });
+
+      const response = await callback(flow, { code });
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'ana@example.com' });
+      // Cuenta ya verificada: conserva su contraseña y sus sesiones.
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(Session.deleteMany).not.toHaveBeenCalled();
+      expect(Account.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'existingUserId' }));
+      expect(frontendParams(response)).toEqual({ status: 'success' });
+    });
+
+    it('should revoke the previous access of an unverified account before linking it', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      User.findOne.mockResolvedValue({
+        _id: 'existingUserId', email: 'ana@example.com', password: 'attackerHash', twoFactor: { enabled: true },
+      });
+      User.findByIdAndUpdate.mockResolvedValue({ _id: 'existingUserId', email: 'ana@example.com' });
+
+      const response = await callback(flow, { code });
+
+      // Quien registró el email sin verificarlo pierde contraseña, 2FA, sesiones, tokens y proveedores.
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        'existingUserId',
+        { emailVerified: expect.any(Date), $unset: { password: 1, twoFactor: 1 } },
+        { new: true }
+      );
+      expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'existingUserId' });
+      expect(VerificationToken.deleteMany).toHaveBeenCalledWith({ user: 'existingUserId' });
+      expect(Account.deleteMany).toHaveBeenCalledWith({ user: 'existingUserId' });
+      expect(Account.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'existingUserId' }));
+      // Sin el 2FA del registro anterior: entra directamente con el proveedor.
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'existingUserId' }));
+      expect(frontendParams(response)).toEqual({ status: 'success' });
+    });
+
+    it('should refuse to take over an existing account with an unverified provider email', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, { ...googleLikeClaims, email_verified: false });
+      User.findOne.mockResolvedValue({ _id: 'existingUserId', email: 'ana@example.com' });
+
+      const response = await callback(flow, { code });
+
+      expect(Account.create).not.toHaveBeenCalled();
+      expect(Session.create).not.toHaveBeenCalled();
+      expect(frontendParams(response)).toEqual({ error: 'account_exists' });
+    });
+
+    it('should require an email from the provider to create a user', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, { sub: 'idp-user-2' });
+
+      const response = await callback(flow, { code });
+
+      expect(User.create).not.toHaveBeenCalled();
+      expect(frontendParams(response)).toEqual({ error: 'email_required' });
+    });
+
+    it('should drop an orphan account link and create the user again', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      Account.findOne.mockResolvedValue({ _id: 'orphanAccountId', user: 'deletedUserId' });
+      User.findById.mockResolvedValue(null);
+      User.findOne.mockResolvedValue(null);
+      User.create.mockResolvedValue({ _id: 'newUserId' });
+
+      const response = await callback(flow, { code });
+
+      expect(Account.deleteOne).toHaveBeenCalledWith({ _id: 'orphanAccountId' });
+      expect(Account.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'newUserId' }));
+      expect(frontendParams(response)).toEqual({ status: 'success' });
+    });
+
+    it('should hand over an mfa pending token when the user has 2FA enabled', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      Account.findOne.mockResolvedValue({ _id: 'accountId', user: 'existingUserId' });
+      User.findById.mockResolvedValue({ _id: 'existingUserId', twoFactor: { enabled: true } });
+
+      const response = await callback(flow, { code });
+
+      const { mfaToken } = frontendParams(response);
+      expect(jwt.verify(mfaToken, process.env.JWT_SECRET)).toEqual(expect.objectContaining({
+        userId: 'existingUserId',
+        purpose: 'mfa',
+      }));
+      expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a callback whose state does not match the cookie', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+
+      const response = await callback(flow, { code, state: 'forged-state' });
+
+      expect(frontendParams(response)).toEqual({ error: 'invalid_state' });
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject a callback without the state cookie', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+
+      const response = await callback(flow, { code, cookie: null });
+
+      expect(frontendParams(response)).toEqual({ error: 'invalid_state' });
+    });
+
+    it('should reject a tampered state cookie', async () => {
+      const flow = await startLogin();
+      const forged = jwt.sign({ state: flow.state, codeVerifier: 'x', provider: 'mockidp', purpose: 'oauth_state' }, 'wrong-secret');
+
+      const response = await callback(flow, { code: 'any', cookie: `oauthState=${forged}` });
+
+      expect(frontendParams(response)).toEqual({ error: 'invalid_state' });
+    });
+
+    it('should reject a callback without code', async () => {
+      const flow = await startLogin();
+
+      const response = await callback(flow);
+
+      expect(frontendParams(response)).toEqual({ error: 'invalid_state' });
+    });
+
+    it('should fail when the code was issued for another PKCE challenge', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode({ ...flow, codeChallenge: 'another-challenge' }, googleLikeClaims);
+
+      const response = await callback(flow, { code });
+
+      expect(frontendParams(response)).toEqual({ error: 'oauth_failed' });
+      expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    it('should forward access_denied when the user cancels at the provider', async () => {
+      const flow = await startLogin();
+
+      const response = await request(app)
+        .get(`/api/auth/oauth/mockidp/callback?error=access_denied&state=${flow.state}`)
+        .set('Cookie', flow.cookie);
+
+      expect(frontendParams(response)).toEqual({ error: 'access_denied' });
+    });
+
+    it('should not reflect arbitrary provider errors', async () => {
+      const flow = await startLogin();
+
+      const response = await request(app)
+        .get(`/api/auth/oauth/mockidp/callback?error=${encodeURIComponent('<script>')}&state=${flow.state}`)
+        .set('Cookie', flow.cookie);
+
+      expect(frontendParams(response)).toEqual({ error: 'oauth_failed' });
+    });
+
+    it('should redirect with server_error on database errors', async () => {
+      const flow = await startLogin();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      Account.findOne.mockRejectedValue(new Error('DB error'));
+
+      const response = await callback(flow, { code });
+
+      expect(frontendParams(response)).toEqual({ error: 'server_error' });
+    });
+  });
+
+  describe('linking providers', () => {
+    const bearer = () => `Bearer ${jwt.sign({ userId: 'currentUserId', sessionId: 's1' }, process.env.JWT_SECRET)}`;
+
+    const startLink = async () =>
+      beginFlow(await request(app).post('/api/auth/oauth/mockidp/link').set('Authorization', bearer()));
+
+    // OAuthLinkFlow en memoria: create guarda, findOneAndDelete busca por hash del state y expiración.
+    const linkFlows = new Map();
+
+    beforeEach(() => {
+      linkFlows.clear();
+      OAuthLinkFlow.create.mockImplementation(async (doc) => {
+        linkFlows.set(doc.state, doc);
+        return doc;
+      });
+      OAuthLinkFlow.findOneAndDelete.mockImplementation(async ({ state, expires }) => {
+        const doc = linkFlows.get(state);
+        linkFlows.delete(state);
+        return doc && doc.expires > expires.$gt ? doc : null;
+      });
+    });
+
+    it('should keep the link flow on the server and bind it to the browser with a cookie', async () => {
+      const response = await request(app).post('/api/auth/oauth/mockidp/link').set('Authorization', bearer());
+      const flow = await beginFlow(response);
+
+      expect(response.statusCode).toBe(200);
+      expect(flow.cookie).toMatch(/^oauthLink=/);
+      // La cookie no lleva el state en claro, solo su hash firmado.
+      expect(flow.cookie).not.toContain(flow.state);
+      expect(OAuthLinkFlow.create).toHaveBeenCalledWith({
+        // Solo el hash del state: un volcado de la DB no permite completar el flujo.
+        state: crypto.createHash('sha256').update(flow.state).digest('hex'),
+        codeVerifier: expect.any(String),
+        provider: 'mockidp',
+        user: 'currentUserId',
+        expires: expect.any(Date),
+      });
+    });
+
+    it('should return 500 when the link flow cannot be saved', async () => {
+      OAuthLinkFlow.create.mockRejectedValue(new Error('DB error'));
+
+      const response = await request(app).post('/api/auth/oauth/mockidp/link').set('Authorization', bearer());
+
+      expect(response.statusCode).toBe(500);
+    });
+
+    it('should require authentication to start linking', async () => {
+      const response = await request(app).post('/api/auth/oauth/mockidp/link');
+
+      expect(response.statusCode).toBe(401);
+    });
+
+    it('should return 404 for an unknown provider', async () => {
+      const response = await request(app).post('/api/auth/oauth/unknown/link').set('Authorization', bearer());
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    it('should link the provider identity to the current user', async () => {
+      const flow = await startLink();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+
+      const response = await callback(flow, { code });
+
+      expect(Account.create).toHaveBeenCalledWith({
+        user: 'currentUserId',
+        provider: 'mockidp',
+        providerAccountId: 'idp-user-1',
+        email: 'ana@example.com',
+      });
+      // Vincular no crea una sesión nueva
+      expect(Session.create).not.toHaveBeenCalled();
+      expect(frontendParams(response)).toEqual({ linked: 'mockidp' });
+    });
+
+    it('should not link when the callback arrives without the cookie of the browser that started it', async () => {
+      // Quien inicia la vinculación envía la URL de autorización a otra persona.
+      const flow = await startLink();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+
+      const response = await callback(flow, { code, cookie: null });
+
+      expect(Account.create).not.toHaveBeenCalled();
+      expect(OAuthLinkFlow.findOneAndDelete).not.toHaveBeenCalled();
+      expect(frontendParams(response)).toEqual({ error: 'invalid_state' });
+    });
+
+    it('should not link with the cookie of another link flow', async () => {
+      const victimFlow = await startLink();
+      const attackerFlow = await startLink();
+
+      const response = await callback(attackerFlow, {
+        code: mockIdp.issueCode(attackerFlow, googleLikeClaims),
+        cookie: victimFlow.cookie,
+      });
+
+      expect(Account.create).not.toHaveBeenCalled();
+      expect(frontendParams(response)).toEqual({ error: 'invalid_state' });
+    });
+
+    it('should accept each link state only once', async () => {
+      const flow = await startLink();
+      await callback(flow, { code: mockIdp.issueCode(flow, googleLikeClaims) });
+
+      const response = await callback(flow, { code: mockIdp.issueCode(flow, googleLikeClaims) });
+
+      expect(Account.create).toHaveBeenCalledTimes(1);
+      expect(frontendParams(response)).toEqual({ error: 'invalid_state' });
+    });
+
+    it('should reject an expired link flow', async () => {
+      const flow = await startLink();
+      linkFlows.forEach((doc) => { doc.expires = new Date(Date.now() - 1000); });
+
+      const response = await callback(flow, { code: mockIdp.issueCode(flow, googleLikeClaims) });
+
+      expect(Account.create).not.toHaveBeenCalled();
+      expect(frontendParams(response)).toEqual({ error: 'invalid_state' });
+    });
+
+    it('should redirect with server_error when the link flow cannot be read', async () => {
+      const flow = await startLink();
+      OAuthLinkFlow.findOneAndDelete.mockRejectedValue(new Error('DB error'));
+
+      const response = await callback(flow, { code: mockIdp.issueCode(flow, googleLikeClaims) });
+
+      expect(frontendParams(response)).toEqual({ error: 'server_error' });
+    });
+
+    it('should treat re-linking the same identity as a no-op', async () => {
+      const flow = await startLink();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      Account.findOne.mockResolvedValueOnce({ _id: 'accountId', user: 'currentUserId' });
+
+      const response = await callback(flow, { code });
+
+      expect(Account.create).not.toHaveBeenCalled();
+      expect(frontendParams(response)).toEqual({ linked: 'mockidp' });
+    });
+
+    it('should refuse an identity already linked to another user', async () => {
+      const flow = await startLink();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      Account.findOne.mockResolvedValueOnce({ _id: 'accountId', user: 'someoneElse' });
+
+      const response = await callback(flow, { code });
+
+      expect(Account.create).not.toHaveBeenCalled();
+      expect(frontendParams(response)).toEqual({ error: 'account_linked_elsewhere' });
+    });
+
+    it('should refuse a second identity of the same provider', async () => {
+      const flow = await startLink();
+      const code = mockIdp.issueCode(flow, googleLikeClaims);
+      Account.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: 'otherAccountId', user: 'currentUserId' });
+
+      const response = await callback(flow, { code });
+
+      expect(Account.create).not.toHaveBeenCalled();
+      expect(frontendParams(response)).toEqual({ error: 'provider_already_linked' });
+    });
+  });
+
+  describe('linked accounts', () => {
+    const bearer = () => `Bearer ${jwt.sign({ userId: 'currentUserId', sessionId: 's1' }, process.env.JWT_SECRET)}`;
+
+    it('GET /api/auth/accounts - should list the linked providers', async () => {
+      const createdAt = new Date('2026-01-01');
+      const sort = jest.fn().mockResolvedValue([
+        { _id: 'accountId', provider: 'mockidp', providerAccountId: 'idp-user-1', email: 'ana@example.com', createdAt },
+      ]);
+      Account.find.mockReturnValue({ sort });
+
+      const response = await request(app).get('/api/auth/accounts').set('Authorization', bearer());
+
+      expect(Account.find).toHaveBeenCalledWith({ user: 'currentUserId' });
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual([
+        { id: 'accountId', provider: 'mockidp', email: 'ana@example.com', createdAt: createdAt.toISOString() },
+      ]);
+    });
+
+    it('GET /api/auth/accounts - should return 500 on database error', async () => {
+      Account.find.mockReturnValue({ sort: jest.fn().mockRejectedValue(new Error('DB error')) });
+
+      const response = await request(app).get('/api/auth/accounts').set('Authorization', bearer());
+
+      expect(response.statusCode).toBe(500);
+    });
+
+    it('DELETE /api/auth/accounts/:provider - should unlink when the user has a password', async () => {
+      Account.findOne.mockResolvedValue({ _id: 'accountId' });
+      User.findById.mockResolvedValue({ _id: 'currentUserId', password: 'hashed' });
+      Account.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app).delete('/api/auth/accounts/mockidp').set('Authorization', bearer());
+
+      expect(Account.findOne).toHaveBeenCalledWith({ user: 'currentUserId', provider: 'mockidp' });
+      expect(Account.deleteOne).toHaveBeenCalledWith({ _id: 'accountId' });
+      expect(response.statusCode).toBe(204);
+    });
+
+    it('DELETE /api/auth/accounts/:provider - should unlink when another provider remains', async () => {
+      Account.findOne.mockResolvedValue({ _id: 'accountId' });
+      User.findById.mockResolvedValue({ _id: 'currentUserId' });
+      Account.countDocuments.mockResolvedValue(2);
+
+      const response = await request(app).delete('/api/auth/accounts/mockidp').set('Authorization', bearer());
+
+      expect(response.statusCode).toBe(204);
+    });
+
+    it('DELETE /api/auth/accounts/:provider - should refuse to remove the only sign-in method', async () => {
+      Account.findOne.mockResolvedValue({ _id: 'accountId' });
+      User.findById.mockResolvedValue({ _id: 'currentUserId' });
+      Account.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app).delete('/api/auth/accounts/mockidp').set('Authorization', bearer());
+
+      expect(Account.deleteOne).not.toHaveBeenCalled();
+      expect(response.statusCode).toBe(409);
+      expect(response.body).toEqual({ message: 'Cannot unlink the only sign-in method' });
+    });
+
+    it('DELETE /api/auth/accounts/:provider - should return 404 if the provider is not linked', async () => {
+      Account.findOne.mockResolvedValue(null);
+
+      const response = await request(app).delete('/api/auth/accounts/mockidp').set('Authorization', bearer());
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body).toEqual({ message: 'Linked account not found' });
+    });
+
+    it('DELETE /api/auth/accounts/:provider - should return 500 on database error', async () => {
+      Account.findOne.mockRejectedValue(new Error('DB error'));
+
+      const response = await request(app).delete('/api/auth/accounts/mockidp').set('Authorization', bearer());
+
+      expect(response.statusCode).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import {
+  createOidcProvider,
+  loadOAuthProvidersFromEnv,
+  setOAuthProviders,
+  getOAuthProvider,
+} from '../config/oauthProviders.js';
+
+describe('OAuth Providers', () => {
+  const provider = createOidcProvider({
+    id: 'acme',
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    authorizationUrl: 'https://idp.acme.test/authorize',
+    tokenUrl: 'https://idp.acme.test/token',
+    userInfoUrl: 'https://idp.acme.test/userinfo',
+  });
+
+  beforeEach(() => {
+    jest.spyOn(global, 'fetch').mockImplementation(() => {
+      throw new Error('fetch not mocked');
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockRestore();
+    setOAuthProviders(null);
+    delete process.env.OAUTH_PROVIDERS;
+    delete process.env.OAUTH_GOOGLE_CLIENT_ID;
+  });
+
+  it('should build the authorization URL with PKCE parameters', () => {
+    const url = new URL(provider.getAuthorizationUrl({
+      state: 'state123',
+      codeChallenge: 'challenge123',
+      redirectUri: 'https://api.test/api/auth/oauth/acme/callback',
+    }));
+
+    expect(url.origin + url.pathname).toBe('https://idp.acme.test/authorize');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: 'code',
+      client_id: 'client-id',
+      redirect_uri: 'https://api.test/api/auth/oauth/acme/callback',
+      scope: 'openid email profile',
+      state: 'state123',
+      code_challenge: 'challenge123',
+      code_challenge_method: 'S256',
+    });
+  });
+
+  it('should exchange the code sending the code_verifier', async () => {
+    fetch.mockResolvedValue({ ok: true, json: async () => ({ access_token: 'at' }) });
+
+    const tokens = await provider.exchangeCode({ code: 'code123', codeVerifier: 'verifier123', redirectUri: 'https://api.test/cb' });
+
+    expect(tokens).toEqual({ access_token: 'at' });
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://idp.acme.test/token');
+    expect(options.method).toBe('POST');
+    expect(Object.fromEntries(options.body)).toEqual(expect.objectContaining({
+      grant_type: 'authorization_code',
+      code: 'code123',
+      code_verifier: 'verifier123',
+      client_secret: 'client-secret',
+    }));
+  });
+
+  it('should throw when the token endpoint rejects the code', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 400 });
+
+    await expect(provider.exchangeCode({ code: 'bad', codeVerifier: 'v', redirectUri: 'r' }))
+      .rejects.toThrow('Token exchange failed with status 400');
+  });
+
+  it('should map the standard OIDC claims to the profile', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ sub: 12345, email: 'Ana@Acme.test', email_verified: 'true', name: 'Ana', picture: 'http://pic' }),
+    });
+
+    const profile = await provider.getProfile({ access_token: 'at' });
+
+    expect(fetch).toHaveBeenCalledWith('https://idp.acme.test/userinfo', {
+      headers: { Authorization: 'Bearer at', Accept: 'application/json' },
+    });
+    expect(profile).toEqual({
+      providerAccountId: '12345',
+      email: 'ana@acme.test',
+      emailVerified: true,
+      name: 'Ana',
+      image: 'http://pic',
+    });
+  });
+
+  it('should throw when the userinfo request fails', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 401 });
+
+    await expect(provider.getProfile({ access_token: 'expired' }))
+      .rejects.toThrow('Userinfo request failed with status 401');
+  });
+
+  it('should load providers from the environment using presets when available', () => {
+    const providers = loadOAuthProvidersFromEnv({
+      OAUTH_PROVIDERS: ' Google , keycloak ,',
+      OAUTH_GOOGLE_CLIENT_ID: 'google-client',
+      OAUTH_KEYCLOAK_CLIENT_ID: 'kc-client',
+      OAUTH_KEYCLOAK_AUTHORIZATION_URL: 'https://kc.test/auth',
+      OAUTH_KEYCLOAK_TOKEN_URL: 'https://kc.test/token',
+      OAUTH_KEYCLOAK_USERINFO_URL: 'https://kc.test/userinfo',
+      OAUTH_KEYCLOAK_SCOPE: 'openid email',
+    });
+
+    expect(providers.map((p) => p.id)).toEqual(['google', 'keycloak']);
+    const googleUrl = new URL(providers[0].getAuthorizationUrl({ state: 's', codeChallenge: 'c', redirectUri: 'r' }));
+    expect(googleUrl.host).toBe('accounts.google.com');
+    expect(googleUrl.searchParams.get('client_id')).toBe('google-client');
+    const keycloakUrl = new URL(providers[1].getAuthorizationUrl({ state: 's', codeChallenge: 'c', redirectUri: 'r' }));
+    expect(keycloakUrl.host).toBe('kc.test');
+    expect(keycloakUrl.searchParams.get('scope')).toBe('openid email');
+  });
+
+  it('should return no providers when OAUTH_PROVIDERS is not set', () => {
+    expect(loadOAuthProvidersFromEnv({})).toEqual([]);
+  });
+
+  it('should lazily create the registry from the environment', () => {
+    process.env.OAUTH_PROVIDERS = 'google';
+    process.env.OAUTH_GOOGLE_CLIENT_ID = 'google-client';
+
+    expect(getOAuthProvider('google')).toEqual(expect.objectContaining({ id: 'google' }));
+    expect(getOAuthProvider('github')).toBeUndefined();
+  });
+
+  it('should use the providers set explicitly', () => {
+    setOAuthProviders([provider]);
+
+    expect(getOAuthProvider('acme')).toBe(provider);
+  });
+});
@@ -0,0 +1,523 @@
+import {
+  getOutfits,
+  getOutfit,
+  createOutfit,
+  updateOutfit,
+  deleteOutfit,
+} from '../controllers/outfit.controller.js';
+import Outfit from '../models/outfit.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import cloudinary from '../config/cloudinary.js';
+import { processImage } from '../helpers/imageProcessing.helpers.js';
+
+jest.mock('../models/outfit.model.js');
+jest.mock('../models/clothing.model.js');
+jest.mock('../models/calendarEntry.model.js');
+jest.mock('../config/cloudinary.js', () => ({
+  uploader: {
+    upload_stream: jest.fn(),
+    destroy: jest.fn(),
+  },
+}));
+jest.mock('../helpers/imageProcessing.helpers.js');
+
+describe('Outfit Controller', () => {
+  let req, res;
+  const userId = '64b0000000000000000000aa';
+  const outfitId = '64b0000000000000000000dd';
+  const itemA = '64b0000000000000000000b1';
+  const itemB = '64b0000000000000000000b2';
+
+  const ownOutfit = (extra = {}) => ({ _id: outfitId, owner: { toString: () => userId }, ...extra });
+
+  // Outfit.findById(...) se usa con y sin .populate(): la promesa lleva el método encadenable.
+  const mockFindById = (outfit) => {
+    Outfit.findById.mockImplementation(() => {
+      const query = Promise.resolve(outfit);
+      query.populate = jest.fn().mockResolvedValue(outfit);
+      return query;
+    });
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    cloudinary.uploader.upload_stream.mockImplementation((options, callback) => {
+      callback(null, { secure_url: 'http://mock.cloudinary.com/outfit.jpg', public_id: 'outfit_public_id' });
+      return { end: jest.fn() };
+    });
+    // Las portadas de prueba no son fotos reales: se suben sin procesar.
+    processImage.mockImplementation(async (buffer) => buffer);
+
+    req = { body: {}, params: {}, query: {}, user: { userId }, file: undefined };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+  });
+
+  describe('getOutfits', () => {
+    const mockFindQuery = (outfits, total = outfits.length) => {
+      const populate = jest.fn().mockResolvedValue(outfits);
+      const limit = jest.fn().mockReturnValue({ populate });
+      const sort = jest.fn().mockReturnValue({ limit });
+      Outfit.find.mockReturnValue({ sort });
+      Outfit.countDocuments.mockResolvedValue(total);
+      return { sort, limit, populate };
+    };
+
+    it('should list the outfits of the user, newest first, with item summaries', async () => {
+      const outfits = [{ _id: outfitId, name: 'Oficina' }];
+      const { sort, limit, populate } = mockFindQuery(outfits);
+
+      await getOutfits(req, res);
+
+      expect(Outfit.find).toHaveBeenCalledWith({ owner: userId });
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(limit).toHaveBeenCalledWith(21);
+      expect(populate).toHaveBeenCalledWith({
+        path: 'items',
+        select: 'name category color imageUrl',
+        match: { deletedAt: null },
+        options: { retainNullValues: true },
+      });
+      expect(res.json).toHaveBeenCalledWith({ items: outfits, nextCursor: null, total: 1 });
+    });
+
+    it('should apply the filters and ignore invalid values', async () => {
+      req.query = { occasion: 'party', season: 'monsoon', item: itemA, minRating: '4', incomplete: 'true' };
+      ClothingItem.distinct.mockResolvedValue([itemB]);
+      mockFindQuery([]);
+
+      await getOutfits(req, res);
+
+      expect(ClothingItem.distinct).toHaveBeenCalledWith('_id', { owner: userId, deletedAt: { $ne: null } });
+      // Incompletos: los marcados al borrar una prenda y los que tienen prendas en la papelera
+      expect(Outfit.find).toHaveBeenCalledWith({
+        owner: userId,
+        occasion: 'PARTY',
+        items: itemA,
+        rating: { $gte: 4 },
+        $or: [{ incomplete: true }, { items: { $in: [itemB] } }],
+      });
+    });
+
+    it('should leave outfits with trashed items out of the complete ones', async () => {
+      req.query = { incomplete: 'false' };
+      ClothingItem.distinct.mockResolvedValue([itemB]);
+      mockFindQuery([]);
+
+      await getOutfits(req, res);
+
+      expect(Outfit.find).toHaveBeenCalledWith({ owner: userId, incomplete: false, items: { $nin: [itemB] } });
+    });
+
+    it('should hide trashed items and flag the outfit as incomplete', async () => {
+      const outfits = [
+        { _id: outfitId, items: [{ _id: itemA }, null], incomplete: false },
+        { _id: '64b0000000000000000000ee', items: [{ _id: itemA }], incomplete: false },
+      ];
+      mockFindQuery(outfits);
+
+      await getOutfits(req, res);
+
+      const { items } = res.json.mock.calls[0][0];
+      expect(items[0]).toEqual({ _id: outfitId, items: [{ _id: itemA }], incomplete: true });
+      expect(items[1]).toEqual({ _id: '64b0000000000000000000ee', items: [{ _id: itemA }], incomplete: false });
+    });
+
+    it('should ignore a malformed item filter', async () => {
+      req.query = { item: 'nope', minRating: 'high' };
+      mockFindQuery([]);
+
+      await getOutfits(req, res);
+
+      expect(Outfit.find).toHaveBeenCalledWith({ owner: userId });
+    });
+
+    it('should page with a cursor on the requested sort', async () => {
+      req.query = { sort: '-rating', limit: '1' };
+      const { sort } = mockFindQuery([
+        { _id: outfitId, rating: 5 },
+        { _id: '64b0000000000000000000ee', rating: 4 },
+      ], 2);
+
+      await getOutfits(req, res);
+
+      expect(sort).toHaveBeenCalledWith({ rating: -1, _id: -1 });
+      const { nextCursor } = res.json.mock.calls[0][0];
+      expect(nextCursor).toEqual(expect.any(String));
+
+      req.query = { sort: '-rating', cursor: nextCursor };
+      mockFindQuery([]);
+
+      await getOutfits(req, res);
+
+      const [filters] = Outfit.find.mock.calls[1];
+      expect(filters.$and[0]).toEqual({ owner: userId });
+    });
+
+    it('should fall back to the default sort for unknown fields', async () => {
+      req.query = { sort: 'owner' };
+      const { sort } = mockFindQuery([]);
+
+      await getOutfits(req, res);
+
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      req.query = { cursor: 'garbage' };
+
+      await getOutfits(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Outfit.find).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      Outfit.find.mockImplementation(() => {
+        throw new Error('Database error');
+      });
+
+      await getOutfits(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getOutfit', () => {
+    it('should return the outfit with its items', async () => {
+      const outfit = ownOutfit({ name: 'Oficina' });
+      mockFindById(outfit);
+      req.params.id = outfitId;
+
+      await getOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(outfit);
+    });
+
+    it('should hide a trashed item until it is restored', async () => {
+      const wardrobe = { [itemA]: { _id: itemA, deletedAt: null }, [itemB]: { _id: itemB, deletedAt: null } };
+      // populate como MongoDB: las prendas que no cumplen match llegan como null.
+      Outfit.findById.mockImplementation(() => ({
+        populate: jest.fn(async ({ match }) => ownOutfit({
+          items: [itemA, itemB].map((id) => (wardrobe[id].deletedAt === match.deletedAt ? wardrobe[id] : null)),
+          incomplete: false,
+        })),
+      }));
+      req.params.id = outfitId;
+
+      wardrobe[itemB].deletedAt = new Date();
+      await getOutfit(req, res);
+
+      expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ items: [wardrobe[itemA]], incomplete: true }));
+
+      wardrobe[itemB].deletedAt = null;
+      await getOutfit(req, res);
+
+      expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({
+        items: [wardrobe[itemA], wardrobe[itemB]],
+        incomplete: false,
+      }));
+    });
+
+    it('should return 404 if the outfit does not exist', async () => {
+      mockFindById(null);
+
+      await getOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Outfit not found' });
+    });
+
+    it('should return 403 for outfits of other users', async () => {
+      mockFindById({ _id: outfitId, owner: { toString: () => 'otherUser' } });
+
+      await getOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not authorized to view this outfit' });
+    });
+
+    it('should handle malformed ids as not found', async () => {
+      Outfit.findById.mockImplementation(() => {
+        throw Object.assign(new Error('Cast to ObjectId failed'), { name: 'CastError' });
+      });
+
+      await getOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('createOutfit', () => {
+    beforeEach(() => {
+      req.body = { name: 'Oficina', items: [itemA, itemB], occasion: 'work' };
+      Outfit.create.mockImplementation(async (data) => ({ _id: outfitId, ...data }));
+    });
+
+    it('should create an outfit with items of the user', async () => {
+      ClothingItem.countDocuments.mockResolvedValue(2);
+
+      await createOutfit(req, res);
+
+      expect(ClothingItem.countDocuments).toHaveBeenCalledWith({ _id: { $in: [itemA, itemB] }, owner: userId, deletedAt: null });
+      expect(Outfit.create).toHaveBeenCalledWith({ name: 'Oficina', items: [itemA, itemB], occasion: 'WORK', owner: userId });
+      expect(cloudinary.uploader.upload_stream).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should upload the cover image', async () => {
+      ClothingItem.countDocuments.mockResolvedValue(2);
+      req.file = { buffer: Buffer.from('image') };
+
+      await createOutfit(req, res);
+
+      expect(Outfit.create).toHaveBeenCalledWith(expect.objectContaining({
+        coverImageUrl: 'http://mock.cloudinary.com/outfit.jpg',
+        coverImagePublicId: 'outfit_public_id',
+      }));
+    });
+
+    it('should delete the uploaded cover when the outfit cannot be created', async () => {
+      ClothingItem.countDocuments.mockResolvedValue(2);
+      Outfit.create.mockRejectedValue(Object.assign(new Error('Invalid outfit'), { name: 'ValidationError' }));
+      req.file = { buffer: Buffer.from('image') };
+
+      await createOutfit(req, res);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('outfit_public_id');
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 400 for invalid data', async () => {
+      req.body = { name: 'Oficina', items: [] };
+
+      await createOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'An outfit needs at least one item' });
+    });
+
+    it('should return 400 before uploading when an item is not owned by the user', async () => {
+      ClothingItem.countDocuments.mockResolvedValue(1);
+      req.file = { buffer: Buffer.from('image') };
+
+      await createOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Items must be clothing items of the user' });
+      expect(cloudinary.uploader.upload_stream).not.toHaveBeenCalled();
+      expect(Outfit.create).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      ClothingItem.countDocuments.mockRejectedValue(new Error('Database error'));
+
+      await createOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('updateOutfit', () => {
+    beforeEach(() => {
+      req.params.id = outfitId;
+      Outfit.findByIdAndUpdate.mockImplementation(async (id, data) => ({ _id: id, ...data }));
+    });
+
+    it('should update the given fields only', async () => {
+      mockFindById(ownOutfit());
+      req.body = { rating: 3 };
+
+      await updateOutfit(req, res);
+
+      expect(Outfit.findByIdAndUpdate).toHaveBeenCalledWith(outfitId, { rating: 3 }, { new: true, runValidators: true });
+      expect(ClothingItem.countDocuments).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should replace the items and clear the incomplete flag', async () => {
+      mockFindById(ownOutfit({ incomplete: true }));
+      ClothingItem.countDocuments.mockResolvedValue(1);
+      req.body = { items: itemB };
+
+      await updateOutfit(req, res);
+
+      expect(Outfit.findByIdAndUpdate).toHaveBeenCalledWith(
+        outfitId,
+        { items: [itemB], incomplete: false },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('should return 400 when the new items are not owned by the user', async () => {
+      mockFindById(ownOutfit());
+      ClothingItem.countDocuments.mockResolvedValue(0);
+      req.body = { items: [itemA] };
+
+      await updateOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Outfit.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid data', async () => {
+      mockFindById(ownOutfit());
+      req.body = { name: '' };
+
+      await updateOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Name is required' });
+    });
+
+    it('should replace the cover image and delete the old one', async () => {
+      mockFindById(ownOutfit({ coverImagePublicId: 'old_cover_id' }));
+      req.file = { buffer: Buffer.from('image') };
+
+      await updateOutfit(req, res);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('old_cover_id');
+      expect(Outfit.findByIdAndUpdate).toHaveBeenCalledWith(
+        outfitId,
+        { coverImageUrl: 'http://mock.cloudinary.com/outfit.jpg', coverImagePublicId: 'outfit_public_id' },
+        expect.any(Object)
+      );
+      // La portada anterior se borra después de guardar la nueva.
+      expect(cloudinary.uploader.destroy.mock.invocationCallOrder[0])
+        .toBeGreaterThan(Outfit.findByIdAndUpdate.mock.invocationCallOrder[0]);
+    });
+
+    it('should keep the old cover and delete the new one when the update fails', async () => {
+      mockFindById(ownOutfit({ coverImagePublicId: 'old_cover_id' }));
+      Outfit.findByIdAndUpdate.mockRejectedValue(new Error('Database error'));
+      req.file = { buffer: Buffer.from('image') };
+
+      await updateOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('outfit_public_id');
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalledWith('old_cover_id');
+    });
+
+    it('should keep the old cover when the new one cannot be uploaded', async () => {
+      mockFindById(ownOutfit({ coverImagePublicId: 'old_cover_id' }));
+      cloudinary.uploader.upload_stream.mockImplementation((options, callback) => {
+        callback(new Error('Storage down'));
+        return { end: jest.fn() };
+      });
+      req.file = { buffer: Buffer.from('image') };
+
+      await updateOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+      expect(Outfit.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should remove the cover image with removeCover', async () => {
+      mockFindById(ownOutfit({ coverImagePublicId: 'old_cover_id' }));
+      req.body = { removeCover: 'true' };
+
+      await updateOutfit(req, res);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('old_cover_id');
+      expect(Outfit.findByIdAndUpdate).toHaveBeenCalledWith(
+        outfitId,
+        { coverImageUrl: null, coverImagePublicId: null },
+        expect.any(Object)
+      );
+    });
+
+    it('should return 404 if the outfit does not exist', async () => {
+      mockFindById(null);
+
+      await updateOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 403 if the user is not the owner', async () => {
+      mockFindById({ _id: outfitId, owner: { toString: () => 'otherUser' } });
+      req.body = { name: 'Mío' };
+
+      await updateOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not authorized to update this outfit' });
+      expect(Outfit.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      mockFindById(ownOutfit());
+      Outfit.findByIdAndUpdate.mockRejectedValue(new Error('Database error'));
+
+      await updateOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteOutfit', () => {
+    beforeEach(() => {
+      req.params.id = outfitId;
+    });
+
+    it('should delete the outfit and its cover image', async () => {
+      mockFindById(ownOutfit({ coverImagePublicId: 'cover_id', items: [itemA, itemB] }));
+
+      await deleteOutfit(req, res);
+
+      expect(CalendarEntry.updateMany).toHaveBeenCalledWith(
+        { owner: userId, outfit: outfitId },
+        { $set: { outfit: null, items: [itemA, itemB] } }
+      );
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('cover_id');
+      expect(Outfit.findByIdAndDelete).toHaveBeenCalledWith(outfitId);
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should delete an outfit without cover image', async () => {
+      mockFindById(ownOutfit());
+
+      await deleteOutfit(req, res);
+
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should return 404 if the outfit does not exist', async () => {
+      mockFindById(null);
+
+      await deleteOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 403 if the user is not the owner', async () => {
+      mockFindById({ _id: outfitId, owner: { toString: () => 'otherUser' } });
+
+      await deleteOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not authorized to delete this outfit' });
+      expect(Outfit.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      mockFindById(ownOutfit());
+      Outfit.findByIdAndDelete.mockRejectedValue(new Error('Database error'));
+
+      await deleteOutfit(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
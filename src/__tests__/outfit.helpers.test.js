@@ -0,0 +1,59 @@
+import { parseItemIds, parseOutfitData } from '../helpers/outfit.helpers.js';
+
+describe('Outfit Helpers', () => {
+  const itemA = '64b0000000000000000000b1';
+  const itemB = '64b0000000000000000000b2';
+
+  describe('parseItemIds', () => {
+    it.each([
+      [[itemA, itemB], [itemA, itemB]],
+      [`${itemA}, ${itemB}, ${itemA}`, [itemA, itemB]],
+      [JSON.stringify([itemB]), [itemB]],
+      [`${itemA},not-an-id`, null],
+      [[itemA, 42], null],
+      [{ $ne: null }, null],
+    ])('should parse %p as %p', (value, expected) => {
+      expect(parseItemIds(value)).toEqual(expected);
+    });
+  });
+
+  describe('parseOutfitData', () => {
+    it('should normalize a complete outfit', () => {
+      const { data, error } = parseOutfitData({
+        name: '  Oficina  ',
+        items: [itemA, itemB],
+        occasion: 'work',
+        season: 'Winter',
+        rating: '5',
+      });
+
+      expect(error).toBeNull();
+      expect(data).toEqual({ name: 'Oficina', items: [itemA, itemB], occasion: 'WORK', season: 'WINTER', rating: 5 });
+    });
+
+    it.each([
+      [{ items: [itemA] }, 'Name is required'],
+      [{ name: 'x'.repeat(101), items: [itemA] }, 'Name must be at most 100 characters'],
+      [{ name: 'Oficina' }, 'Items must be a list of clothing item ids'],
+      [{ name: 'Oficina', items: [] }, 'An outfit needs at least one item'],
+      [{ name: 'Oficina', items: Array.from({ length: 21 }, (_, i) => `64b0000000000000000000${String(i).padStart(2, '0')}`) }, 'An outfit can have at most 20 items'],
+      [{ name: 'Oficina', items: [itemA], occasion: 'wedding' }, expect.stringContaining('occasion must be one of')],
+      [{ name: 'Oficina', items: [itemA], rating: '4.5' }, 'rating must be an integer between 1 and 5'],
+      [{ name: 'Oficina', items: [itemA], rating: 6 }, 'rating must be an integer between 1 and 5'],
+      [{ name: 'Oficina', items: [itemA], rating: true }, 'rating must be an integer between 1 and 5'],
+    ])('should reject %p', (body, message) => {
+      expect(parseOutfitData(body)).toEqual({ data: null, error: message });
+    });
+
+    it('should only return the fields present in a partial update and clear blank ones', () => {
+      const { data, error } = parseOutfitData({ season: '', rating: null }, { partial: true });
+
+      expect(error).toBeNull();
+      expect(data).toEqual({ season: null, rating: null });
+    });
+
+    it('should require the name on creation when the body is missing', () => {
+      expect(parseOutfitData(undefined).error).toBe('Name is required');
+    });
+  });
+});
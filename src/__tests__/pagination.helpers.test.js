@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import {
+  parseLimit,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+} from '../helpers/pagination.helpers.js';
+
+describe('Pagination Helpers', () => {
+  const id = new mongoose.Types.ObjectId('64b000000000000000000001');
+
+  describe('parseLimit', () => {
+    it.each([
+      [undefined, DEFAULT_PAGE_LIMIT],
+      ['abc', DEFAULT_PAGE_LIMIT],
+      ['0', DEFAULT_PAGE_LIMIT],
+      ['-5', DEFAULT_PAGE_LIMIT],
+      ['10', 10],
+      [String(MAX_PAGE_LIMIT + 1), MAX_PAGE_LIMIT],
+    ])('should parse %p as %p', (value, expected) => {
+      expect(parseLimit(value)).toBe(expected);
+    });
+  });
+
+  describe('parseSort', () => {
+    const allowed = ['createdAt', 'name'];
+
+    it('should parse ascending and descending fields', () => {
+      expect(parseSort('name', allowed)).toEqual({ field: 'name', direction: 1 });
+      expect(parseSort('+name', allowed)).toEqual({ field: 'name', direction: 1 });
+      expect(parseSort('-createdAt', allowed)).toEqual({ field: 'createdAt', direction: -1 });
+    });
+
+    it('should reject fields outside the whitelist and non-strings', () => {
+      expect(parseSort('password', allowed)).toBeNull();
+      expect(parseSort(['name'], allowed)).toBeNull();
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip a string value', () => {
+      const sort = { field: 'name', direction: 1 };
+      const cursor = encodeCursor({ _id: id, name: 'Camisa' }, sort);
+
+      expect(decodeCursor(cursor, sort)).toEqual({ value: 'Camisa', id });
+    });
+
+    it('should round-trip dates and missing values', () => {
+      const createdAt = new Date('2026-03-01T10:00:00Z');
+      const byDate = { field: 'createdAt', direction: -1 };
+      expect(decodeCursor(encodeCursor({ _id: id, createdAt }, byDate), byDate)).toEqual({ value: createdAt, id });
+
+      const lastWornAt = new Date('2026-05-01T00:00:00Z');
+      const byLastWorn = { field: 'lastWornAt', direction: 1 };
+      expect(decodeCursor(encodeCursor({ _id: id, lastWornAt }, byLastWorn), byLastWorn)).toEqual({ value: lastWornAt, id });
+
+      const byBrand = { field: 'brand', direction: 1 };
+      expect(decodeCursor(encodeCursor({ _id: id }, byBrand), byBrand)).toEqual({ value: null, id });
+    });
+
+    it('should reject a cursor generated for another sort', () => {
+      const cursor = encodeCursor({ _id: id, name: 'Camisa' }, { field: 'name', direction: 1 });
+
+      expect(decodeCursor(cursor, { field: 'name', direction: -1 })).toBeNull();
+      expect(decodeCursor(cursor, { field: 'brand', direction: 1 })).toBeNull();
+    });
+
+    it('should reject malformed cursors', () => {
+      const sort = { field: 'createdAt', direction: -1 };
+      const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+      expect(decodeCursor('garbage', sort)).toBeNull();
+      expect(decodeCursor(['array'], sort)).toBeNull();
+      expect(decodeCursor(encode({ s: '-createdAt', v: '2026-01-01', id: 'not-an-id' }), sort)).toBeNull();
+      expect(decodeCursor(encode({ s: '-createdAt', v: 'not-a-date', id: String(id) }), sort)).toBeNull();
+    });
+
+    // v acaba en el filtro de MongoDB: un objeto se interpretaría como operador.
+    it.each([
+      [{ $ne: null }, { field: 'name', direction: 1 }],
+      [['Camisa'], { field: 'name', direction: 1 }],
+      [true, { field: 'wearCount', direction: -1 }],
+      [{ $gt: '' }, { field: 'createdAt', direction: -1 }],
+      [1767225600000, { field: 'createdAt', direction: -1 }],
+      ['2026-01-01', { field: 'createdAt', direction: -1 }],
+    ])('should reject the cursor value %p', (v, cursorSort) => {
+      const s = `${cursorSort.direction === -1 ? '-' : ''}${cursorSort.field}`;
+      const cursor = Buffer.from(JSON.stringify({ s, v, id: String(id) })).toString('base64url');
+      expect(decodeCursor(cursor, cursorSort)).toBeNull();
+    });
+
+    it('should accept numeric values', () => {
+      const byWears = { field: 'wearCount', direction: -1 };
+      expect(decodeCursor(encodeCursor({ _id: id, wearCount: 3 }, byWears), byWears)).toEqual({ value: 3, id });
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    it('should continue after the value (ascending)', () => {
+      expect(buildCursorFilter({ field: 'name', direction: 1 }, { value: 'Camisa', id })).toEqual({
+        $or: [
+          { name: { $gt: 'Camisa' } },
+          { name: 'Camisa', _id: { $gt: id } },
+        ],
+      });
+    });
+
+    it('should include missing values at the end (descending)', () => {
+      expect(buildCursorFilter({ field: 'brand', direction: -1 }, { value: 'Zara', id })).toEqual({
+        $or: [
+          { brand: { $lt: 'Zara' } },
+          { brand: 'Zara', _id: { $lt: id } },
+          { brand: null },
+        ],
+      });
+    });
+
+    it('should continue from a missing value (ascending)', () => {
+      expect(buildCursorFilter({ field: 'brand', direction: 1 }, { value: null, id })).toEqual({
+        $or: [
+          { brand: null, _id: { $gt: id } },
+          { brand: { $ne: null } },
+        ],
+      });
+    });
+
+    it('should continue from a missing value (descending)', () => {
+      expect(buildCursorFilter({ field: 'brand', direction: -1 }, { value: null, id })).toEqual({
+        brand: null,
+        _id: { $lt: id },
+      });
+    });
+  });
+
+  describe('offset cursors', () => {
+    it('should round-trip the offset for the same sort', () => {
+      expect(decodeOffsetCursor(encodeOffsetCursor(40, 'score'), 'score')).toBe(40);
+    });
+
+    it('should reject cursors from another sort or with an invalid offset', () => {
+      expect(decodeOffsetCursor(encodeOffsetCursor(40, 'score'), 'name')).toBeNull();
+      expect(decodeOffsetCursor(encodeOffsetCursor(-1, 'score'), 'score')).toBeNull();
+      expect(decodeOffsetCursor('not-a-cursor', 'score')).toBeNull();
+      expect(decodeOffsetCursor(undefined, 'score')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,581 @@
+import {
+  getMe,
+  updateMe,
+  changePassword,
+  deleteAccount,
+  exportAccount,
+} from '../controllers/profile.controller.js';
+import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import VerificationToken from '../models/verificationToken.model.js';
+import Account from '../models/account.model.js';
+import Category from '../models/category.model.js';
+import WearEvent from '../models/wearEvent.model.js';
+import Outfit from '../models/outfit.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import StatusChange from '../models/statusChange.model.js';
+import OAuthLinkFlow from '../models/oauthLinkFlow.model.js';
+import cloudinary from '../config/cloudinary.js';
+import {
+  reserveLoginAttempt,
+  registerLoginSuccess,
+  forgetLoginAttempts,
+} from '../helpers/loginThrottle.helpers.js';
+import bcrypt from 'bcryptjs';
+
+jest.mock('../models/user.model.js');
+jest.mock('../models/session.model.js');
+jest.mock('../models/clothing.model.js');
+jest.mock('../models/verificationToken.model.js');
+jest.mock('../models/account.model.js');
+jest.mock('../models/category.model.js');
+jest.mock('../models/wearEvent.model.js');
+jest.mock('../models/outfit.model.js');
+jest.mock('../models/calendarEntry.model.js');
+jest.mock('../models/statusChange.model.js');
+jest.mock('../models/oauthLinkFlow.model.js');
+jest.mock('../helpers/loginThrottle.helpers.js');
+jest.mock('bcryptjs');
+// Las imágenes de prueba no son fotos reales: se suben sin procesar (ver imageProcessing.helpers.test.js).
+jest.mock('../helpers/imageProcessing.helpers.js', () => ({
+  processImage: jest.fn(async (buffer) => buffer),
+  createImageVariants: jest.fn(async (buffer) => ({ thumbnail: buffer, medium: buffer, full: buffer })),
+}));
+jest.mock('../config/cloudinary.js', () => ({
+  uploader: {
+    upload_stream: jest.fn((options, callback) => {
+      callback(null, { secure_url: 'http://mock.cloudinary.com/avatar.jpg', public_id: 'new_avatar_id' });
+      return { end: jest.fn() };
+    }),
+    destroy: jest.fn(),
+  },
+}));
+
+describe('Profile Controller', () => {
+  let req, res;
+
+  const user = {
+    _id: 'mockUserId',
+    name: 'Ana',
+    email: 'ana@example.com',
+    password: 'hashedPassword',
+    image: 'http://old.cloudinary.com/avatar.jpg',
+    imagePublicId: 'old_avatar_id',
+    emailVerified: new Date('2026-01-01'),
+    twoFactor: { enabled: false },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      body: {},
+      ip: '10.0.0.1',
+      user: { userId: 'mockUserId', sessionId: 'currentSessionId' },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      set: jest.fn().mockReturnThis(),
+      clearCookie: jest.fn().mockReturnThis(),
+    };
+
+    reserveLoginAttempt.mockResolvedValue({ allowed: true });
+  });
+
+  describe('getMe', () => {
+    it('should return only the public profile fields', async () => {
+      User.findById.mockResolvedValue(user);
+
+      await getMe(req, res);
+
+      expect(User.findById).toHaveBeenCalledWith('mockUserId');
+      expect(res.status).toHaveBeenCalledWith(200);
+      const [profile] = res.json.mock.calls[0];
+      expect(profile).toEqual(expect.objectContaining({
+        id: 'mockUserId',
+        name: 'Ana',
+        email: 'ana@example.com',
+        image: 'http://old.cloudinary.com/avatar.jpg',
+        emailVerified: true,
+        emailVerifiedAt: user.emailVerified,
+        twoFactorEnabled: false,
+      }));
+      expect(profile).not.toHaveProperty('password');
+      expect(profile).not.toHaveProperty('imagePublicId');
+    });
+
+    it('should report unverified accounts without image', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', email: 'ana@example.com' });
+
+      await getMe(req, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        name: null,
+        image: null,
+        emailVerified: false,
+        emailVerifiedAt: null,
+      }));
+    });
+
+    it('should return 404 if the user no longer exists', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await getMe(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not found' });
+    });
+
+    it('should return 500 on database error', async () => {
+      User.findById.mockRejectedValue(new Error('DB error'));
+
+      await getMe(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('updateMe', () => {
+    it('should update the trimmed name', async () => {
+      req.body = { name: '  Ana María  ' };
+      User.findById.mockResolvedValue(user);
+      User.findByIdAndUpdate.mockResolvedValue({ ...user, name: 'Ana María' });
+
+      await updateMe(req, res);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        'mockUserId',
+        { name: 'Ana María' },
+        { new: true, runValidators: true }
+      );
+      expect(cloudinary.uploader.upload_stream).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ name: 'Ana María' }));
+    });
+
+    it('should upload a new avatar and delete the previous one', async () => {
+      req.file = { buffer: Buffer.from('avatar') };
+      User.findById.mockResolvedValue(user);
+      User.findByIdAndUpdate.mockResolvedValue({ ...user, image: 'http://mock.cloudinary.com/avatar.jpg' });
+
+      await updateMe(req, res);
+
+      expect(cloudinary.uploader.upload_stream).toHaveBeenCalledWith(
+        expect.objectContaining({ resource_type: 'image' }),
+        expect.any(Function)
+      );
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('old_avatar_id');
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        'mockUserId',
+        { image: 'http://mock.cloudinary.com/avatar.jpg', imagePublicId: 'new_avatar_id' },
+        { new: true, runValidators: true }
+      );
+      // El avatar anterior se borra una vez guardado el nuevo.
+      expect(cloudinary.uploader.destroy.mock.invocationCallOrder[0])
+        .toBeGreaterThan(User.findByIdAndUpdate.mock.invocationCallOrder[0]);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should keep the current avatar and delete the new one if the update fails', async () => {
+      req.file = { buffer: Buffer.from('avatar') };
+      User.findById.mockResolvedValue(user);
+      User.findByIdAndUpdate.mockRejectedValueOnce(Object.assign(new Error('Invalid user'), { name: 'ValidationError' }));
+
+      await updateMe(req, res);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledTimes(1);
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('new_avatar_id');
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should not destroy anything when the user had no uploaded avatar', async () => {
+      req.file = { buffer: Buffer.from('avatar') };
+      User.findById.mockResolvedValue({ ...user, imagePublicId: undefined });
+      User.findByIdAndUpdate.mockResolvedValue(user);
+
+      await updateMe(req, res);
+
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should keep the current avatar if the upload fails', async () => {
+      req.file = { buffer: Buffer.from('avatar') };
+      User.findById.mockResolvedValue(user);
+      cloudinary.uploader.upload_stream.mockImplementationOnce((options, callback) => {
+        callback(new Error('Cloudinary down'));
+        return { end: jest.fn() };
+      });
+
+      await updateMe(req, res);
+
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    it('should return 400 for an empty or non-string name', async () => {
+      req.body = { name: '   ' };
+
+      await updateMe(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Name must be a non-empty string' });
+
+      req.body = { name: { $ne: null } };
+      await updateMe(req, res);
+      expect(res.status).toHaveBeenLastCalledWith(400);
+    });
+
+    it('should return 400 when there is nothing to update', async () => {
+      await updateMe(req, res);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Nothing to update' });
+    });
+
+    it('should return 404 if the user no longer exists', async () => {
+      req.body = { name: 'Ana' };
+      User.findById.mockResolvedValue(null);
+
+      await updateMe(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('changePassword', () => {
+    beforeEach(() => {
+      req.body = { currentPassword: 'oldPassword', newPassword: 'newPassword' };
+    });
+
+    it('should change the password and close every other session', async () => {
+      User.findById.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(true);
+      bcrypt.hash.mockResolvedValue('newHashedPassword');
+
+      await changePassword(req, res);
+
+      expect(bcrypt.compare).toHaveBeenCalledWith('oldPassword', 'hashedPassword');
+      expect(bcrypt.hash).toHaveBeenCalledWith('newPassword', 10);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('mockUserId', { password: 'newHashedPassword' });
+      // La sesión actual sobrevive; las demás se revocan
+      expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'mockUserId', _id: { $ne: 'currentSessionId' } });
+      expect(registerLoginSuccess).toHaveBeenCalledWith('ana@example.com', '10.0.0.1');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Password changed successfully' });
+    });
+
+    it('should return 401 and count a failure if the current password is wrong', async () => {
+      User.findById.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(false);
+
+      await changePassword(req, res);
+
+      expect(reserveLoginAttempt).toHaveBeenCalledWith('ana@example.com', '10.0.0.1');
+      expect(registerLoginSuccess).not.toHaveBeenCalled();
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(Session.deleteMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Current password is incorrect' });
+    });
+
+    it('should return 401 for accounts without a password', async () => {
+      User.findById.mockResolvedValue({ ...user, password: undefined });
+
+      await changePassword(req, res);
+
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should return 429 with Retry-After when attempts are throttled', async () => {
+      User.findById.mockResolvedValue(user);
+      reserveLoginAttempt.mockResolvedValue({ allowed: false, retryAfter: 60, reason: 'account_locked' });
+
+      await changePassword(req, res);
+
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '60');
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+
+    it('should return 400 if a password is missing', async () => {
+      req.body = { currentPassword: 'oldPassword' };
+
+      await changePassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Current and new password are required' });
+    });
+
+    it('should return 404 if the user no longer exists', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await changePassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 500 on database error', async () => {
+      User.findById.mockRejectedValue(new Error('DB error'));
+
+      await changePassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteAccount', () => {
+    const items = [
+      {
+        _id: 'item1',
+        imagePublicId: 'item1_public_id',
+        images: [{ publicId: 'item1_public_id' }, { publicId: 'item1_label_id' }],
+      },
+      { _id: 'item2' },
+    ];
+
+    beforeEach(() => {
+      Outfit.find.mockResolvedValue([]);
+    });
+
+    it('should cascade-delete items, images, sessions and the user, then clear cookies', async () => {
+      req.body = { password: 'password123' };
+      User.findById.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(true);
+      ClothingItem.find.mockResolvedValue(items);
+      Outfit.find.mockResolvedValue([{ _id: 'outfit1', coverImagePublicId: 'outfit1_cover_id' }]);
+      cloudinary.uploader.destroy.mockResolvedValue({ result: 'ok' });
+
+      await deleteAccount(req, res);
+
+      expect(reserveLoginAttempt).toHaveBeenCalledWith('ana@example.com', '10.0.0.1');
+      expect(bcrypt.compare).toHaveBeenCalledWith('password123', 'hashedPassword');
+      expect(registerLoginSuccess).toHaveBeenCalledWith('ana@example.com', '10.0.0.1');
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: 'mockUserId' });
+      // Fotos de cada prenda + portada de cada conjunto + avatar del usuario
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledTimes(4);
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('item1_public_id');
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('item1_label_id');
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('outfit1_cover_id');
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('old_avatar_id');
+      expect(ClothingItem.deleteMany).toHaveBeenCalledWith({ owner: 'mockUserId' });
+      expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'mockUserId' });
+      expect(VerificationToken.deleteMany).toHaveBeenCalledWith({ user: 'mockUserId' });
+      expect(Account.deleteMany).toHaveBeenCalledWith({ user: 'mockUserId' });
+      expect(Category.deleteMany).toHaveBeenCalledWith({ owner: 'mockUserId' });
+      expect(WearEvent.deleteMany).toHaveBeenCalledWith({ owner: 'mockUserId' });
+      expect(StatusChange.deleteMany).toHaveBeenCalledWith({ owner: 'mockUserId' });
+      expect(Outfit.deleteMany).toHaveBeenCalledWith({ owner: 'mockUserId' });
+      expect(CalendarEntry.deleteMany).toHaveBeenCalledWith({ owner: 'mockUserId' });
+      expect(OAuthLinkFlow.deleteMany).toHaveBeenCalledWith({ user: 'mockUserId' });
+      expect(forgetLoginAttempts).toHaveBeenCalledWith('ana@example.com');
+      expect(User.findByIdAndDelete).toHaveBeenCalledWith('mockUserId');
+      expect(res.clearCookie).toHaveBeenCalledWith('accessToken', expect.any(Object));
+      expect(res.clearCookie).toHaveBeenCalledWith('refreshToken', expect.any(Object));
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should still delete the account if a Cloudinary asset cannot be destroyed', async () => {
+      req.body = { password: 'password123' };
+      User.findById.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(true);
+      ClothingItem.find.mockResolvedValue(items);
+      cloudinary.uploader.destroy
+        .mockRejectedValueOnce(new Error('Cloudinary down'))
+        .mockResolvedValueOnce({ result: 'ok' });
+
+      await deleteAccount(req, res);
+
+      expect(User.findByIdAndDelete).toHaveBeenCalledWith('mockUserId');
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should not require a password for accounts without one', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', email: 'ana@example.com' });
+      ClothingItem.find.mockResolvedValue([]);
+
+      await deleteAccount(req, res);
+
+      expect(reserveLoginAttempt).not.toHaveBeenCalled();
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+      // Los intentos de login fallidos contra ese email también se olvidan.
+      expect(forgetLoginAttempts).toHaveBeenCalledWith('ana@example.com');
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should return 429 with Retry-After without checking the password when attempts are throttled', async () => {
+      req.body = { password: 'guess' };
+      User.findById.mockResolvedValue(user);
+      reserveLoginAttempt.mockResolvedValue({ allowed: false, retryAfter: 60, reason: 'account_locked' });
+
+      await deleteAccount(req, res);
+
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '60');
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(User.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 and delete nothing if the password confirmation is wrong', async () => {
+      req.body = { password: 'wrong' };
+      User.findById.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(false);
+
+      await deleteAccount(req, res);
+
+      expect(ClothingItem.deleteMany).not.toHaveBeenCalled();
+      expect(User.findByIdAndDelete).not.toHaveBeenCalled();
+      // El intento fallido queda contado.
+      expect(registerLoginSuccess).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Password confirmation is incorrect' });
+    });
+
+    it('should return 401 if the password is missing', async () => {
+      User.findById.mockResolvedValue(user);
+
+      await deleteAccount(req, res);
+
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should return 404 if the user no longer exists', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await deleteAccount(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 500 on database error', async () => {
+      User.findById.mockRejectedValue(new Error('DB error'));
+
+      await deleteAccount(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('exportAccount', () => {
+    it('should return a downloadable JSON with profile, items, image URLs and sessions', async () => {
+      User.findById.mockResolvedValue(user);
+      ClothingItem.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          {
+            _id: 'item1', name: 'Camisa', owner: 'mockUserId', __v: 0, imageUrl: 'http://mock.cloudinary.com/item1.jpg',
+            images: [{ url: 'http://mock.cloudinary.com/item1.jpg' }, { url: 'http://mock.cloudinary.com/item1-back.jpg' }],
+          },
+          { _id: 'item2', name: 'Pantalón', owner: 'mockUserId', __v: 0, imageUrl: null },
+        ]),
+      });
+      Session.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'session1', userAgent: 'Chrome', ip: '1.1.1.1', refreshTokenHash: 'secret' },
+        ]),
+      });
+      Account.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'account1', provider: 'google', providerAccountId: 'google-sub', email: 'ana@gmail.com', user: 'mockUserId' },
+        ]),
+      });
+
+      Category.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'category1', key: 'SNEAKERS', name: 'Sneakers', owner: 'mockUserId', parentId: 'SHOES_ID' },
+        ]),
+      });
+
+      WearEvent.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([{ _id: 'wear1', item: 'item1', owner: 'mockUserId', wornAt: new Date('2026-01-10') }]),
+        }),
+      });
+
+      StatusChange.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([
+            { _id: 'change1', item: 'item1', owner: 'mockUserId', from: 'WORN', to: 'LAUNDRY', changedAt: new Date('2026-01-11') },
+          ]),
+        }),
+      });
+
+      Outfit.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'outfit1', owner: 'mockUserId', __v: 0, name: 'Oficina', items: ['item1'], coverImageUrl: 'http://mock.cloudinary.com/outfit.jpg' },
+        ]),
+      });
+
+      CalendarEntry.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([
+            { _id: 'entry1', owner: 'mockUserId', __v: 0, date: new Date('2026-02-01'), outfit: 'outfit1', items: [] },
+          ]),
+        }),
+      });
+
+      await exportAccount(req, res);
+
+      expect(res.set).toHaveBeenCalledWith(
+        'Content-Disposition',
+        expect.stringMatching(/^attachment; filename="ropabase-export-\d{4}-\d{2}-\d{2}\.json"$/)
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      const [data] = res.json.mock.calls[0];
+      expect(data.profile).toEqual(expect.objectContaining({ id: 'mockUserId', email: 'ana@example.com' }));
+      expect(data.profile).not.toHaveProperty('password');
+      expect(data.clothingItems).toEqual([
+        {
+          _id: 'item1', name: 'Camisa', imageUrl: 'http://mock.cloudinary.com/item1.jpg',
+          images: [{ url: 'http://mock.cloudinary.com/item1.jpg' }, { url: 'http://mock.cloudinary.com/item1-back.jpg' }],
+        },
+        { _id: 'item2', name: 'Pantalón', imageUrl: null },
+      ]);
+      expect(data.imageUrls).toEqual([
+        'http://old.cloudinary.com/avatar.jpg',
+        'http://mock.cloudinary.com/item1.jpg',
+        'http://mock.cloudinary.com/item1-back.jpg',
+        'http://mock.cloudinary.com/outfit.jpg',
+      ]);
+      expect(data.sessions).toEqual([
+        expect.objectContaining({ id: 'session1', userAgent: 'Chrome', ip: '1.1.1.1' }),
+      ]);
+      expect(data.sessions[0]).not.toHaveProperty('refreshTokenHash');
+      expect(data.linkedAccounts).toEqual([
+        expect.objectContaining({ provider: 'google', providerAccountId: 'google-sub', email: 'ana@gmail.com' }),
+      ]);
+      expect(data.categories).toEqual([{ id: 'category1', key: 'SNEAKERS', name: 'Sneakers', parent: 'SHOES_ID' }]);
+      expect(data.wearEvents).toEqual([{ id: 'wear1', item: 'item1', wornAt: new Date('2026-01-10') }]);
+      expect(data.statusChanges).toEqual([
+        { id: 'change1', item: 'item1', from: 'WORN', to: 'LAUNDRY', note: null, changedAt: new Date('2026-01-11') },
+      ]);
+      expect(data.outfits).toEqual([
+        { _id: 'outfit1', name: 'Oficina', items: ['item1'], coverImageUrl: 'http://mock.cloudinary.com/outfit.jpg' },
+      ]);
+      expect(data.calendar).toEqual([{ _id: 'entry1', date: new Date('2026-02-01'), outfit: 'outfit1', items: [] }]);
+      expect(data.exportedAt).toEqual(expect.any(Date));
+    });
+
+    it('should return 404 if the user no longer exists', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await exportAccount(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 500 on database error', async () => {
+      User.findById.mockRejectedValue(new Error('DB error'));
+
+      await exportAccount(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -113,6 +113,16 @@ describe('Response Helpers', () => {
       expect(res.json).toHaveBeenCalledWith({ message: ERROR_MESSAGES.NOT_FOUND });
     });
 
+    it('should handle InvalidImageError with 400 status and its message', () => {
+      const error = new Error('The uploaded file is not a valid image');
+      error.name = 'InvalidImageError';
+
+      handleDatabaseError(res, error, 'añadir fotos a prenda');
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({ message: 'The uploaded file is not a valid image' });
+    });
+
     it('should handle generic error with 500 status', () => {
       const error = new Error('Database connection failed');
       error.name = 'MongoNetworkError';
@@ -134,6 +144,17 @@ describe('Response Helpers', () => {
       expect(loggingHelpers.logClothingError).toHaveBeenCalledWith(action, error);
       expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR);
     });
+
+    it('should log with the given logger instead of the clothing one', () => {
+      const error = new Error('Database error');
+      const action = 'revocar sesión';
+
+      handleDatabaseError(res, error, action, loggingHelpers.logAuthError);
+
+      expect(loggingHelpers.logAuthError).toHaveBeenCalledWith(action, error);
+      expect(loggingHelpers.logClothingError).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    });
   });
 
   describe('sendNoContentResponse', () => {
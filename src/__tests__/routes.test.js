@@ -6,19 +6,40 @@ import app from '../app.js';
 import User from '../models/user.model.js';
 // Importa el modelo 'ClothingItem' de Mongoose, que será mockeado para simular interacciones con prendas.
 import ClothingItem from '../models/clothing.model.js';
+import Category from '../models/category.model.js';
+import WearEvent from '../models/wearEvent.model.js';
+import Outfit from '../models/outfit.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import StatusChange from '../models/statusChange.model.js';
+// Importa el modelo de tokens de un solo uso (reset de contraseña).
+import VerificationToken from '../models/verificationToken.model.js';
+// Importa el modelo de sesiones (una por dispositivo).
+import Session from '../models/session.model.js';
+import Account from '../models/account.model.js';
 // Importa la librería 'bcryptjs' para simular operaciones de hashing de contraseñas.
 import bcrypt from 'bcryptjs';
 // Importa la librería 'jsonwebtoken' para simular la creación y verificación de tokens JWT.
 import jwt from 'jsonwebtoken';
 
 // Importa específicamente el middleware 'protect' para poder mockearlo y controlar su comportamiento.
-import { protect } from '../middlewares/auth.middleware.js';
+import { protect, requireVerifiedEmail } from '../middlewares/auth.middleware.js';
 
 // Usa jest.mock para reemplazar las implementaciones reales de los módulos con versiones simuladas.
 // Mockea el modelo 'User' de Mongoose. Todas las llamadas a 'User' serán interceptadas.
 jest.mock('../models/user.model.js');
 // Mockea el modelo 'ClothingItem' de Mongoose. Todas las llamadas a 'ClothingItem' serán interceptadas.
 jest.mock('../models/clothing.model.js');
+jest.mock('../models/category.model.js');
+jest.mock('../models/wearEvent.model.js');
+jest.mock('../models/outfit.model.js');
+jest.mock('../models/calendarEntry.model.js');
+jest.mock('../models/statusChange.model.js');
+// Mockea el modelo de tokens de verificación/reset y el transporte de email.
+jest.mock('../models/verificationToken.model.js');
+jest.mock('../models/session.model.js');
+jest.mock('../models/account.model.js');
+jest.mock('../models/oauthLinkFlow.model.js');
+jest.mock('../config/mailer.js');
 // Mockea el middleware 'auth.middleware.js'. Todas las funciones exportadas de este módulo serán simuladas.
 jest.mock('../middlewares/auth.middleware.js');
 // Mockea la librería 'bcryptjs'.
@@ -33,13 +54,12 @@ describe('API Routes Integration Tests', () => {
     // Restablece el estado de todos los mocks a su estado inicial antes de cada prueba.
     jest.clearAllMocks();
 
-    // Mockea ClothingItem.schema para que el controlador pueda leer los enumValues
-    // sin depender de la instancia real de Mongoose (que no existe en tests).
-    ClothingItem.schema = {
-      path: jest.fn().mockReturnValue({
-        enumValues: ['SHIRT', 'PANTS', 'SHOES', 'JACKET', 'ACCESSORY', 'OTHER'],
-      }),
-    };
+    // Las categorías del sistema existen para cualquier usuario: findCategory las
+    // busca por clave y el listado consulta sus subcategorías (ninguna por defecto).
+    Category.findOne.mockImplementation(async ({ key }) => (
+      ['SHIRT', 'PANTS', 'SHOES', 'JACKET', 'ACCESSORY', 'OTHER'].includes(key) ? { _id: `${key}_ID`, key } : null
+    ));
+    Category.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
 
     // Define la implementación por defecto para el mock del middleware 'protect'.
     // Esto simula que un usuario siempre está autenticado por defecto, a menos que un test lo sobreescriba.
@@ -49,6 +69,8 @@ describe('API Routes Integration Tests', () => {
       // Llama a 'next()' para pasar el control al siguiente middleware o controlador en la cadena.
       next();
     });
+    // La política de verificación de email no restringe nada por defecto.
+    requireVerifiedEmail.mockImplementation((req, res, next) => next());
   });
 
   // Inicia un sub-bloque de pruebas para las rutas de autenticación.
@@ -78,7 +100,7 @@ describe('API Routes Integration Tests', () => {
       bcrypt.compare.mockResolvedValue(true);
       // jwt.sign se llama 2 veces: access token y refresh token
       jwt.sign.mockReturnValue('fakeToken');
-      User.findByIdAndUpdate.mockResolvedValue({});
+      Session.create.mockResolvedValue({});
 
       const response = await request(app)
         .post('/api/auth/login')
@@ -91,29 +113,26 @@ describe('API Routes Integration Tests', () => {
       expect(response.body).toHaveProperty('userId', 'mockUserId');
     });
 
-    it('POST /api/auth/refresh - should refresh access token cookie', async () => {
+    it('POST /api/auth/refresh - should rotate the access and refresh token cookies', async () => {
       // Mockear la verificación del refresh token
-      jwt.verify.mockReturnValue({ userId: 'mockUserId' });
-      jwt.sign.mockReturnValue('newAccessToken');
-      // Simular que User.findById retorna un usuario con el hash correcto
-      User.findById.mockReturnValue({
-        select: jest.fn().mockResolvedValue({
-          _id: 'mockUserId',
-          refreshToken: expect.any(String),
-        }),
-      });
+      jwt.verify.mockReturnValue({ userId: 'mockUserId', sessionId: 'mockSessionId' });
+      jwt.sign.mockReturnValue('rotatedToken');
+      // Simular que el token presentado es el vigente de la sesión
+      Session.findOneAndUpdate.mockResolvedValue({ _id: 'mockSessionId' });
 
       const response = await request(app)
         .post('/api/auth/refresh')
         .set('Cookie', 'refreshToken=fakeRefreshToken');
 
-      // El controlador verifica el hash → en integración usa el hash real del token
-      // El test solo verifica que la ruta existe y responde (el hash no coincidirá en mock)
-      expect([200, 401]).toContain(response.statusCode);
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['set-cookie']).toEqual(expect.arrayContaining([
+        expect.stringContaining('accessToken=rotatedToken'),
+        expect.stringContaining('refreshToken=rotatedToken'),
+      ]));
     });
 
     it('POST /api/auth/logout - should clear cookies', async () => {
-      User.findOneAndUpdate.mockResolvedValue({});
+      Session.findOneAndDelete.mockResolvedValue({});
 
       const response = await request(app)
         .post('/api/auth/logout')
@@ -129,6 +148,159 @@ describe('API Routes Integration Tests', () => {
       expect(response.statusCode).toBe(200);
       expect(response.body).toHaveProperty('message', 'Logged out successfully');
     });
+
+    it('POST /api/auth/forgot-password - should always return a generic message', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'ghost@example.com' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toHaveProperty('message', 'If the email is registered, a reset link has been sent');
+    });
+
+    it('POST /api/auth/reset-password - should reject an invalid token', async () => {
+      VerificationToken.findOneAndDelete.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'invalid', password: 'newPassword' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body).toHaveProperty('message', 'Invalid or expired reset token');
+    });
+
+    it('POST /api/auth/verify-email - should verify the email with a valid token', async () => {
+      VerificationToken.findOneAndDelete.mockResolvedValue({ user: 'mockUserId' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'validToken' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toHaveProperty('message', 'Email verified successfully');
+    });
+
+    it('POST /api/auth/resend-verification - should require authentication', async () => {
+      protect.mockImplementation((req, res) => res.status(401).json({ message: 'Not authorized, no token' }));
+
+      const response = await request(app).post('/api/auth/resend-verification');
+
+      expect(response.statusCode).toBe(401);
+    });
+  });
+
+  describe('Session Routes', () => {
+    it('GET /api/auth/sessions - should list the sessions of the user', async () => {
+      Session.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { _id: 'mockSessionId', userAgent: 'Chrome', ip: '1.1.1.1' },
+        ]),
+      });
+
+      const response = await request(app).get('/api/auth/sessions');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual([
+        expect.objectContaining({ id: 'mockSessionId', userAgent: 'Chrome', current: false }),
+      ]);
+    });
+
+    it('DELETE /api/auth/sessions/:id - should revoke a session', async () => {
+      Session.findOneAndDelete.mockResolvedValue({ _id: 'otherSessionId' });
+
+      const response = await request(app).delete('/api/auth/sessions/otherSessionId');
+
+      expect(response.statusCode).toBe(204);
+    });
+  });
+
+  describe('Profile Routes', () => {
+    it('GET /api/auth/me - should return the profile of the logged-in user', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', name: 'Ana', email: 'ana@example.com', password: 'hashed' });
+
+      const response = await request(app).get('/api/auth/me');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual(expect.objectContaining({ id: 'mockUserId', email: 'ana@example.com', emailVerified: false }));
+      expect(response.body).not.toHaveProperty('password');
+    });
+
+    it('PATCH /api/auth/me - should update the name', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', email: 'ana@example.com' });
+      User.findByIdAndUpdate.mockResolvedValue({ _id: 'mockUserId', name: 'Ana', email: 'ana@example.com' });
+
+      const response = await request(app).patch('/api/auth/me').send({ name: 'Ana' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toHaveProperty('name', 'Ana');
+    });
+
+    it('DELETE /api/auth/me - should delete the account and clear cookies', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', email: 'ana@example.com', password: 'hashed' });
+      bcrypt.compare.mockResolvedValue(true);
+      ClothingItem.find.mockResolvedValue([]);
+      Outfit.find.mockResolvedValue([]);
+
+      const response = await request(app).delete('/api/auth/me').send({ password: 'password123' });
+
+      expect(response.statusCode).toBe(204);
+      expect(User.findByIdAndDelete).toHaveBeenCalledWith('mockUserId');
+      expect(response.headers['set-cookie']).toEqual(expect.arrayContaining([
+        expect.stringContaining('accessToken=;'),
+      ]));
+    });
+
+    it('GET /api/auth/me/export - should download the personal data as JSON', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', email: 'ana@example.com' });
+      ClothingItem.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+      Session.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+      Account.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+      Category.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+      WearEvent.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) }) });
+      Outfit.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+      CalendarEntry.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) }) });
+      StatusChange.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) }) });
+
+      const response = await request(app).get('/api/auth/me/export');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="ropabase-export-/);
+      expect(response.body).toEqual(expect.objectContaining({ clothingItems: [], imageUrls: [] }));
+    });
+
+    it('POST /api/auth/change-password - should require both passwords', async () => {
+      const response = await request(app).post('/api/auth/change-password').send({ newPassword: 'x' });
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('Two-Factor Routes', () => {
+    it('POST /api/auth/2fa/enroll - should return a secret and otpauth URI', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', email: 'test@example.com', twoFactor: { enabled: false } });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const response = await request(app).post('/api/auth/2fa/enroll');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toHaveProperty('secret');
+      expect(response.body.otpauthUri).toMatch(/^otpauth:\/\/totp\/RopaBase:test%40example\.com\?/);
+    });
+
+    it('POST /api/auth/2fa/verify - should be public and reject a non-mfa token', async () => {
+      jwt.verify.mockReturnValue({ userId: 'mockUserId', sessionId: 'mockSessionId' });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfaToken: 'accessToken', code: '123456' });
+
+      expect(protect).not.toHaveBeenCalled();
+      expect(response.statusCode).toBe(401);
+      expect(response.body).toHaveProperty('message', 'Invalid or expired MFA token');
+    });
   });
 
   describe('Root Route', () => {
@@ -160,16 +332,19 @@ describe('API Routes Integration Tests', () => {
       // La implementación por defecto de 'protect' (en 'beforeEach') ya simula un usuario autenticado.
       // Define un array de prendas simuladas.
       const items = [{ _id: 'mockItemId', name: 'T-Shirt', owner: 'mockUserId' }];
-      // Simula que 'ClothingItem.find' (mockeado) devuelve las prendas simuladas.
-      ClothingItem.find.mockResolvedValue(items);
+      // Simula la consulta encadenada find().sort().limit() y el conteo total.
+      ClothingItem.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ limit: jest.fn().mockResolvedValue(items) }),
+      });
+      ClothingItem.countDocuments.mockResolvedValue(1);
 
       // Envía una petición GET a la ruta de prendas.
       const response = await request(app).get('/api/clothing');
 
       // Verifica que el código de estado de la respuesta es 200 (OK).
       expect(response.statusCode).toBe(200);
-      // Verifica que la respuesta JSON coincide con el array de prendas simuladas.
-      expect(response.body).toEqual(items);
+      // Verifica que la respuesta usa el sobre paginado con las prendas simuladas.
+      expect(response.body).toEqual({ items, nextCursor: null, total: 1 });
     });
 
     // Prueba para POST /api/clothing: debería crear una prenda si está autenticado.
@@ -196,6 +371,30 @@ describe('API Routes Integration Tests', () => {
       expect(response.body).toEqual(createdItem);
     });
 
+    it('POST /api/clothing - should accept the attributes as multipart form fields', async () => {
+      ClothingItem.create.mockResolvedValue({ _id: 'mockItemId' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/clothing')
+        .field('name', 'Abrigo')
+        .field('category', 'JACKET')
+        .field('color', 'Camel')
+        .field('seasons', 'AUTUMN')
+        .field('seasons', 'WINTER')
+        .field('purchaseDate', '2023-11-02')
+        .field('purchasePrice', '120')
+        .field('purchaseCurrency', 'EUR');
+
+      expect(response.statusCode).toBe(201);
+      expect(ClothingItem.create).toHaveBeenCalledWith(expect.objectContaining({
+        seasons: ['AUTUMN', 'WINTER'],
+        purchaseDate: new Date('2023-11-02'),
+        purchasePrice: 120,
+        purchaseCurrency: 'EUR',
+      }));
+    });
+
     it('PUT /api/clothing/:id - should update an item if authenticated', async () => {
       const mockItem = {
         _id: 'mockItemId',
@@ -223,12 +422,469 @@ describe('API Routes Integration Tests', () => {
       };
 
       ClothingItem.findById.mockResolvedValue(mockItem);
-      ClothingItem.findByIdAndDelete.mockResolvedValue({});
-      User.updateOne.mockResolvedValue({});
+      ClothingItem.findByIdAndUpdate.mockResolvedValue({});
 
       const response = await request(app).delete('/api/clothing/mockItemId');
 
       expect(response.statusCode).toBe(204);
+      expect(ClothingItem.findByIdAndUpdate).toHaveBeenCalledWith('mockItemId', { deletedAt: expect.any(Date) });
+      expect(ClothingItem.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    describe('Images', () => {
+      const itemWithImages = {
+        _id: 'mockItemId',
+        owner: { toString: () => 'mockUserId' },
+        deletedAt: null,
+        images: [
+          { _id: 'image1', url: 'front.jpg', publicId: 'front', role: 'FRONT', order: 0, primary: true },
+          { _id: 'image2', url: 'back.jpg', publicId: 'back', role: 'BACK', order: 1, primary: false },
+        ],
+      };
+
+      it('PATCH /api/clothing/:id/images - should reorder the images and change the primary one', async () => {
+        ClothingItem.findById.mockResolvedValue(itemWithImages);
+        ClothingItem.findOneAndUpdate.mockImplementation(async ({ _id }, data) => ({ _id, ...data }));
+
+        const response = await request(app)
+          .patch('/api/clothing/mockItemId/images')
+          .send({ order: ['image2', 'image1'], primary: 'image2' });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.imageUrl).toBe('back.jpg');
+        expect(response.body.images.map(({ _id, order, primary }) => ({ _id, order, primary }))).toEqual([
+          { _id: 'image2', order: 0, primary: true },
+          { _id: 'image1', order: 1, primary: false },
+        ]);
+      });
+
+      it('POST /api/clothing/:id/images - should return 400 without files', async () => {
+        const response = await request(app).post('/api/clothing/mockItemId/images');
+
+        expect(response.statusCode).toBe(400);
+        expect(response.body).toEqual({ message: 'At least one image is required' });
+      });
+
+      it('DELETE /api/clothing/:id/images/:imageId - should return 404 for an unknown image', async () => {
+        ClothingItem.findById.mockResolvedValue(itemWithImages);
+
+        const response = await request(app).delete('/api/clothing/mockItemId/images/image9');
+
+        expect(response.statusCode).toBe(404);
+        expect(response.body).toEqual({ message: 'Image not found' });
+      });
+    });
+
+    describe('Trash', () => {
+      const trashedItem = {
+        _id: '64b0000000000000000000d1',
+        owner: { toString: () => 'mockUserId' },
+        imagePublicId: null,
+        deletedAt: new Date('2026-03-01T00:00:00.000Z'),
+      };
+
+      it('GET /api/clothing/trash - should list the trashed items with their purge date', async () => {
+        ClothingItem.find.mockReturnValue({
+          sort: jest.fn().mockReturnValue({
+            limit: jest.fn().mockResolvedValue([{ ...trashedItem, toJSON: () => ({ _id: trashedItem._id, name: 'Jeans' }) }]),
+          }),
+        });
+        ClothingItem.countDocuments.mockResolvedValue(1);
+
+        const response = await request(app).get('/api/clothing/trash');
+
+        expect(response.statusCode).toBe(200);
+        expect(ClothingItem.find).toHaveBeenCalledWith({ owner: 'mockUserId', deletedAt: { $ne: null } });
+        expect(response.body).toEqual({
+          items: [{ _id: trashedItem._id, name: 'Jeans', purgeAt: '2026-03-31T00:00:00.000Z' }],
+          nextCursor: null,
+          total: 1,
+          retentionDays: 30,
+        });
+      });
+
+      it('POST /api/clothing/:id/restore - should take the item out of the trash', async () => {
+        ClothingItem.findById.mockResolvedValue(trashedItem);
+        ClothingItem.findByIdAndUpdate.mockResolvedValue({ _id: trashedItem._id, deletedAt: null });
+
+        const response = await request(app).post(`/api/clothing/${trashedItem._id}/restore`);
+
+        expect(response.statusCode).toBe(200);
+        expect(ClothingItem.findByIdAndUpdate).toHaveBeenCalledWith(trashedItem._id, { deletedAt: null }, { new: true });
+      });
+
+      it('DELETE /api/clothing/:id/permanent - should delete the item for good', async () => {
+        ClothingItem.findById.mockResolvedValue(trashedItem);
+
+        const response = await request(app).delete(`/api/clothing/${trashedItem._id}/permanent`);
+
+        expect(response.statusCode).toBe(204);
+        expect(ClothingItem.findByIdAndDelete).toHaveBeenCalledWith(trashedItem._id);
+        expect(WearEvent.deleteMany).toHaveBeenCalledWith({ item: trashedItem._id });
+      });
+
+      it('DELETE /api/clothing/:id/permanent - should reject items that are not in the trash', async () => {
+        ClothingItem.findById.mockResolvedValue({ ...trashedItem, deletedAt: null });
+
+        const response = await request(app).delete(`/api/clothing/${trashedItem._id}/permanent`);
+
+        expect(response.statusCode).toBe(409);
+        expect(response.body).toEqual({ message: 'Clothing item is not in the trash' });
+      });
+    });
+
+    describe('Wear log', () => {
+      const mockItem = {
+        _id: 'mockItemId',
+        owner: { toString: () => 'mockUserId' },
+        purchasePrice: 30,
+        purchaseCurrency: 'EUR',
+        wearCount: 1,
+        lastWornAt: new Date('2026-01-10'),
+      };
+
+      // refreshWearStats: cuenta los usos y busca el más reciente.
+      const mockWearStats = (wearCount, lastWornAt) => {
+        WearEvent.countDocuments.mockResolvedValue(wearCount);
+        WearEvent.findOne.mockReturnValue({
+          sort: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(lastWornAt ? { wornAt: lastWornAt } : null) }),
+        });
+      };
+
+      beforeEach(() => {
+        ClothingItem.findById.mockResolvedValue(mockItem);
+        // markItemsWorn: ninguna prenda limpia que pasar a WORN.
+        ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      });
+
+      it('POST /api/clothing/:id/wear - should record a wear on the given date', async () => {
+        WearEvent.create.mockImplementation(async (data) => ({ _id: 'wear1', ...data }));
+        mockWearStats(2, new Date('2026-02-01'));
+
+        const response = await request(app).post('/api/clothing/mockItemId/wear').send({ date: '2026-02-01' });
+
+        expect(response.statusCode).toBe(201);
+        expect(response.body).toEqual({
+          wear: { id: 'wear1', wornAt: '2026-02-01T00:00:00.000Z' },
+          wearCount: 2,
+          lastWornAt: '2026-02-01T00:00:00.000Z',
+          costPerWear: 15,
+          currency: 'EUR',
+        });
+      });
+
+      it('GET /api/clothing/:id/wear - should return the wear history', async () => {
+        WearEvent.find.mockReturnValue({
+          sort: jest.fn().mockReturnValue({
+            limit: jest.fn().mockResolvedValue([{ _id: 'wear1', wornAt: new Date('2026-01-10') }]),
+          }),
+        });
+
+        const response = await request(app).get('/api/clothing/mockItemId/wear');
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual(expect.objectContaining({
+          wearCount: 1,
+          costPerWear: 30,
+          items: [{ id: 'wear1', wornAt: '2026-01-10T00:00:00.000Z' }],
+          nextCursor: null,
+        }));
+      });
+
+      it('DELETE /api/clothing/:id/wear and /:wearId - should undo the latest or a given wear', async () => {
+        WearEvent.findOneAndDelete.mockResolvedValue({ _id: 'wear1' });
+        mockWearStats(0, null);
+
+        const latestResponse = await request(app).delete('/api/clothing/mockItemId/wear');
+        const givenResponse = await request(app).delete('/api/clothing/mockItemId/wear/64b0000000000000000000cc');
+
+        expect(latestResponse.statusCode).toBe(200);
+        expect(latestResponse.body).toEqual({ wearCount: 0, lastWornAt: null, costPerWear: null, currency: 'EUR' });
+        expect(givenResponse.statusCode).toBe(200);
+        expect(WearEvent.findOneAndDelete).toHaveBeenLastCalledWith({ _id: '64b0000000000000000000cc', item: 'mockItemId' });
+      });
+    });
+
+    describe('Status', () => {
+      const mockItem = { _id: 'mockItemId', owner: { toString: () => 'mockUserId' }, status: 'WORN' };
+
+      beforeEach(() => {
+        ClothingItem.findById.mockResolvedValue(mockItem);
+        StatusChange.insertMany.mockImplementation(async (docs) => docs.map((doc, index) => ({ _id: `change${index}`, ...doc })));
+      });
+
+      it('GET /api/clothing?available=true - should list the items that can be worn now', async () => {
+        ClothingItem.find.mockReturnValue({
+          sort: jest.fn().mockReturnValue({ limit: jest.fn().mockResolvedValue([]) }),
+        });
+        ClothingItem.countDocuments.mockResolvedValue(0);
+
+        const response = await request(app).get('/api/clothing?available=true');
+
+        expect(response.statusCode).toBe(200);
+        expect(ClothingItem.find).toHaveBeenCalledWith({ owner: 'mockUserId', deletedAt: null, status: { $in: ['CLEAN', 'WORN'] } });
+      });
+
+      it('PATCH /api/clothing/:id/status - should apply an allowed transition', async () => {
+        const response = await request(app)
+          .patch('/api/clothing/mockItemId/status')
+          .send({ status: 'laundry' });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual(expect.objectContaining({
+          status: 'LAUNDRY',
+          change: expect.objectContaining({ from: 'WORN', to: 'LAUNDRY', note: null }),
+        }));
+      });
+
+      it('PATCH /api/clothing/:id/status - should reject a transition that is not allowed', async () => {
+        const response = await request(app)
+          .patch('/api/clothing/mockItemId/status')
+          .send({ status: 'STORED' });
+
+        expect(response.statusCode).toBe(409);
+        expect(response.body).toEqual({ message: 'Cannot change status from WORN to STORED' });
+        expect(ClothingItem.updateMany).not.toHaveBeenCalled();
+      });
+
+      it('POST /api/clothing/laundry/done - should mark everything in the laundry as clean', async () => {
+        ClothingItem.find.mockReturnValue({
+          select: jest.fn().mockResolvedValue([{ _id: 'item1', status: 'LAUNDRY' }, { _id: 'item2', status: 'LAUNDRY' }]),
+        });
+
+        const response = await request(app).post('/api/clothing/laundry/done');
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ updated: ['item1', 'item2'], skipped: [] });
+        expect(ClothingItem.find).toHaveBeenCalledWith({ owner: 'mockUserId', deletedAt: null, status: { $in: ['LAUNDRY'] } });
+      });
+    });
+  });
+
+  describe('Outfit Routes', () => {
+    const itemIds = ['64b0000000000000000000b1', '64b0000000000000000000b2'];
+
+    it('GET /api/outfits - should list the outfits of the user', async () => {
+      const outfits = [{ _id: 'outfit1', name: 'Oficina', owner: 'mockUserId', items: [] }];
+      Outfit.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          limit: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue(outfits) }),
+        }),
+      });
+      Outfit.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app).get('/api/outfits?occasion=work');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({ items: outfits, nextCursor: null, total: 1 });
+      expect(Outfit.find).toHaveBeenCalledWith({ owner: 'mockUserId', occasion: 'WORK' });
+    });
+
+    it('POST /api/outfits - should create an outfit from items of the user', async () => {
+      ClothingItem.countDocuments.mockResolvedValue(2);
+      Outfit.create.mockImplementation(async (data) => ({ _id: 'outfit1', ...data }));
+
+      const response = await request(app)
+        .post('/api/outfits')
+        .field('name', 'Oficina')
+        .field('items', itemIds.join(','))
+        .field('rating', '4');
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body).toEqual({ _id: 'outfit1', name: 'Oficina', items: itemIds, rating: 4, owner: 'mockUserId' });
+    });
+
+    it('GET, PUT and DELETE /api/outfits/:id - should reject outfits of other users', async () => {
+      const outfit = { _id: 'outfit1', owner: { toString: () => 'otherUser' } };
+      Outfit.findById.mockImplementation(() => {
+        const query = Promise.resolve(outfit);
+        query.populate = jest.fn().mockResolvedValue(outfit);
+        return query;
+      });
+
+      const getResponse = await request(app).get('/api/outfits/outfit1');
+      const putResponse = await request(app).put('/api/outfits/outfit1').send({ name: 'Mío' });
+      const deleteResponse = await request(app).delete('/api/outfits/outfit1');
+
+      expect(getResponse.statusCode).toBe(403);
+      expect(putResponse.statusCode).toBe(403);
+      expect(deleteResponse.statusCode).toBe(403);
+      expect(Outfit.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(Outfit.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Calendar Routes', () => {
+    const entry = {
+      _id: 'entry1',
+      owner: { toString: () => 'mockUserId' },
+      date: new Date('2026-03-15'),
+      outfit: null,
+      items: ['64b0000000000000000000b1'],
+      wornAt: null,
+      wearEvents: [],
+    };
+    const mockRangeQuery = (entries) => {
+      CalendarEntry.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue(entries) }),
+      });
+    };
+
+    it('GET /api/calendar - should list the entries in the range', async () => {
+      mockRangeQuery([{ _id: 'entry1', date: '2026-03-15T00:00:00.000Z', items: [] }]);
+
+      const response = await request(app).get('/api/calendar?from=2026-03-01&to=2026-03-31');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(CalendarEntry.find).toHaveBeenCalledWith({
+        owner: 'mockUserId',
+        date: { $gte: new Date('2026-03-01'), $lte: new Date('2026-03-31') },
+      });
+    });
+
+    it('GET /api/calendar/export.ics - should download the range as iCalendar', async () => {
+      mockRangeQuery([{ _id: 'entry1', date: new Date('2026-03-15'), outfit: { name: 'Oficina', items: [] }, items: [] }]);
+
+      const response = await request(app).get('/api/calendar/export.ics?from=2026-03-01&to=2026-03-31');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="ropabase-calendar.ics"');
+      expect(response.text).toContain('SUMMARY:Oficina');
+    });
+
+    // Las apps de calendario no envían credenciales: el token de la URL basta.
+    it('GET /api/calendar/feed/:token.ics - should serve the feed without authentication', async () => {
+      protect.mockImplementation((req, res) => res.status(401).json({ message: 'Not authorized' }));
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: 'mockUserId' }) });
+      mockRangeQuery([{ _id: 'entry1', date: new Date('2026-03-15'), outfit: { name: 'Oficina', items: [] }, items: [] }]);
+
+      const response = await request(app).get('/api/calendar/feed/abc123.ics');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(response.headers['content-disposition']).toBeUndefined();
+      expect(response.text).toContain('SUMMARY:Oficina');
+      expect(protect).not.toHaveBeenCalled();
+    });
+
+    it('POST /api/calendar/feed - should return a new feed URL', async () => {
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const response = await request(app).post('/api/calendar/feed');
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.url).toMatch(/\/api\/calendar\/feed\/[a-f0-9]+\.ics$/);
+    });
+
+    it('POST /api/calendar/:id/worn - should record a wear of each item on the entry date', async () => {
+      CalendarEntry.findById.mockResolvedValue(entry);
+      CalendarEntry.findOneAndUpdate.mockResolvedValue(entry);
+      CalendarEntry.findByIdAndUpdate.mockImplementation(async (id, data) => ({ ...entry, ...data }));
+      WearEvent.insertMany.mockImplementation(async (docs) => docs.map((doc) => ({ _id: 'wear1', ...doc })));
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      ClothingItem.distinct.mockResolvedValue(['64b0000000000000000000b1']);
+      WearEvent.countDocuments.mockResolvedValue(1);
+      WearEvent.findOne.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue({ wornAt: entry.date }) }),
+      });
+
+      const response = await request(app).post('/api/calendar/entry1/worn');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.wearEvents).toEqual(['wear1']);
+      expect(WearEvent.insertMany).toHaveBeenCalledWith([
+        { item: '64b0000000000000000000b1', owner: 'mockUserId', wornAt: entry.date },
+      ]);
+    });
+
+    it('PATCH /api/calendar/:id - should reject invalid dates', async () => {
+      CalendarEntry.findById.mockResolvedValue(entry);
+
+      const response = await request(app).patch('/api/calendar/entry1').send({ date: 'someday' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body).toEqual({ message: 'date must be a valid date' });
+    });
+  });
+
+  describe('Category Routes', () => {
+    it('GET /api/categories - should list the visible categories', async () => {
+      Category.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([{ _id: 'SHOES_ID', key: 'SHOES', name: 'Shoes', owner: null, parentId: null }]),
+      });
+
+      const response = await request(app).get('/api/categories');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual([{ id: 'SHOES_ID', key: 'SHOES', name: 'Shoes', parent: null, system: true }]);
+    });
+
+    it('POST /api/categories - should create a subcategory', async () => {
+      Category.findOne.mockResolvedValue({ _id: 'SHOES_ID', key: 'SHOES', ancestors: [] });
+      Category.exists.mockResolvedValue(null);
+      Category.create.mockImplementation(async (data) => ({ _id: 'newId', ...data }));
+
+      const response = await request(app)
+        .post('/api/categories')
+        .send({ name: 'Sneakers', parent: 'SHOES' });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body).toEqual({ id: 'newId', key: 'SNEAKERS', name: 'Sneakers', parent: 'SHOES_ID', system: false });
+    });
+
+    it('PATCH and DELETE /api/categories/:id - should reject system categories', async () => {
+      Category.findOne.mockResolvedValue({ _id: 'SHOES_ID', key: 'SHOES', owner: null });
+
+      const patchResponse = await request(app).patch('/api/categories/SHOES_ID').send({ name: 'Calzado' });
+      const deleteResponse = await request(app).delete('/api/categories/SHOES_ID');
+
+      expect(patchResponse.statusCode).toBe(403);
+      expect(deleteResponse.statusCode).toBe(403);
+    });
+  });
+
+  describe('Tag Routes', () => {
+    it('GET /api/tags - should list the tags of the user', async () => {
+      // La agregación convierte el userId a ObjectId: necesita un id con formato válido.
+      protect.mockImplementation((req, res, next) => {
+        req.user = { userId: '64b0000000000000000000aa' };
+        next();
+      });
+      ClothingItem.aggregate.mockResolvedValue([{ tag: 'verano', count: 2 }]);
+
+      const response = await request(app).get('/api/tags');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual([{ tag: 'verano', count: 2 }]);
+    });
+
+    it('PATCH /api/tags/:tag - should rename a tag with spaces in the URL', async () => {
+      ClothingItem.exists.mockResolvedValue(null);
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'mockItemId', tags: ['fin de semana'] }]) });
+      ClothingItem.bulkWrite.mockResolvedValue({});
+
+      const response = await request(app)
+        .patch('/api/tags/fin%20de%20semana')
+        .send({ name: 'finde' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({ tag: 'finde', count: 1 });
+    });
+
+    it('POST /api/tags/merge and DELETE /api/tags/:tag - should update the tagged items', async () => {
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'mockItemId', tags: ['trabajo'] }]) });
+      ClothingItem.bulkWrite.mockResolvedValue({});
+
+      const mergeResponse = await request(app)
+        .post('/api/tags/merge')
+        .send({ source: 'trabajo', target: 'oficina' });
+      const deleteResponse = await request(app).delete('/api/tags/trabajo');
+
+      expect(mergeResponse.statusCode).toBe(200);
+      expect(mergeResponse.body).toEqual({ tag: 'oficina', count: 1 });
+      expect(deleteResponse.statusCode).toBe(204);
     });
   });
 });
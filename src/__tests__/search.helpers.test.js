@@ -0,0 +1,136 @@
+import {
+  foldAccents,
+  tokenize,
+  stemSpanish,
+  stemEnglish,
+  expandTerms,
+  buildSearchText,
+  buildTextSearchQuery,
+  escapeRegex,
+  migrateSearchText,
+} from '../helpers/search.helpers.js';
+import ClothingItem from '../models/clothing.model.js';
+
+jest.mock('../models/clothing.model.js');
+
+describe('Search Helpers', () => {
+  describe('foldAccents', () => {
+    it('should remove diacritics and lowercase', () => {
+      expect(foldAccents('Camisón Pingüino AÑO')).toBe('camison pinguino ano');
+    });
+
+    it('should treat missing values as empty text', () => {
+      expect(foldAccents(undefined)).toBe('');
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should split on punctuation and drop stopwords and single letters', () => {
+      expect(tokenize('Camisa de lino, "the" T-shirt $x')).toEqual(['camisa', 'lino', 'shirt']);
+    });
+  });
+
+  describe('stemSpanish', () => {
+    it.each([
+      ['camisas', 'camis'],
+      ['camisa', 'camis'],
+      ['luces', 'luz'],
+      ['franceses', 'frances'],
+      ['sol', 'sol'],
+    ])('should stem %p as %p', (word, expected) => {
+      expect(stemSpanish(word)).toBe(expected);
+    });
+  });
+
+  describe('stemEnglish', () => {
+    it.each([
+      ['dresses', 'dress'],
+      ['berries', 'berry'],
+      ['shoes', 'shoe'],
+      ['boots', 'boot'],
+      ['glass', 'glass'],
+      ['cactus', 'cactus'],
+    ])('should stem %p as %p', (word, expected) => {
+      expect(stemEnglish(word)).toBe(expected);
+    });
+  });
+
+  describe('expandTerms', () => {
+    it('should include the folded word and both stems', () => {
+      expect(expandTerms('Camisas azules')).toEqual(['camisas', 'camis', 'camisa', 'azules', 'azul', 'azule']);
+    });
+
+    it('should accept arrays (tags)', () => {
+      expect(expandTerms(['verano', 'oficina'])).toEqual(expect.arrayContaining(['verano', 'oficina']));
+    });
+
+    it('should match singular and plural forms of the same word', () => {
+      const indexed = expandTerms('Camisón');
+      expect(expandTerms('camisones').some((term) => indexed.includes(term))).toBe(true);
+    });
+  });
+
+  describe('buildSearchText', () => {
+    it('should build terms for every searchable field', () => {
+      expect(buildSearchText({ name: 'Jeans', brand: 'Levi’s', color: 'Azul' })).toEqual({
+        name: 'jeans jean',
+        brand: 'levi',
+        color: 'azul',
+        notes: '',
+        tags: '',
+      });
+    });
+
+    it('should prefer defined overrides over the current item', () => {
+      const result = buildSearchText({ name: 'Old', brand: 'Zara' }, { name: 'Nuevo', brand: undefined });
+      expect(result.name).toBe('nuevo nuev');
+      expect(result.brand).toBe('zara zar');
+    });
+  });
+
+  describe('buildTextSearchQuery', () => {
+    it('should return space separated terms', () => {
+      expect(buildTextSearchQuery('zapatos')).toBe('zapatos zapat zapato');
+    });
+
+    it('should return null when nothing is searchable', () => {
+      expect(buildTextSearchQuery('"- $ de')).toBeNull();
+    });
+  });
+
+  describe('escapeRegex', () => {
+    it('should escape regex metacharacters', () => {
+      expect(escapeRegex('t-shirt (v2).*')).toBe('t-shirt \\(v2\\)\\.\\*');
+      expect(new RegExp(escapeRegex('a+b?')).test('a+b?')).toBe(true);
+    });
+  });
+
+  describe('migrateSearchText', () => {
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+
+    it('should build the search text of older items', async () => {
+      ClothingItem.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ _id: 'item1', name: 'Camisón', color: 'Azul' }]),
+      });
+
+      await expect(migrateSearchText()).resolves.toBe(1);
+      expect(ClothingItem.find).toHaveBeenCalledWith({ searchText: { $exists: false } });
+      expect(ClothingItem.find.mock.results[0].value.select).toHaveBeenCalledWith('name brand color notes tags');
+      expect(ClothingItem.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: 'item1' },
+          update: { $set: { searchText: { name: 'camison', brand: '', color: 'azul', notes: '', tags: '' } } },
+        },
+      }]);
+    });
+
+    it('should do nothing when every item has its search text', async () => {
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      await expect(migrateSearchText()).resolves.toBe(0);
+      expect(ClothingItem.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { listSessions, revokeSession } from '../controllers/session.controller.js';
+import Session from '../models/session.model.js';
+
+jest.mock('../models/session.model.js');
+
+describe('Session Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // El access token lleva el sessionId de la sesión que hace la petición.
+    req = {
+      params: {},
+      user: { userId: 'mockUserId', sessionId: 'currentSessionId' },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      clearCookie: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe('listSessions', () => {
+    it('should list the sessions of the user marking the current one', async () => {
+      const createdAt = new Date('2026-01-01');
+      const sort = jest.fn().mockResolvedValue([
+        { _id: 'currentSessionId', userAgent: 'Chrome', ip: '1.1.1.1', createdAt },
+        { _id: 'mobileSessionId', userAgent: 'RopaBase iOS', ip: '2.2.2.2', createdAt },
+      ]);
+      Session.find.mockReturnValue({ sort });
+
+      await listSessions(req, res);
+
+      expect(Session.find).toHaveBeenCalledWith({ user: 'mockUserId' });
+      expect(sort).toHaveBeenCalledWith({ lastUsedAt: -1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+      const [sessions] = res.json.mock.calls[0];
+      expect(sessions).toHaveLength(2);
+      expect(sessions[0]).toEqual(expect.objectContaining({ id: 'currentSessionId', current: true }));
+      expect(sessions[1]).toEqual(expect.objectContaining({ id: 'mobileSessionId', userAgent: 'RopaBase iOS', current: false }));
+      // El hash del refresh token nunca se expone
+      expect(sessions[0]).not.toHaveProperty('refreshTokenHash');
+    });
+
+    it('should return 500 on database error and log it as an auth error', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const error = new Error('DB error');
+      Session.find.mockReturnValue({ sort: jest.fn().mockRejectedValue(error) });
+
+      await listSessions(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(consoleErrorSpy).toHaveBeenCalledWith('[AUTH] Error al listar sesiones:', error);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should revoke another device session without touching cookies', async () => {
+      req.params.id = 'mobileSessionId';
+      Session.findOneAndDelete.mockResolvedValue({ _id: 'mobileSessionId' });
+
+      await revokeSession(req, res);
+
+      expect(Session.findOneAndDelete).toHaveBeenCalledWith({ _id: 'mobileSessionId', user: 'mockUserId' });
+      expect(res.clearCookie).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should clear cookies when revoking the current session', async () => {
+      req.params.id = 'currentSessionId';
+      Session.findOneAndDelete.mockResolvedValue({ _id: 'currentSessionId' });
+
+      await revokeSession(req, res);
+
+      expect(res.clearCookie).toHaveBeenCalledWith('accessToken', expect.any(Object));
+      expect(res.clearCookie).toHaveBeenCalledWith('refreshToken', expect.any(Object));
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should return 404 if the session does not exist or belongs to another user', async () => {
+      req.params.id = 'foreignSessionId';
+      Session.findOneAndDelete.mockResolvedValue(null);
+
+      await revokeSession(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Session not found' });
+    });
+
+    it('should return 404 for malformed session ids (CastError)', async () => {
+      req.params.id = 'not-an-object-id';
+      const castError = new Error('Cast to ObjectId failed');
+      castError.name = 'CastError';
+      Session.findOneAndDelete.mockRejectedValue(castError);
+
+      await revokeSession(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should log database errors with the auth prefix', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      req.params.id = 'mobileSessionId';
+      const error = new Error('DB error');
+      Session.findOneAndDelete.mockRejectedValue(error);
+
+      await revokeSession(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(consoleErrorSpy).toHaveBeenCalledWith('[AUTH] Error al revocar sesión:', error);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+});
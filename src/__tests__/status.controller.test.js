@@ -0,0 +1,284 @@
+import {
+  changeItemStatus,
+  getStatusHistory,
+  loadLaundry,
+  finishLaundry,
+} from '../controllers/status.controller.js';
+import ClothingItem from '../models/clothing.model.js';
+import StatusChange from '../models/statusChange.model.js';
+import { encodeCursor } from '../helpers/pagination.helpers.js';
+
+jest.mock('../models/clothing.model.js');
+jest.mock('../models/statusChange.model.js');
+
+describe('Status Controller', () => {
+  let req, res;
+  const userId = '64b0000000000000000000aa';
+  const itemId = '64b0000000000000000000bb';
+  const itemA = '64b0000000000000000000b1';
+  const itemB = '64b0000000000000000000b2';
+  const item = {
+    _id: itemId,
+    owner: { toString: () => userId },
+    status: 'WORN',
+    statusChangedAt: new Date('2026-03-01'),
+  };
+
+  // find().select('status') de las tandas de lavado.
+  const mockCandidates = (items) => {
+    ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue(items) });
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    req = { body: {}, params: { id: itemId }, query: {}, user: { userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+    ClothingItem.findById.mockResolvedValue(item);
+    StatusChange.insertMany.mockImplementation(async (docs) => docs.map((doc, index) => ({ _id: `change${index}`, ...doc })));
+  });
+
+  describe('changeItemStatus', () => {
+    it('should change the status and return the recorded change', async () => {
+      req.body = { status: 'repair', note: 'Cremallera rota' };
+
+      await changeItemStatus(req, res);
+
+      expect(ClothingItem.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [itemId] } },
+        { $set: { status: 'REPAIR', statusChangedAt: expect.any(Date) } }
+      );
+      const [[change]] = StatusChange.insertMany.mock.calls[0];
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'REPAIR',
+        statusChangedAt: change.changedAt,
+        change: { id: 'change0', from: 'WORN', to: 'REPAIR', note: 'Cremallera rota', changedAt: change.changedAt },
+      });
+    });
+
+    it('should return 400 for an unknown status', async () => {
+      req.body = { status: 'dirty' };
+
+      await changeItemStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(ClothingItem.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for a transition that is not allowed', async () => {
+      req.body = { status: 'CLEAN' };
+
+      await changeItemStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Cannot change status from WORN to CLEAN' });
+      expect(StatusChange.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if the item is already in that status', async () => {
+      req.body = { status: 'WORN' };
+
+      await changeItemStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Clothing item is already WORN' });
+    });
+
+    it('should return 404 if the item does not exist', async () => {
+      req.body = { status: 'LAUNDRY' };
+      ClothingItem.findById.mockResolvedValue(null);
+
+      await changeItemStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Clothing item not found' });
+    });
+
+    it('should return 403 if the item belongs to another user', async () => {
+      req.body = { status: 'LAUNDRY' };
+      ClothingItem.findById.mockResolvedValue({ ...item, owner: { toString: () => 'otherUser' } });
+
+      await changeItemStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not authorized to update this item' });
+    });
+
+    it('should handle database errors', async () => {
+      req.body = { status: 'LAUNDRY' };
+      ClothingItem.updateMany.mockRejectedValue(new Error('Database error'));
+
+      await changeItemStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getStatusHistory', () => {
+    const mockHistory = (changes) => {
+      const limit = jest.fn().mockResolvedValue(changes);
+      const sort = jest.fn().mockReturnValue({ limit });
+      StatusChange.find.mockReturnValue({ sort });
+      return { sort, limit };
+    };
+
+    it('should return the current status and the latest changes first', async () => {
+      const changedAt = new Date('2026-03-01');
+      const { sort } = mockHistory([{ _id: 'change1', from: 'CLEAN', to: 'WORN', changedAt }]);
+
+      await getStatusHistory(req, res);
+
+      expect(StatusChange.find).toHaveBeenCalledWith({ item: itemId });
+      expect(sort).toHaveBeenCalledWith({ changedAt: -1, _id: -1 });
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'WORN',
+        statusChangedAt: new Date('2026-03-01'),
+        items: [{ id: 'change1', from: 'CLEAN', to: 'WORN', note: null, changedAt }],
+        nextCursor: null,
+      });
+    });
+
+    it('should paginate with a cursor', async () => {
+      req.query = { limit: '1' };
+      const changes = [
+        { _id: '64b0000000000000000000c2', from: 'WORN', to: 'LAUNDRY', changedAt: new Date('2026-03-02') },
+        { _id: 'change1', from: 'CLEAN', to: 'WORN', changedAt: new Date('2026-03-01') },
+      ];
+      mockHistory(changes);
+
+      await getStatusHistory(req, res);
+
+      const [body] = res.json.mock.calls[0];
+      expect(body.items).toHaveLength(1);
+      expect(body.nextCursor).toBe(encodeCursor(changes[0], { field: 'changedAt', direction: -1 }));
+
+      req.query = { cursor: body.nextCursor };
+      mockHistory([]);
+      await getStatusHistory(req, res);
+
+      const [filters] = StatusChange.find.mock.calls[1];
+      expect(filters.item).toBe(itemId);
+      expect(filters.$or[0]).toEqual({ changedAt: { $lt: new Date('2026-03-02') } });
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      req.query = { cursor: 'garbage' };
+
+      await getStatusHistory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid cursor' });
+    });
+
+    it('should return 403 if the item belongs to another user', async () => {
+      ClothingItem.findById.mockResolvedValue({ ...item, owner: { toString: () => 'otherUser' } });
+
+      await getStatusHistory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(StatusChange.find).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      ClothingItem.findById.mockRejectedValue(new Error('Database error'));
+
+      await getStatusHistory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('loadLaundry', () => {
+    it('should put every worn item in the laundry by default', async () => {
+      mockCandidates([{ _id: itemA, status: 'WORN' }]);
+
+      await loadLaundry(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null, status: { $in: ['WORN'] } });
+      expect(StatusChange.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ item: itemA, from: 'WORN', to: 'LAUNDRY' }),
+      ]);
+      expect(res.json).toHaveBeenCalledWith({ updated: [itemA], skipped: [] });
+    });
+
+    it('should load the given items and skip those that cannot go to the laundry', async () => {
+      req.body = { items: `${itemA},${itemB}` };
+      mockCandidates([{ _id: itemA, status: 'CLEAN' }, { _id: itemB, status: 'SOLD' }]);
+
+      await loadLaundry(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({ _id: { $in: [itemA, itemB] }, owner: userId, deletedAt: null });
+      expect(res.json).toHaveBeenCalledWith({ updated: [itemA], skipped: [{ id: itemB, status: 'SOLD' }] });
+    });
+
+    it('should return 400 for items of another user', async () => {
+      req.body = { items: [itemA, itemB] };
+      mockCandidates([{ _id: itemA, status: 'WORN' }]);
+
+      await loadLaundry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Items must be clothing items of the user' });
+      expect(ClothingItem.updateMany).not.toHaveBeenCalled();
+    });
+
+    it.each([['nope'], [[]]])('should return 400 for the items %p', async (items) => {
+      req.body = { items };
+
+      await loadLaundry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Items must be a list of clothing item ids' });
+    });
+
+    it('should handle database errors', async () => {
+      ClothingItem.find.mockImplementation(() => {
+        throw new Error('Database error');
+      });
+
+      await loadLaundry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('finishLaundry', () => {
+    it('should mark everything in the laundry as clean by default', async () => {
+      mockCandidates([{ _id: itemA, status: 'LAUNDRY' }, { _id: itemB, status: 'LAUNDRY' }]);
+
+      await finishLaundry(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: null, status: { $in: ['LAUNDRY'] } });
+      expect(ClothingItem.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [itemA, itemB] } },
+        { $set: { status: 'CLEAN', statusChangedAt: expect.any(Date) } }
+      );
+      expect(res.json).toHaveBeenCalledWith({ updated: [itemA, itemB], skipped: [] });
+    });
+
+    it('should only clean the given items that are in the laundry', async () => {
+      req.body = { items: [itemA, itemB] };
+      mockCandidates([{ _id: itemA, status: 'LAUNDRY' }, { _id: itemB, status: 'WORN' }]);
+
+      await finishLaundry(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({ updated: [itemA], skipped: [{ id: itemB, status: 'WORN' }] });
+    });
+
+    it('should succeed when there is nothing to clean', async () => {
+      mockCandidates([]);
+
+      await finishLaundry(req, res);
+
+      expect(ClothingItem.updateMany).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ updated: [], skipped: [] });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import {
+  canTransition,
+  parseStatusChange,
+  applyStatusChange,
+  markItemsWorn,
+  buildStatusFilters,
+  migrateItemStatuses,
+} from '../helpers/status.helpers.js';
+import ClothingItem from '../models/clothing.model.js';
+import StatusChange from '../models/statusChange.model.js';
+
+jest.mock('../models/clothing.model.js');
+jest.mock('../models/statusChange.model.js');
+
+describe('Status Helpers', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('canTransition', () => {
+    it.each([
+      ['CLEAN', 'WORN', true],
+      ['WORN', 'LAUNDRY', true],
+      ['LAUNDRY', 'CLEAN', true],
+      ['LENT', 'LAUNDRY', true],
+      ['LAUNDRY', 'WORN', false],
+      ['WORN', 'CLEAN', false],
+      ['SOLD', 'CLEAN', false],
+      ['UNKNOWN', 'CLEAN', false],
+    ])('%s → %s should be %p', (from, to, expected) => {
+      expect(canTransition(from, to)).toBe(expected);
+    });
+  });
+
+  describe('parseStatusChange', () => {
+    it('should normalize the status and trim the note', () => {
+      expect(parseStatusChange({ status: ' lent ', note: ' A Marta ' })).toEqual({
+        data: { status: 'LENT', note: 'A Marta' },
+        error: null,
+      });
+    });
+
+    it('should ignore an empty note', () => {
+      expect(parseStatusChange({ status: 'CLEAN', note: '' }).data).toEqual({ status: 'CLEAN' });
+    });
+
+    it.each([
+      [{}, 'status must be one of: CLEAN, WORN, LAUNDRY, REPAIR, LENT, STORED, SOLD'],
+      [{ status: 'dirty' }, 'status must be one of: CLEAN, WORN, LAUNDRY, REPAIR, LENT, STORED, SOLD'],
+      [{ status: 'REPAIR', note: 42 }, 'note must be a string'],
+      [{ status: 'REPAIR', note: 'x'.repeat(201) }, 'note must be at most 200 characters'],
+    ])('should reject %p', (body, error) => {
+      expect(parseStatusChange(body)).toEqual({ data: null, error });
+    });
+
+    it('should reject a missing body', () => {
+      expect(parseStatusChange().error).toMatch(/^status must be one of/);
+    });
+  });
+
+  describe('applyStatusChange', () => {
+    it('should update the items and record where each one came from', async () => {
+      const changedAt = new Date('2026-03-02');
+      StatusChange.insertMany.mockImplementation(async (docs) => docs);
+      const items = [{ _id: 'item1', status: 'WORN' }, { _id: 'item2', status: 'CLEAN' }];
+
+      const changes = await applyStatusChange('user1', items, 'LAUNDRY', { note: 'Lavadora', changedAt });
+
+      expect(ClothingItem.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['item1', 'item2'] } },
+        { $set: { status: 'LAUNDRY', statusChangedAt: changedAt } }
+      );
+      expect(changes).toEqual([
+        { item: 'item1', owner: 'user1', from: 'WORN', to: 'LAUNDRY', note: 'Lavadora', changedAt },
+        { item: 'item2', owner: 'user1', from: 'CLEAN', to: 'LAUNDRY', note: 'Lavadora', changedAt },
+      ]);
+    });
+
+    it('should do nothing without items', async () => {
+      await expect(applyStatusChange('user1', [], 'CLEAN')).resolves.toEqual([]);
+      expect(ClothingItem.updateMany).not.toHaveBeenCalled();
+      expect(StatusChange.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markItemsWorn', () => {
+    it('should only dirty clean items that were not changed after the wear', async () => {
+      const wornAt = new Date('2026-03-02');
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'item1', status: 'CLEAN' }]) });
+      StatusChange.insertMany.mockImplementation(async (docs) => docs);
+
+      const changes = await markItemsWorn('user1', ['item1', 'item2'], wornAt);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({
+        _id: { $in: ['item1', 'item2'] },
+        owner: 'user1',
+        status: 'CLEAN',
+        $or: [{ statusChangedAt: null }, { statusChangedAt: { $lte: wornAt } }],
+      });
+      expect(changes).toEqual([expect.objectContaining({ item: 'item1', from: 'CLEAN', to: 'WORN' })]);
+    });
+  });
+
+  describe('buildStatusFilters', () => {
+    it('should filter by a list of statuses', () => {
+      expect(buildStatusFilters({ status: 'laundry, repair' })).toEqual({
+        filters: { status: { $in: ['LAUNDRY', 'REPAIR'] } },
+        ignored: [],
+      });
+    });
+
+    it('should filter the items that can be worn now', () => {
+      expect(buildStatusFilters({ available: 'true' }).filters).toEqual({ status: { $in: ['CLEAN', 'WORN'] } });
+    });
+
+    it('should combine the list with available', () => {
+      expect(buildStatusFilters({ status: 'clean,laundry', available: 'true' }).filters).toEqual({
+        status: { $in: ['CLEAN'] },
+      });
+      expect(buildStatusFilters({ status: 'clean,laundry', available: 'false' }).filters).toEqual({
+        status: { $in: ['CLEAN', 'LAUNDRY'], $nin: ['CLEAN', 'WORN'] },
+      });
+    });
+
+    it('should ignore invalid values', () => {
+      expect(buildStatusFilters({ status: 'clean,dirty', available: 'yes' })).toEqual({
+        filters: {},
+        ignored: ['status', 'available'],
+      });
+    });
+
+    it('should return no filters without query params', () => {
+      expect(buildStatusFilters()).toEqual({ filters: {}, ignored: [] });
+    });
+  });
+
+  describe('migrateItemStatuses', () => {
+    it('should start the items without a status as clean', async () => {
+      ClothingItem.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      await expect(migrateItemStatuses()).resolves.toBe(3);
+      expect(ClothingItem.updateMany).toHaveBeenCalledWith(
+        { status: { $exists: false } },
+        { $set: { status: 'CLEAN', statusChangedAt: null } }
+      );
+    });
+  });
+});
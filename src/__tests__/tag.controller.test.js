@@ -0,0 +1,210 @@
+import {
+  listTags,
+  renameTag,
+  mergeTags,
+  deleteTag,
+} from '../controllers/tag.controller.js';
+import ClothingItem from '../models/clothing.model.js';
+
+jest.mock('../models/clothing.model.js');
+
+describe('Tag Controller', () => {
+  let req, res;
+  const userId = '64b0000000000000000000aa';
+
+  // Simula find().select() devolviendo las prendas con sus etiquetas.
+  const mockItemsWithTags = (items) => {
+    ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue(items) });
+    ClothingItem.bulkWrite.mockResolvedValue({});
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    req = { body: {}, params: {}, user: { userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+  });
+
+  describe('listTags', () => {
+    it('should aggregate the tags of the user with their usage count', async () => {
+      const tags = [{ tag: 'verano', count: 4 }, { tag: 'oficina', count: 1 }];
+      ClothingItem.aggregate.mockResolvedValue(tags);
+
+      await listTags(req, res);
+
+      const [pipeline] = ClothingItem.aggregate.mock.calls[0];
+      expect(pipeline[0].$match.deletedAt).toBeNull();
+      expect(pipeline[0].$match.owner.toString()).toBe(userId);
+      expect(pipeline).toEqual(expect.arrayContaining([{ $unwind: '$tags' }]));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(tags);
+    });
+
+    it('should handle database errors', async () => {
+      ClothingItem.aggregate.mockRejectedValue(new Error('Database error'));
+
+      await listTags(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('renameTag', () => {
+    it('should rename the tag and recompute the search terms of each item', async () => {
+      req.params.tag = 'Verano';
+      req.body = { name: ' Summer  Vibes ' };
+      ClothingItem.exists.mockResolvedValue(null);
+      mockItemsWithTags([{ _id: 'item1', tags: ['verano', 'playa'] }]);
+
+      await renameTag(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, tags: { $in: ['verano'] } });
+      expect(ClothingItem.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: 'item1', owner: userId },
+          update: {
+            $set: {
+              tags: ['summer vibes', 'playa'],
+              'searchText.tags': expect.stringContaining('summer'),
+            },
+          },
+        },
+      }]);
+      expect(res.json).toHaveBeenCalledWith({ tag: 'summer vibes', count: 1 });
+    });
+
+    it('should return 409 when the new name is already in use', async () => {
+      req.params.tag = 'verano';
+      req.body = { name: 'playa' };
+      ClothingItem.exists.mockResolvedValue({ _id: 'item2' });
+
+      await renameTag(req, res);
+
+      expect(ClothingItem.exists).toHaveBeenCalledWith({ owner: userId, tags: 'playa', deletedAt: null });
+      expect(ClothingItem.bulkWrite).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Tag already exists, merge the tags instead' });
+    });
+
+    it('should return 404 when no item has the tag', async () => {
+      req.params.tag = 'invierno';
+      req.body = { name: 'frio' };
+      ClothingItem.exists.mockResolvedValue(null);
+      mockItemsWithTags([]);
+
+      await renameTag(req, res);
+
+      expect(ClothingItem.bulkWrite).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Tag not found' });
+    });
+
+    it.each([
+      [{}, 'Tag must be a non-empty string'],
+      [{ name: '   ' }, 'Tag must be a non-empty string'],
+      [{ name: 'x'.repeat(41) }, 'Tags must be at most 40 characters'],
+      [{ name: 'VERANO' }, 'New tag name must be different'],
+    ])('should return 400 for body %p', async (body, message) => {
+      req.params.tag = 'verano';
+      req.body = body;
+
+      await renameTag(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+    });
+
+    it('should handle database errors', async () => {
+      req.params.tag = 'verano';
+      req.body = { name: 'summer' };
+      ClothingItem.exists.mockRejectedValue(new Error('Database error'));
+
+      await renameTag(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('mergeTags', () => {
+    it('should move the source tag into the target without duplicates', async () => {
+      req.body = { source: 'trabajo', target: 'oficina' };
+      mockItemsWithTags([
+        { _id: 'item1', tags: ['trabajo', 'oficina'] },
+        { _id: 'item2', tags: ['trabajo'] },
+      ]);
+
+      await mergeTags(req, res);
+
+      const [operations] = ClothingItem.bulkWrite.mock.calls[0];
+      expect(operations.map((operation) => operation.updateOne.update.$set.tags)).toEqual([['oficina'], ['oficina']]);
+      expect(res.json).toHaveBeenCalledWith({ tag: 'oficina', count: 2 });
+    });
+
+    it('should return 400 for missing or equal tags', async () => {
+      req.body = { source: 'oficina' };
+      await mergeTags(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ message: 'Tag must be a non-empty string' });
+
+      req.body = { source: 'Oficina', target: 'oficina' };
+      await mergeTags(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ message: 'Source and target tags must be different' });
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 404 when the source tag is not used', async () => {
+      req.body = { source: 'trabajo', target: 'oficina' };
+      mockItemsWithTags([]);
+
+      await mergeTags(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should handle database errors', async () => {
+      req.body = { source: 'trabajo', target: 'oficina' };
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('Database error')) });
+
+      await mergeTags(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteTag', () => {
+    it('should remove the tag from every item', async () => {
+      req.params.tag = 'verano';
+      mockItemsWithTags([{ _id: 'item1', tags: ['verano', 'playa'] }]);
+
+      await deleteTag(req, res);
+
+      const [[operation]] = ClothingItem.bulkWrite.mock.calls[0];
+      expect(operation.updateOne.update.$set).toEqual({ tags: ['playa'], 'searchText.tags': 'playa play' });
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should return 404 when no item has the tag', async () => {
+      req.params.tag = 'verano';
+      mockItemsWithTags([]);
+
+      await deleteTag(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should handle database errors', async () => {
+      req.params.tag = 'verano';
+      mockItemsWithTags([{ _id: 'item1', tags: ['verano'] }]);
+      ClothingItem.bulkWrite.mockRejectedValue(new Error('Database error'));
+
+      await deleteTag(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
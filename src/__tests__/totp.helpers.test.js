@@ -0,0 +1,96 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from '../helpers/totp.helpers.js';
+
+// Secreto de los vectores de prueba de RFC 6238 (ASCII "12345678901234567890").
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Helpers', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should encode the RFC 4648 test vector', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('should ignore case, spaces, dashes and padding when decoding', () => {
+      expect(base32Decode('mzxw 6ytb-oi======').toString()).toBe('foobar');
+    });
+
+    it('should throw on characters outside the alphabet', () => {
+      expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character: 1');
+    });
+  });
+
+  it('should generate 160-bit base32 secrets', () => {
+    const secret = generateTotpSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+  });
+
+  describe('generateTotp', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1234567890, '005924'],
+    ])('should match the RFC 6238 vector at t=%is', (seconds, expected) => {
+      expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(expected);
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const timeMs = 1111111109 * 1000;
+
+    it('should return the matching step for the current code', () => {
+      expect(verifyTotp(RFC_SECRET, '081804', { timeMs })).toBe(Math.floor(1111111109 / 30));
+    });
+
+    it('should tolerate one step of clock drift by default', () => {
+      const previousCode = generateTotp(RFC_SECRET, timeMs - 30 * 1000);
+      expect(verifyTotp(RFC_SECRET, previousCode, { timeMs })).toBe(Math.floor(1111111109 / 30) - 1);
+      expect(verifyTotp(RFC_SECRET, previousCode, { timeMs, window: 0 })).toBeNull();
+    });
+
+    it('should accept codes typed with spaces', () => {
+      expect(verifyTotp(RFC_SECRET, '081 804', { timeMs })).not.toBeNull();
+    });
+
+    it('should reject wrong or malformed codes', () => {
+      expect(verifyTotp(RFC_SECRET, '000000', { timeMs })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, '12345', { timeMs })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, 'abcdef', { timeMs })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, undefined, { timeMs })).toBeNull();
+    });
+  });
+
+  it('should build an otpauth URI readable by authenticator apps', () => {
+    const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'ana@example.com' });
+    expect(uri).toBe(
+      'otpauth://totp/RopaBase:ana%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=RopaBase&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+
+  describe('recovery codes', () => {
+    it('should generate distinct codes with the xxxxx-xxxxx format', () => {
+      const codes = generateRecoveryCodes();
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code) => expect(code).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/));
+    });
+
+    it('should normalize codes typed in uppercase or without the dash', () => {
+      expect(normalizeRecoveryCode(' ABCDE FGHIJ ')).toBe('abcde-fghij');
+      expect(normalizeRecoveryCode('abcdefghij')).toBe('abcde-fghij');
+    });
+  });
+});
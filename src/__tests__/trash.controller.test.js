@@ -0,0 +1,184 @@
+import { getTrash, restoreClothingItem, permanentlyDeleteClothingItem } from '../controllers/trash.controller.js';
+import ClothingItem from '../models/clothing.model.js';
+import WearEvent from '../models/wearEvent.model.js';
+import { encodeCursor } from '../helpers/pagination.helpers.js';
+
+jest.mock('../models/clothing.model.js');
+jest.mock('../models/user.model.js');
+jest.mock('../models/wearEvent.model.js');
+jest.mock('../models/statusChange.model.js');
+jest.mock('../models/outfit.model.js');
+jest.mock('../models/calendarEntry.model.js');
+jest.mock('../config/cloudinary.js', () => ({
+  uploader: { destroy: jest.fn() },
+}));
+
+describe('Trash Controller', () => {
+  let req, res;
+  const userId = '64b0000000000000000000aa';
+  const itemId = '64b0000000000000000000bb';
+  const trashedItem = {
+    _id: itemId,
+    owner: { toString: () => userId },
+    imagePublicId: null,
+    deletedAt: new Date('2026-03-01T00:00:00Z'),
+  };
+
+  // find().sort().limit() del listado de la papelera.
+  const mockTrash = (items) => {
+    const limit = jest.fn().mockResolvedValue(items.map((item) => ({ ...item, toJSON: () => ({ _id: item._id }) })));
+    const sort = jest.fn().mockReturnValue({ limit });
+    ClothingItem.find.mockReturnValue({ sort });
+    ClothingItem.countDocuments.mockResolvedValue(items.length);
+    return { sort, limit };
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    delete process.env.TRASH_RETENTION_DAYS;
+
+    req = { body: {}, params: { id: itemId }, query: {}, user: { userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+    ClothingItem.findById.mockResolvedValue(trashedItem);
+  });
+
+  describe('getTrash', () => {
+    it('should list the latest deleted items first with their purge date', async () => {
+      process.env.TRASH_RETENTION_DAYS = '10';
+      const { sort } = mockTrash([trashedItem]);
+
+      await getTrash(req, res);
+
+      expect(ClothingItem.find).toHaveBeenCalledWith({ owner: userId, deletedAt: { $ne: null } });
+      expect(sort).toHaveBeenCalledWith({ deletedAt: -1, _id: -1 });
+      expect(res.json).toHaveBeenCalledWith({
+        items: [{ _id: itemId, purgeAt: new Date('2026-03-11T00:00:00Z') }],
+        nextCursor: null,
+        total: 1,
+        retentionDays: 10,
+      });
+    });
+
+    it('should paginate with a cursor', async () => {
+      req.query = { limit: '1' };
+      const older = { ...trashedItem, _id: '64b0000000000000000000b2', deletedAt: new Date('2026-02-01T00:00:00Z') };
+      mockTrash([trashedItem, older]);
+
+      await getTrash(req, res);
+
+      const [body] = res.json.mock.calls[0];
+      expect(body.items).toHaveLength(1);
+      expect(body.nextCursor).toBe(encodeCursor(trashedItem, { field: 'deletedAt', direction: -1 }));
+
+      req.query = { cursor: body.nextCursor };
+      mockTrash([]);
+      await getTrash(req, res);
+
+      const [pageFilters] = ClothingItem.find.mock.calls[1];
+      expect(pageFilters.$and[0]).toEqual({ owner: userId, deletedAt: { $ne: null } });
+      expect(pageFilters.$and[1].$or[0]).toEqual({ deletedAt: { $lt: trashedItem.deletedAt } });
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      req.query = { cursor: 'garbage' };
+
+      await getTrash(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid cursor' });
+    });
+
+    it('should handle database errors', async () => {
+      ClothingItem.find.mockImplementation(() => {
+        throw new Error('Database error');
+      });
+
+      await getTrash(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('restoreClothingItem', () => {
+    it('should clear the deletion date and return the item', async () => {
+      const restoredItem = { _id: itemId, deletedAt: null };
+      ClothingItem.findByIdAndUpdate.mockResolvedValue(restoredItem);
+
+      await restoreClothingItem(req, res);
+
+      expect(ClothingItem.findByIdAndUpdate).toHaveBeenCalledWith(itemId, { deletedAt: null }, { new: true });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(restoredItem);
+    });
+
+    it('should return 409 if the item is not in the trash', async () => {
+      ClothingItem.findById.mockResolvedValue({ ...trashedItem, deletedAt: null });
+
+      await restoreClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Clothing item is not in the trash' });
+      expect(ClothingItem.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if the item does not exist', async () => {
+      ClothingItem.findById.mockResolvedValue(null);
+
+      await restoreClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Clothing item not found' });
+    });
+
+    it('should return 403 if the item belongs to another user', async () => {
+      ClothingItem.findById.mockResolvedValue({ ...trashedItem, owner: { toString: () => 'otherUser' } });
+
+      await restoreClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not authorized to update this item' });
+    });
+
+    it('should handle database errors', async () => {
+      ClothingItem.findById.mockRejectedValue(new Error('Database error'));
+
+      await restoreClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('permanentlyDeleteClothingItem', () => {
+    it('should delete the item and its history for good', async () => {
+      await permanentlyDeleteClothingItem(req, res);
+
+      expect(ClothingItem.findByIdAndDelete).toHaveBeenCalledWith(itemId);
+      expect(WearEvent.deleteMany).toHaveBeenCalledWith({ item: itemId });
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should return 403 if the item belongs to another user', async () => {
+      ClothingItem.findById.mockResolvedValue({ ...trashedItem, owner: { toString: () => 'otherUser' } });
+
+      await permanentlyDeleteClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not authorized to delete this item' });
+      expect(ClothingItem.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      ClothingItem.findByIdAndDelete.mockRejectedValue(new Error('Database error'));
+
+      await permanentlyDeleteClothingItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
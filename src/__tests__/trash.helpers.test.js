@@ -0,0 +1,141 @@
+import {
+  getTrashRetentionDays,
+  getPurgeDate,
+  destroyClothingItem,
+  purgeTrash,
+  startTrashPurgeJob,
+} from '../helpers/trash.helpers.js';
+import cloudinary from '../config/cloudinary.js';
+import ClothingItem from '../models/clothing.model.js';
+import User from '../models/user.model.js';
+import WearEvent from '../models/wearEvent.model.js';
+import StatusChange from '../models/statusChange.model.js';
+import Outfit from '../models/outfit.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+
+jest.mock('../models/clothing.model.js');
+jest.mock('../models/user.model.js');
+jest.mock('../models/wearEvent.model.js');
+jest.mock('../models/statusChange.model.js');
+jest.mock('../models/outfit.model.js');
+jest.mock('../models/calendarEntry.model.js');
+jest.mock('../config/cloudinary.js', () => ({
+  uploader: { destroy: jest.fn() },
+}));
+
+describe('Trash Helpers', () => {
+  const item = {
+    _id: 'item1',
+    owner: 'user1',
+    imagePublicId: 'public1',
+    images: [{ publicId: 'public1' }, { publicId: 'public2' }],
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    delete process.env.TRASH_RETENTION_DAYS;
+    delete process.env.TRASH_PURGE_INTERVAL_HOURS;
+  });
+
+  describe('getTrashRetentionDays', () => {
+    it('should default to 30 days', () => {
+      expect(getTrashRetentionDays()).toBe(30);
+    });
+
+    it('should read the retention from the environment', () => {
+      process.env.TRASH_RETENTION_DAYS = '7';
+      expect(getTrashRetentionDays()).toBe(7);
+    });
+  });
+
+  describe('getPurgeDate', () => {
+    it('should add the retention days to the deletion date', () => {
+      expect(getPurgeDate(new Date('2026-03-01T10:00:00Z'), 7)).toEqual(new Date('2026-03-08T10:00:00Z'));
+    });
+  });
+
+  describe('destroyClothingItem', () => {
+    it('should delete the item, its images, its history and its references', async () => {
+      await destroyClothingItem(item);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledTimes(2);
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('public1');
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('public2');
+      expect(ClothingItem.findByIdAndDelete).toHaveBeenCalledWith('item1');
+      expect(WearEvent.deleteMany).toHaveBeenCalledWith({ item: 'item1' });
+      expect(StatusChange.deleteMany).toHaveBeenCalledWith({ item: 'item1' });
+      expect(Outfit.updateMany).toHaveBeenCalledWith(
+        { owner: 'user1', items: 'item1' },
+        { $pull: { items: 'item1' }, $set: { incomplete: true } }
+      );
+      expect(CalendarEntry.updateMany).toHaveBeenCalledWith(
+        { owner: 'user1', items: 'item1' },
+        { $pull: { items: 'item1' } }
+      );
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user1' }, { $pull: { clothingItems: 'item1' } });
+    });
+
+    it('should skip Cloudinary for items without an image', async () => {
+      await destroyClothingItem({ ...item, imagePublicId: null, images: [] });
+
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+      expect(ClothingItem.findByIdAndDelete).toHaveBeenCalledWith('item1');
+    });
+  });
+
+  describe('purgeTrash', () => {
+    it('should delete the items past the retention period', async () => {
+      ClothingItem.find.mockResolvedValue([item, { ...item, _id: 'item2' }]);
+
+      await expect(purgeTrash({ now: new Date('2026-04-30T00:00:00Z'), retentionDays: 30 })).resolves.toBe(2);
+      expect(ClothingItem.find).toHaveBeenCalledWith({
+        deletedAt: { $ne: null, $lte: new Date('2026-03-31T00:00:00Z') },
+      });
+      expect(ClothingItem.findByIdAndDelete).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep going when an item fails', async () => {
+      ClothingItem.find.mockResolvedValue([item, { ...item, _id: 'item2' }]);
+      cloudinary.uploader.destroy.mockRejectedValueOnce(new Error('Cloudinary down'));
+
+      await expect(purgeTrash()).resolves.toBe(1);
+      expect(ClothingItem.findByIdAndDelete).toHaveBeenCalledWith('item2');
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('startTrashPurgeJob', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      ClothingItem.find.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should purge on start and then on every interval', () => {
+      process.env.TRASH_PURGE_INTERVAL_HOURS = '1';
+
+      const timer = startTrashPurgeJob();
+      expect(ClothingItem.find).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(60 * 60 * 1000);
+      expect(ClothingItem.find).toHaveBeenCalledTimes(2);
+      clearInterval(timer);
+    });
+
+    it('should log a failed run instead of throwing', async () => {
+      ClothingItem.find.mockRejectedValue(new Error('Database error'));
+
+      const timer = startTrashPurgeJob();
+      clearInterval(timer);
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,346 @@
+import crypto from 'crypto';
+import {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactor,
+} from '../controllers/twoFactor.controller.js';
+import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import {
+  reserveLoginAttempt,
+  registerLoginSuccess,
+} from '../helpers/loginThrottle.helpers.js';
+import { generateTotp } from '../helpers/totp.helpers.js';
+import jwt from 'jsonwebtoken';
+
+jest.mock('../models/user.model.js');
+jest.mock('../models/session.model.js');
+jest.mock('../helpers/loginThrottle.helpers.js');
+jest.mock('jsonwebtoken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Secreto fijo: los códigos válidos se calculan con el helper real.
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+// User.findById(...).select(...) → documento simulado
+const mockFindByIdSelect = (doc) => {
+  const select = jest.fn().mockResolvedValue(doc);
+  User.findById.mockReturnValue({ select });
+  return select;
+};
+
+describe('Two-Factor Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      body: {},
+      headers: {},
+      ip: '10.0.0.1',
+      user: { userId: 'mockUserId', sessionId: 'currentSessionId' },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      set: jest.fn().mockReturnThis(),
+      cookie: jest.fn().mockReturnThis(),
+    };
+
+    reserveLoginAttempt.mockResolvedValue({ allowed: true });
+  });
+
+  describe('enrollTwoFactor', () => {
+    it('should store a pending secret and return it with the otpauth URI', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', email: 'ana@example.com', twoFactor: { enabled: false } });
+
+      await enrollTwoFactor(req, res);
+
+      const [{ secret, otpauthUri }] = res.json.mock.calls[0];
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(otpauthUri).toContain(`secret=${secret}`);
+      expect(otpauthUri).toContain('RopaBase:ana%40example.com');
+      // 2FA no se activa todavía: solo se guarda el secreto pendiente
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('mockUserId', { 'twoFactor.pendingSecret': secret });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 409 if 2FA is already enabled', async () => {
+      User.findById.mockResolvedValue({ _id: 'mockUserId', twoFactor: { enabled: true } });
+
+      await enrollTwoFactor(req, res);
+
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Two-factor authentication already enabled' });
+    });
+
+    it('should return 404 if the user does not exist', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await enrollTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 500 on database error', async () => {
+      User.findById.mockRejectedValue(new Error('DB error'));
+
+      await enrollTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('confirmTwoFactor', () => {
+    it('should enable 2FA and return recovery codes stored only as hashes', async () => {
+      req.body = { code: generateTotp(SECRET) };
+      mockFindByIdSelect({ _id: 'mockUserId', twoFactor: { pendingSecret: SECRET } });
+
+      await confirmTwoFactor(req, res);
+
+      const [{ message, recoveryCodes }] = res.json.mock.calls[0];
+      expect(message).toBe('Two-factor authentication enabled');
+      expect(recoveryCodes).toHaveLength(10);
+      const [, update] = User.findByIdAndUpdate.mock.calls[0];
+      expect(update.$set).toEqual(expect.objectContaining({
+        'twoFactor.enabled': true,
+        'twoFactor.secret': SECRET,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashToken),
+        'twoFactor.lastUsedStep': expect.any(Number),
+      }));
+      expect(update.$unset).toEqual({ 'twoFactor.pendingSecret': 1 });
+    });
+
+    it('should return 400 if the code is missing', async () => {
+      await confirmTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Code is required' });
+    });
+
+    it('should return 400 if there is no enrollment in progress', async () => {
+      req.body = { code: '123456' };
+      mockFindByIdSelect({ _id: 'mockUserId', twoFactor: { enabled: false } });
+
+      await confirmTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'No two-factor enrollment in progress' });
+    });
+
+    it('should return 400 if the code does not match the pending secret', async () => {
+      req.body = { code: 'abcdef' };
+      mockFindByIdSelect({ _id: 'mockUserId', twoFactor: { pendingSecret: SECRET } });
+
+      await confirmTwoFactor(req, res);
+
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid two-factor code' });
+    });
+
+    it('should return 500 on database error', async () => {
+      req.body = { code: '123456' };
+      User.findById.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('DB error')) });
+
+      await confirmTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('disableTwoFactor', () => {
+    const enabledUser = { _id: 'mockUserId', twoFactor: { enabled: true, secret: SECRET } };
+
+    it('should disable 2FA with a valid TOTP code', async () => {
+      req.body = { code: generateTotp(SECRET) };
+      mockFindByIdSelect(enabledUser);
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await disableTwoFactor(req, res);
+
+      // El periodo usado se guarda de forma condicional → anti-replay
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'mockUserId', 'twoFactor.lastUsedStep': { $not: { $gte: expect.any(Number) } } },
+        { $set: { 'twoFactor.lastUsedStep': expect.any(Number) } }
+      );
+      const [, update] = User.findByIdAndUpdate.mock.calls[0];
+      expect(update.$set).toEqual({ 'twoFactor.enabled': false });
+      expect(update.$unset).toEqual(expect.objectContaining({
+        'twoFactor.secret': 1,
+        'twoFactor.recoveryCodes': 1,
+      }));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Two-factor authentication disabled' });
+    });
+
+    it('should disable 2FA with a recovery code', async () => {
+      req.body = { recoveryCode: 'ABCDE FGHIJ' };
+      mockFindByIdSelect(enabledUser);
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await disableTwoFactor(req, res);
+
+      const hashed = hashToken('abcde-fghij');
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'mockUserId', 'twoFactor.recoveryCodes': hashed },
+        { $pull: { 'twoFactor.recoveryCodes': hashed } }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 400 if no code is provided', async () => {
+      await disableTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Code or recovery code is required' });
+    });
+
+    it('should return 400 if 2FA is not enabled', async () => {
+      req.body = { code: '123456' };
+      mockFindByIdSelect({ _id: 'mockUserId', twoFactor: { enabled: false } });
+
+      await disableTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Two-factor authentication is not enabled' });
+    });
+
+    it('should return 401 for a wrong code', async () => {
+      req.body = { code: '12345' };
+      mockFindByIdSelect(enabledUser);
+
+      await disableTwoFactor(req, res);
+
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid two-factor code' });
+    });
+
+    it('should return 500 on database error', async () => {
+      req.body = { code: '123456' };
+      User.findById.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('DB error')) });
+
+      await disableTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('verifyTwoFactor', () => {
+    const enabledUser = { _id: 'mockUserId', email: 'ana@example.com', twoFactor: { enabled: true, secret: SECRET } };
+
+    beforeEach(() => {
+      req.body = { mfaToken: 'fakeMfaToken', code: generateTotp(SECRET) };
+      jwt.verify.mockReturnValue({ userId: 'mockUserId', purpose: 'mfa' });
+    });
+
+    it('should start a session and set the auth cookies with a valid code', async () => {
+      mockFindByIdSelect(enabledUser);
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      jwt.sign
+        .mockReturnValueOnce('fakeAccessToken')
+        .mockReturnValueOnce('fakeRefreshToken');
+      Session.create.mockResolvedValue({});
+
+      await verifyTwoFactor(req, res);
+
+      expect(jwt.verify).toHaveBeenCalledWith('fakeMfaToken', process.env.JWT_SECRET);
+      expect(reserveLoginAttempt).toHaveBeenCalledWith('ana@example.com', '10.0.0.1');
+      expect(registerLoginSuccess).toHaveBeenCalledWith('ana@example.com', '10.0.0.1');
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'mockUserId',
+        refreshTokenHash: hashToken('fakeRefreshToken'),
+      }));
+      expect(res.cookie).toHaveBeenCalledWith('accessToken', 'fakeAccessToken', expect.objectContaining({ httpOnly: true }));
+      expect(res.cookie).toHaveBeenCalledWith('refreshToken', 'fakeRefreshToken', expect.objectContaining({ httpOnly: true }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Login successful', userId: 'mockUserId' }));
+    });
+
+    it('should reject a code already used in its window (replay)', async () => {
+      mockFindByIdSelect(enabledUser);
+      // El update condicional no modifica nada → el periodo ya estaba consumido
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await verifyTwoFactor(req, res);
+
+      expect(reserveLoginAttempt).toHaveBeenCalledWith('ana@example.com', '10.0.0.1');
+      expect(registerLoginSuccess).not.toHaveBeenCalled();
+      expect(Session.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid two-factor code' });
+    });
+
+    it('should reject a recovery code that was already used', async () => {
+      req.body = { mfaToken: 'fakeMfaToken', recoveryCode: 'abcde-fghij' };
+      mockFindByIdSelect(enabledUser);
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await verifyTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should return 429 with Retry-After when attempts are throttled', async () => {
+      mockFindByIdSelect(enabledUser);
+      reserveLoginAttempt.mockResolvedValue({ allowed: false, retryAfter: 30, reason: 'throttled' });
+
+      await verifyTwoFactor(req, res);
+
+      expect(User.updateOne).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '30');
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+
+    it('should return 400 if the token or code is missing', async () => {
+      req.body = { mfaToken: 'fakeMfaToken' };
+
+      await verifyTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'MFA token and code are required' });
+    });
+
+    it('should return 401 for an expired or invalid mfa token', async () => {
+      jwt.verify.mockImplementation(() => {
+        throw new Error('jwt expired');
+      });
+
+      await verifyTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid or expired MFA token' });
+    });
+
+    it('should not accept a regular access token as mfa token', async () => {
+      jwt.verify.mockReturnValue({ userId: 'mockUserId', sessionId: 'someSession' });
+
+      await verifyTwoFactor(req, res);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should return 401 if the user no longer has 2FA enabled', async () => {
+      mockFindByIdSelect({ _id: 'mockUserId', twoFactor: { enabled: false } });
+
+      await verifyTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid or expired MFA token' });
+    });
+
+    it('should return 500 on database error', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('DB error')) });
+
+      await verifyTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import sharp from 'sharp';
+import { setImageStorage } from '../config/imageStorage.js';
+import { uploadImageBuffer, uploadImageVariants, destroyImage } from '../helpers/upload.helpers.js';
+
+describe('Upload Helpers', () => {
+  let photo;
+  let storage;
+
+  beforeAll(async () => {
+    photo = await sharp({ create: { width: 1200, height: 900, channels: 3, background: '#ffffff' } })
+      .jpeg()
+      .toBuffer();
+  });
+
+  beforeEach(() => {
+    let count = 0;
+    storage = {
+      name: 'memory',
+      upload: jest.fn(async () => {
+        count += 1;
+        return { url: `img${count}.webp`, publicId: `img${count}` };
+      }),
+      destroy: jest.fn().mockResolvedValue(),
+    };
+    setImageStorage(storage);
+  });
+
+  afterAll(() => {
+    setImageStorage(null);
+  });
+
+  describe('uploadImageBuffer', () => {
+    it('should upload the processed image to the active storage', async () => {
+      await expect(uploadImageBuffer(photo, { squareCrop: 256 })).resolves.toEqual({ url: 'img1.webp', publicId: 'img1' });
+
+      const [[uploaded, options]] = storage.upload.mock.calls;
+      expect(options).toEqual({ squareCrop: 256 });
+      await expect(sharp(uploaded).metadata()).resolves.toEqual(expect.objectContaining({ format: 'webp' }));
+    });
+
+    it('should not upload files that are not images', async () => {
+      await expect(uploadImageBuffer(Buffer.from('not an image'))).rejects.toMatchObject({ name: 'InvalidImageError' });
+      expect(storage.upload).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('uploadImageVariants', () => {
+    it('should upload every version and return the full one with the reduced ones', async () => {
+      const result = await uploadImageVariants(photo, { removeBackground: true });
+
+      expect(result).toEqual({
+        url: 'img3.webp',
+        publicId: 'img3',
+        thumbnail: { url: 'img1.webp', publicId: 'img1' },
+        medium: { url: 'img2.webp', publicId: 'img2' },
+      });
+      expect(storage.upload).toHaveBeenCalledTimes(3);
+      expect(storage.upload).toHaveBeenCalledWith(expect.any(Buffer), { removeBackground: true });
+    });
+
+    it('should delete the uploaded versions when one of them fails', async () => {
+      storage.upload
+        .mockResolvedValueOnce({ url: 'img1.webp', publicId: 'img1' })
+        .mockRejectedValueOnce(new Error('Storage down'));
+
+      await expect(uploadImageVariants(photo)).rejects.toThrow('Storage down');
+      expect(storage.destroy).toHaveBeenCalledWith('img1');
+    });
+
+    it('should upload only the full image when the storage can resize it', async () => {
+      storage.resize = jest.fn((publicId, maxDimension) => ({ url: `${publicId}_${maxDimension}.webp`, publicId }));
+
+      const result = await uploadImageVariants(photo, { removeBackground: true });
+
+      // Una sola subida → el fondo se quita una sola vez
+      expect(storage.upload).toHaveBeenCalledTimes(1);
+      expect(storage.upload).toHaveBeenCalledWith(expect.any(Buffer), { removeBackground: true });
+      expect(result).toEqual({
+        url: 'img1.webp',
+        publicId: 'img1',
+        thumbnail: { url: 'img1_256.webp', publicId: 'img1' },
+        medium: { url: 'img1_800.webp', publicId: 'img1' },
+      });
+    });
+  });
+
+  describe('destroyImage', () => {
+    it('should delete the image from the active storage', async () => {
+      await destroyImage('img1');
+
+      expect(storage.destroy).toHaveBeenCalledWith('img1');
+    });
+
+    it('should upload only the full image when the storage can resize it', async () => {
+      storage.resize = jest.fn((publicId, maxDimension) => ({ url: `${publicId}_${maxDimension}.webp`, publicId }));
+
+      const result = await uploadImageVariants(photo, { removeBackground: true });
+
+      // Una sola subida → el fondo se quita una sola vez
+      expect(storage.upload).toHaveBeenCalledTimes(1);
+      expect(storage.upload).toHaveBeenCalledWith(expect.any(Buffer), { removeBackground: true });
+      expect(result).toEqual({
+        url: 'img1.webp',
+        publicId: 'img1',
+        thumbnail: { url: 'img1_256.webp', publicId: 'img1' },
+        medium: { url: 'img1_800.webp', publicId: 'img1' },
+      });
+    });
+  });
+});
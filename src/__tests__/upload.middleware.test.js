@@ -0,0 +1,46 @@
+import multer from 'multer';
+import { handleUploadErrors } from '../middlewares/upload.middleware.js';
+
+describe('Upload Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    req = {};
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+  });
+
+  it('should answer 413 for files over the size limit', () => {
+    handleUploadErrors(new multer.MulterError('LIMIT_FILE_SIZE', 'image'), req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(413);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Images must be 10 MB or smaller' });
+  });
+
+  it('should answer 400 with the multer message for other upload limits', () => {
+    handleUploadErrors(new multer.MulterError('LIMIT_FILE_COUNT'), req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Too many files' });
+  });
+
+  it('should answer 400 for files that are not accepted images', () => {
+    const error = new Error('Only JPEG, PNG, GIF, WebP, HEIC/HEIF and AVIF images are allowed');
+    error.name = 'InvalidImageError';
+
+    handleUploadErrors(error, req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: error.message });
+  });
+
+  it('should pass any other error along', () => {
+    const error = new Error('Something else');
+
+    handleUploadErrors(error, req, res, next);
+
+    expect(next).toHaveBeenCalledWith(error);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,312 @@
+import { recordWear, undoWear, getWearHistory } from '../controllers/wear.controller.js';
+import ClothingItem from '../models/clothing.model.js';
+import WearEvent from '../models/wearEvent.model.js';
+import StatusChange from '../models/statusChange.model.js';
+import { encodeCursor } from '../helpers/pagination.helpers.js';
+
+jest.mock('../models/clothing.model.js');
+jest.mock('../models/wearEvent.model.js');
+jest.mock('../models/statusChange.model.js');
+
+describe('Wear Controller', () => {
+  let req, res;
+  const userId = '64b0000000000000000000aa';
+  const itemId = '64b0000000000000000000bb';
+  const wearId = '64b0000000000000000000cc';
+  const item = {
+    _id: itemId,
+    owner: { toString: () => userId },
+    purchasePrice: 80,
+    purchaseCurrency: 'EUR',
+    wearCount: 4,
+    lastWornAt: new Date('2026-03-01'),
+  };
+
+  // refreshWearStats: countDocuments + findOne().sort().select() del uso más reciente.
+  const mockWearStats = (wearCount, lastWornAt) => {
+    WearEvent.countDocuments.mockResolvedValue(wearCount);
+    WearEvent.findOne.mockReturnValue({
+      sort: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(lastWornAt ? { wornAt: lastWornAt } : null) }),
+    });
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    req = { body: {}, params: { id: itemId }, query: {}, user: { userId } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+    ClothingItem.findById.mockResolvedValue(item);
+  });
+
+  describe('recordWear', () => {
+    // markItemsWorn: prendas limpias cuyo último cambio de estado es anterior al uso.
+    const mockCleanItems = (items) => {
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue(items) });
+    };
+
+    beforeEach(() => {
+      mockCleanItems([]);
+    });
+
+    it('should record a wear today and return the updated stats', async () => {
+      WearEvent.create.mockImplementation(async (data) => ({ _id: wearId, ...data }));
+      mockWearStats(5, new Date('2026-03-05'));
+
+      await recordWear(req, res);
+
+      const [wear] = WearEvent.create.mock.calls[0];
+      expect(wear).toEqual({ item: itemId, owner: userId, wornAt: expect.any(Date) });
+      expect(Date.now() - wear.wornAt.getTime()).toBeLessThan(1000);
+      expect(ClothingItem.updateOne).toHaveBeenCalledWith(
+        { _id: itemId },
+        { $set: { wearCount: 5, lastWornAt: new Date('2026-03-05') } }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        wear: { id: wearId, wornAt: wear.wornAt },
+        wearCount: 5,
+        lastWornAt: new Date('2026-03-05'),
+        costPerWear: 16,
+        currency: 'EUR',
+      });
+    });
+
+    it('should mark a clean item as worn', async () => {
+      WearEvent.create.mockImplementation(async (data) => ({ _id: wearId, ...data }));
+      mockWearStats(5, new Date('2026-03-05'));
+      mockCleanItems([{ _id: itemId, status: 'CLEAN' }]);
+
+      await recordWear(req, res);
+
+      const [wear] = WearEvent.create.mock.calls[0];
+      expect(ClothingItem.find).toHaveBeenCalledWith({
+        _id: { $in: [itemId] },
+        owner: userId,
+        status: 'CLEAN',
+        $or: [{ statusChangedAt: null }, { statusChangedAt: { $lte: wear.wornAt } }],
+      });
+      expect(ClothingItem.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [itemId] } },
+        { $set: { status: 'WORN', statusChangedAt: expect.any(Date) } }
+      );
+      expect(StatusChange.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ item: itemId, from: 'CLEAN', to: 'WORN' }),
+      ]);
+    });
+
+    it('should record a wear on a past date', async () => {
+      req.body = { date: '2026-01-15' };
+      WearEvent.create.mockImplementation(async (data) => ({ _id: wearId, ...data }));
+      mockWearStats(5, new Date('2026-03-01'));
+
+      await recordWear(req, res);
+
+      expect(WearEvent.create).toHaveBeenCalledWith(expect.objectContaining({ wornAt: new Date('2026-01-15') }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it.each([
+      ['not-a-date', 'date must be a valid date'],
+      ['2999-01-01', 'date cannot be in the future'],
+    ])('should return 400 for the date %p', async (date, message) => {
+      req.body = { date };
+
+      await recordWear(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+      expect(WearEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if the item does not exist', async () => {
+      ClothingItem.findById.mockResolvedValue(null);
+
+      await recordWear(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Clothing item not found' });
+    });
+
+    it('should return 403 if the item belongs to another user', async () => {
+      ClothingItem.findById.mockResolvedValue({ ...item, owner: { toString: () => 'otherUser' } });
+
+      await recordWear(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(WearEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      WearEvent.create.mockRejectedValue(new Error('Database error'));
+
+      await recordWear(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('undoWear', () => {
+    it('should delete the most recent wear when no wearId is given', async () => {
+      WearEvent.findOneAndDelete.mockResolvedValue({ _id: wearId });
+      mockWearStats(3, new Date('2026-02-20'));
+
+      await undoWear(req, res);
+
+      expect(WearEvent.findOneAndDelete).toHaveBeenCalledWith({ item: itemId }, { sort: { wornAt: -1, _id: -1 } });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        wearCount: 3,
+        lastWornAt: new Date('2026-02-20'),
+        costPerWear: 26.67,
+        currency: 'EUR',
+      });
+    });
+
+    it('should delete the given wear of the item', async () => {
+      req.params.wearId = wearId;
+      WearEvent.findOneAndDelete.mockResolvedValue({ _id: wearId });
+      mockWearStats(0, null);
+
+      await undoWear(req, res);
+
+      expect(WearEvent.findOneAndDelete).toHaveBeenCalledWith({ _id: wearId, item: itemId });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ wearCount: 0, lastWornAt: null, costPerWear: null }));
+    });
+
+    it('should return 404 for a malformed wearId', async () => {
+      req.params.wearId = 'nope';
+
+      await undoWear(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(ClothingItem.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when there is no wear to undo', async () => {
+      WearEvent.findOneAndDelete.mockResolvedValue(null);
+
+      await undoWear(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Wear event not found' });
+      expect(ClothingItem.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 if the item belongs to another user', async () => {
+      ClothingItem.findById.mockResolvedValue({ ...item, owner: { toString: () => 'otherUser' } });
+
+      await undoWear(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(WearEvent.findOneAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      WearEvent.findOneAndDelete.mockRejectedValue(new Error('Database error'));
+
+      await undoWear(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getWearHistory', () => {
+    const mockHistory = (wears) => {
+      const limit = jest.fn().mockResolvedValue(wears);
+      const sort = jest.fn().mockReturnValue({ limit });
+      WearEvent.find.mockReturnValue({ sort });
+      return { sort, limit };
+    };
+
+    it('should return the stats and the latest wears first', async () => {
+      const wears = [
+        { _id: 'wear2', wornAt: new Date('2026-03-01') },
+        { _id: 'wear1', wornAt: new Date('2026-02-01') },
+      ];
+      const { sort, limit } = mockHistory(wears);
+
+      await getWearHistory(req, res);
+
+      expect(WearEvent.find).toHaveBeenCalledWith({ item: itemId });
+      expect(sort).toHaveBeenCalledWith({ wornAt: -1, _id: -1 });
+      expect(limit).toHaveBeenCalledWith(21);
+      expect(res.json).toHaveBeenCalledWith({
+        wearCount: 4,
+        lastWornAt: new Date('2026-03-01'),
+        costPerWear: 20,
+        currency: 'EUR',
+        items: [
+          { id: 'wear2', wornAt: new Date('2026-03-01') },
+          { id: 'wear1', wornAt: new Date('2026-02-01') },
+        ],
+        nextCursor: null,
+      });
+    });
+
+    it('should page with a cursor', async () => {
+      req.query = { limit: '1' };
+      const wears = [
+        { _id: wearId, wornAt: new Date('2026-03-01') },
+        { _id: '64b0000000000000000000dd', wornAt: new Date('2026-02-01') },
+      ];
+      mockHistory(wears);
+
+      await getWearHistory(req, res);
+
+      const { items, nextCursor } = res.json.mock.calls[0][0];
+      expect(items).toHaveLength(1);
+      expect(nextCursor).toEqual(expect.any(String));
+
+      req.query = { cursor: nextCursor };
+      mockHistory([]);
+
+      await getWearHistory(req, res);
+
+      const [filters] = WearEvent.find.mock.calls[1];
+      expect(filters.item).toBe(itemId);
+      expect(filters.$or[0]).toEqual({ wornAt: { $lt: new Date('2026-03-01') } });
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      req.query = { cursor: encodeCursor({ _id: wearId, name: 'x' }, { field: 'name', direction: 1 }) };
+
+      await getWearHistory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid cursor' });
+    });
+
+    it('should report zero wears for items created before the wear log', async () => {
+      ClothingItem.findById.mockResolvedValue({ _id: itemId, owner: { toString: () => userId } });
+      mockHistory([]);
+
+      await getWearHistory(req, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ wearCount: 0, lastWornAt: null, costPerWear: null }));
+    });
+
+    it('should return 404 if the item does not exist', async () => {
+      ClothingItem.findById.mockResolvedValue(null);
+
+      await getWearHistory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should handle database errors', async () => {
+      WearEvent.find.mockImplementation(() => {
+        throw new Error('Database error');
+      });
+
+      await getWearHistory(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import {
+  refreshWearStats,
+  recordWears,
+  removeWears,
+  toWearStats,
+  buildWearFilters,
+} from '../helpers/wear.helpers.js';
+import WearEvent from '../models/wearEvent.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import StatusChange from '../models/statusChange.model.js';
+
+jest.mock('../models/wearEvent.model.js');
+jest.mock('../models/clothing.model.js');
+jest.mock('../models/statusChange.model.js');
+
+describe('Wear Helpers', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('refreshWearStats', () => {
+    const mockLastWear = (wear) => {
+      const select = jest.fn().mockResolvedValue(wear);
+      const sort = jest.fn().mockReturnValue({ select });
+      WearEvent.findOne.mockReturnValue({ sort });
+      return { sort };
+    };
+
+    it('should store the wear count and the most recent wear date on the item', async () => {
+      WearEvent.countDocuments.mockResolvedValue(3);
+      const { sort } = mockLastWear({ wornAt: new Date('2026-03-02') });
+
+      const stats = await refreshWearStats('item1');
+
+      expect(WearEvent.countDocuments).toHaveBeenCalledWith({ item: 'item1' });
+      expect(sort).toHaveBeenCalledWith({ wornAt: -1 });
+      expect(ClothingItem.updateOne).toHaveBeenCalledWith(
+        { _id: 'item1' },
+        { $set: { wearCount: 3, lastWornAt: new Date('2026-03-02') } }
+      );
+      expect(stats).toEqual({ wearCount: 3, lastWornAt: new Date('2026-03-02') });
+    });
+
+    it('should reset the stats when no wears are left', async () => {
+      WearEvent.countDocuments.mockResolvedValue(0);
+      mockLastWear(null);
+
+      await expect(refreshWearStats('item1')).resolves.toEqual({ wearCount: 0, lastWornAt: null });
+    });
+  });
+
+  describe('recordWears and removeWears', () => {
+    beforeEach(() => {
+      WearEvent.countDocuments.mockResolvedValue(1);
+      WearEvent.findOne.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue({ wornAt: new Date('2026-03-02') }) }),
+      });
+    });
+
+    it('should record one wear per item on the same date and refresh each item', async () => {
+      const wornAt = new Date('2026-03-02');
+      WearEvent.insertMany.mockImplementation(async (docs) => docs.map((doc, index) => ({ _id: `wear${index}`, ...doc })));
+      // Solo item1 estaba limpia: pasa a WORN.
+      ClothingItem.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'item1', status: 'CLEAN' }]) });
+
+      const wears = await recordWears('user1', ['item1', 'item2'], wornAt);
+
+      expect(WearEvent.insertMany).toHaveBeenCalledWith([
+        { item: 'item1', owner: 'user1', wornAt },
+        { item: 'item2', owner: 'user1', wornAt },
+      ]);
+      expect(ClothingItem.updateOne).toHaveBeenCalledTimes(2);
+      expect(ClothingItem.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['item1'] } },
+        { $set: { status: 'WORN', statusChangedAt: expect.any(Date) } }
+      );
+      expect(StatusChange.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ item: 'item1', owner: 'user1', from: 'CLEAN', to: 'WORN' }),
+      ]);
+      expect(wears.map((wear) => wear._id)).toEqual(['wear0', 'wear1']);
+    });
+
+    it('should delete the remaining wears and refresh each item once', async () => {
+      WearEvent.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: 'wear1', item: 'item1' },
+          { _id: 'wear2', item: 'item1' },
+        ]),
+      });
+
+      await expect(removeWears(['wear1', 'wear2', 'wear3'])).resolves.toBe(2);
+      expect(WearEvent.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['wear1', 'wear2'] } });
+      expect(ClothingItem.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should do nothing when the wears no longer exist', async () => {
+      WearEvent.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      await expect(removeWears(['wear1'])).resolves.toBe(0);
+      expect(WearEvent.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toWearStats', () => {
+    it('should add the cost per wear in the purchase currency', () => {
+      const item = { purchasePrice: 45, purchaseCurrency: 'EUR' };
+
+      expect(toWearStats(item, { wearCount: 4, lastWornAt: null })).toEqual({
+        wearCount: 4,
+        lastWornAt: null,
+        costPerWear: 11.25,
+        currency: 'EUR',
+      });
+    });
+
+    it('should return no cost per wear without a purchase price', () => {
+      expect(toWearStats({}, { wearCount: 4, lastWornAt: null })).toEqual(
+        expect.objectContaining({ costPerWear: null, currency: null })
+      );
+    });
+  });
+
+  describe('buildWearFilters', () => {
+    it('should combine the date and count ranges', () => {
+      const { filters, ignored } = buildWearFilters({
+        wornSince: '2026-01-01',
+        notWornSince: '2026-06-01',
+        minWears: '2',
+        maxWears: ' 10 ',
+      });
+
+      expect(filters).toEqual({
+        lastWornAt: { $gte: new Date('2026-01-01'), $not: { $gte: new Date('2026-06-01') } },
+        wearCount: { $gte: 2, $not: { $gt: 10 } },
+      });
+      expect(ignored).toEqual([]);
+    });
+
+    it('should ignore invalid values', () => {
+      const { filters, ignored } = buildWearFilters({
+        wornSince: 'yesterday',
+        notWornSince: ['2026-01-01'],
+        minWears: '-1',
+        maxWears: '2.5',
+      });
+
+      expect(filters).toEqual({});
+      expect(ignored).toEqual(['wornSince', 'minWears', 'maxWears']);
+    });
+
+    it('should return no filters without query params', () => {
+      expect(buildWearFilters()).toEqual({ filters: {}, ignored: [] });
+    });
+  });
+});
@@ -4,6 +4,12 @@ import cookieParser from 'cookie-parser';
 import dotenv from 'dotenv';
 import authRoutes from './routes/auth.routes.js';
 import clothingRoutes from './routes/clothing.routes.js';
+import tagRoutes from './routes/tag.routes.js';
+import categoryRoutes from './routes/category.routes.js';
+import outfitRoutes from './routes/outfit.routes.js';
+import calendarRoutes from './routes/calendar.routes.js';
+import { getImageStorage, getUploadsDir, UPLOADS_ROUTE } from './config/imageStorage.js';
+import { handleUploadErrors } from './middlewares/upload.middleware.js';
 
 // Inject env variables
 dotenv.config();
@@ -33,10 +39,26 @@ console.log('[SERVER] Rutas /api/auth activadas.');
 app.use('/api/auth', authRoutes);
 console.log('[SERVER] Rutas /api/clothing activadas.');
 app.use('/api/clothing', clothingRoutes);
+console.log('[SERVER] Rutas /api/tags activadas.');
+app.use('/api/tags', tagRoutes);
+console.log('[SERVER] Rutas /api/categories activadas.');
+app.use('/api/categories', categoryRoutes);
+console.log('[SERVER] Rutas /api/outfits activadas.');
+app.use('/api/outfits', outfitRoutes);
+console.log('[SERVER] Rutas /api/calendar activadas.');
+app.use('/api/calendar', calendarRoutes);
+// Con IMAGE_STORAGE=local las imágenes se guardan en disco y las sirve Express.
+if (getImageStorage().name === 'local') {
+  console.log(`[SERVER] Imágenes locales servidas en ${UPLOADS_ROUTE}.`);
+  app.use(UPLOADS_ROUTE, express.static(getUploadsDir(), { index: false, dotfiles: 'deny' }));
+}
 
 app.get('/', (req, res) => {
   console.log('[SERVER] Ruta raíz / llamada.');
   res.send('Wardrobe API is running!');
 });
 
+// Errores de subida de imágenes (tamaño, tipo) como JSON 400/413.
+app.use(handleUploadErrors);
+
 export default app;
\ No newline at end of file
@@ -1,5 +1,10 @@
 import mongoose from 'mongoose'; // Importa la librería mongoose para la conexión a MongoDB.
 import dotenv from 'dotenv'; // Importa dotenv para cargar variables de entorno desde un archivo .env.
+import { migrateCategories } from '../helpers/category.helpers.js';
+import { migrateItemStatuses } from '../helpers/status.helpers.js';
+import { migrateItemImages } from '../helpers/clothingImage.helpers.js';
+import { migrateItemColors } from '../helpers/color.helpers.js';
+import { migrateSearchText } from '../helpers/search.helpers.js';
 
 dotenv.config(); // Carga las variables de entorno definidas en el archivo .env en process.env.
 
@@ -13,6 +18,21 @@ const connectDB = async () => {
     // Intenta establecer la conexión a MongoDB usando la URI especificada.
     await mongoose.connect(MONGODB_URI);
     console.log('MongoDB connected'); // Imprime un mensaje en la consola si la conexión es exitosa.
+    // Migración idempotente: crea las categorías del sistema y normaliza la categoría de las prendas existentes.
+    const migratedItems = await migrateCategories();
+    console.log(`Categories ready (${migratedItems} clothing items migrated)`);
+    // Las prendas anteriores al ciclo de lavado empiezan limpias.
+    const migratedStatuses = await migrateItemStatuses();
+    console.log(`Item statuses ready (${migratedStatuses} clothing items migrated)`);
+    // La imagen única de las prendas anteriores pasa a ser su foto principal.
+    const migratedImages = await migrateItemImages();
+    console.log(`Item images ready (${migratedImages} clothing items migrated)`);
+    // colorHex y colorFamily de las prendas anteriores, a partir de su texto de color.
+    const migratedColors = await migrateItemColors();
+    console.log(`Item colors ready (${migratedColors} clothing items migrated)`);
+    // Las prendas anteriores a la búsqueda de texto no tienen searchText: el índice no las encuentra.
+    const migratedSearchText = await migrateSearchText();
+    console.log(`Search text ready (${migratedSearchText} clothing items migrated)`);
   } catch (error) {
     // Captura cualquier error que ocurra durante el intento de conexión.
     console.error('Error connecting to MongoDB:', error.message); // Imprime el error en la consola.
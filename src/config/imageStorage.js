@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import cloudinary from './cloudinary.js';
+import { detectImageType } from '../helpers/imageType.helpers.js';
+
+dotenv.config();
+
+// Un almacenamiento de imágenes es cualquier objeto con estos métodos:
+// - upload(buffer, options) → { url, publicId }  (async)
+// - destroy(publicId)                             (async; no falla si ya no existe)
+// - url(publicId)           → URL pública de la imagen
+// - resize(publicId, maxDimension) → { url, publicId } de una versión
+//   reducida de una imagen ya subida, sin volver a subirla. Opcional: solo
+//   la tienen los drivers que transforman al servir (Cloudinary).
+// publicId es lo que se guarda en la DB para borrarla después.
+//
+// Opciones de upload (cada driver aplica las que soporta e ignora el resto):
+// - removeBackground: quita el fondo y lo rellena de blanco (fotos de prendas)
+// - squareCrop: lado en px de un recorte cuadrado centrado en la cara (avatares)
+
+// Ruta en la que Express sirve las imágenes del driver local.
+export const UPLOADS_ROUTE = '/uploads';
+
+/**
+ * Carpeta de las imágenes del driver local (UPLOADS_DIR, por defecto uploads/).
+ */
+export const getUploadsDir = () => path.resolve(process.env.UPLOADS_DIR || 'uploads');
+
+/**
+ * Traduce las opciones genéricas a las de Cloudinary.
+ */
+const toCloudinaryOptions = ({ removeBackground = false, squareCrop = null } = {}) => {
+  const options = { resource_type: 'image' };
+  if (removeBackground) {
+    options.background_removal = 'cloudinary_ai';
+    options.transformation = [{ background: '#FFFFFF' }];
+  }
+  if (squareCrop) {
+    options.transformation = [{ width: squareCrop, height: squareCrop, crop: 'fill', gravity: 'face' }];
+  }
+  return options;
+};
+
+/**
+ * Almacenamiento en Cloudinary: las transformaciones (quitar el fondo,
+ * recortes) las hace Cloudinary al subir. Las versiones reducidas son URLs
+ * de la misma imagen: se subió una vez y su fondo se quitó una vez.
+ */
+export const createCloudinaryStorage = () => ({
+  name: 'cloudinary',
+  upload: (buffer, options) =>
+    new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        toCloudinaryOptions(options),
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({ url: result.secure_url, publicId: result.public_id });
+        }
+      );
+      uploadStream.end(buffer);
+    }),
+  destroy: async (publicId) => {
+    await cloudinary.uploader.destroy(publicId);
+  },
+  url: (publicId) => cloudinary.url(publicId, { secure: true }),
+  // Comparte publicId con la completa: se borra con ella.
+  resize: (publicId, maxDimension) => ({
+    url: cloudinary.url(publicId, {
+      secure: true,
+      transformation: [{ width: maxDimension, height: maxDimension, crop: 'limit' }],
+    }),
+    publicId,
+  }),
+});
+
+// Extensión del archivo según su contenido (lo procesado es WebP o JPEG).
+const detectExtension = (buffer) => detectImageType(buffer)?.extension ?? 'bin';
+
+/**
+ * Almacenamiento en disco: guarda cada imagen en uploadsDir con un nombre
+ * aleatorio y Express la sirve en UPLOADS_ROUTE (ver app.js). Pensado
+ * para desarrollo, CI e instalaciones sin Cloudinary: no quita fondos ni
+ * recorta (el tamaño y los metadatos ya los resolvió imageProcessing.helpers).
+ * baseUrl (UPLOADS_BASE_URL) hace absolutas las URLs; sin ella son relativas
+ * al servidor de la API.
+ */
+export const createLocalStorage = (
+  uploadsDir = getUploadsDir(),
+  baseUrl = process.env.UPLOADS_BASE_URL || ''
+) => {
+  const url = (publicId) => `${baseUrl.replace(/\/$/, '')}${UPLOADS_ROUTE}/${publicId}`;
+  // basename: un publicId manipulado no puede salir de la carpeta.
+  const filePath = (publicId) => path.join(uploadsDir, path.basename(publicId));
+
+  return {
+    name: 'local',
+    upload: async (buffer) => {
+      await fs.mkdir(uploadsDir, { recursive: true });
+      const publicId = `${crypto.randomUUID()}.${detectExtension(buffer)}`;
+      await fs.writeFile(filePath(publicId), buffer);
+      return { url: url(publicId), publicId };
+    },
+    destroy: async (publicId) => {
+      await fs.rm(filePath(publicId), { force: true });
+    },
+    url,
+  };
+};
+
+const storageFactories = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage,
+};
+
+let activeStorage = null;
+
+/**
+ * Reemplaza el almacenamiento activo (ej: uno en una carpeta temporal en tests).
+ */
+export const setImageStorage = (storage) => {
+  activeStorage = storage;
+};
+
+/**
+ * Devuelve el almacenamiento activo. Si no se configuró ninguno, lo crea
+ * según IMAGE_STORAGE (cloudinary | local), con cloudinary por defecto.
+ */
+export const getImageStorage = () => {
+  if (!activeStorage) {
+    const factory = storageFactories[process.env.IMAGE_STORAGE] ?? createCloudinaryStorage;
+    activeStorage = factory();
+  }
+  return activeStorage;
+};
@@ -0,0 +1,160 @@
+import dotenv from 'dotenv';
+import LoginAttempt from '../models/loginAttempt.model.js';
+
+dotenv.config();
+
+// Un store de intentos es cualquier objeto con estos métodos async:
+// - get(key)                → { failures, lastFailureAt, lockedUntil } | null
+// - reserve(key, windowMs)  → suma un intento y devuelve el registro vigente
+//                             ANTERIOR (null si no había), en un solo paso
+// - release(key)            → resta un intento reservado (ej: login exitoso)
+// - lock(key, until)        → bloquea la clave hasta la fecha indicada
+// - reset(key)              → olvida la clave (ej: login exitoso)
+// Así la política de bloqueo (helpers/loginThrottle.helpers.js) no depende
+// de dónde se guarda el estado.
+
+// Un registro deja de valer cuando pasa su ventana o termina su bloqueo:
+// el siguiente intento vuelve a contar desde cero.
+const isCurrent = (record, now) => (
+  record.expiresAt > now && !(record.lockedUntil && record.lockedUntil <= now)
+);
+
+/**
+ * Store en memoria: para tests y para una sola instancia del servidor.
+ * El estado se pierde al reiniciar y no se comparte entre instancias.
+ */
+export const createMemoryAttemptStore = () => {
+  const records = new Map();
+
+  // Devuelve el registro vigente o null si ya expiró su ventana o su bloqueo.
+  const read = (key) => {
+    const record = records.get(key);
+    if (record && !isCurrent(record, Date.now())) {
+      records.delete(key);
+      return null;
+    }
+    return record ?? null;
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => read(key),
+    // Sin await entre la lectura y la escritura: atómico en un solo proceso.
+    reserve: async (key, windowMs) => {
+      const now = Date.now();
+      const previous = read(key);
+      records.set(key, {
+        failures: (previous?.failures ?? 0) + 1,
+        lastFailureAt: new Date(now),
+        lockedUntil: previous?.lockedUntil ?? null,
+        expiresAt: Math.max(previous?.expiresAt ?? 0, now + windowMs),
+      });
+      return previous;
+    },
+    release: async (key) => {
+      const record = read(key);
+      if (record && record.failures > 0) {
+        record.failures -= 1;
+      }
+    },
+    lock: async (key, until) => {
+      const record = read(key);
+      if (record) {
+        record.lockedUntil = until;
+        // El registro debe vivir al menos lo que dura el bloqueo.
+        record.expiresAt = Math.max(record.expiresAt, until.getTime());
+      }
+    },
+    reset: async (key) => {
+      records.delete(key);
+    },
+  };
+};
+
+/**
+ * Store en MongoDB: comparte el estado entre varias instancias del servidor.
+ * reserve es un único findOneAndUpdate con upsert → atómico aunque lleguen
+ * intentos en paralelo: cada uno recibe un registro anterior distinto.
+ */
+export const createMongoAttemptStore = () => {
+  const reserve = async (key, windowMs) => {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + windowMs);
+    // Ventana o bloqueo vencidos (o documento recién creado por el upsert):
+    // el contador vuelve a empezar sin esperar al monitor TTL.
+    const stale = {
+      $or: [
+        { $lte: ['$expiresAt', now] },
+        { $and: [{ $gt: [{ $ifNull: ['$lockedUntil', null] }, null] }, { $lte: ['$lockedUntil', now] }] },
+      ],
+    };
+    const previous = await LoginAttempt.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          failures: { $cond: [stale, 1, { $add: ['$failures', 1] }] },
+          lastFailureAt: now,
+          lockedUntil: { $cond: [stale, null, '$lockedUntil'] },
+          expiresAt: { $cond: [stale, windowEnd, { $max: ['$expiresAt', windowEnd] }] },
+        },
+      }],
+      { upsert: true }
+    );
+    return previous && isCurrent(previous, now) ? previous : null;
+  };
+
+  return {
+    name: 'mongo',
+    get: (key) => LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }),
+    reserve: async (key, windowMs) => {
+      try {
+        return await reserve(key, windowMs);
+      } catch (error) {
+        // Dos upserts en paralelo sobre una clave nueva: el índice único deja
+        // insertar solo a uno y el otro falla con E11000. Al reintentar el
+        // documento ya existe y se actualiza.
+        if (error.code === 11000) {
+          return reserve(key, windowMs);
+        }
+        throw error;
+      }
+    },
+    release: async (key) => {
+      await LoginAttempt.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+    },
+    lock: async (key, until) => {
+      await LoginAttempt.updateOne({ key }, { $set: { lockedUntil: until }, $max: { expiresAt: until } });
+    },
+    reset: async (key) => {
+      await LoginAttempt.deleteOne({ key });
+    },
+  };
+};
+
+const storeFactories = {
+  memory: createMemoryAttemptStore,
+  mongo: createMongoAttemptStore,
+};
+
+let activeStore = null;
+
+/**
+ * Reemplaza el store activo (ej: un store en memoria limpio en cada test).
+ */
+export const setLoginAttemptStore = (store) => {
+  activeStore = store;
+};
+
+/**
+ * Devuelve el store activo. Si no se configuró ninguno, lo crea según
+ * LOGIN_ATTEMPT_STORE (memory | mongo). Por defecto mongo en producción
+ * (varias instancias) y memory en el resto de entornos.
+ */
+export const getLoginAttemptStore = () => {
+  if (!activeStore) {
+    const defaultStore = process.env.NODE_ENV === 'production' ? 'mongo' : 'memory';
+    const factory = storeFactories[process.env.LOGIN_ATTEMPT_STORE || defaultStore] ?? createMemoryAttemptStore;
+    activeStore = factory();
+  }
+  return activeStore;
+};
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Un transporte es cualquier objeto con un método async send(message).
+// Así se puede enchufar SMTP, SES, Resend, etc. sin tocar los controladores:
+// basta con llamar a setMailTransport() al arrancar el servidor.
+
+/**
+ * Transporte de desarrollo: imprime el email en consola.
+ */
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`[MAIL] Para: ${message.to} | Asunto: ${message.subject}`);
+    console.log(`[MAIL] ${message.text}`);
+    return { id: null };
+  },
+});
+
+/**
+ * Transporte de desarrollo/tests: guarda cada email como un archivo JSON
+ * en outboxDir (por defecto MAIL_OUTBOX_DIR o logs/mail).
+ */
+export const createFileTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || 'logs/mail') => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(outboxDir, `${id}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    console.log(`[MAIL] Email guardado en ${filePath}`);
+    return { id };
+  },
+});
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let activeTransport = null;
+
+/**
+ * Reemplaza el transporte activo (ej: SMTP en producción, mock en tests).
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Devuelve el transporte activo. Si no se configuró ninguno, lo crea
+ * según MAIL_TRANSPORT (console | file), con console por defecto.
+ */
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories[process.env.MAIL_TRANSPORT] ?? createConsoleTransport;
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Envía un email de texto plano por el transporte activo.
+ *
+ * @example
+ * await sendMail({ to: user.email, subject: 'Hola', text: 'Bienvenido' });
+ */
+export const sendMail = ({ to, subject, text }) =>
+  getMailTransport().send({
+    from: process.env.MAIL_FROM || 'RopaBase <no-reply@ropabase.app>',
+    to,
+    subject,
+    text,
+  });
@@ -1,33 +1,52 @@
-
 import multer from 'multer';
+import { detectImageType } from '../helpers/imageType.helpers.js';
+import { IMAGE_MESSAGES } from '../constants/httpResponses.js';
 
-// Set up storage engine to store files in memory
-const storage = multer.memoryStorage();
+// Files are kept in memory: they are processed before reaching the image storage
+const memoryStorage = multer.memoryStorage();
 
-// Check file type
+// Check file type by its content (magic bytes): the name and mimetype come from the client
 export function checkFileType(file, cb) {
-  // Allowed extensions
-  const filetypes = /jpeg|jpg|png|gif/;
-  // Check mime type
-  const mimetype = filetypes.test(file.mimetype);
+  const type = detectImageType(file.buffer);
 
-  console.log(`[MULTER] Verificando tipo de archivo: ${file.originalname}, mimetype: ${file.mimetype}`);
-  if (mimetype && filetypes.test(file.originalname.toLowerCase())) {
+  console.log(`[MULTER] Verificando tipo de archivo: ${file.originalname}, mimetype: ${file.mimetype}, detectado: ${type?.format ?? 'ninguno'}`);
+  if (type) {
     console.log('[MULTER] Archivo permitido.');
-    return cb(null, true);
+    return cb(null, type);
   } else {
     console.log('[MULTER] Error: Solo se permiten imágenes.');
-    cb('Error: Images Only!');
+    // Mismo nombre que los errores de imageProcessing.helpers: la API responde 400
+    const error = new Error(IMAGE_MESSAGES.UNSUPPORTED_TYPE);
+    error.name = 'InvalidImageError';
+    cb(error);
   }
 }
 
+// Memory storage that checks the content of each file once it is read.
+// The mimetype of the file becomes the detected one.
+const storage = {
+  _handleFile(req, file, cb) {
+    memoryStorage._handleFile(req, file, (error, info) => {
+      if (error) {
+        return cb(error);
+      }
+      checkFileType({ ...file, ...info }, (typeError, type) => {
+        if (typeError) {
+          return cb(typeError);
+        }
+        cb(null, { ...info, mimetype: type.mimetype });
+      });
+    });
+  },
+  _removeFile(req, file, cb) {
+    memoryStorage._removeFile(req, file, cb);
+  },
+};
+
 // Init upload
 const upload = multer({
   storage: storage,
   limits: { fileSize: 10000000 }, // 10MB limit
-  fileFilter: function (req, file, cb) {
-    checkFileType(file, cb);
-  },
 });
 
 export default upload;
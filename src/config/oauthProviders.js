@@ -0,0 +1,134 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Un proveedor es cualquier objeto con:
+//   id                                   → nombre en la URL (/api/auth/oauth/:provider)
+//   getAuthorizationUrl({ state, codeChallenge, redirectUri })
+//   exchangeCode({ code, codeVerifier, redirectUri }) → tokens del proveedor
+//   getProfile(tokens) → { providerAccountId, email, emailVerified, name, image }
+// Así se puede añadir cualquier IdP (o uno simulado en tests) sin tocar los controladores.
+
+// URLs conocidas para no tener que repetirlas en el .env.
+const PROVIDER_PRESETS = {
+  google: {
+    authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+  },
+};
+
+/**
+ * Convierte los claims estándar de OIDC al perfil que usa la app.
+ */
+const mapOidcClaims = (claims) => ({
+  providerAccountId: String(claims.sub),
+  email: claims.email?.toLowerCase(),
+  emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+  name: claims.name,
+  image: claims.picture,
+});
+
+/**
+ * Proveedor OAuth2/OIDC genérico: authorization code + PKCE (S256) y perfil
+ * desde el endpoint userinfo con el access token recibido.
+ */
+export const createOidcProvider = ({
+  id,
+  clientId,
+  clientSecret,
+  authorizationUrl,
+  tokenUrl,
+  userInfoUrl,
+  scope = 'openid email profile',
+  mapProfile = mapOidcClaims,
+}) => ({
+  id,
+  getAuthorizationUrl: ({ state, codeChallenge, redirectUri }) => {
+    const url = new URL(authorizationUrl);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    }).toString();
+    return url.toString();
+  },
+  exchangeCode: async ({ code, codeVerifier, redirectUri }) => {
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        client_secret: clientSecret ?? '',
+        code_verifier: codeVerifier,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Token exchange failed with status ${response.status}`);
+    }
+    return response.json();
+  },
+  getProfile: async (tokens) => {
+    const response = await fetch(userInfoUrl, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' },
+    });
+    if (!response.ok) {
+      throw new Error(`Userinfo request failed with status ${response.status}`);
+    }
+    return mapProfile(await response.json());
+  },
+});
+
+/**
+ * Crea los proveedores listados en OAUTH_PROVIDERS (separados por comas).
+ * Cada uno se configura con OAUTH_<ID>_CLIENT_ID, _CLIENT_SECRET y, si no
+ * tiene preset, _AUTHORIZATION_URL, _TOKEN_URL, _USERINFO_URL (y _SCOPE opcional).
+ */
+export const loadOAuthProvidersFromEnv = (env = process.env) =>
+  (env.OAUTH_PROVIDERS ?? '')
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean)
+    .map((id) => {
+      const prefix = `OAUTH_${id.toUpperCase()}_`;
+      const preset = PROVIDER_PRESETS[id] ?? {};
+      return createOidcProvider({
+        id,
+        clientId: env[`${prefix}CLIENT_ID`],
+        clientSecret: env[`${prefix}CLIENT_SECRET`],
+        authorizationUrl: env[`${prefix}AUTHORIZATION_URL`] ?? preset.authorizationUrl,
+        tokenUrl: env[`${prefix}TOKEN_URL`] ?? preset.tokenUrl,
+        userInfoUrl: env[`${prefix}USERINFO_URL`] ?? preset.userInfoUrl,
+        scope: env[`${prefix}SCOPE`],
+      });
+    });
+
+let activeProviders = null;
+
+/**
+ * Reemplaza los proveedores activos (ej: un IdP simulado en tests).
+ */
+export const setOAuthProviders = (providers) => {
+  activeProviders = providers ? new Map(providers.map((provider) => [provider.id, provider])) : null;
+};
+
+/**
+ * Devuelve el proveedor con ese id, o undefined si no está configurado.
+ * Si no se configuró ninguno, los crea desde las variables de entorno.
+ */
+export const getOAuthProvider = (id) => {
+  if (!activeProviders) {
+    setOAuthProviders(loadOAuthProvidersFromEnv());
+  }
+  return activeProviders.get(id);
+};
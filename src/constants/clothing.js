@@ -0,0 +1,112 @@
+/**
+ * Valores permitidos para los atributos de una prenda
+ *
+ * Los comparten el modelo (enum de Mongoose) y los helpers que validan el
+ * body y los filtros del listado: así un valor nuevo se añade en un solo lugar.
+ */
+
+// Categorías del sistema, visibles para todos los usuarios. Las claves de las
+// seis primeras son los valores del antiguo enum de category: los clientes
+// que las envían siguen funcionando sin cambios.
+export const DEFAULT_CATEGORIES = [
+  { key: 'SHIRT', name: 'Shirts' },
+  { key: 'PANTS', name: 'Pants' },
+  { key: 'SHOES', name: 'Shoes' },
+  { key: 'JACKET', name: 'Jackets' },
+  { key: 'ACCESSORY', name: 'Accessories' },
+  { key: 'OTHER', name: 'Other' },
+  { key: 'DRESS', name: 'Dresses' },
+  { key: 'SKIRT', name: 'Skirts' },
+  { key: 'UNDERWEAR', name: 'Underwear' },
+];
+
+// Categoría a la que pasan las prendas sin categoría válida.
+export const FALLBACK_CATEGORY = 'OTHER';
+
+// Profundidad máxima del árbol de categorías (ej: SHOES > SNEAKERS > RUNNING).
+export const MAX_CATEGORY_DEPTH = 4;
+export const CATEGORY_NAME_MAX_LENGTH = 50;
+
+// Sistema en el que está expresada la talla ("M" es INTL, "42" puede ser EU o IT...).
+export const SIZE_SYSTEMS = ['INTL', 'EU', 'US', 'UK', 'IT', 'FR', 'JP', 'MX', 'OTHER'];
+
+export const MATERIALS = [
+  'COTTON',
+  'LINEN',
+  'WOOL',
+  'CASHMERE',
+  'SILK',
+  'DENIM',
+  'LEATHER',
+  'SUEDE',
+  'POLYESTER',
+  'NYLON',
+  'VISCOSE',
+  'ELASTANE',
+  'ACRYLIC',
+  'OTHER',
+];
+
+export const SEASONS = ['SPRING', 'SUMMER', 'AUTUMN', 'WINTER'];
+
+export const OCCASIONS = ['CASUAL', 'WORK', 'FORMAL', 'SPORT', 'PARTY', 'HOME', 'TRAVEL', 'OTHER'];
+
+// Longitudes máximas de los campos de texto libre.
+export const SIZE_MAX_LENGTH = 20;
+export const STORE_MAX_LENGTH = 100;
+export const NOTES_MAX_LENGTH = 2000;
+
+// Etiquetas libres: longitud máxima de cada una y cantidad máxima por prenda.
+export const TAG_MAX_LENGTH = 40;
+export const MAX_TAGS_PER_ITEM = 30;
+
+// Conjuntos (outfits): longitud del nombre, cantidad de prendas y escala de valoración.
+export const OUTFIT_NAME_MAX_LENGTH = 100;
+export const MAX_ITEMS_PER_OUTFIT = 20;
+export const OUTFIT_RATING_MIN = 1;
+export const OUTFIT_RATING_MAX = 5;
+
+// Calendario: longitud de la nota de cada día y rango máximo de una consulta.
+export const CALENDAR_NOTE_MAX_LENGTH = 500;
+export const MAX_CALENDAR_RANGE_DAYS = 366;
+// Días que cubre la suscripción .ics: los pasados recientes y los próximos.
+export const CALENDAR_FEED_PAST_DAYS = 90;
+export const CALENDAR_FEED_FUTURE_DAYS = 365;
+
+// Estado de la prenda. Ciclo de lavado: CLEAN → WORN → LAUNDRY → CLEAN; el
+// resto la saca del armario por un tiempo (o para siempre, SOLD).
+export const ITEM_STATUSES = ['CLEAN', 'WORN', 'LAUNDRY', 'REPAIR', 'LENT', 'STORED', 'SOLD'];
+export const DEFAULT_ITEM_STATUS = 'CLEAN';
+
+// Estados a los que se puede pasar desde cada uno. Al volver de reparación,
+// préstamo o almacenaje la prenda puede necesitar un lavado antes de usarse.
+export const STATUS_TRANSITIONS = {
+  CLEAN: ['WORN', 'LAUNDRY', 'REPAIR', 'LENT', 'STORED', 'SOLD'],
+  WORN: ['LAUNDRY', 'REPAIR', 'SOLD'],
+  LAUNDRY: ['CLEAN', 'REPAIR'],
+  REPAIR: ['CLEAN', 'LAUNDRY', 'SOLD'],
+  LENT: ['CLEAN', 'LAUNDRY'],
+  STORED: ['CLEAN', 'LAUNDRY'],
+  SOLD: [],
+};
+
+// Prendas que están en el armario y se pueden poner ahora (una usada se
+// puede volver a poner hasta que va a lavar).
+export const AVAILABLE_STATUSES = ['CLEAN', 'WORN'];
+export const STATUS_NOTE_MAX_LENGTH = 200;
+
+// Fotos de la prenda: qué muestra cada una y cuántas puede tener como máximo.
+// La primera que se sube es FRONT salvo que se indique otro rol.
+export const IMAGE_ROLES = ['FRONT', 'BACK', 'LABEL', 'DETAIL'];
+export const DEFAULT_IMAGE_ROLE = 'FRONT';
+export const MAX_IMAGES_PER_ITEM = 8;
+
+// Versiones que se generan de cada foto: lado mayor en px. full es el límite
+// de cualquier imagen subida (IMAGE_MAX_DIMENSION lo puede cambiar).
+export const IMAGE_VARIANTS = {
+  thumbnail: 256,
+  medium: 800,
+  full: 2048,
+};
+export const IMAGE_FORMATS = ['webp', 'jpeg'];
+export const DEFAULT_IMAGE_FORMAT = 'webp';
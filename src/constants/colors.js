@@ -0,0 +1,57 @@
+// Familias de color de las prendas (filtro colorFamily y color sugerido),
+// con su nombre en español y en inglés.
+export const COLOR_FAMILIES = {
+  BLACK: { es: 'negro', en: 'black' },
+  WHITE: { es: 'blanco', en: 'white' },
+  GRAY: { es: 'gris', en: 'gray' },
+  BEIGE: { es: 'beige', en: 'beige' },
+  BROWN: { es: 'marrón', en: 'brown' },
+  RED: { es: 'rojo', en: 'red' },
+  PINK: { es: 'rosa', en: 'pink' },
+  ORANGE: { es: 'naranja', en: 'orange' },
+  YELLOW: { es: 'amarillo', en: 'yellow' },
+  GREEN: { es: 'verde', en: 'green' },
+  BLUE: { es: 'azul', en: 'blue' },
+  PURPLE: { es: 'morado', en: 'purple' },
+};
+export const COLOR_FAMILY_KEYS = Object.keys(COLOR_FAMILIES);
+export const COLOR_LANGUAGES = ['es', 'en'];
+export const DEFAULT_COLOR_LANGUAGE = 'es';
+
+// Colores con nombre (es/en, sin acentos ni mayúsculas) y su tono de
+// referencia. Sirven para entender el texto de `color` ("Azul marino",
+// "navy") y como referencias para clasificar cualquier hex: pertenece a la
+// familia del color de esta lista más cercano.
+export const NAMED_COLORS = [
+  { hex: '#000000', family: 'BLACK', names: ['negro', 'black'] },
+  { hex: '#ffffff', family: 'WHITE', names: ['blanco', 'white'] },
+  { hex: '#f3eee3', family: 'WHITE', names: ['hueso', 'crudo', 'marfil', 'off white', 'ivory'] },
+  { hex: '#808080', family: 'GRAY', names: ['gris', 'gray', 'grey'] },
+  { hex: '#c0c0c0', family: 'GRAY', names: ['gris claro', 'plata', 'light gray', 'light grey', 'silver'] },
+  { hex: '#3b3b3b', family: 'GRAY', names: ['gris oscuro', 'antracita', 'grafito', 'dark gray', 'dark grey', 'charcoal'] },
+  { hex: '#e6d8bd', family: 'BEIGE', names: ['beige', 'crema', 'arena', 'cream', 'sand'] },
+  { hex: '#c3b091', family: 'BEIGE', names: ['caqui', 'khaki'] },
+  { hex: '#c19a6b', family: 'BROWN', names: ['camel', 'tostado', 'tan'] },
+  { hex: '#6f4e37', family: 'BROWN', names: ['marron', 'cafe', 'chocolate', 'brown'] },
+  { hex: '#d32f2f', family: 'RED', names: ['rojo', 'red'] },
+  { hex: '#800020', family: 'RED', names: ['burdeos', 'granate', 'vino', 'burgundy', 'maroon', 'wine'] },
+  { hex: '#f4a6c0', family: 'PINK', names: ['rosa', 'rosado', 'pink'] },
+  { hex: '#e0218a', family: 'PINK', names: ['fucsia', 'magenta', 'fuchsia'] },
+  { hex: '#ff8c00', family: 'ORANGE', names: ['naranja', 'orange'] },
+  { hex: '#e2725b', family: 'ORANGE', names: ['coral', 'terracota', 'terracotta'] },
+  { hex: '#fdd835', family: 'YELLOW', names: ['amarillo', 'yellow'] },
+  { hex: '#d4a017', family: 'YELLOW', names: ['mostaza', 'mustard'] },
+  { hex: '#388e3c', family: 'GREEN', names: ['verde', 'green'] },
+  { hex: '#708238', family: 'GREEN', names: ['oliva', 'verde oliva', 'olive'] },
+  { hex: '#98d8b0', family: 'GREEN', names: ['menta', 'verde menta', 'mint'] },
+  { hex: '#1e88e5', family: 'BLUE', names: ['azul', 'blue'] },
+  { hex: '#1f2a44', family: 'BLUE', names: ['azul marino', 'marino', 'navy', 'navy blue'] },
+  { hex: '#87ceeb', family: 'BLUE', names: ['celeste', 'azul claro', 'light blue', 'sky blue'] },
+  { hex: '#3b5a80', family: 'BLUE', names: ['vaquero', 'mezclilla', 'denim'] },
+  { hex: '#40e0d0', family: 'BLUE', names: ['turquesa', 'turquoise'] },
+  { hex: '#7b1fa2', family: 'PURPLE', names: ['morado', 'violeta', 'purpura', 'purple', 'violet'] },
+  { hex: '#c8a2c8', family: 'PURPLE', names: ['lila', 'lavanda', 'lilac', 'lavender'] },
+];
+
+// Paleta de cada foto: cuántos colores dominantes se guardan.
+export const PALETTE_SIZE = 5;
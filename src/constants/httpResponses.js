@@ -22,6 +22,43 @@ export const CLOTHING_MESSAGES = {
   UNAUTHORIZED_UPDATE: 'User not authorized to update this item',
   UNAUTHORIZED_DELETE: 'User not authorized to delete this item',
   REQUIRED_FIELDS: 'Name, category, and color are required',
+  NOT_IN_TRASH: 'Clothing item is not in the trash',
+};
+
+export const OUTFIT_MESSAGES = {
+  NOT_FOUND: 'Outfit not found',
+  UNAUTHORIZED_UPDATE: 'User not authorized to update this outfit',
+  UNAUTHORIZED_DELETE: 'User not authorized to delete this outfit',
+  UNAUTHORIZED_READ: 'User not authorized to view this outfit',
+  INVALID_ITEMS: 'Items must be clothing items of the user',
+};
+
+export const CALENDAR_MESSAGES = {
+  NOT_FOUND: 'Calendar entry not found',
+  UNAUTHORIZED_UPDATE: 'User not authorized to update this calendar entry',
+  UNAUTHORIZED_DELETE: 'User not authorized to delete this calendar entry',
+  INVALID_OUTFIT: 'Outfit must be an outfit of the user',
+  INVALID_ITEMS: 'Items must be clothing items of the user',
+  ALREADY_WORN: 'Calendar entry is already marked as worn',
+  NOT_WORN: 'Calendar entry is not marked as worn',
+  LOCKED_WHILE_WORN: 'Unmark the entry as worn before changing its date or clothes',
+  FEED_NOT_FOUND: 'Calendar feed not found',
+};
+
+export const STATUS_MESSAGES = {
+  INVALID_ITEMS: 'Items must be clothing items of the user',
+};
+
+export const IMAGE_MESSAGES = {
+  NOT_FOUND: 'Image not found',
+  REQUIRED: 'At least one image is required',
+  INVALID_ORDER: 'order must list every image of the item exactly once',
+  INVALID_PRIMARY: 'primary must be an image of the item',
+  NOTHING_TO_UPDATE: 'order or primary is required',
+  CONFLICT: 'The images of the item changed meanwhile, please try again',
+  INVALID_FILE: 'The uploaded file is not a valid image',
+  UNSUPPORTED_TYPE: 'Only JPEG, PNG, GIF, WebP, HEIC/HEIF and AVIF images are allowed',
+  TOO_LARGE: 'Images must be 10 MB or smaller',
 };
 
 export const HTTP_STATUS = {
@@ -33,6 +70,8 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
 };
 
@@ -1,5 +1,6 @@
-import crypto from 'crypto';
 import User from '../models/user.model.js';
+import VerificationToken from '../models/verificationToken.model.js';
+import Session from '../models/session.model.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import {
@@ -7,7 +8,25 @@ import {
   sendErrorResponse,
   handleDatabaseError,
 } from '../helpers/response.helpers.js';
-import { logAuthInfo } from '../helpers/logging.helpers.js';
+import { logAuthInfo, logAuthError } from '../helpers/logging.helpers.js';
+import {
+  hashToken,
+  generateRandomToken,
+  setAuthCookies,
+  clearAuthCookies,
+  signAccessToken,
+  signRefreshToken,
+  signMfaToken,
+  startSession,
+  getFrontendUrl,
+  REFRESH_TOKEN_MAX_AGE_MS,
+} from '../helpers/auth.helpers.js';
+import {
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  registerLoginSuccess,
+} from '../helpers/loginThrottle.helpers.js';
+import { sendMail } from '../config/mailer.js';
 import { HTTP_STATUS } from '../constants/httpResponses.js';
 
 // ---------------------------------------------------------------------------
@@ -15,39 +34,55 @@ import { HTTP_STATUS } from '../constants/httpResponses.js';
 // ---------------------------------------------------------------------------
 
 /**
- * Hashea un token con SHA-256.
- * ¿Por qué SHA-256 y no bcrypt?
- * bcrypt tiene límite de 72 bytes → los JWT lo superan → colisiones silenciosas.
- * SHA-256 no tiene ese límite y es seguro para tokens de alta entropía.
+ * Vida útil del token de reset de contraseña.
+ * Ventana corta: el enlace viaja por email, que no es un canal seguro.
+ */
+const PASSWORD_RESET_TTL_MS = 30 * 60 * 1000; // 30 minutos
+
+/**
+ * Vida útil del enlace de verificación de email.
  */
-const hashToken = (token) =>
-  crypto.createHash('sha256').update(token).digest('hex');
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 horas
 
 /**
- * Opciones base para cookies HTTP-only.
- * httpOnly: true  → JS del navegador NO puede leer la cookie → protección XSS.
- * secure: true    → Solo por HTTPS en producción → protección contra sniffing.
- * sameSite: 'lax' → Bloquea CSRF, compatible con proxy de Next.js.
+ * Emite un token de un solo uso para el usuario y devuelve el token en texto plano.
+ * Solo el último token emitido de cada tipo es válido: los anteriores se borran.
  */
-const COOKIE_OPTIONS = {
-  httpOnly: true,
-  secure: process.env.NODE_ENV === 'production',
-  sameSite: 'none',
-  domain: 'ropabase-backend.onrender.com'
+const issueEmailToken = async (userId, type, ttlMs) => {
+  await VerificationToken.deleteMany({ user: userId, type });
+
+  const plainToken = generateRandomToken();
+  await VerificationToken.create({
+    user: userId,
+    type,
+    token: hashToken(plainToken),
+    expires: new Date(Date.now() + ttlMs),
+  });
+
+  return plainToken;
 };
 
 /**
- * Establece ambas cookies de autenticación.
- * Error común junior: poner tokens en body/localStorage → expuestos a XSS.
+ * Consume (valida y borra en una sola operación atómica) un token de un solo uso.
+ * Devuelve el documento consumido o null si no existe, ya se usó o expiró.
+ * findOneAndDelete es atómico → dos peticiones simultáneas no pueden usarlo dos veces.
  */
-const setAuthCookies = (res, accessToken, refreshToken) => {
-  res.cookie('accessToken', accessToken, {
-    ...COOKIE_OPTIONS,
-    maxAge: 15 * 60 * 1000,           // 15 minutos
+const consumeEmailToken = (plainToken, type) =>
+  VerificationToken.findOneAndDelete({
+    token: hashToken(plainToken),
+    type,
+    expires: { $gt: new Date() },
   });
-  res.cookie('refreshToken', refreshToken, {
-    ...COOKIE_OPTIONS,
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 días
+
+/**
+ * Emite un token de verificación y envía el enlace al email del usuario.
+ */
+const sendVerificationEmail = async (user) => {
+  const verificationToken = await issueEmailToken(user._id, 'EMAIL_VERIFICATION', EMAIL_VERIFICATION_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: 'Confirma tu email en RopaBase',
+    text: `Confirma tu dirección de email con este enlace (válido 24 horas):\n${getFrontendUrl()}/verify-email?token=${verificationToken}`,
   });
 };
 
@@ -69,6 +104,16 @@ export const register = async (req, res) => {
     const user = await User.create({ name, email, password: hashedPassword });
 
     logAuthInfo('Usuario creado exitosamente', user._id);
+
+    // Si el email de verificación falla el registro sigue siendo válido:
+    // el usuario puede pedir otro enlace con /resend-verification.
+    try {
+      await sendVerificationEmail(user);
+      logAuthInfo('Email de verificación enviado', user._id);
+    } catch (error) {
+      logAuthInfo('Error al enviar email de verificación, continuando registro', user._id);
+    }
+
     return sendSuccessResponse(
       res,
       { message: 'User created successfully', userId: user._id },
@@ -79,7 +124,7 @@ export const register = async (req, res) => {
       logAuthInfo('Intento de registro con email existente', email);
       return sendErrorResponse(res, 'Email already exists', HTTP_STATUS.CONFLICT);
     }
-    return handleDatabaseError(res, error, 'registrar usuario');
+    return handleDatabaseError(res, error, 'registrar usuario', logAuthError);
   }
 };
 
@@ -95,37 +140,47 @@ export const login = async (req, res) => {
   }
 
   try {
+    // Se reserva ANTES de consultar al usuario o comparar con bcrypt: un
+    // intento bloqueado no debe revelar si la contraseña era correcta, y los
+    // intentos en paralelo ya cuentan mientras bcrypt compara.
+    const throttle = await reserveLoginAttempt(email, req.ip);
+    if (!throttle.allowed) {
+      logAuthInfo(`Login rechazado por exceso de intentos (${throttle.reason}), reintentar en ${throttle.retryAfter}s`, email);
+      res.set('Retry-After', String(throttle.retryAfter));
+      return sendErrorResponse(res, 'Too many login attempts, please try again later', HTTP_STATUS.TOO_MANY_REQUESTS);
+    }
+
     const user = await User.findOne({ email });
     if (!user) {
       logAuthInfo('Usuario no encontrado', email);
       return sendErrorResponse(res, 'Invalid credentials', HTTP_STATUS.UNAUTHORIZED);
     }
 
-    const isPasswordCorrect = await bcrypt.compare(password, user.password);
+    // Las cuentas creadas con OAuth no tienen contraseña: el login local falla
+    // igual que con una contraseña incorrecta (sin revelar cómo se registró).
+    const isPasswordCorrect = Boolean(user.password) && await bcrypt.compare(password, user.password);
     if (!isPasswordCorrect) {
       logAuthInfo('Password incorrecto', email);
       return sendErrorResponse(res, 'Invalid credentials', HTTP_STATUS.UNAUTHORIZED);
     }
 
-    // Access token: payload mínimo (solo userId), vida corta (15min).
-    // NUNCA incluir datos sensibles: el payload JWT es solo base64, no está cifrado.
-    const accessToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
+    // Con 2FA activo la contraseña es solo el primer paso: no se crea sesión
+    // ni cookies hasta que /2fa/verify reciba el código. El contador del email
+    // tampoco se reinicia todavía: lo hará el segundo factor correcto.
+    if (user.twoFactor?.enabled) {
+      await releaseLoginAttempt(req.ip);
+      logAuthInfo('Password correcto, falta el segundo factor', user._id);
+      return sendSuccessResponse(res, {
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: signMfaToken(user._id),
+      });
+    }
 
-    // Refresh token con SECRET DIFERENTE → si uno se compromete, el otro sigue seguro.
-    const refreshToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: '7d' }
-    );
+    await registerLoginSuccess(email, req.ip);
 
-    // Guardar el HASH del refresh token en DB, nunca en texto plano.
-    // Si la DB se compromete, el atacante no obtiene tokens válidos.
-    const hashedRefreshToken = hashToken(refreshToken);
-    await User.findByIdAndUpdate(user._id, { refreshToken: hashedRefreshToken });
+    // Cada login crea su propia sesión (dispositivo) → no cierra las demás.
+    const { accessToken, refreshToken } = await startSession(req, user._id);
 
     setAuthCookies(res, accessToken, refreshToken);
 
@@ -137,11 +192,11 @@ export const login = async (req, res) => {
     // navegador.
     return sendSuccessResponse(res, { message: 'Login successful', userId: user._id, accessToken, refreshToken });
   } catch (error) {
-    return handleDatabaseError(res, error, 'hacer login');
+    return handleDatabaseError(res, error, 'hacer login', logAuthError);
   }
 };
 
-// @desc    Renovar access token usando el refresh token de la cookie
+// @desc    Rotar tokens: canjea el refresh token por un access token y un refresh token nuevos
 // @route   POST /api/auth/refresh
 // @access  Public (requiere cookie refreshToken)
 export const refresh = async (req, res) => {
@@ -162,57 +217,82 @@ export const refresh = async (req, res) => {
     // Si el token fue manipulado o expiró, jwt.verify lanza → capturado en catch.
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
 
-    // BARRERA 2: Verificar que el token no fue revocado (ej: usuario hizo logout).
-    // Hasheamos el token recibido y comparamos contra el hash en DB.
+    // BARRERA 2: Rotación atómica. Solo se acepta el refresh token VIGENTE de
+    // la sesión: en la misma operación se reemplaza su hash por el del nuevo
+    // token, así cada refresh token sirve una única vez.
     // Error común junior: verificar solo la firma → el logout no invalida sesiones.
-    const hashedToken = hashToken(refreshToken);
-    const user = await User.findById(decoded.userId).select('+refreshToken');
+    const newAccessToken = signAccessToken(decoded.userId, decoded.sessionId);
+    const newRefreshToken = signRefreshToken(decoded.userId, decoded.sessionId);
+    const now = Date.now();
+
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sessionId,
+        user: decoded.userId,
+        refreshTokenHash: hashToken(refreshToken),
+      },
+      {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(now),
+        expires: new Date(now + REFRESH_TOKEN_MAX_AGE_MS),
+      }
+    );
+
+    if (!session) {
+      // La firma es válida (lo emitimos nosotros) pero ya no es el token vigente.
+      // Si la sesión sigue existiendo, el token ya fue rotado → alguien está
+      // reutilizando un token viejo: o el cliente legítimo o un atacante que lo
+      // robó. No podemos saber cuál, así que revocamos toda la familia (la sesión)
+      // y ambos tendrán que volver a autenticarse.
+      const rotatedFamily = await Session.findOneAndDelete({
+        _id: decoded.sessionId,
+        user: decoded.userId,
+      });
+
+      if (rotatedFamily) {
+        logAuthInfo('Reutilización de refresh token detectada, sesión revocada', decoded.userId);
+        clearAuthCookies(res);
+        return sendErrorResponse(res, 'Refresh token reuse detected', HTTP_STATUS.UNAUTHORIZED);
+      }
 
-    if (!user || user.refreshToken !== hashedToken) {
       logAuthInfo('Refresh token inválido o revocado', decoded.userId);
       return sendErrorResponse(res, 'Invalid refresh token', HTTP_STATUS.UNAUTHORIZED);
     }
 
-    const newAccessToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
+    setAuthCookies(res, newAccessToken, newRefreshToken);
 
-    res.cookie('accessToken', newAccessToken, {
-      ...COOKIE_OPTIONS,
-      maxAge: 15 * 60 * 1000,
+    logAuthInfo('Tokens rotados exitosamente', decoded.userId);
+    // Igual que en login: cookies para web, body para mobile (que debe guardar
+    // el NUEVO refresh token: el anterior ya no sirve).
+    return sendSuccessResponse(res, {
+      message: 'Token refreshed successfully',
+      accessToken: newAccessToken,
+      refreshToken: newRefreshToken,
     });
-
-    logAuthInfo('Access token renovado exitosamente', user._id);
-    // Igual que en login: cookie para web, body para mobile.
-    return sendSuccessResponse(res, { message: 'Token refreshed successfully', accessToken: newAccessToken });
   } catch (error) {
     // jwt.verify falla si el token está expirado o tiene firma inválida.
     return sendErrorResponse(res, 'Invalid refresh token', HTTP_STATUS.UNAUTHORIZED);
   }
 };
 
-// @desc    Cerrar sesión — invalida el refresh token en DB y borra las cookies
+// @desc    Cerrar sesión — borra la sesión de este dispositivo y las cookies
 // @route   POST /api/auth/logout
 // @access  Public
 export const logout = async (req, res) => {
   logAuthInfo('Petición de logout');
   // Misma lógica dual que en /refresh: cookie (web) con fallback a body (mobile).
-  // Es necesario para poder invalidar el hash del refreshToken en la base de datos.
-  // Sin este token no podemos encontrar al usuario y el logout queda incompleto
-  // (el refreshToken seguiría activo en la DB aunque el cliente lo borre).
+  // Es necesario para encontrar la sesión de este dispositivo en la base de datos.
+  // Sin este token el logout queda incompleto (la sesión seguiría activa en la
+  // DB aunque el cliente borre sus cookies).
   const refreshToken = req.cookies.refreshToken ?? req.body?.refreshToken;
 
   if (refreshToken) {
     try {
-      // Invalida el token en DB para que un atacante con la cookie
-      // (ej: dispositivo robado) no pueda renovar la sesión.
+      // Borra solo la sesión de este dispositivo para que un atacante con la
+      // cookie (ej: dispositivo robado) no pueda renovarla. Las sesiones de
+      // otros dispositivos siguen activas.
       const hashedToken = hashToken(refreshToken);
-      await User.findOneAndUpdate(
-        { refreshToken: hashedToken },
-        { $unset: { refreshToken: 1 } }
-      );
+      await Session.findOneAndDelete({ refreshTokenHash: hashedToken });
     } catch (error) {
       // Si la DB falla, continuamos (graceful degradation).
       // Logout parcial > no poder cerrar sesión.
@@ -220,9 +300,130 @@ export const logout = async (req, res) => {
     }
   }
 
-  res.clearCookie('accessToken', COOKIE_OPTIONS);
-  res.clearCookie('refreshToken', COOKIE_OPTIONS);
+  clearAuthCookies(res);
 
   logAuthInfo('Logout exitoso');
   return sendSuccessResponse(res, { message: 'Logged out successfully' });
 };
+
+// @desc    Solicitar reset de contraseña — envía un enlace de un solo uso por email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  logAuthInfo('Petición de recuperación de contraseña');
+  const { email } = req.body;
+
+  if (!email) {
+    return sendErrorResponse(res, 'Email is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Respuesta idéntica exista o no el email → no se filtra qué cuentas existen.
+  const genericResponse = { message: 'If the email is registered, a reset link has been sent' };
+
+  try {
+    const user = await User.findOne({ email });
+    if (!user) {
+      logAuthInfo('Recuperación solicitada para email inexistente', email);
+      return sendSuccessResponse(res, genericResponse);
+    }
+
+    const resetToken = await issueEmailToken(user._id, 'PASSWORD_RESET', PASSWORD_RESET_TTL_MS);
+    await sendMail({
+      to: user.email,
+      subject: 'Restablece tu contraseña de RopaBase',
+      text: `Usa este enlace para elegir una nueva contraseña (válido 30 minutos):\n${getFrontendUrl()}/reset-password?token=${resetToken}`,
+    });
+
+    logAuthInfo('Enlace de reset enviado', user._id);
+    return sendSuccessResponse(res, genericResponse);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'solicitar reset de contraseña', logAuthError);
+  }
+};
+
+// @desc    Restablecer contraseña con el token recibido por email
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+  logAuthInfo('Petición de reset de contraseña');
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return sendErrorResponse(res, 'Token and password are required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const resetToken = await consumeEmailToken(token, 'PASSWORD_RESET');
+
+    if (!resetToken) {
+      logAuthInfo('Token de reset inválido, usado o expirado');
+      return sendErrorResponse(res, 'Invalid or expired reset token', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await User.findByIdAndUpdate(resetToken.user, { password: hashedPassword });
+    // Revoca todas las sesiones: quien tuviera una sesión abierta con la
+    // contraseña anterior (en cualquier dispositivo) debe volver a autenticarse.
+    await Session.deleteMany({ user: resetToken.user });
+
+    logAuthInfo('Contraseña restablecida, sesiones revocadas', resetToken.user);
+    return sendSuccessResponse(res, { message: 'Password has been reset successfully' });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'restablecer contraseña', logAuthError);
+  }
+};
+
+// @desc    Verificar email con el token recibido por email
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  logAuthInfo('Petición de verificación de email');
+  const { token } = req.body;
+
+  if (!token) {
+    return sendErrorResponse(res, 'Token is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const verificationToken = await consumeEmailToken(token, 'EMAIL_VERIFICATION');
+
+    if (!verificationToken) {
+      logAuthInfo('Token de verificación inválido, usado o expirado');
+      return sendErrorResponse(res, 'Invalid or expired verification token', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    await User.findByIdAndUpdate(verificationToken.user, { emailVerified: new Date() });
+
+    logAuthInfo('Email verificado', verificationToken.user);
+    return sendSuccessResponse(res, { message: 'Email verified successfully' });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'verificar email', logAuthError);
+  }
+};
+
+// @desc    Reenviar el enlace de verificación al email del usuario autenticado
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = async (req, res) => {
+  logAuthInfo('Petición de reenvío de verificación', req.user.userId);
+
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return sendErrorResponse(res, 'User not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (user.emailVerified) {
+      return sendErrorResponse(res, 'Email already verified', HTTP_STATUS.CONFLICT);
+    }
+
+    await sendVerificationEmail(user);
+
+    logAuthInfo('Email de verificación reenviado', user._id);
+    return sendSuccessResponse(res, { message: 'Verification email sent' });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'reenviar verificación', logAuthError);
+  }
+};
@@ -0,0 +1,390 @@
+import CalendarEntry from '../models/calendarEntry.model.js';
+import Outfit from '../models/outfit.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import User from '../models/user.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendNoContentResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logClothingRequest, logClothingSuccess } from '../helpers/logging.helpers.js';
+import {
+  parseCalendarRange,
+  parseCalendarEntryData,
+  buildICalendar,
+  getCalendarFeedRange,
+  buildCalendarFeedUrl,
+} from '../helpers/calendar.helpers.js';
+import { recordWears, removeWears } from '../helpers/wear.helpers.js';
+import { generateRandomToken, hashToken } from '../helpers/auth.helpers.js';
+import { HTTP_STATUS, CALENDAR_MESSAGES } from '../constants/httpResponses.js';
+
+// Lo necesario para pintar cada día sin pedir conjuntos y prendas uno a uno.
+// Las prendas de la papelera llegan como null (retainNullValues, igual que en
+// outfit.controller) y se quitan de la respuesta con hideTrashedItems.
+const TRASH_AWARE = { match: { deletedAt: null }, options: { retainNullValues: true } };
+const ENTRY_POPULATE = [
+  {
+    path: 'outfit',
+    select: 'name coverImageUrl items',
+    populate: { path: 'items', select: 'name imageUrl', ...TRASH_AWARE },
+  },
+  { path: 'items', select: 'name category color imageUrl', ...TRASH_AWARE },
+];
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+/**
+ * Busca la entrada y comprueba que pertenece al usuario (404 / 403 como en
+ * updateClothingItem). `forbidden` es el mensaje del 403 según la acción.
+ */
+const findOwnEntry = async (userId, id, forbidden) => {
+  const entry = await CalendarEntry.findById(id);
+  if (!entry) {
+    return { error: { message: CALENDAR_MESSAGES.NOT_FOUND, status: HTTP_STATUS.NOT_FOUND } };
+  }
+  if (entry.owner.toString() !== userId) {
+    return { error: { message: forbidden, status: HTTP_STATUS.FORBIDDEN } };
+  }
+  return { entry };
+};
+
+/**
+ * Quita de la entrada (y de su conjunto) las prendas que están en la
+ * papelera: al restaurarlas vuelven a aparecer.
+ */
+const hideTrashedItems = (entry) => {
+  if (entry.items?.some((item) => item === null)) {
+    entry.items = entry.items.filter(Boolean);
+  }
+  if (entry.outfit?.items?.some((item) => item === null)) {
+    entry.outfit.items = entry.outfit.items.filter(Boolean);
+  }
+  return entry;
+};
+
+// Entradas de un rango, ya pobladas y sin prendas de la papelera.
+const findEntries = async (userId, from, to) => {
+  const entries = await CalendarEntry.find({ owner: userId, date: { $gte: from, $lte: to } })
+    .sort({ date: 1, _id: 1 })
+    .populate(ENTRY_POPULATE);
+  return entries.map(hideTrashedItems);
+};
+
+/**
+ * Comprueba que el conjunto y las prendas que se asignan son del usuario.
+ *
+ * @returns {Promise<string|null>} Mensaje de error, o null si todo es suyo
+ */
+const validateOwnership = async (userId, { outfit, items }) => {
+  if (outfit && !await Outfit.exists({ _id: outfit, owner: userId })) {
+    return CALENDAR_MESSAGES.INVALID_OUTFIT;
+  }
+  if (items?.length > 0) {
+    const count = await ClothingItem.countDocuments({ _id: { $in: items }, owner: userId, deletedAt: null });
+    if (count !== items.length) {
+      return CALENDAR_MESSAGES.INVALID_ITEMS;
+    }
+  }
+  return null;
+};
+
+// @desc    Entradas del calendario entre dos fechas (inclusive)
+// @route   GET /api/calendar?from=&to=
+// @access  Private
+export const getCalendar = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('obtener calendario', userId, { from: req.query.from, to: req.query.to });
+
+  const { from, to, error } = parseCalendarRange(req.query);
+  if (error) {
+    return sendErrorResponse(res, error, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const entries = await findEntries(userId, from, to);
+
+    logClothingSuccess('Entradas del calendario encontradas', entries.length);
+    return sendSuccessResponse(res, entries);
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'obtener calendario');
+  }
+};
+
+// @desc    Exportar el calendario entre dos fechas como archivo iCalendar (.ics)
+// @route   GET /api/calendar/export.ics?from=&to=
+// @access  Private
+export const exportCalendar = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('exportar calendario', userId, { from: req.query.from, to: req.query.to });
+
+  const { from, to, error } = parseCalendarRange(req.query);
+  if (error) {
+    return sendErrorResponse(res, error, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const entries = await findEntries(userId, from, to);
+
+    logClothingSuccess('Entradas exportadas', entries.length);
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="ropabase-calendar.ics"',
+    });
+    return res.status(HTTP_STATUS.OK).send(buildICalendar(entries));
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'exportar calendario');
+  }
+};
+
+// @desc    Crear (o regenerar) la URL secreta para suscribirse al calendario desde otra app
+// @route   POST /api/calendar/feed
+// @access  Private
+export const createCalendarFeed = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('crear suscripción al calendario', userId);
+
+  try {
+    // Solo se guarda el hash: la URL se muestra una vez y regenerarla invalida la anterior.
+    const token = generateRandomToken();
+    await User.findByIdAndUpdate(userId, { calendarFeedToken: hashToken(token) });
+
+    logClothingSuccess('Suscripción al calendario creada', userId);
+    return sendSuccessResponse(res, { url: buildCalendarFeedUrl(req, token) }, HTTP_STATUS.CREATED);
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'crear suscripción al calendario');
+  }
+};
+
+// @desc    Revocar la URL de suscripción al calendario
+// @route   DELETE /api/calendar/feed
+// @access  Private
+export const revokeCalendarFeed = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('revocar suscripción al calendario', userId);
+
+  try {
+    await User.findByIdAndUpdate(userId, { $unset: { calendarFeedToken: 1 } });
+
+    logClothingSuccess('Suscripción al calendario revocada', userId);
+    return sendNoContentResponse(res);
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'revocar suscripción al calendario');
+  }
+};
+
+// @desc    Suscripción iCalendar: las apps de calendario la piden sin cookies, el token de la URL identifica al usuario
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public (token secreto)
+export const getCalendarFeed = async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const user = await User.findOne({ calendarFeedToken: hashToken(token) }).select('_id');
+    if (!user) {
+      return sendErrorResponse(res, CALENDAR_MESSAGES.FEED_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const { from, to } = getCalendarFeedRange();
+    const entries = await findEntries(user._id, from, to);
+
+    logClothingSuccess('Suscripción al calendario servida', entries.length);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    return res.status(HTTP_STATUS.OK).send(buildICalendar(entries));
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'servir suscripción al calendario');
+  }
+};
+
+// @desc    Asignar un conjunto o prendas sueltas a un día
+// @route   POST /api/calendar
+// @access  Private
+export const createCalendarEntry = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('crear entrada del calendario', userId, req.body);
+
+  const { data, error } = parseCalendarEntryData(req.body);
+  if (error) {
+    return sendErrorResponse(res, error, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const ownershipError = await validateOwnership(userId, data);
+    if (ownershipError) {
+      return sendErrorResponse(res, ownershipError, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const entry = await CalendarEntry.create({ ...data, owner: userId });
+
+    logClothingSuccess('Entrada del calendario creada', entry._id);
+    return sendSuccessResponse(res, entry, HTTP_STATUS.CREATED);
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'crear entrada del calendario');
+  }
+};
+
+// @desc    Mover una entrada a otro día o cambiar su conjunto, prendas o nota
+// @route   PATCH /api/calendar/:id
+// @access  Private
+export const updateCalendarEntry = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  logClothingRequest('actualizar entrada del calendario', userId, { id, ...req.body });
+
+  try {
+    const { entry, error } = await findOwnEntry(userId, id, CALENDAR_MESSAGES.UNAUTHORIZED_UPDATE);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    const { data, error: dataError } = parseCalendarEntryData(req.body, entry);
+    if (dataError) {
+      return sendErrorResponse(res, dataError, HTTP_STATUS.BAD_REQUEST);
+    }
+    // Los usos ya registrados corresponden a ese día y esas prendas.
+    const changesWornData = ['date', 'outfit', 'items'].some((field) => data[field] !== undefined);
+    if (entry.wornAt && changesWornData) {
+      return sendErrorResponse(res, CALENDAR_MESSAGES.LOCKED_WHILE_WORN, HTTP_STATUS.CONFLICT);
+    }
+
+    const ownershipError = await validateOwnership(userId, data);
+    if (ownershipError) {
+      return sendErrorResponse(res, ownershipError, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const updatedEntry = await CalendarEntry.findByIdAndUpdate(id, data, { new: true, runValidators: true });
+
+    logClothingSuccess('Entrada del calendario actualizada', id);
+    return sendSuccessResponse(res, updatedEntry);
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'actualizar entrada del calendario');
+  }
+};
+
+// @desc    Eliminar una entrada (los usos ya registrados se conservan)
+// @route   DELETE /api/calendar/:id
+// @access  Private
+export const deleteCalendarEntry = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  logClothingRequest('eliminar entrada del calendario', userId, { id });
+
+  try {
+    const { error } = await findOwnEntry(userId, id, CALENDAR_MESSAGES.UNAUTHORIZED_DELETE);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    await CalendarEntry.findByIdAndDelete(id);
+
+    logClothingSuccess('Entrada del calendario eliminada', id);
+    return sendNoContentResponse(res);
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'eliminar entrada del calendario');
+  }
+};
+
+// @desc    Marcar una entrada como puesta: registra un uso de cada prenda ese día
+// @route   POST /api/calendar/:id/worn
+// @access  Private
+export const markEntryWorn = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  logClothingRequest('marcar entrada del calendario como puesta', userId, { id });
+
+  try {
+    const { entry, error } = await findOwnEntry(userId, id, CALENDAR_MESSAGES.UNAUTHORIZED_UPDATE);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+    if (entry.wornAt) {
+      return sendErrorResponse(res, CALENDAR_MESSAGES.ALREADY_WORN, HTTP_STATUS.CONFLICT);
+    }
+    if (entry.date.getTime() > Date.now()) {
+      return sendErrorResponse(res, 'Future entries cannot be marked as worn', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Las prendas del conjunto se leen ahora: si cambió desde que se planificó, cuenta lo actual.
+    const outfit = entry.outfit ? await Outfit.findOne({ _id: entry.outfit, owner: userId }) : null;
+    const plannedIds = outfit ? outfit.items : entry.items;
+    // Las prendas de la papelera no suman usos ni cambian de estado.
+    const activeIds = new Set((await ClothingItem.distinct('_id', {
+      _id: { $in: plannedIds },
+      owner: userId,
+      deletedAt: null,
+    })).map(String));
+    const itemIds = plannedIds.filter((itemId) => activeIds.has(String(itemId)));
+    if (itemIds.length === 0) {
+      return sendErrorResponse(res, 'Calendar entry has no items to mark as worn', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Se reclama la entrada antes de registrar los usos: de dos peticiones a la
+    // vez solo una la encuentra sin marcar, así ninguna prenda suma dos usos.
+    const claimed = await CalendarEntry.findOneAndUpdate(
+      { _id: id, owner: userId, wornAt: null },
+      { wornAt: new Date() }
+    );
+    if (!claimed) {
+      return sendErrorResponse(res, CALENDAR_MESSAGES.ALREADY_WORN, HTTP_STATUS.CONFLICT);
+    }
+
+    let wears;
+    try {
+      wears = await recordWears(userId, itemIds, entry.date);
+    } catch (wearError) {
+      // Sin usos registrados la entrada vuelve a quedar sin marcar.
+      await CalendarEntry.updateOne({ _id: id }, { wornAt: null });
+      throw wearError;
+    }
+    const updatedEntry = await CalendarEntry.findByIdAndUpdate(
+      id,
+      { wearEvents: wears.map((wear) => wear._id) },
+      { new: true }
+    );
+
+    logClothingSuccess('Usos registrados desde el calendario', wears.length);
+    return sendSuccessResponse(res, updatedEntry);
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'marcar entrada del calendario como puesta');
+  }
+};
+
+// @desc    Deshacer "puesto": borra los usos que registró la entrada
+// @route   DELETE /api/calendar/:id/worn
+// @access  Private
+export const unmarkEntryWorn = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  logClothingRequest('desmarcar entrada del calendario como puesta', userId, { id });
+
+  try {
+    const { entry, error } = await findOwnEntry(userId, id, CALENDAR_MESSAGES.UNAUTHORIZED_UPDATE);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+    if (!entry.wornAt) {
+      return sendErrorResponse(res, CALENDAR_MESSAGES.NOT_WORN, HTTP_STATUS.CONFLICT);
+    }
+
+    // Igual que al marcar: solo una petición desmarca la entrada, y borra los
+    // usos que tenía guardados en ese momento.
+    const claimed = await CalendarEntry.findOneAndUpdate(
+      { _id: id, owner: userId, wornAt: { $ne: null } },
+      { wornAt: null, wearEvents: [] }
+    );
+    if (!claimed) {
+      return sendErrorResponse(res, CALENDAR_MESSAGES.NOT_WORN, HTTP_STATUS.CONFLICT);
+    }
+
+    const removed = await removeWears(claimed.wearEvents);
+    const updatedEntry = await CalendarEntry.findById(id);
+
+    logClothingSuccess('Usos del calendario deshechos', removed);
+    return sendSuccessResponse(res, updatedEntry);
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'desmarcar entrada del calendario como puesta');
+  }
+};
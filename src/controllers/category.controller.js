@@ -0,0 +1,246 @@
+import Category from '../models/category.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendNoContentResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logClothingRequest, logClothingSuccess } from '../helpers/logging.helpers.js';
+import { toCategoryKey, visibleCategoriesFilter, findCategory } from '../helpers/category.helpers.js';
+import {
+  FALLBACK_CATEGORY,
+  MAX_CATEGORY_DEPTH,
+  CATEGORY_NAME_MAX_LENGTH,
+} from '../constants/clothing.js';
+import { HTTP_STATUS } from '../constants/httpResponses.js';
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+/**
+ * Datos públicos de una categoría. `system` indica si es de las comunes a
+ * todos los usuarios (no se pueden editar ni borrar).
+ */
+const toCategoryResponse = (category) => ({
+  id: category._id,
+  key: category.key,
+  name: category.name,
+  parent: category.parentId ?? null,
+  system: !category.owner,
+});
+
+/**
+ * Valida el nombre de una categoría.
+ *
+ * @returns {string|null} Mensaje de error, o null si es válido
+ */
+const validateCategoryName = (name) => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return 'Name must be a non-empty string';
+  }
+  if (name.trim().length > CATEGORY_NAME_MAX_LENGTH) {
+    return `Name must be at most ${CATEGORY_NAME_MAX_LENGTH} characters`;
+  }
+  if (!toCategoryKey(name)) {
+    return 'Name must contain letters or numbers';
+  }
+  return null;
+};
+
+/**
+ * Busca una categoría del usuario para modificarla. Las del sistema se
+ * distinguen de las inexistentes para devolver 403 en lugar de 404.
+ *
+ * @returns {Promise<{category?: Object, error?: {message: string, status: number}}>}
+ */
+const findEditableCategory = async (userId, id) => {
+  const category = await Category.findOne({ _id: id, ...visibleCategoriesFilter(userId) });
+  if (!category) {
+    return { error: { message: 'Category not found', status: HTTP_STATUS.NOT_FOUND } };
+  }
+  if (!category.owner) {
+    return { error: { message: 'System categories cannot be modified', status: HTTP_STATUS.FORBIDDEN } };
+  }
+  return { category };
+};
+
+// @desc    Listar las categorías del usuario y las del sistema
+// @route   GET /api/categories
+// @access  Private
+export const listCategories = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('listar categorías', userId);
+
+  try {
+    const categories = await Category.find(visibleCategoriesFilter(userId)).sort({ name: 1 });
+
+    logClothingSuccess('Categorías encontradas', categories.length);
+    return sendSuccessResponse(res, categories.map(toCategoryResponse));
+  } catch (error) {
+    return handleDatabaseError(res, error, 'listar categorías');
+  }
+};
+
+// @desc    Crear una categoría propia, opcionalmente bajo otra (del sistema o propia)
+// @route   POST /api/categories
+// @access  Private
+export const createCategory = async (req, res) => {
+  const { userId } = req.user;
+  const { name, parent } = req.body ?? {};
+  logClothingRequest('crear categoría', userId, { name, parent });
+
+  const nameError = validateCategoryName(name);
+  if (nameError) {
+    return sendErrorResponse(res, nameError, HTTP_STATUS.BAD_REQUEST);
+  }
+  const key = toCategoryKey(name);
+
+  try {
+    let parentCategory = null;
+    if (parent !== undefined && parent !== null && parent !== '') {
+      parentCategory = await findCategory(userId, parent);
+      if (!parentCategory) {
+        return sendErrorResponse(res, 'Parent category not found', HTTP_STATUS.BAD_REQUEST);
+      }
+      if (parentCategory.ancestors.length + 2 > MAX_CATEGORY_DEPTH) {
+        return sendErrorResponse(res, `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`, HTTP_STATUS.BAD_REQUEST);
+      }
+    }
+
+    // La clave identifica la categoría en las prendas: no puede repetir una
+    // del sistema ni otra del usuario ("Zapatillas" y "zapatillas" chocan).
+    if (await Category.exists({ key, ...visibleCategoriesFilter(userId) })) {
+      return sendErrorResponse(res, 'Category already exists', HTTP_STATUS.CONFLICT);
+    }
+
+    const category = await Category.create({
+      key,
+      name: name.trim(),
+      owner: userId,
+      parentId: parentCategory?._id ?? null,
+      ancestors: parentCategory ? [...parentCategory.ancestors, parentCategory._id] : [],
+    });
+
+    logClothingSuccess('Categoría creada', category._id);
+    return sendSuccessResponse(res, toCategoryResponse(category), HTTP_STATUS.CREATED);
+  } catch (error) {
+    // Dos peticiones simultáneas con la misma clave: la segunda choca con el índice único.
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 'Category already exists', HTTP_STATUS.CONFLICT);
+    }
+    return handleDatabaseError(res, error, 'crear categoría');
+  }
+};
+
+// @desc    Renombrar una categoría propia y/o moverla bajo otra (o a la raíz con parent: null)
+// @route   PATCH /api/categories/:id
+// @access  Private
+export const updateCategory = async (req, res) => {
+  const { userId } = req.user;
+  const { name, parent } = req.body ?? {};
+  logClothingRequest('actualizar categoría', userId, { id: req.params.id, name, parent });
+
+  if (name === undefined && parent === undefined) {
+    return sendErrorResponse(res, 'Nothing to update', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (name !== undefined) {
+    const nameError = validateCategoryName(name);
+    if (nameError) {
+      return sendErrorResponse(res, nameError, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  try {
+    const { category, error } = await findEditableCategory(userId, req.params.id);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    // La clave no cambia al renombrar: las prendas siguen apuntando a la misma categoría.
+    const dataToUpdate = {};
+    if (name !== undefined) {
+      dataToUpdate.name = name.trim();
+    }
+
+    if (parent !== undefined) {
+      let newAncestors = [];
+      if (parent !== null && parent !== '') {
+        const parentCategory = await findCategory(userId, parent);
+        if (!parentCategory) {
+          return sendErrorResponse(res, 'Parent category not found', HTTP_STATUS.BAD_REQUEST);
+        }
+        // Mover una categoría bajo sí misma o bajo una de sus hijas crearía un ciclo.
+        const isOwnSubtree = parentCategory._id.equals(category._id)
+          || parentCategory.ancestors.some((ancestor) => ancestor.equals(category._id));
+        if (isOwnSubtree) {
+          return sendErrorResponse(res, 'A category cannot be moved under itself or its subcategories', HTTP_STATUS.BAD_REQUEST);
+        }
+        newAncestors = [...parentCategory.ancestors, parentCategory._id];
+        dataToUpdate.parentId = parentCategory._id;
+      } else {
+        dataToUpdate.parentId = null;
+      }
+
+      // Las subcategorías se mueven con ella: se reescribe el tramo de sus
+      // antecesores que corresponde a la categoría movida.
+      const descendants = await Category.find({ ancestors: category._id });
+      const depth = category.ancestors.length;
+      const subtreeHeight = Math.max(0, ...descendants.map((descendant) => descendant.ancestors.length - depth));
+      if (newAncestors.length + 1 + subtreeHeight > MAX_CATEGORY_DEPTH) {
+        return sendErrorResponse(res, `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`, HTTP_STATUS.BAD_REQUEST);
+      }
+      dataToUpdate.ancestors = newAncestors;
+
+      if (descendants.length > 0) {
+        await Category.bulkWrite(descendants.map((descendant) => ({
+          updateOne: {
+            filter: { _id: descendant._id },
+            update: { $set: { ancestors: [...newAncestors, category._id, ...descendant.ancestors.slice(depth + 1)] } },
+          },
+        })));
+      }
+    }
+
+    const updatedCategory = await Category.findByIdAndUpdate(category._id, dataToUpdate, { new: true, runValidators: true });
+
+    logClothingSuccess('Categoría actualizada', category._id);
+    return sendSuccessResponse(res, toCategoryResponse(updatedCategory));
+  } catch (error) {
+    return handleDatabaseError(res, error, 'actualizar categoría');
+  }
+};
+
+// @desc    Eliminar una categoría propia; sus hijas y prendas pasan a la categoría padre
+// @route   DELETE /api/categories/:id
+// @access  Private
+export const deleteCategory = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('eliminar categoría', userId, { id: req.params.id });
+
+  try {
+    const { category, error } = await findEditableCategory(userId, req.params.id);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    // Las hijas suben un nivel y las prendas pasan a la categoría padre
+    // (o a OTHER si era raíz): ninguna prenda queda con una clave inexistente.
+    const parentCategory = category.parentId ? await Category.findById(category.parentId) : null;
+    const replacementKey = parentCategory?.key ?? FALLBACK_CATEGORY;
+
+    await Category.updateMany({ parentId: category._id }, { $set: { parentId: category.parentId ?? null } });
+    await Category.updateMany({ ancestors: category._id }, { $pull: { ancestors: category._id } });
+    const { modifiedCount } = await ClothingItem.updateMany(
+      { owner: userId, category: category.key },
+      { $set: { category: replacementKey } }
+    );
+    await Category.deleteOne({ _id: category._id });
+
+    logClothingSuccess(`Categoría eliminada, prendas movidas a ${replacementKey}`, modifiedCount);
+    return sendNoContentResponse(res);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'eliminar categoría');
+  }
+};
@@ -1,10 +1,39 @@
 // CAMBIO 1: Importar los modelos de Mongoose en lugar del cliente de Prisma.
 import ClothingItem from '../models/clothing.model.js';
 import User from '../models/user.model.js';
-// Importa la configuración de Cloudinary para la subida de imágenes.
-import cloudinary from '../config/cloudinary.js';
-
-// @desc    Get all clothing items for a user, with filtering
+// Subida y borrado de fotos en el almacenamiento configurado (Cloudinary o disco).
+import {
+  parseImageRoles,
+  validateImageCount,
+  uploadClothingImages,
+  destroyClothingImage,
+  appendImages,
+  replacePrimaryImage,
+  getPrimaryImageFields,
+} from '../helpers/clothingImage.helpers.js';
+import {
+  parseLimit,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+} from '../helpers/pagination.helpers.js';
+import { buildSearchText, buildTextSearchQuery, escapeRegex } from '../helpers/search.helpers.js';
+import { parseClothingAttributes, buildAttributeFilters } from '../helpers/clothingAttributes.helpers.js';
+import { findCategory, getCategoryKeys } from '../helpers/category.helpers.js';
+import { buildWearFilters } from '../helpers/wear.helpers.js';
+import { buildStatusFilters } from '../helpers/status.helpers.js';
+import {
+  buildColorFilters,
+  getItemColorFields,
+  suggestColor,
+  getColorLanguage,
+} from '../helpers/color.helpers.js';
+import { IMAGE_MESSAGES, ERROR_MESSAGES } from '../constants/httpResponses.js';
+
+// @desc    Get the clothing items of a user, with filtering, sorting and cursor pagination
 // @route   GET /api/clothing
 // @access  Private
 export const getClothingItems = async (req, res) => {
@@ -13,115 +42,225 @@ export const getClothingItems = async (req, res) => {
     const { query } = req; // Obtenemos los parámetros de consulta de la petición (ej. ?category=SHIRT)
     
     // Filtro base: siempre restringir por el propietario (dueño) de la prenda.
-    const filters = { owner: req.user.userId };
+    // Las prendas en la papelera (deletedAt) no forman parte del armario.
+    const filters = { owner: req.user.userId, deletedAt: null };
     // Lista blanca de las claves de filtro permitidas. Esto previene NoSQL Injection y filtrado por campos no deseados.
-    const allowedFilters = ['name', 'category', 'color', 'brand'];
-    // Campos que permiten búsqueda parcial con regex (ej. buscar "cam" encuentra "camisa").
-    const textSearchFields = ['name', 'brand'];
-    // Valores válidos del enum para 'category' directamente del esquema del modelo.
-    const categoryEnumValues = ClothingItem.schema.path('category').enumValues;
+    // Todas son de texto libre y permiten búsqueda parcial con regex (ej. buscar "cam" encuentra "camisa").
+    // El color se filtra aparte (ver buildColorFilters).
+    const allowedFilters = ['name', 'brand', 'store', 'notes'];
 
     // Valida que el valor recibido del query param sea un string no vacío.
     // Esto previene inyecciones donde el atacante envía objetos o arrays en lugar de strings.
     const isValidParam = (value) => typeof value === 'string' && value.length > 0;
 
-    // Construye el valor del filtro de MongoDB según el tipo de campo.
-    // Retorna null si el valor no es válido (ej. categoría inexistente).
-    const buildFilterValue = (key, value) => {
-      // Si el campo es de texto libre (name o brand), retorna un regex para búsqueda parcial e insensible a mayúsculas.
-      if (textSearchFields.includes(key)) {
-        return { $regex: value, $options: 'i' };
-      }
+    // Construye el valor del filtro de MongoDB: un regex para búsqueda parcial e insensible a mayúsculas.
+    // El valor se escapa: "t-shirt (v2)" o ".*" se buscan literalmente, no como expresión regular.
+    const buildFilterValue = (value) => ({ $regex: escapeRegex(value), $options: 'i' });
 
-      // Si el campo NO es 'category', retorna el valor tal cual para coincidencia exacta (ej. color).
-      if (key !== 'category') {
-        return value;
-      }
+    // Filtra solo los query params que están en la lista blanca y tienen un valor válido.
+    const validKeys = allowedFilters.filter((key) => isValidParam(query[key]));
 
-      // Para 'category', normaliza a mayúsculas para comparar con el enum del esquema.
-      const upperValue = value.toUpperCase();
+    // Transforma cada clave válida en un par [clave, valorFiltrado] para construir el objeto de filtros.
+    const filterEntries = validKeys.map((key) => [key, buildFilterValue(query[key])]);
 
-      // Si el valor no existe en el enum, lo descarta y registra un aviso en consola.
-      if (!categoryEnumValues.includes(upperValue)) {
-        console.log(`[CLOTHING] Invalid category filter value ignored: ${value}`);
-        return null;
+    // Convierte el array de pares [clave, valor] en un objeto y lo combina con el filtro base (owner).
+    Object.assign(filters, Object.fromEntries(filterEntries));
+
+    // Categoría por clave (ej. 'shoes') o id. Incluye sus subcategorías
+    // (SHOES → SNEAKERS, BOOTS...) salvo con includeSubcategories=false.
+    if (isValidParam(query.category)) {
+      const category = await findCategory(req.user.userId, query.category);
+      if (!category) {
+        console.log(`[CLOTHING] Invalid category filter value ignored: ${query.category}`);
+      } else {
+        const categoryKeys = query.includeSubcategories === 'false'
+          ? [category.key]
+          : await getCategoryKeys(req.user.userId, category);
+        filters.category = categoryKeys.length === 1 ? categoryKeys[0] : { $in: categoryKeys };
       }
+    }
 
-      // Retorna el valor válido de la categoría ya normalizado.
-      return upperValue;
-    };
-
-    // Filtra solo los query params que están en la lista blanca y tienen un valor válido.
-    const validKeys = allowedFilters.filter((key) => isValidParam(query[key]));
+    // Atributos (talla, materiales, temporadas, ocasiones, datos de compra): listas y rangos.
+    const attributeFilters = buildAttributeFilters(query);
+    attributeFilters.ignored.forEach((key) => {
+      console.log(`[CLOTHING] Invalid ${key} filter value ignored: ${query[key]}`);
+    });
+    Object.assign(filters, attributeFilters.filters);
+
+    // Uso: wornSince, notWornSince ("sin usar en 6 meses"), minWears y maxWears.
+    const wearFilters = buildWearFilters(query);
+    wearFilters.ignored.forEach((key) => {
+      console.log(`[CLOTHING] Invalid ${key} filter value ignored: ${query[key]}`);
+    });
+    Object.assign(filters, wearFilters.filters);
+
+    // Estado: status=laundry,repair o available=true ("qué me puedo poner ahora").
+    const statusFilters = buildStatusFilters(query);
+    statusFilters.ignored.forEach((key) => {
+      console.log(`[CLOTHING] Invalid ${key} filter value ignored: ${query[key]}`);
+    });
+    Object.assign(filters, statusFilters.filters);
+
+    // Color y familia de color: color=azul o colorFamily=blue encuentran "azul", "Navy" y "#1a2b5c".
+    const colorFilters = buildColorFilters(query);
+    colorFilters.ignored.forEach((key) => {
+      console.log(`[CLOTHING] Invalid ${key} filter value ignored: ${query[key]}`);
+    });
+    Object.assign(filters, colorFilters.filters);
+
+    // Búsqueda de texto completo (q): se normaliza igual que searchText (sin acentos,
+    // raíces es/en) y se busca en el índice de texto de name, brand, color, notes y tags.
+    const textSearch = isValidParam(query.q) ? buildTextSearchQuery(query.q) : null;
+    if (textSearch) {
+      filters.$text = { $search: textSearch };
+    } else if (query.q !== undefined) {
+      console.log(`[CLOTHING] Search query without searchable terms ignored: ${query.q}`);
+    }
 
-    // Transforma cada clave válida en un par [clave, valorFiltrado] para construir el objeto de filtros.
-    const filterEntries = validKeys.map((key) => [key, buildFilterValue(key, query[key])]);
+    // Lista blanca de campos de orden: sort=campo (ascendente) o sort=-campo (descendente).
+    // Por defecto, las prendas más recientes primero; al buscar con q, las más relevantes.
+    const allowedSortFields = ['createdAt', 'name', 'brand', 'category', 'wearCount', 'lastWornAt'];
+    const defaultSort = { field: 'createdAt', direction: -1 };
+    let sort = defaultSort;
+    if (query.sort !== undefined) {
+      sort = parseSort(query.sort, allowedSortFields) ?? defaultSort;
+      if (sort === defaultSort) {
+        console.log(`[CLOTHING] Invalid sort value ignored: ${query.sort}`);
+      }
+    }
+    const sortByRelevance = Boolean(textSearch) && query.sort === undefined;
+
+    // Tamaño de página con tope → un cliente no puede pedir todo el armario de una vez.
+    const limit = parseLimit(query.limit);
+
+    // Se pide un elemento de más: si llega, existe una página siguiente.
+    // El total se cuenta siempre con los filtros originales (todas las páginas).
+    let pageQuery;
+    let offset = 0;
+    if (sortByRelevance) {
+      // La puntuación de relevancia no se puede comparar en un filtro → cursor por posición.
+      if (query.cursor !== undefined) {
+        offset = decodeOffsetCursor(query.cursor, 'score');
+        if (offset === null) {
+          console.log('[CLOTHING] Cursor inválido:', query.cursor);
+          return res.status(400).json({ message: 'Invalid cursor' });
+        }
+      }
+      pageQuery = ClothingItem.find(filters, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, _id: -1 })
+        .skip(offset)
+        .limit(limit + 1);
+    } else {
+      // El cursor de la página anterior se añade como condición extra.
+      let pageFilters = filters;
+      if (query.cursor !== undefined) {
+        const position = decodeCursor(query.cursor, sort);
+        if (!position) {
+          console.log('[CLOTHING] Cursor inválido:', query.cursor);
+          return res.status(400).json({ message: 'Invalid cursor' });
+        }
+        pageFilters = { $and: [filters, buildCursorFilter(sort, position)] };
+      }
+      // _id desempata prendas con el mismo valor (ej: mismo nombre) → orden estable.
+      pageQuery = ClothingItem.find(pageFilters)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1);
+    }
 
-    // Elimina los pares donde el valor es null (ej. categoría inválida).
-    const validEntries = filterEntries.filter(([, value]) => value !== null);
+    console.log('[CLOTHING] Aplicando filtros:', filters, 'orden:', sortByRelevance ? 'relevancia' : sort, 'límite:', limit);
+    const [clothingItems, total] = await Promise.all([
+      pageQuery,
+      ClothingItem.countDocuments(filters),
+    ]);
+
+    const hasMore = clothingItems.length > limit;
+    const items = hasMore ? clothingItems.slice(0, limit) : clothingItems;
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = sortByRelevance
+        ? encodeOffsetCursor(offset + limit, 'score')
+        : encodeCursor(items[items.length - 1], sort);
+    }
 
-    // Convierte el array de pares [clave, valor] en un objeto y lo combina con el filtro base (owner).
-    Object.assign(filters, Object.fromEntries(validEntries));
-    
-    console.log('[CLOTHING] Aplicando filtros:', filters);
-    // Realizamos la búsqueda en la base de datos utilizando el objeto de filtros construido.
-    const clothingItems = await ClothingItem.find(filters);
-    console.log('[CLOTHING] Prendas encontradas:', clothingItems.length);
-    res.json(clothingItems);
+    console.log('[CLOTHING] Prendas encontradas:', items.length, 'de', total);
+    res.json({ items, nextCursor, total });
   } catch (error) {
     console.error('[CLOTHING] Error al obtener prendas:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 };
 
-// @desc    Create a new clothing item
+// @desc    Create a new clothing item (multipart: 'image' and/or up to 8 'images', with optional 'roles'; 'color' is suggested from the image if omitted)
 // @route   POST /api/clothing
 // @access  Private
 export const createClothingItem = async (req, res) => {
   console.log('[CLOTHING] Petición para crear prenda. Body:', req.body);
   
       const { name, category, color, brand } = req.body;
-    let imageUrl = null;
-    let imagePublicId = null; // Inicializa el nuevo campo para el ID público de Cloudinary
+    // 'image' (una sola foto, clientes anteriores) va delante de las de 'images'.
+    const files = [...(req.files?.image ?? []), ...(req.files?.images ?? [])];
   
-    if (!name || !category || !color) {
+    // Con fotos, el color se puede omitir: se sugiere a partir de la principal.
+    if (!name || !category || (!color && files.length === 0)) {
       console.log('[CLOTHING] Faltan datos obligatorios.');
       return res.status(400).json({ message: 'Name, category, and color are required' });
     }
+
+    // Atributos opcionales: en multipart llegan como strings y se convierten aquí.
+    const { data: attributes, error: attributesError } = parseClothingAttributes(req.body);
+    if (attributesError) {
+      console.log('[CLOTHING] Atributos inválidos:', attributesError);
+      return res.status(400).json({ message: attributesError });
+    }
+
+    const { roles, error: rolesError } = parseImageRoles(req.body.roles, files.length);
+    const imagesError = rolesError ?? validateImageCount(files.length);
+    if (imagesError) {
+      console.log('[CLOTHING] Fotos inválidas:', imagesError);
+      return res.status(400).json({ message: imagesError });
+    }
+
+    // Fotos subidas que aún no guarda ninguna prenda: si algo falla, se borran.
+    let uploadedImages = [];
   
     try {
-      // Si se adjunta un archivo, súbelo a Cloudinary.
-      if (req.file) {
-        console.log('[CLOTHING] Imagen recibida, subiendo a Cloudinary...');
-        
-        // Sube el buffer de la imagen a Cloudinary.
-        const uploadResult = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            {
-              resource_type: 'image',
-              background_removal: 'cloudinary_ai',
-              transformation: [{ background: '#FFFFFF' }],
-            },
-            (error, result) => {
-              if (error) return reject(error);
-              resolve(result);
-            }
-          );
-          uploadStream.end(req.file.buffer);
-        });
-
-        // Guarda la URL segura de la imagen subida y su ID público.
-        imageUrl = uploadResult.secure_url;
-        imagePublicId = uploadResult.public_id; // Guarda el public_id de Cloudinary
-        console.log(`[CLOTHING] Imagen subida a Cloudinary: ${imageUrl}, Public ID: ${imagePublicId}`);
+      // La categoría se valida antes de subir la imagen: un 400 no deja imágenes huérfanas.
+      // Se acepta la clave (también los valores del antiguo enum, en cualquier mayúscula) o el id.
+      const categoryDoc = await findCategory(req.user.userId, category);
+      if (!categoryDoc) {
+        console.log('[CLOTHING] Categoría inválida:', category);
+        return res.status(400).json({ message: 'Invalid category' });
+      }
+
+      // Si se adjuntan fotos, súbelas al almacenamiento. La primera es la principal.
+      let images = [];
+      if (files.length > 0) {
+        console.log(`[CLOTHING] ${files.length} imágenes recibidas, subiendo...`);
+        const uploaded = await uploadClothingImages(files);
+        uploadedImages = uploaded;
+        images = appendImages([], uploaded, roles);
+        console.log('[CLOTHING] Imágenes subidas:', uploaded.map(({ publicId }) => publicId));
+      }
+
+      // Sin color, el nombre de la familia del color dominante, en el idioma del cliente.
+      const primaryFields = getPrimaryImageFields(images);
+      const itemColor = color || suggestColor(primaryFields.palette, getColorLanguage(req));
+      if (!itemColor) {
+        console.log('[CLOTHING] No se detectó ningún color en la foto.');
+        await Promise.all(images.map(destroyClothingImage));
+        uploadedImages = [];
+        return res.status(400).json({ message: 'Color is required: no color could be detected in the image' });
       }
   
       // CAMBIO 3: Usar ClothingItem.create y establecer 'owner' en lugar de 'ownerId'.
-      // Incluye el imagePublicId en la creación del nuevo ítem.
+      // imageUrl e imagePublicId repiten la foto principal (null sin fotos).
       const newItem = await ClothingItem.create({
-        name, category, color, brand, imageUrl, imagePublicId,
+        name, category: categoryDoc.key, color: itemColor, brand, ...attributes, images, ...primaryFields,
+        // Con el color sugerido, hex y familia salen de la foto, no del nombre sugerido.
+        ...getItemColorFields(color, primaryFields.palette),
         owner: req.user.userId,
       });
+      uploadedImages = [];
     // CAMBIO 4: Añadir la referencia de la nueva prenda al array del usuario.
     await User.findByIdAndUpdate(
       req.user.userId,
@@ -132,6 +271,20 @@ export const createClothingItem = async (req, res) => {
     res.status(201).json(newItem);
   } catch (error) {
     console.error('[CLOTHING] Error al crear prenda:', error);
+    if (uploadedImages.length > 0) {
+      try {
+        await Promise.all(uploadedImages.map(destroyClothingImage));
+      } catch (destroyError) {
+        console.error('[CLOTHING] Error al borrar las imágenes sin usar:', destroyError);
+      }
+    }
+    // El archivo pasó el filtro de multer pero no se pudo leer como imagen.
+    if (error.name === 'InvalidImageError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: ERROR_MESSAGES.VALIDATION_ERROR });
+    }
     res.status(500).json({ message: 'Internal server error' });
   }
 };
@@ -145,12 +298,15 @@ export const updateClothingItem = async (req, res) => {
   const { name, category, color, brand } = req.body;
 
   const dataToUpdate = { name, category, color, brand };
+  let uploadedImage = null;
+  let replacedImage = null;
 
   try {
     // CAMBIO 5: Encontrar la prenda por su ID con el método findById de Mongoose.
     const item = await ClothingItem.findById(id);
 
-    if (!item) {
+    // Una prenda en la papelera no se edita: primero hay que restaurarla.
+    if (!item || item.deletedAt) {
       return res.status(404).json({ message: 'Clothing item not found' });
     }
 
@@ -159,50 +315,78 @@ export const updateClothingItem = async (req, res) => {
       return res.status(403).json({ message: 'User not authorized to update this item' });
     }
 
-    // Si se adjunta un nuevo archivo, súbelo a Cloudinary.
-    if (req.file) {
-      console.log('[CLOTHING] Imagen nueva recibida, subiendo a Cloudinary...');
-      
-      // Si ya existía una imagen y un Public ID, elimínala de Cloudinary.
-      if (item.imagePublicId) {
-        console.log(`[CLOTHING] Eliminando imagen antigua de Cloudinary con public ID: ${item.imagePublicId}`);
-        await cloudinary.uploader.destroy(item.imagePublicId);
+    // Se valida contra la prenda guardada: un precio nuevo puede usar la moneda que ya tenía.
+    const { data: attributes, error: attributesError } = parseClothingAttributes(req.body, item);
+    if (attributesError) {
+      console.log('[CLOTHING] Atributos inválidos:', attributesError);
+      return res.status(400).json({ message: attributesError });
+    }
+    Object.assign(dataToUpdate, attributes);
+
+    if (category !== undefined) {
+      const categoryDoc = await findCategory(req.user.userId, category);
+      if (!categoryDoc) {
+        console.log('[CLOTHING] Categoría inválida:', category);
+        return res.status(400).json({ message: 'Invalid category' });
       }
+      dataToUpdate.category = categoryDoc.key;
+    }
 
-      // Sube el buffer de la nueva imagen a Cloudinary.
-      const uploadResult = await new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            resource_type: 'image',
-            background_removal: 'cloudinary_ai',
-            transformation: [{ background: '#FFFFFF' }],
-          },
-          (error, result) => {
-            if (error) return reject(error);
-            resolve(result);
-          }
-        );
-        uploadStream.end(req.file.buffer);
-      });
+    // Si se adjunta un nuevo archivo, reemplaza a la foto principal. El resto de
+    // fotos se gestiona con /api/clothing/:id/images.
+    if (req.file) {
+      console.log('[CLOTHING] Imagen nueva recibida, subiendo...');
+
+      // Sube el buffer de la nueva imagen al almacenamiento.
+      const [uploaded] = await uploadClothingImages([req.file]);
+      const { images, replaced } = replacePrimaryImage(item.images, uploaded);
+      uploadedImage = uploaded;
+      replacedImage = replaced;
+
+      dataToUpdate.images = images;
+      Object.assign(dataToUpdate, getPrimaryImageFields(images));
+      console.log(`[CLOTHING] Nueva imagen subida: ${dataToUpdate.imageUrl}, Public ID: ${dataToUpdate.imagePublicId}`);
+    }
 
-      // Actualiza la URL de la imagen con la nueva URL de Cloudinary y el Public ID.
-      dataToUpdate.imageUrl = uploadResult.secure_url;
-      dataToUpdate.imagePublicId = uploadResult.public_id; // Guarda el nuevo public_id
-      console.log(`[CLOTHING] Nueva imagen subida a Cloudinary: ${dataToUpdate.imageUrl}, Public ID: ${dataToUpdate.imagePublicId}`);
+    // Color normalizado: cambia con el texto de color o con la foto principal.
+    if (color !== undefined || req.file) {
+      Object.assign(dataToUpdate, getItemColorFields(color ?? item.color, dataToUpdate.palette ?? item.palette ?? []));
     }
 
 
+    // findByIdAndUpdate no ejecuta el hook de validate del modelo: los términos de
+    // búsqueda se recalculan aquí combinando la prenda actual con los cambios.
+    dataToUpdate.searchText = buildSearchText(item, dataToUpdate);
+
     // CAMBIO 7: Usar findByIdAndUpdate para actualizar y devolver la nueva versión.
-    const updatedItem = await ClothingItem.findByIdAndUpdate(id, dataToUpdate, { new: true });
+    // Con foto nueva solo se guarda si nadie cambió las fotos mientras se subía (__v).
+    const updatedItem = uploadedImage
+      ? await ClothingItem.findOneAndUpdate({ _id: id, __v: item.__v }, { ...dataToUpdate, $inc: { __v: 1 } }, { new: true })
+      : await ClothingItem.findByIdAndUpdate(id, dataToUpdate, { new: true });
+
+    if (!updatedItem) {
+      console.log('[CLOTHING] Las fotos cambiaron durante la subida, se descarta la nueva');
+      await destroyClothingImage(uploadedImage);
+      return res.status(409).json({ message: IMAGE_MESSAGES.CONFLICT });
+    }
+
+    // La foto principal anterior se elimina del almacenamiento una vez guardada la nueva.
+    if (replacedImage) {
+      console.log(`[CLOTHING] Eliminando imagen antigua con public ID: ${replacedImage.publicId}`);
+      await destroyClothingImage(replacedImage);
+    }
 
     res.json(updatedItem);
   } catch (error) {
     console.error(error);
+    if (error.name === 'InvalidImageError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Internal server error' });
   }
 };
 
-// @desc    Delete a clothing item
+// @desc    Move a clothing item to the trash (see trash.controller to restore or delete it for good)
 // @route   DELETE /api/clothing/:id
 // @access  Private
 export const deleteClothingItem = async (req, res) => {
@@ -212,7 +396,7 @@ export const deleteClothingItem = async (req, res) => {
     // CAMBIO 8: Encontrar la prenda por ID para verificar la propiedad antes de borrar.
     const item = await ClothingItem.findById(id);
 
-    if (!item) {
+    if (!item || item.deletedAt) {
       return res.status(404).json({ message: 'Clothing item not found' });
     }
 
@@ -223,21 +407,10 @@ export const deleteClothingItem = async (req, res) => {
       return res.status(403).json({ message: 'User not authorized to delete this item' });
     }
 
-    // Si la prenda tiene un Public ID de imagen en Cloudinary, elimínala.
-    if (item.imagePublicId) {
-      console.log(`[CLOTHING] Eliminando imagen de Cloudinary con public ID: ${item.imagePublicId}`);
-      // Elimina la imagen de Cloudinary usando el Public ID almacenado.
-      await cloudinary.uploader.destroy(item.imagePublicId);
-    }
-
-    // CAMBIO 10: Eliminar la prenda de la colección ClothingItem.
-    await ClothingItem.findByIdAndDelete(id);
-
-    // CAMBIO 11: Eliminar la referencia a la prenda del array clothingItems del usuario.
-    await User.updateOne(
-      { _id: req.user.userId },
-      { $pull: { clothingItems: item._id } }
-    );
+    // Solo se marca: la imagen, los usos y las referencias en conjuntos y
+    // calendario se conservan hasta el borrado definitivo (ver trash.helpers).
+    await ClothingItem.findByIdAndUpdate(id, { deletedAt: new Date() });
+    console.log('[CLOTHING] Prenda movida a la papelera:', id);
 
     res.status(204).send(); // No content
   } catch (error) {
@@ -0,0 +1,201 @@
+import ClothingItem from '../models/clothing.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logClothingRequest, logClothingSuccess } from '../helpers/logging.helpers.js';
+import {
+  parseImageRoles,
+  validateImageCount,
+  uploadClothingImages,
+  destroyClothingImage,
+  appendImages,
+  normalizeImages,
+  getPrimaryImageFields,
+} from '../helpers/clothingImage.helpers.js';
+import { splitList } from '../helpers/clothingAttributes.helpers.js';
+import { getItemColorFields } from '../helpers/color.helpers.js';
+import { HTTP_STATUS, CLOTHING_MESSAGES, IMAGE_MESSAGES } from '../constants/httpResponses.js';
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+/**
+ * Busca la prenda y comprueba que pertenece al usuario (404 / 403, igual
+ * que el resto de /api/clothing/:id). Las de la papelera no se editan.
+ */
+const findOwnItem = async (userId, id) => {
+  const item = await ClothingItem.findById(id);
+  if (!item || item.deletedAt) {
+    return { error: { message: CLOTHING_MESSAGES.NOT_FOUND, status: HTTP_STATUS.NOT_FOUND } };
+  }
+  if (item.owner.toString() !== userId) {
+    return { error: { message: CLOTHING_MESSAGES.UNAUTHORIZED_UPDATE, status: HTTP_STATUS.FORBIDDEN } };
+  }
+  return { item };
+};
+
+// Intentos de guardar las fotos subidas si otra petición cambia la prenda a la vez.
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Guarda las fotos y repite la principal en imageUrl/imagePublicId. Si
+// cambia la principal puede cambiar el color detectado (colorHex/colorFamily).
+// Solo guarda si las fotos no cambiaron desde que se leyó la prenda (__v):
+// si otra petición se adelantó devuelve null en vez de pisar sus cambios.
+const saveImages = (item, images) => {
+  const primaryFields = getPrimaryImageFields(images);
+  return ClothingItem.findOneAndUpdate(
+    { _id: item._id, __v: item.__v },
+    { images, ...primaryFields, ...getItemColorFields(item.color, primaryFields.palette), $inc: { __v: 1 } },
+    { new: true }
+  );
+};
+
+// @desc    Añadir fotos a una prenda (multipart 'images', con 'roles' y 'primary' opcionales)
+// @route   POST /api/clothing/:id/images
+// @access  Private
+export const addClothingImages = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  const files = req.files ?? [];
+  logClothingRequest('añadir fotos a prenda', userId, { id, files: files.length, roles: req.body?.roles });
+
+  if (files.length === 0) {
+    return sendErrorResponse(res, IMAGE_MESSAGES.REQUIRED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const { item, error } = await findOwnItem(userId, id);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    const current = item.images ?? [];
+    const { roles, error: rolesError } = parseImageRoles(req.body?.roles, files.length, current.length);
+    const imagesError = rolesError ?? validateImageCount(current.length + files.length);
+    if (imagesError) {
+      return sendErrorResponse(res, imagesError, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Validado todo lo anterior: un 400 no deja fotos huérfanas en el almacenamiento.
+    const uploaded = await uploadClothingImages(files);
+    const primary = String(req.body?.primary) === 'true';
+    let updatedItem = await saveImages(item, appendImages(current, uploaded, roles, { primary }));
+
+    // Otra petición cambió las fotos mientras se subían: se añaden a las
+    // actuales, que también deben caber en MAX_IMAGES_PER_ITEM.
+    for (let attempt = 1; !updatedItem && attempt < MAX_SAVE_ATTEMPTS; attempt += 1) {
+      const { item: latest, error: latestError } = await findOwnItem(userId, id);
+      const latestImages = latest?.images ?? [];
+      const latestRoles = latestError ? null : parseImageRoles(req.body?.roles, files.length, latestImages.length).roles;
+      const retryError = latestError?.message ?? validateImageCount(latestImages.length + files.length);
+      if (retryError) {
+        await Promise.all(uploaded.map(destroyClothingImage));
+        return sendErrorResponse(res, retryError, latestError?.status ?? HTTP_STATUS.BAD_REQUEST);
+      }
+      updatedItem = await saveImages(latest, appendImages(latestImages, uploaded, latestRoles, { primary }));
+    }
+    if (!updatedItem) {
+      await Promise.all(uploaded.map(destroyClothingImage));
+      return sendErrorResponse(res, IMAGE_MESSAGES.CONFLICT, HTTP_STATUS.CONFLICT);
+    }
+
+    logClothingSuccess('Fotos añadidas a la prenda', `${id} (${uploaded.length})`);
+    return sendSuccessResponse(res, updatedItem, HTTP_STATUS.CREATED);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'añadir fotos a prenda');
+  }
+};
+
+// @desc    Quitar una foto de la prenda (también del almacenamiento). Si era la principal, pasa a serlo la siguiente
+// @route   DELETE /api/clothing/:id/images/:imageId
+// @access  Private
+export const removeClothingImage = async (req, res) => {
+  const { userId } = req.user;
+  const { id, imageId } = req.params;
+  logClothingRequest('quitar foto de prenda', userId, { id, imageId });
+
+  try {
+    const { item, error } = await findOwnItem(userId, id);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    const current = item.images ?? [];
+    const image = current.find((entry) => String(entry._id) === imageId);
+    if (!image) {
+      return sendErrorResponse(res, IMAGE_MESSAGES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const images = normalizeImages(current.filter((entry) => entry !== image));
+    const updatedItem = await saveImages(item, images);
+    if (!updatedItem) {
+      return sendErrorResponse(res, IMAGE_MESSAGES.CONFLICT, HTTP_STATUS.CONFLICT);
+    }
+    // Se borra del almacenamiento solo cuando la prenda ya no la referencia.
+    await destroyClothingImage(image);
+
+    logClothingSuccess('Foto quitada de la prenda', `${id} ${image.publicId}`);
+    return sendSuccessResponse(res, updatedItem);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'quitar foto de prenda');
+  }
+};
+
+// @desc    Reordenar las fotos (order: todos los ids en el orden nuevo) y/o elegir la principal
+// @route   PATCH /api/clothing/:id/images
+// @access  Private
+export const reorderClothingImages = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  const { order, primary } = req.body ?? {};
+  logClothingRequest('reordenar fotos de prenda', userId, { id, order, primary });
+
+  if (order === undefined && primary === undefined) {
+    return sendErrorResponse(res, IMAGE_MESSAGES.NOTHING_TO_UPDATE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const { item, error } = await findOwnItem(userId, id);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    const current = normalizeImages(item.images ?? []);
+    const currentIds = current.map((image) => String(image._id));
+
+    let images = current;
+    if (order !== undefined) {
+      const ids = splitList(order);
+      const isPermutation = ids
+        && ids.length === currentIds.length
+        && new Set(ids).size === ids.length
+        && ids.every((imageId) => currentIds.includes(imageId));
+      if (!isPermutation) {
+        return sendErrorResponse(res, IMAGE_MESSAGES.INVALID_ORDER, HTTP_STATUS.BAD_REQUEST);
+      }
+      images = current.map((image) => ({ ...image, order: ids.indexOf(String(image._id)) }));
+    }
+
+    let primaryId = null;
+    if (primary !== undefined) {
+      if (typeof primary !== 'string' || !currentIds.includes(primary)) {
+        return sendErrorResponse(res, IMAGE_MESSAGES.INVALID_PRIMARY, HTTP_STATUS.BAD_REQUEST);
+      }
+      primaryId = primary;
+    }
+
+    images = normalizeImages(images, primaryId);
+    const updatedItem = await saveImages(item, images);
+    if (!updatedItem) {
+      return sendErrorResponse(res, IMAGE_MESSAGES.CONFLICT, HTTP_STATUS.CONFLICT);
+    }
+
+    logClothingSuccess('Fotos de la prenda reordenadas', id);
+    return sendSuccessResponse(res, updatedItem);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'reordenar fotos de prenda');
+  }
+};
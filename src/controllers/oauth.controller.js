@@ -0,0 +1,325 @@
+import User from '../models/user.model.js';
+import Account from '../models/account.model.js';
+import Session from '../models/session.model.js';
+import VerificationToken from '../models/verificationToken.model.js';
+import { getOAuthProvider } from '../config/oauthProviders.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendNoContentResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logAuthInfo, logAuthError } from '../helpers/logging.helpers.js';
+import {
+  generateRandomToken,
+  setAuthCookies,
+  signMfaToken,
+  startSession,
+  getFrontendUrl,
+} from '../helpers/auth.helpers.js';
+import {
+  generatePkcePair,
+  buildOAuthRedirectUri,
+  setOAuthStateCookie,
+  consumeOAuthStateCookie,
+  setOAuthLinkCookie,
+  saveOAuthLinkFlow,
+  consumeOAuthLinkFlow,
+} from '../helpers/oauth.helpers.js';
+import { HTTP_STATUS } from '../constants/httpResponses.js';
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+/**
+ * Prepara un flujo authorization code + PKCE: genera state y code_verifier,
+ * los entrega a saveFlow (cookie o servidor) y devuelve la URL de
+ * autorización del proveedor.
+ */
+const beginAuthorization = async (req, provider, saveFlow) => {
+  const state = generateRandomToken();
+  const { codeVerifier, codeChallenge } = generatePkcePair();
+
+  await saveFlow({ state, codeVerifier, provider: provider.id });
+
+  return provider.getAuthorizationUrl({
+    state,
+    codeChallenge,
+    redirectUri: buildOAuthRedirectUri(req, provider.id),
+  });
+};
+
+/**
+ * El callback lo abre el navegador (no fetch): siempre termina redirigiendo
+ * al frontend, con ?error=<código> si algo falló.
+ */
+const redirectToFrontend = (res, params) =>
+  res.redirect(`${getFrontendUrl()}/auth/callback?${new URLSearchParams(params).toString()}`);
+
+/**
+ * Entrega al dueño verificado del email una cuenta local que nunca se
+ * verificó. Quien la registró no demostró controlar el email (pudo ser un
+ * atacante adelantándose a la víctima), así que pierde todo acceso:
+ * contraseña, 2FA, sesiones, tokens de email y proveedores vinculados.
+ *
+ * @param {string} userId - ID del usuario sin verificar
+ * @returns {Promise<Object>} Usuario actualizado
+ */
+const claimUnverifiedUser = async (userId) => {
+  await Promise.all([
+    Session.deleteMany({ user: userId }),
+    VerificationToken.deleteMany({ user: userId }),
+    Account.deleteMany({ user: userId }),
+  ]);
+  return User.findByIdAndUpdate(
+    userId,
+    { emailVerified: new Date(), $unset: { password: 1, twoFactor: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Busca el usuario de una identidad externa o lo crea/vincula.
+ * Solo se vincula a un usuario existente por email si el proveedor asegura
+ * que verificó ese email → evita tomar cuentas ajenas registrando el email en otro IdP.
+ * Si esa cuenta no estaba verificada, antes se le quita todo acceso previo
+ * (ver claimUnverifiedUser) → evita la toma de cuenta anticipada.
+ *
+ * @returns {Promise<{user?: Object, error?: string}>}
+ */
+const findOrCreateOAuthUser = async (providerId, profile) => {
+  const account = await Account.findOne({ provider: providerId, providerAccountId: profile.providerAccountId });
+
+  if (account) {
+    const linkedUser = await User.findById(account.user);
+    if (linkedUser) {
+      return { user: linkedUser };
+    }
+    // Vínculo huérfano (usuario borrado a mano): se descarta y se trata como nuevo.
+    await Account.deleteOne({ _id: account._id });
+  }
+
+  if (!profile.email) {
+    return { error: 'email_required' };
+  }
+
+  let user = await User.findOne({ email: profile.email });
+
+  if (user && !profile.emailVerified) {
+    return { error: 'account_exists' };
+  }
+
+  if (!user) {
+    user = await User.create({
+      email: profile.email,
+      name: profile.name,
+      image: profile.image,
+      emailVerified: profile.emailVerified ? new Date() : undefined,
+    });
+    logAuthInfo(`Usuario creado desde ${providerId}`, user._id);
+  } else if (!user.emailVerified) {
+    // El proveedor ya verificó el email: no hace falta el enlace por correo,
+    // pero la contraseña y las sesiones de quien la registró dejan de valer.
+    logAuthInfo(`Cuenta sin verificar reclamada desde ${providerId}: se revoca el acceso previo`, user._id);
+    user = await claimUnverifiedUser(user._id);
+  }
+
+  await Account.create({
+    user: user._id,
+    provider: providerId,
+    providerAccountId: profile.providerAccountId,
+    email: profile.email,
+  });
+  logAuthInfo(`Cuenta de ${providerId} vinculada`, user._id);
+
+  return { user };
+};
+
+/**
+ * Vincula la identidad externa al usuario que inició el flujo desde /link.
+ *
+ * @returns {Promise<string|null>} Código de error o null si quedó vinculada
+ */
+const linkOAuthAccount = async (userId, providerId, profile) => {
+  const account = await Account.findOne({ provider: providerId, providerAccountId: profile.providerAccountId });
+
+  if (account) {
+    return account.user.toString() === userId ? null : 'account_linked_elsewhere';
+  }
+
+  if (await Account.findOne({ user: userId, provider: providerId })) {
+    return 'provider_already_linked';
+  }
+
+  await Account.create({
+    user: userId,
+    provider: providerId,
+    providerAccountId: profile.providerAccountId,
+    email: profile.email,
+  });
+  logAuthInfo(`Cuenta de ${providerId} vinculada`, userId);
+  return null;
+};
+
+// @desc    Iniciar login con un proveedor OAuth — redirige a su pantalla de autorización
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+export const startOAuth = async (req, res) => {
+  logAuthInfo(`Inicio de OAuth con ${req.params.provider}`);
+  const provider = getOAuthProvider(req.params.provider);
+
+  if (!provider) {
+    return sendErrorResponse(res, 'Unknown OAuth provider', HTTP_STATUS.NOT_FOUND);
+  }
+
+  // El mismo navegador vuelve al callback: el estado viaja en la cookie firmada.
+  return res.redirect(await beginAuthorization(req, provider, (flow) => setOAuthStateCookie(res, flow)));
+};
+
+// @desc    Iniciar la vinculación de un proveedor a la cuenta actual — devuelve la URL de autorización
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+export const linkOAuth = async (req, res) => {
+  const { userId } = req.user;
+  logAuthInfo(`Inicio de vinculación con ${req.params.provider}`, userId);
+  const provider = getOAuthProvider(req.params.provider);
+
+  if (!provider) {
+    return sendErrorResponse(res, 'Unknown OAuth provider', HTTP_STATUS.NOT_FOUND);
+  }
+
+  try {
+    // JSON en lugar de redirect: el cliente llama con fetch y luego abre la URL.
+    // El estado se guarda en el servidor y la cookie ata el flujo a este
+    // navegador: el callback debe llegar desde él para vincular la cuenta.
+    const authorizationUrl = await beginAuthorization(req, provider, async (flow) => {
+      await saveOAuthLinkFlow({ ...flow, linkUserId: userId });
+      setOAuthLinkCookie(res, flow.state);
+    });
+    return sendSuccessResponse(res, { authorizationUrl });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'iniciar vinculación', logAuthError);
+  }
+};
+
+// @desc    Callback del proveedor — canjea el code (PKCE) e inicia sesión o vincula la cuenta
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public (protegido por state + cookie firmada, y vinculación guardada en la vinculación)
+export const oauthCallback = async (req, res) => {
+  const { code, state, error } = req.query;
+  logAuthInfo(`Callback de OAuth de ${req.params.provider}`);
+
+  // Login: cookie firmada. Vinculación: estado guardado en el servidor, con su cookie.
+  let flow = consumeOAuthStateCookie(req, res, state);
+  if (!flow) {
+    try {
+      flow = await consumeOAuthLinkFlow(req, res, state);
+    } catch (dbError) {
+      logAuthInfo(`Error de base de datos al leer la vinculación de OAuth: ${dbError.message}`);
+      return redirectToFrontend(res, { error: 'server_error' });
+    }
+  }
+
+  if (error) {
+    return redirectToFrontend(res, { error: error === 'access_denied' ? 'access_denied' : 'oauth_failed' });
+  }
+
+  const provider = flow && flow.provider === req.params.provider && getOAuthProvider(flow.provider);
+  if (!provider || typeof code !== 'string') {
+    logAuthInfo('Callback de OAuth con state inválido o sin code');
+    return redirectToFrontend(res, { error: 'invalid_state' });
+  }
+
+  let profile;
+  try {
+    const tokens = await provider.exchangeCode({
+      code,
+      codeVerifier: flow.codeVerifier,
+      redirectUri: buildOAuthRedirectUri(req, provider.id),
+    });
+    profile = await provider.getProfile(tokens);
+  } catch (exchangeError) {
+    logAuthInfo(`Error al canjear el code de ${provider.id}: ${exchangeError.message}`);
+    return redirectToFrontend(res, { error: 'oauth_failed' });
+  }
+
+  try {
+    if (flow.linkUserId) {
+      const linkError = await linkOAuthAccount(flow.linkUserId, provider.id, profile);
+      return redirectToFrontend(res, linkError ? { error: linkError } : { linked: provider.id });
+    }
+
+    const { user, error: loginError } = await findOrCreateOAuthUser(provider.id, profile);
+    if (loginError) {
+      logAuthInfo(`Login con ${provider.id} rechazado: ${loginError}`, profile.email);
+      return redirectToFrontend(res, { error: loginError });
+    }
+
+    // Igual que /login: con 2FA activo el proveedor solo cuenta como primer factor.
+    if (user.twoFactor?.enabled) {
+      return redirectToFrontend(res, { mfaToken: signMfaToken(user._id) });
+    }
+
+    const { accessToken, refreshToken } = await startSession(req, user._id);
+    setAuthCookies(res, accessToken, refreshToken);
+
+    logAuthInfo(`Login con ${provider.id} exitoso, cookies emitidas`, user._id);
+    return redirectToFrontend(res, { status: 'success' });
+  } catch (dbError) {
+    logAuthInfo(`Error de base de datos en el callback de OAuth: ${dbError.message}`);
+    return redirectToFrontend(res, { error: 'server_error' });
+  }
+};
+
+// @desc    Listar los proveedores vinculados a la cuenta
+// @route   GET /api/auth/accounts
+// @access  Private
+export const listAccounts = async (req, res) => {
+  const { userId } = req.user;
+  logAuthInfo('Petición de cuentas vinculadas', userId);
+
+  try {
+    const accounts = await Account.find({ user: userId }).sort({ createdAt: 1 });
+
+    return sendSuccessResponse(res, accounts.map((account) => ({
+      id: account._id,
+      provider: account.provider,
+      email: account.email,
+      createdAt: account.createdAt,
+    })));
+  } catch (error) {
+    return handleDatabaseError(res, error, 'listar cuentas vinculadas', logAuthError);
+  }
+};
+
+// @desc    Desvincular un proveedor de la cuenta
+// @route   DELETE /api/auth/accounts/:provider
+// @access  Private
+export const unlinkAccount = async (req, res) => {
+  const { userId } = req.user;
+  const { provider } = req.params;
+  logAuthInfo(`Petición de desvinculación de ${provider}`, userId);
+
+  try {
+    const account = await Account.findOne({ user: userId, provider });
+
+    if (!account) {
+      return sendErrorResponse(res, 'Linked account not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    // Sin contraseña y sin otro proveedor el usuario quedaría sin forma de entrar.
+    const user = await User.findById(userId);
+    const accountCount = await Account.countDocuments({ user: userId });
+    if (!user?.password && accountCount <= 1) {
+      return sendErrorResponse(res, 'Cannot unlink the only sign-in method', HTTP_STATUS.CONFLICT);
+    }
+
+    await Account.deleteOne({ _id: account._id });
+
+    logAuthInfo(`Cuenta de ${provider} desvinculada`, userId);
+    return sendNoContentResponse(res);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'desvincular cuenta', logAuthError);
+  }
+};
@@ -0,0 +1,301 @@
+import Outfit from '../models/outfit.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import { uploadImageBuffer, destroyImage } from '../helpers/upload.helpers.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendNoContentResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logClothingRequest, logClothingSuccess, logClothingError } from '../helpers/logging.helpers.js';
+import { parseOutfitData, parseItemIds } from '../helpers/outfit.helpers.js';
+import {
+  parseLimit,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+} from '../helpers/pagination.helpers.js';
+import { SEASONS, OCCASIONS } from '../constants/clothing.js';
+import { HTTP_STATUS, OUTFIT_MESSAGES } from '../constants/httpResponses.js';
+
+// Campos de cada prenda que se incluyen al devolver un conjunto: lo
+// necesario para pintarlo sin pedir las prendas una a una. Las prendas de
+// la papelera llegan como null (retainNullValues) para poder detectarlas.
+const ITEMS_POPULATE = {
+  path: 'items',
+  select: 'name category color imageUrl',
+  match: { deletedAt: null },
+  options: { retainNullValues: true },
+};
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+/**
+ * Comprueba que todas las prendas existen y son del usuario: un conjunto
+ * no puede referenciar prendas de otro armario ni de la papelera.
+ */
+const ownsAllItems = async (userId, itemIds) => {
+  const count = await ClothingItem.countDocuments({ _id: { $in: itemIds }, owner: userId, deletedAt: null });
+  return count === itemIds.length;
+};
+
+/**
+ * Quita del conjunto las prendas que están en la papelera y lo marca
+ * incompleto mientras tanto (solo en la respuesta): al restaurarlas
+ * vuelven a aparecer y el conjunto recupera su estado guardado.
+ */
+const hideTrashedItems = (outfit) => {
+  if (outfit.items?.some((item) => item === null)) {
+    outfit.items = outfit.items.filter(Boolean);
+    outfit.incomplete = true;
+  }
+  return outfit;
+};
+
+/**
+ * Filtros del listado: occasion, season, item (conjuntos que usan esa
+ * prenda), minRating e incomplete. Los valores inválidos se ignoran.
+ * incomplete también tiene en cuenta las prendas en la papelera.
+ */
+const buildOutfitFilters = async (userId, query) => {
+  const filters = { owner: userId };
+  const isValidParam = (value) => typeof value === 'string' && value.length > 0;
+
+  if (isValidParam(query.occasion) && OCCASIONS.includes(query.occasion.toUpperCase())) {
+    filters.occasion = query.occasion.toUpperCase();
+  }
+  if (isValidParam(query.season) && SEASONS.includes(query.season.toUpperCase())) {
+    filters.season = query.season.toUpperCase();
+  }
+  if (isValidParam(query.item)) {
+    const [itemId] = parseItemIds(query.item) ?? [];
+    if (itemId) {
+      filters.items = itemId;
+    }
+  }
+  if (isValidParam(query.minRating) && Number.isFinite(Number(query.minRating))) {
+    filters.rating = { $gte: Number(query.minRating) };
+  }
+  if (query.incomplete === 'true' || query.incomplete === 'false') {
+    const trashedIds = await ClothingItem.distinct('_id', { owner: userId, deletedAt: { $ne: null } });
+    if (query.incomplete === 'true') {
+      filters.$or = [{ incomplete: true }, { items: { $in: trashedIds } }];
+    } else {
+      filters.incomplete = false;
+      filters.items = filters.items ? { $eq: filters.items, $nin: trashedIds } : { $nin: trashedIds };
+    }
+  }
+  return filters;
+};
+
+// @desc    Listar los conjuntos del usuario, con filtros, orden y paginación por cursor
+// @route   GET /api/outfits
+// @access  Private
+export const getOutfits = async (req, res) => {
+  const { userId } = req.user;
+  const { query } = req;
+  logClothingRequest('obtener conjuntos', userId);
+
+  const defaultSort = { field: 'createdAt', direction: -1 };
+  const sort = query.sort !== undefined
+    ? parseSort(query.sort, ['createdAt', 'name', 'rating']) ?? defaultSort
+    : defaultSort;
+  const limit = parseLimit(query.limit);
+
+  const position = query.cursor !== undefined ? decodeCursor(query.cursor, sort) : null;
+  if (query.cursor !== undefined && !position) {
+    return sendErrorResponse(res, 'Invalid cursor', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const filters = await buildOutfitFilters(userId, query);
+    const pageFilters = position ? { $and: [filters, buildCursorFilter(sort, position)] } : filters;
+    const [outfits, total] = await Promise.all([
+      Outfit.find(pageFilters)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1)
+        .populate(ITEMS_POPULATE),
+      Outfit.countDocuments(filters),
+    ]);
+
+    const hasMore = outfits.length > limit;
+    const items = (hasMore ? outfits.slice(0, limit) : outfits).map(hideTrashedItems);
+
+    logClothingSuccess('Conjuntos encontrados', items.length);
+    return sendSuccessResponse(res, {
+      items,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+      total,
+    });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'obtener conjuntos');
+  }
+};
+
+// @desc    Obtener un conjunto con sus prendas
+// @route   GET /api/outfits/:id
+// @access  Private
+export const getOutfit = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('obtener conjunto', userId, { id: req.params.id });
+
+  try {
+    const outfit = await Outfit.findById(req.params.id).populate(ITEMS_POPULATE);
+    if (!outfit) {
+      return sendErrorResponse(res, OUTFIT_MESSAGES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+    if (outfit.owner.toString() !== userId) {
+      return sendErrorResponse(res, OUTFIT_MESSAGES.UNAUTHORIZED_READ, HTTP_STATUS.FORBIDDEN);
+    }
+
+    return sendSuccessResponse(res, hideTrashedItems(outfit));
+  } catch (error) {
+    return handleDatabaseError(res, error, 'obtener conjunto');
+  }
+};
+
+/**
+ * Borra una portada recién subida cuando el conjunto no llega a guardarse. Un
+ * fallo al borrarla se registra sin tapar el error que llevó hasta aquí.
+ */
+const discardCover = async (publicId) => {
+  if (!publicId) return;
+  try {
+    await destroyImage(publicId);
+  } catch (destroyError) {
+    logClothingError('borrar portada sin usar', destroyError);
+  }
+};
+
+// @desc    Crear un conjunto a partir de prendas del usuario (portada opcional)
+// @route   POST /api/outfits
+// @access  Private
+export const createOutfit = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('crear conjunto', userId, req.body);
+
+  const { data, error } = parseOutfitData(req.body);
+  if (error) {
+    return sendErrorResponse(res, error, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let uploadedPublicId = null;
+  try {
+    // Se valida antes de subir la portada: un 400 no deja imágenes huérfanas.
+    if (!await ownsAllItems(userId, data.items)) {
+      return sendErrorResponse(res, OUTFIT_MESSAGES.INVALID_ITEMS, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (req.file) {
+      const uploadResult = await uploadImageBuffer(req.file.buffer);
+      data.coverImageUrl = uploadResult.url;
+      data.coverImagePublicId = uploadResult.publicId;
+      uploadedPublicId = uploadResult.publicId;
+    }
+
+    const outfit = await Outfit.create({ ...data, owner: userId });
+
+    logClothingSuccess('Conjunto creado', outfit._id);
+    return sendSuccessResponse(res, outfit, HTTP_STATUS.CREATED);
+  } catch (error) {
+    await discardCover(uploadedPublicId);
+    return handleDatabaseError(res, error, 'crear conjunto');
+  }
+};
+
+// @desc    Actualizar un conjunto: datos, prendas y portada (removeCover=true la quita)
+// @route   PUT /api/outfits/:id
+// @access  Private
+export const updateOutfit = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  logClothingRequest('actualizar conjunto', userId, { id, ...req.body });
+
+  let uploadedPublicId = null;
+  try {
+    const outfit = await Outfit.findById(id);
+    if (!outfit) {
+      return sendErrorResponse(res, OUTFIT_MESSAGES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+    if (outfit.owner.toString() !== userId) {
+      return sendErrorResponse(res, OUTFIT_MESSAGES.UNAUTHORIZED_UPDATE, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const { data, error } = parseOutfitData(req.body, { partial: true });
+    if (error) {
+      return sendErrorResponse(res, error, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (data.items) {
+      if (!await ownsAllItems(userId, data.items)) {
+        return sendErrorResponse(res, OUTFIT_MESSAGES.INVALID_ITEMS, HTTP_STATUS.BAD_REQUEST);
+      }
+      // Al elegir de nuevo las prendas, el usuario ya resolvió las que faltaban.
+      data.incomplete = false;
+    }
+
+    const removeCover = req.body?.removeCover === true || req.body?.removeCover === 'true';
+    if (req.file) {
+      const uploadResult = await uploadImageBuffer(req.file.buffer);
+      data.coverImageUrl = uploadResult.url;
+      data.coverImagePublicId = uploadResult.publicId;
+      uploadedPublicId = uploadResult.publicId;
+    } else if (removeCover) {
+      data.coverImageUrl = null;
+      data.coverImagePublicId = null;
+    }
+
+    const updatedOutfit = await Outfit.findByIdAndUpdate(id, data, { new: true, runValidators: true });
+    // Guardada la portada nueva, ya no hay nada que deshacer si falla lo siguiente.
+    uploadedPublicId = null;
+
+    // La portada anterior se borra cuando el conjunto ya no la referencia.
+    if ((req.file || removeCover) && outfit.coverImagePublicId) {
+      await destroyImage(outfit.coverImagePublicId);
+    }
+
+    logClothingSuccess('Conjunto actualizado', id);
+    return sendSuccessResponse(res, updatedOutfit);
+  } catch (error) {
+    await discardCover(uploadedPublicId);
+    return handleDatabaseError(res, error, 'actualizar conjunto');
+  }
+};
+
+// @desc    Eliminar un conjunto (las prendas no se tocan; el calendario pasa a usarlas sueltas)
+// @route   DELETE /api/outfits/:id
+// @access  Private
+export const deleteOutfit = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  logClothingRequest('eliminar conjunto', userId, { id });
+
+  try {
+    const outfit = await Outfit.findById(id);
+    if (!outfit) {
+      return sendErrorResponse(res, OUTFIT_MESSAGES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+    if (outfit.owner.toString() !== userId) {
+      return sendErrorResponse(res, OUTFIT_MESSAGES.UNAUTHORIZED_DELETE, HTTP_STATUS.FORBIDDEN);
+    }
+
+    if (outfit.coverImagePublicId) {
+      await destroyImage(outfit.coverImagePublicId);
+    }
+    await Outfit.findByIdAndDelete(id);
+    // Los días del calendario que lo tenían asignado conservan sus prendas sueltas.
+    await CalendarEntry.updateMany(
+      { owner: userId, outfit: outfit._id },
+      { $set: { outfit: null, items: outfit.items ?? [] } }
+    );
+
+    logClothingSuccess('Conjunto eliminado', id);
+    return sendNoContentResponse(res);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'eliminar conjunto');
+  }
+};
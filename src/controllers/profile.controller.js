@@ -0,0 +1,331 @@
+import bcrypt from 'bcryptjs';
+import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import VerificationToken from '../models/verificationToken.model.js';
+import Account from '../models/account.model.js';
+import Category from '../models/category.model.js';
+import WearEvent from '../models/wearEvent.model.js';
+import Outfit from '../models/outfit.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import StatusChange from '../models/statusChange.model.js';
+import OAuthLinkFlow from '../models/oauthLinkFlow.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendNoContentResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logAuthInfo, logAuthError } from '../helpers/logging.helpers.js';
+import { clearAuthCookies } from '../helpers/auth.helpers.js';
+import { uploadImageBuffer, destroyImage } from '../helpers/upload.helpers.js';
+import { getImagePublicIds, getImageUrls } from '../helpers/clothingImage.helpers.js';
+import {
+  reserveLoginAttempt,
+  registerLoginSuccess,
+  forgetLoginAttempts,
+} from '../helpers/loginThrottle.helpers.js';
+import { HTTP_STATUS } from '../constants/httpResponses.js';
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+// Opciones para avatares: recorte cuadrado centrado en la cara.
+const AVATAR_UPLOAD_OPTIONS = {
+  squareCrop: 256,
+};
+
+/**
+ * Datos públicos del usuario. Lista blanca explícita → nunca se filtran
+ * password, secretos de 2FA ni el array de prendas.
+ */
+const toProfile = (user) => ({
+  id: user._id,
+  name: user.name ?? null,
+  email: user.email,
+  image: user.image ?? null,
+  emailVerified: Boolean(user.emailVerified),
+  emailVerifiedAt: user.emailVerified ?? null,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  createdAt: user.createdAt,
+});
+
+/**
+ * Borra del almacenamiento una lista de public IDs sin detenerse en los fallos:
+ * un asset huérfano es preferible a dejar a medias el borrado de la cuenta.
+ */
+const destroyImageAssets = async (publicIds, userId) => {
+  const results = await Promise.allSettled(publicIds.map((publicId) => destroyImage(publicId)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logAuthInfo(`No se pudo borrar el asset ${publicIds[index]}: ${result.reason?.message}`, userId);
+    }
+  });
+};
+
+// @desc    Obtener el perfil del usuario autenticado
+// @route   GET /api/auth/me
+// @access  Private
+export const getMe = async (req, res) => {
+  const { userId } = req.user;
+  logAuthInfo('Petición de perfil', userId);
+
+  try {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return sendErrorResponse(res, 'User not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return sendSuccessResponse(res, toProfile(user));
+  } catch (error) {
+    return handleDatabaseError(res, error, 'obtener perfil', logAuthError);
+  }
+};
+
+// @desc    Actualizar nombre y/o avatar (multipart, campo 'image')
+// @route   PATCH /api/auth/me
+// @access  Private
+export const updateMe = async (req, res) => {
+  const { userId } = req.user;
+  const { name } = req.body;
+  logAuthInfo('Petición de actualización de perfil', userId);
+
+  const dataToUpdate = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return sendErrorResponse(res, 'Name must be a non-empty string', HTTP_STATUS.BAD_REQUEST);
+    }
+    dataToUpdate.name = name.trim();
+  }
+
+  if (!dataToUpdate.name && !req.file) {
+    return sendErrorResponse(res, 'Nothing to update', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let uploadedPublicId = null;
+  try {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return sendErrorResponse(res, 'User not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (req.file) {
+      // Primero se sube el avatar nuevo y se guarda; el anterior se borra al
+      // final: si algo falla antes, el usuario conserva su imagen actual.
+      const uploadResult = await uploadImageBuffer(req.file.buffer, AVATAR_UPLOAD_OPTIONS);
+      dataToUpdate.image = uploadResult.url;
+      dataToUpdate.imagePublicId = uploadResult.publicId;
+      uploadedPublicId = uploadResult.publicId;
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(userId, dataToUpdate, { new: true, runValidators: true });
+    uploadedPublicId = null;
+
+    if (req.file && user.imagePublicId) {
+      logAuthInfo(`Eliminando avatar anterior: ${user.imagePublicId}`, userId);
+      await destroyImage(user.imagePublicId);
+    }
+
+    logAuthInfo('Perfil actualizado', userId);
+    return sendSuccessResponse(res, toProfile(updatedUser));
+  } catch (error) {
+    // El avatar recién subido no llegó a guardarse: no debe quedar huérfano.
+    if (uploadedPublicId) {
+      await destroyImageAssets([uploadedPublicId], userId);
+    }
+    return handleDatabaseError(res, error, 'actualizar perfil', logAuthError);
+  }
+};
+
+// @desc    Cambiar la contraseña (requiere la actual) y cerrar las demás sesiones
+// @route   POST /api/auth/change-password
+// @access  Private
+export const changePassword = async (req, res) => {
+  const { userId, sessionId } = req.user;
+  const { currentPassword, newPassword } = req.body;
+  logAuthInfo('Petición de cambio de contraseña', userId);
+
+  if (!currentPassword || !newPassword) {
+    return sendErrorResponse(res, 'Current and new password are required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return sendErrorResponse(res, 'User not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    // Una sesión robada no debe permitir adivinar la contraseña a fuerza bruta:
+    // los intentos cuentan igual que en /login.
+    const throttle = await reserveLoginAttempt(user.email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return sendErrorResponse(res, 'Too many login attempts, please try again later', HTTP_STATUS.TOO_MANY_REQUESTS);
+    }
+
+    const isPasswordCorrect = Boolean(user.password) && await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordCorrect) {
+      logAuthInfo('Contraseña actual incorrecta', userId);
+      return sendErrorResponse(res, 'Current password is incorrect', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    await registerLoginSuccess(user.email, req.ip);
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await User.findByIdAndUpdate(userId, { password: hashedPassword });
+
+    // Se cierran todas las sesiones salvo la del dispositivo que hizo el cambio.
+    await Session.deleteMany({ user: userId, _id: { $ne: sessionId } });
+
+    logAuthInfo('Contraseña cambiada, otras sesiones cerradas', userId);
+    return sendSuccessResponse(res, { message: 'Password changed successfully' });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'cambiar contraseña', logAuthError);
+  }
+};
+
+// @desc    Eliminar la cuenta y todos sus datos (prendas, imágenes, sesiones)
+// @route   DELETE /api/auth/me
+// @access  Private
+export const deleteAccount = async (req, res) => {
+  const { userId } = req.user;
+  const { password } = req.body ?? {};
+  logAuthInfo('Petición de eliminación de cuenta', userId);
+
+  try {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return sendErrorResponse(res, 'User not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    // Acción irreversible: las cuentas con contraseña deben confirmarla. Como
+    // en changePassword, los intentos cuentan igual que en /login.
+    if (user.password) {
+      const throttle = await reserveLoginAttempt(user.email, req.ip);
+      if (!throttle.allowed) {
+        res.set('Retry-After', String(throttle.retryAfter));
+        return sendErrorResponse(res, 'Too many login attempts, please try again later', HTTP_STATUS.TOO_MANY_REQUESTS);
+      }
+
+      if (!(password && await bcrypt.compare(password, user.password))) {
+        logAuthInfo('Contraseña incorrecta al eliminar la cuenta', userId);
+        return sendErrorResponse(res, 'Password confirmation is incorrect', HTTP_STATUS.UNAUTHORIZED);
+      }
+
+      await registerLoginSuccess(user.email, req.ip);
+    }
+
+    const items = await ClothingItem.find({ owner: userId });
+    const outfits = await Outfit.find({ owner: userId });
+    const publicIds = [...items.flatMap(getImagePublicIds), ...outfits.map((outfit) => outfit.coverImagePublicId)]
+      .filter(Boolean);
+    if (user.imagePublicId) {
+      publicIds.push(user.imagePublicId);
+    }
+    await destroyImageAssets(publicIds, userId);
+
+    await ClothingItem.deleteMany({ owner: userId });
+    await Session.deleteMany({ user: userId });
+    await VerificationToken.deleteMany({ user: userId });
+    await Account.deleteMany({ user: userId });
+    await Category.deleteMany({ owner: userId });
+    await WearEvent.deleteMany({ owner: userId });
+    await StatusChange.deleteMany({ owner: userId });
+    await Outfit.deleteMany({ owner: userId });
+    await CalendarEntry.deleteMany({ owner: userId });
+    await OAuthLinkFlow.deleteMany({ user: userId });
+    await forgetLoginAttempts(user.email);
+    await User.findByIdAndDelete(userId);
+
+    clearAuthCookies(res);
+    logAuthInfo(`Cuenta eliminada junto con ${items.length} prendas`, userId);
+    return sendNoContentResponse(res);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'eliminar cuenta', logAuthError);
+  }
+};
+
+// @desc    Exportar todos los datos personales del usuario como JSON descargable
+// @route   GET /api/auth/me/export
+// @access  Private
+export const exportAccount = async (req, res) => {
+  const { userId } = req.user;
+  logAuthInfo('Petición de exportación de datos', userId);
+
+  try {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return sendErrorResponse(res, 'User not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const items = await ClothingItem.find({ owner: userId }).lean();
+    const sessions = await Session.find({ user: userId }).lean();
+    const accounts = await Account.find({ user: userId }).lean();
+    const categories = await Category.find({ owner: userId }).lean();
+    const wearEvents = await WearEvent.find({ owner: userId }).sort({ wornAt: 1 }).lean();
+    const statusChanges = await StatusChange.find({ owner: userId }).sort({ changedAt: 1 }).lean();
+    const outfits = await Outfit.find({ owner: userId }).lean();
+    const calendarEntries = await CalendarEntry.find({ owner: userId }).sort({ date: 1 }).lean();
+
+    const exportedAt = new Date();
+    const data = {
+      exportedAt,
+      profile: toProfile(user),
+      // Se exportan todos los campos de la prenda salvo los internos:
+      // así los campos nuevos del modelo se incluyen sin tocar este código.
+      clothingItems: items.map(({ owner, __v, ...item }) => item),
+      imageUrls: [
+        user.image,
+        ...items.flatMap(getImageUrls),
+        ...outfits.map((outfit) => outfit.coverImageUrl),
+      ].filter(Boolean),
+      // Solo las categorías propias: las del sistema son comunes a todos.
+      categories: categories.map((category) => ({
+        id: category._id,
+        key: category.key,
+        name: category.name,
+        parent: category.parentId ?? null,
+      })),
+      outfits: outfits.map(({ owner, __v, ...outfit }) => outfit),
+      calendar: calendarEntries.map(({ owner, __v, ...entry }) => entry),
+      wearEvents: wearEvents.map((wear) => ({ id: wear._id, item: wear.item, wornAt: wear.wornAt })),
+      statusChanges: statusChanges.map((change) => ({
+        id: change._id,
+        item: change.item,
+        from: change.from,
+        to: change.to,
+        note: change.note ?? null,
+        changedAt: change.changedAt,
+      })),
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+      })),
+      linkedAccounts: accounts.map((account) => ({
+        provider: account.provider,
+        providerAccountId: account.providerAccountId,
+        email: account.email,
+        createdAt: account.createdAt,
+      })),
+    };
+
+    // Content-Disposition: attachment → el navegador lo descarga como archivo.
+    const filename = `ropabase-export-${exportedAt.toISOString().slice(0, 10)}.json`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    logAuthInfo(`Exportación generada con ${items.length} prendas`, userId);
+    return sendSuccessResponse(res, data);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'exportar datos', logAuthError);
+  }
+};
@@ -0,0 +1,66 @@
+import Session from '../models/session.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendNoContentResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logAuthInfo, logAuthError } from '../helpers/logging.helpers.js';
+import { clearAuthCookies } from '../helpers/auth.helpers.js';
+import { HTTP_STATUS } from '../constants/httpResponses.js';
+
+// @desc    Listar las sesiones (dispositivos) activas del usuario
+// @route   GET /api/auth/sessions
+// @access  Private
+export const listSessions = async (req, res) => {
+  const { userId, sessionId } = req.user;
+  logAuthInfo('Petición para listar sesiones', userId);
+
+  try {
+    const sessions = await Session.find({ user: userId }).sort({ lastUsedAt: -1 });
+
+    // current permite al frontend marcar "este dispositivo" y evitar que el
+    // usuario cierre su propia sesión sin darse cuenta.
+    const data = sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expires: session.expires,
+      current: session._id.toString() === sessionId,
+    }));
+
+    return sendSuccessResponse(res, data);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'listar sesiones', logAuthError);
+  }
+};
+
+// @desc    Revocar una sesión (cerrar sesión en un dispositivo concreto)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = async (req, res) => {
+  const { userId, sessionId } = req.user;
+  const { id } = req.params;
+  logAuthInfo(`Petición para revocar sesión ${id}`, userId);
+
+  try {
+    // Filtrar por user garantiza que nadie pueda revocar sesiones ajenas.
+    const session = await Session.findOneAndDelete({ _id: id, user: userId });
+
+    if (!session) {
+      return sendErrorResponse(res, 'Session not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    // Si revoca la sesión desde la que hace la petición, también es un logout.
+    if (id === sessionId) {
+      clearAuthCookies(res);
+    }
+
+    logAuthInfo(`Sesión ${id} revocada`, userId);
+    return sendNoContentResponse(res);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'revocar sesión', logAuthError);
+  }
+};
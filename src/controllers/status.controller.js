@@ -0,0 +1,186 @@
+import ClothingItem from '../models/clothing.model.js';
+import StatusChange from '../models/statusChange.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logClothingRequest, logClothingSuccess } from '../helpers/logging.helpers.js';
+import { canTransition, parseStatusChange, applyStatusChange } from '../helpers/status.helpers.js';
+import { parseItemIds } from '../helpers/outfit.helpers.js';
+import { parseLimit, encodeCursor, decodeCursor, buildCursorFilter } from '../helpers/pagination.helpers.js';
+import { ITEM_STATUSES } from '../constants/clothing.js';
+import { HTTP_STATUS, CLOTHING_MESSAGES, STATUS_MESSAGES } from '../constants/httpResponses.js';
+
+// Historial: los cambios más recientes primero.
+const HISTORY_SORT = { field: 'changedAt', direction: -1 };
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+/**
+ * Busca la prenda y comprueba que pertenece al usuario (404 / 403, igual
+ * que el resto de /api/clothing/:id).
+ */
+const findOwnItem = async (userId, id, forbidden) => {
+  const item = await ClothingItem.findById(id);
+  if (!item || item.deletedAt) {
+    return { error: { message: CLOTHING_MESSAGES.NOT_FOUND, status: HTTP_STATUS.NOT_FOUND } };
+  }
+  if (item.owner.toString() !== userId) {
+    return { error: { message: forbidden, status: HTTP_STATUS.FORBIDDEN } };
+  }
+  return { item };
+};
+
+const toStatusChangeResponse = (change) => ({
+  id: change._id,
+  from: change.from,
+  to: change.to,
+  note: change.note ?? null,
+  changedAt: change.changedAt,
+});
+
+/**
+ * Cambio de estado en bloque (tandas de lavado). Sin `items` en el body se
+ * aplica a todas las prendas del usuario en `defaultFrom`; con `items`, a
+ * las indicadas que estén en alguno de los estados de `allowedFrom`. Las
+ * demás se devuelven en `skipped` con su estado actual.
+ */
+const changeStatusInBulk = async (req, res, { to, defaultFrom, allowedFrom, action }) => {
+  const { userId } = req.user;
+  const rawItems = req.body?.items;
+  logClothingRequest(action, userId, { items: rawItems });
+
+  let itemIds = null;
+  if (rawItems !== undefined) {
+    itemIds = parseItemIds(rawItems);
+    if (!itemIds || itemIds.length === 0) {
+      return sendErrorResponse(res, 'Items must be a list of clothing item ids', HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  try {
+    let candidates;
+    if (itemIds) {
+      candidates = await ClothingItem.find({ _id: { $in: itemIds }, owner: userId, deletedAt: null }).select('status');
+      if (candidates.length !== itemIds.length) {
+        return sendErrorResponse(res, STATUS_MESSAGES.INVALID_ITEMS, HTTP_STATUS.BAD_REQUEST);
+      }
+    } else {
+      candidates = await ClothingItem.find({ owner: userId, deletedAt: null, status: { $in: defaultFrom } }).select('status');
+    }
+
+    const eligible = candidates.filter((item) => allowedFrom.includes(item.status));
+    const skipped = candidates.filter((item) => !allowedFrom.includes(item.status));
+    await applyStatusChange(userId, eligible, to);
+
+    logClothingSuccess(`Prendas pasadas a ${to}`, eligible.length);
+    return sendSuccessResponse(res, {
+      updated: eligible.map((item) => item._id),
+      skipped: skipped.map((item) => ({ id: item._id, status: item.status })),
+    });
+  } catch (error) {
+    return handleDatabaseError(res, error, action);
+  }
+};
+
+// @desc    Cambiar el estado de una prenda (solo transiciones permitidas) con una nota opcional
+// @route   PATCH /api/clothing/:id/status
+// @access  Private
+export const changeItemStatus = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  logClothingRequest('cambiar estado de prenda', userId, { id, ...req.body });
+
+  const { data, error: dataError } = parseStatusChange(req.body);
+  if (dataError) {
+    return sendErrorResponse(res, dataError, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const { item, error } = await findOwnItem(userId, id, CLOTHING_MESSAGES.UNAUTHORIZED_UPDATE);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+    if (item.status === data.status) {
+      return sendErrorResponse(res, `Clothing item is already ${data.status}`, HTTP_STATUS.CONFLICT);
+    }
+    if (!canTransition(item.status, data.status)) {
+      return sendErrorResponse(res, `Cannot change status from ${item.status} to ${data.status}`, HTTP_STATUS.CONFLICT);
+    }
+
+    const [change] = await applyStatusChange(userId, [item], data.status, { note: data.note });
+
+    logClothingSuccess('Estado de prenda actualizado', `${id} ${change.from} → ${change.to}`);
+    return sendSuccessResponse(res, {
+      status: change.to,
+      statusChangedAt: change.changedAt,
+      change: toStatusChangeResponse(change),
+    });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'cambiar estado de prenda');
+  }
+};
+
+// @desc    Historial de estados de la prenda, paginado por cursor (más recientes primero)
+// @route   GET /api/clothing/:id/status
+// @access  Private
+export const getStatusHistory = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('obtener historial de estados', userId, { id: req.params.id });
+
+  const limit = parseLimit(req.query.limit);
+  const filters = {};
+  if (req.query.cursor !== undefined) {
+    const position = decodeCursor(req.query.cursor, HISTORY_SORT);
+    if (!position) {
+      return sendErrorResponse(res, 'Invalid cursor', HTTP_STATUS.BAD_REQUEST);
+    }
+    Object.assign(filters, buildCursorFilter(HISTORY_SORT, position));
+  }
+
+  try {
+    const { item, error } = await findOwnItem(userId, req.params.id, 'User not authorized to access this item');
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    const changes = await StatusChange.find({ item: item._id, ...filters })
+      .sort({ changedAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = changes.length > limit;
+    const page = hasMore ? changes.slice(0, limit) : changes;
+
+    logClothingSuccess('Cambios de estado encontrados', page.length);
+    return sendSuccessResponse(res, {
+      status: item.status,
+      statusChangedAt: item.statusChangedAt ?? null,
+      items: page.map(toStatusChangeResponse),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], HISTORY_SORT) : null,
+    });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'obtener historial de estados');
+  }
+};
+
+// @desc    Poner a lavar: sin items, todas las prendas usadas
+// @route   POST /api/clothing/laundry/load
+// @access  Private
+export const loadLaundry = (req, res) => changeStatusInBulk(req, res, {
+  to: 'LAUNDRY',
+  defaultFrom: ['WORN'],
+  allowedFrom: ITEM_STATUSES.filter((status) => canTransition(status, 'LAUNDRY')),
+  action: 'poner prendas a lavar',
+});
+
+// @desc    "Hice la colada": sin items, todas las prendas que se estaban lavando pasan a limpias
+// @route   POST /api/clothing/laundry/done
+// @access  Private
+export const finishLaundry = (req, res) => changeStatusInBulk(req, res, {
+  to: 'CLEAN',
+  defaultFrom: ['LAUNDRY'],
+  allowedFrom: ['LAUNDRY'],
+  action: 'terminar colada',
+});
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+import ClothingItem from '../models/clothing.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendNoContentResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logClothingRequest, logClothingSuccess } from '../helpers/logging.helpers.js';
+import { normalizeTag, validateTag } from '../helpers/clothingAttributes.helpers.js';
+import { buildSearchText } from '../helpers/search.helpers.js';
+import { HTTP_STATUS } from '../constants/httpResponses.js';
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+/**
+ * Sustituye las etiquetas `fromTags` por `toTag` (o las quita si toTag es null)
+ * en todas las prendas del usuario que las tengan.
+ *
+ * Las etiquetas forman parte del índice de texto: searchText.tags se
+ * recalcula en JS (stemming es/en), por eso no basta un updateMany.
+ *
+ * @returns {Promise<number>} Cantidad de prendas modificadas
+ */
+const rewriteTags = async (userId, fromTags, toTag) => {
+  const items = await ClothingItem.find({ owner: userId, tags: { $in: fromTags } }).select('tags');
+
+  const operations = items.map((item) => {
+    const replaced = item.tags.flatMap((tag) => {
+      if (!fromTags.includes(tag)) return [tag];
+      return toTag ? [toTag] : [];
+    });
+    // Si la prenda ya tenía toTag, la sustitución lo duplicaría.
+    const tags = [...new Set(replaced)];
+    return {
+      updateOne: {
+        filter: { _id: item._id, owner: userId },
+        update: { $set: { tags, 'searchText.tags': buildSearchText({ tags }).tags } },
+      },
+    };
+  });
+
+  if (operations.length > 0) {
+    await ClothingItem.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+/**
+ * Normaliza y valida una etiqueta recibida en params o body.
+ *
+ * @returns {{tag: string, error: string|null}}
+ */
+const readTag = (value) => {
+  if (typeof value !== 'string') {
+    return { tag: '', error: 'Tag must be a non-empty string' };
+  }
+  const tag = normalizeTag(value);
+  return { tag, error: validateTag(tag) };
+};
+
+// @desc    Listar las etiquetas del usuario con la cantidad de prendas que las usan
+// @route   GET /api/tags
+// @access  Private
+export const listTags = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('listar etiquetas', userId);
+
+  try {
+    // aggregate no convierte tipos como find: el owner debe ir como ObjectId.
+    // Las prendas de la papelera no cuentan.
+    const tags = await ClothingItem.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(userId), deletedAt: null, tags: { $exists: true, $ne: [] } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+    ]);
+
+    logClothingSuccess('Etiquetas encontradas', tags.length);
+    return sendSuccessResponse(res, tags);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'listar etiquetas');
+  }
+};
+
+// @desc    Renombrar una etiqueta en todas las prendas del usuario
+// @route   PATCH /api/tags/:tag
+// @access  Private
+export const renameTag = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('renombrar etiqueta', userId, { tag: req.params.tag, name: req.body?.name });
+
+  const { tag } = readTag(req.params.tag);
+  const { tag: name, error } = readTag(req.body?.name);
+  if (error) {
+    return sendErrorResponse(res, error, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (name === tag) {
+    return sendErrorResponse(res, 'New tag name must be different', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    // Renombrar a una etiqueta existente es en realidad una fusión: se pide explícitamente.
+    // Como en listTags, las prendas de la papelera no cuentan.
+    if (await ClothingItem.exists({ owner: userId, tags: name, deletedAt: null })) {
+      return sendErrorResponse(res, 'Tag already exists, merge the tags instead', HTTP_STATUS.CONFLICT);
+    }
+
+    const count = await rewriteTags(userId, [tag], name);
+    if (count === 0) {
+      return sendErrorResponse(res, 'Tag not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    logClothingSuccess(`Etiqueta "${tag}" renombrada a "${name}" en prendas`, count);
+    return sendSuccessResponse(res, { tag: name, count });
+  } catch (dbError) {
+    return handleDatabaseError(res, dbError, 'renombrar etiqueta');
+  }
+};
+
+// @desc    Fusionar una etiqueta en otra (source desaparece, sus prendas pasan a target)
+// @route   POST /api/tags/merge
+// @access  Private
+export const mergeTags = async (req, res) => {
+  const { userId } = req.user;
+  const { source: rawSource, target: rawTarget } = req.body ?? {};
+  logClothingRequest('fusionar etiquetas', userId, { source: rawSource, target: rawTarget });
+
+  const { tag: source, error: sourceError } = readTag(rawSource);
+  const { tag: target, error: targetError } = readTag(rawTarget);
+  if (sourceError || targetError) {
+    return sendErrorResponse(res, sourceError ?? targetError, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (source === target) {
+    return sendErrorResponse(res, 'Source and target tags must be different', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const count = await rewriteTags(userId, [source], target);
+    if (count === 0) {
+      return sendErrorResponse(res, 'Tag not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    logClothingSuccess(`Etiqueta "${source}" fusionada en "${target}" en prendas`, count);
+    return sendSuccessResponse(res, { tag: target, count });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'fusionar etiquetas');
+  }
+};
+
+// @desc    Quitar una etiqueta de todas las prendas del usuario
+// @route   DELETE /api/tags/:tag
+// @access  Private
+export const deleteTag = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('eliminar etiqueta', userId, { tag: req.params.tag });
+
+  const { tag } = readTag(req.params.tag);
+
+  try {
+    const count = await rewriteTags(userId, [tag], null);
+    if (count === 0) {
+      return sendErrorResponse(res, 'Tag not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    logClothingSuccess(`Etiqueta "${tag}" eliminada de prendas`, count);
+    return sendNoContentResponse(res);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'eliminar etiqueta');
+  }
+};
@@ -0,0 +1,124 @@
+import ClothingItem from '../models/clothing.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendNoContentResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logClothingRequest, logClothingSuccess } from '../helpers/logging.helpers.js';
+import { destroyClothingItem, getPurgeDate, getTrashRetentionDays } from '../helpers/trash.helpers.js';
+import { parseLimit, encodeCursor, decodeCursor, buildCursorFilter } from '../helpers/pagination.helpers.js';
+import { HTTP_STATUS, CLOTHING_MESSAGES } from '../constants/httpResponses.js';
+
+// Papelera: lo último que se borró primero.
+const TRASH_SORT = { field: 'deletedAt', direction: -1 };
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+/**
+ * Busca una prenda de la papelera del usuario. Las que no están en la
+ * papelera responden 409: existen, pero la operación no aplica.
+ */
+const findOwnTrashedItem = async (userId, id, forbidden) => {
+  const item = await ClothingItem.findById(id);
+  if (!item) {
+    return { error: { message: CLOTHING_MESSAGES.NOT_FOUND, status: HTTP_STATUS.NOT_FOUND } };
+  }
+  if (item.owner.toString() !== userId) {
+    return { error: { message: forbidden, status: HTTP_STATUS.FORBIDDEN } };
+  }
+  if (!item.deletedAt) {
+    return { error: { message: CLOTHING_MESSAGES.NOT_IN_TRASH, status: HTTP_STATUS.CONFLICT } };
+  }
+  return { item };
+};
+
+// @desc    Prendas en la papelera, con la fecha en que se borrarán para siempre
+// @route   GET /api/clothing/trash
+// @access  Private
+export const getTrash = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('obtener papelera', userId);
+
+  const limit = parseLimit(req.query.limit);
+  const filters = { owner: userId, deletedAt: { $ne: null } };
+  let pageFilters = filters;
+  if (req.query.cursor !== undefined) {
+    const position = decodeCursor(req.query.cursor, TRASH_SORT);
+    if (!position) {
+      return sendErrorResponse(res, 'Invalid cursor', HTTP_STATUS.BAD_REQUEST);
+    }
+    pageFilters = { $and: [filters, buildCursorFilter(TRASH_SORT, position)] };
+  }
+
+  try {
+    const [trashedItems, total] = await Promise.all([
+      ClothingItem.find(pageFilters).sort({ deletedAt: -1, _id: -1 }).limit(limit + 1),
+      ClothingItem.countDocuments(filters),
+    ]);
+    const hasMore = trashedItems.length > limit;
+    const page = hasMore ? trashedItems.slice(0, limit) : trashedItems;
+    const retentionDays = getTrashRetentionDays();
+
+    logClothingSuccess('Prendas en la papelera', page.length);
+    return sendSuccessResponse(res, {
+      items: page.map((item) => ({
+        ...item.toJSON(),
+        purgeAt: getPurgeDate(item.deletedAt, retentionDays),
+      })),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], TRASH_SORT) : null,
+      total,
+      retentionDays,
+    });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'obtener papelera');
+  }
+};
+
+// @desc    Sacar una prenda de la papelera: vuelve al armario tal como estaba
+// @route   POST /api/clothing/:id/restore
+// @access  Private
+export const restoreClothingItem = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  logClothingRequest('restaurar prenda', userId, { id });
+
+  try {
+    const { error } = await findOwnTrashedItem(userId, id, CLOTHING_MESSAGES.UNAUTHORIZED_UPDATE);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    const restoredItem = await ClothingItem.findByIdAndUpdate(id, { deletedAt: null }, { new: true });
+
+    logClothingSuccess('Prenda restaurada', id);
+    return sendSuccessResponse(res, restoredItem);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'restaurar prenda');
+  }
+};
+
+// @desc    Borrar para siempre una prenda de la papelera (imagen, usos y referencias incluidos)
+// @route   DELETE /api/clothing/:id/permanent
+// @access  Private
+export const permanentlyDeleteClothingItem = async (req, res) => {
+  const { userId } = req.user;
+  const { id } = req.params;
+  logClothingRequest('borrar prenda definitivamente', userId, { id });
+
+  try {
+    const { item, error } = await findOwnTrashedItem(userId, id, CLOTHING_MESSAGES.UNAUTHORIZED_DELETE);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    await destroyClothingItem(item);
+
+    logClothingSuccess('Prenda borrada definitivamente', id);
+    return sendNoContentResponse(res);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'borrar prenda definitivamente');
+  }
+};
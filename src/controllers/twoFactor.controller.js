@@ -0,0 +1,241 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logAuthInfo, logAuthError } from '../helpers/logging.helpers.js';
+import { hashToken, setAuthCookies, startSession } from '../helpers/auth.helpers.js';
+import {
+  reserveLoginAttempt,
+  registerLoginSuccess,
+} from '../helpers/loginThrottle.helpers.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from '../helpers/totp.helpers.js';
+import { HTTP_STATUS } from '../constants/httpResponses.js';
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+// Campos de 2FA con select: false que necesitan los flujos de este controlador.
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Valida y consume un segundo factor: un código TOTP o un código de recuperación.
+ *
+ * Ambos casos usan un update condicional → si dos peticiones llegan a la vez
+ * con el mismo código, solo una lo consume (modifiedCount === 1).
+ * - TOTP: se guarda el periodo usado y se rechazan periodos iguales o anteriores.
+ * - Recuperación: se elimina su hash del array, así solo sirve una vez.
+ *
+ * @returns {Promise<boolean>} true si el factor es válido y quedó consumido
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null) {
+      return false;
+    }
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hashedCode = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hashedCode },
+      { $pull: { 'twoFactor.recoveryCodes': hashedCode } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+// @desc    Iniciar el alta de 2FA — genera un secreto TOTP pendiente de confirmar
+// @route   POST /api/auth/2fa/enroll
+// @access  Private
+export const enrollTwoFactor = async (req, res) => {
+  const { userId } = req.user;
+  logAuthInfo('Petición de alta de 2FA', userId);
+
+  try {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return sendErrorResponse(res, 'User not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (user.twoFactor?.enabled) {
+      return sendErrorResponse(res, 'Two-factor authentication already enabled', HTTP_STATUS.CONFLICT);
+    }
+
+    // El secreto queda "pendiente": 2FA no se activa hasta que el usuario
+    // demuestre con /2fa/confirm que su app genera códigos correctos.
+    const secret = generateTotpSecret();
+    await User.findByIdAndUpdate(userId, { 'twoFactor.pendingSecret': secret });
+
+    logAuthInfo('Secreto 2FA generado, pendiente de confirmación', userId);
+    return sendSuccessResponse(res, {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+    });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'iniciar alta de 2FA', logAuthError);
+  }
+};
+
+// @desc    Confirmar el alta de 2FA con un código de la app — devuelve los códigos de recuperación
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+export const confirmTwoFactor = async (req, res) => {
+  const { userId } = req.user;
+  const { code } = req.body;
+  logAuthInfo('Petición de confirmación de 2FA', userId);
+
+  if (!code) {
+    return sendErrorResponse(res, 'Code is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+    if (!user?.twoFactor?.pendingSecret) {
+      return sendErrorResponse(res, 'No two-factor enrollment in progress', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      logAuthInfo('Código 2FA incorrecto al confirmar', userId);
+      return sendErrorResponse(res, 'Invalid two-factor code', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Los códigos de recuperación se devuelven en texto plano SOLO esta vez;
+    // en DB se guarda su hash, igual que los tokens.
+    const recoveryCodes = generateRecoveryCodes();
+    await User.findByIdAndUpdate(userId, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashToken),
+        'twoFactor.lastUsedStep': step,
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    });
+
+    logAuthInfo('2FA activado', userId);
+    return sendSuccessResponse(res, { message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'confirmar 2FA', logAuthError);
+  }
+};
+
+// @desc    Desactivar 2FA — requiere un código TOTP o de recuperación válido
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  const { userId } = req.user;
+  const { code, recoveryCode } = req.body;
+  logAuthInfo('Petición de desactivación de 2FA', userId);
+
+  if (!code && !recoveryCode) {
+    return sendErrorResponse(res, 'Code or recovery code is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user?.twoFactor?.enabled) {
+      return sendErrorResponse(res, 'Two-factor authentication is not enabled', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Una sesión robada no basta para quitar el 2FA: hace falta el segundo factor.
+    if (!await consumeSecondFactor(user, { code, recoveryCode })) {
+      logAuthInfo('Código 2FA incorrecto al desactivar', userId);
+      return sendErrorResponse(res, 'Invalid two-factor code', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    await User.findByIdAndUpdate(userId, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+      },
+    });
+
+    logAuthInfo('2FA desactivado', userId);
+    return sendSuccessResponse(res, { message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'desactivar 2FA', logAuthError);
+  }
+};
+
+// @desc    Segundo paso del login — canjea el token "mfa pendiente" + código por la sesión
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requiere mfaToken del login)
+export const verifyTwoFactor = async (req, res) => {
+  logAuthInfo('Petición de verificación de 2FA');
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return sendErrorResponse(res, 'MFA token and code are required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return sendErrorResponse(res, 'Invalid or expired MFA token', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  // Un access token normal también pasa jwt.verify: exigir el purpose evita
+  // que se use para saltarse el primer factor.
+  if (decoded.purpose !== 'mfa') {
+    return sendErrorResponse(res, 'Invalid or expired MFA token', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  try {
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user?.twoFactor?.enabled) {
+      return sendErrorResponse(res, 'Invalid or expired MFA token', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    // Los códigos de 6 dígitos se adivinan rápido: comparten el contador de
+    // intentos con la contraseña de la cuenta.
+    const throttle = await reserveLoginAttempt(user.email, req.ip);
+    if (!throttle.allowed) {
+      logAuthInfo(`2FA rechazado por exceso de intentos (${throttle.reason}), reintentar en ${throttle.retryAfter}s`, user._id);
+      res.set('Retry-After', String(throttle.retryAfter));
+      return sendErrorResponse(res, 'Too many login attempts, please try again later', HTTP_STATUS.TOO_MANY_REQUESTS);
+    }
+
+    if (!await consumeSecondFactor(user, { code, recoveryCode })) {
+      logAuthInfo('Código 2FA incorrecto en login', user._id);
+      return sendErrorResponse(res, 'Invalid two-factor code', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    await registerLoginSuccess(user.email, req.ip);
+
+    const { accessToken, refreshToken } = await startSession(req, user._id);
+    setAuthCookies(res, accessToken, refreshToken);
+
+    logAuthInfo('Login con 2FA exitoso, cookies emitidas', user._id);
+    // Misma respuesta que /login sin 2FA: cookies para web, body para mobile.
+    return sendSuccessResponse(res, { message: 'Login successful', userId: user._id, accessToken, refreshToken });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'verificar 2FA', logAuthError);
+  }
+};
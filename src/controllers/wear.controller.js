@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import ClothingItem from '../models/clothing.model.js';
+import WearEvent from '../models/wearEvent.model.js';
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  handleDatabaseError,
+} from '../helpers/response.helpers.js';
+import { logClothingRequest, logClothingSuccess } from '../helpers/logging.helpers.js';
+import { refreshWearStats, toWearStats } from '../helpers/wear.helpers.js';
+import { markItemsWorn } from '../helpers/status.helpers.js';
+import { parseDate } from '../helpers/clothingAttributes.helpers.js';
+import { parseLimit, encodeCursor, decodeCursor, buildCursorFilter } from '../helpers/pagination.helpers.js';
+import { HTTP_STATUS } from '../constants/httpResponses.js';
+
+// Historial: los usos más recientes primero.
+const HISTORY_SORT = { field: 'wornAt', direction: -1 };
+
+// ---------------------------------------------------------------------------
+// Utilidades internas
+// ---------------------------------------------------------------------------
+
+/**
+ * Busca la prenda y comprueba que pertenece al usuario, con los mismos
+ * códigos que el resto de /api/clothing/:id (404 si no existe, 403 si es de otro).
+ *
+ * @returns {Promise<{item?: Object, error?: {message: string, status: number}}>}
+ */
+const findOwnItem = async (userId, id) => {
+  const item = await ClothingItem.findById(id);
+  // Las prendas en la papelera no aceptan usos nuevos ni muestran su historial.
+  if (!item || item.deletedAt) {
+    return { error: { message: 'Clothing item not found', status: HTTP_STATUS.NOT_FOUND } };
+  }
+  if (item.owner.toString() !== userId) {
+    return { error: { message: 'User not authorized to access this item', status: HTTP_STATUS.FORBIDDEN } };
+  }
+  return { item };
+};
+
+const toWearResponse = (wear) => ({ id: wear._id, wornAt: wear.wornAt });
+
+// @desc    Registrar un uso de la prenda (hoy o en la fecha indicada); si estaba limpia pasa a WORN
+// @route   POST /api/clothing/:id/wear
+// @access  Private
+export const recordWear = async (req, res) => {
+  const { userId } = req.user;
+  const { date } = req.body ?? {};
+  logClothingRequest('registrar uso de prenda', userId, { id: req.params.id, date });
+
+  let wornAt = new Date();
+  if (date !== undefined && date !== null && date !== '') {
+    wornAt = parseDate(date);
+    if (!wornAt) {
+      return sendErrorResponse(res, 'date must be a valid date', HTTP_STATUS.BAD_REQUEST);
+    }
+    if (wornAt.getTime() > Date.now()) {
+      return sendErrorResponse(res, 'date cannot be in the future', HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  try {
+    const { item, error } = await findOwnItem(userId, req.params.id);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    const wear = await WearEvent.create({ item: item._id, owner: userId, wornAt });
+    const stats = await refreshWearStats(item._id);
+    await markItemsWorn(userId, [item._id], wornAt);
+
+    logClothingSuccess('Uso registrado', wear._id);
+    return sendSuccessResponse(res, { wear: toWearResponse(wear), ...toWearStats(item, stats) }, HTTP_STATUS.CREATED);
+  } catch (error) {
+    return handleDatabaseError(res, error, 'registrar uso de prenda');
+  }
+};
+
+// @desc    Deshacer un uso: el indicado o, sin wearId, el más reciente
+// @route   DELETE /api/clothing/:id/wear/:wearId?
+// @access  Private
+export const undoWear = async (req, res) => {
+  const { userId } = req.user;
+  const { id, wearId } = req.params;
+  logClothingRequest('deshacer uso de prenda', userId, { id, wearId });
+
+  if (wearId !== undefined && !mongoose.isValidObjectId(wearId)) {
+    return sendErrorResponse(res, 'Wear event not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  try {
+    const { item, error } = await findOwnItem(userId, id);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    const wear = wearId !== undefined
+      ? await WearEvent.findOneAndDelete({ _id: wearId, item: item._id })
+      : await WearEvent.findOneAndDelete({ item: item._id }, { sort: { wornAt: -1, _id: -1 } });
+    if (!wear) {
+      return sendErrorResponse(res, 'Wear event not found', HTTP_STATUS.NOT_FOUND);
+    }
+    const stats = await refreshWearStats(item._id);
+
+    logClothingSuccess('Uso deshecho', wear._id);
+    return sendSuccessResponse(res, toWearStats(item, stats));
+  } catch (error) {
+    return handleDatabaseError(res, error, 'deshacer uso de prenda');
+  }
+};
+
+// @desc    Historial de usos de la prenda, paginado por cursor (más recientes primero)
+// @route   GET /api/clothing/:id/wear
+// @access  Private
+export const getWearHistory = async (req, res) => {
+  const { userId } = req.user;
+  logClothingRequest('obtener historial de usos', userId, { id: req.params.id });
+
+  const limit = parseLimit(req.query.limit);
+  const filters = {};
+  if (req.query.cursor !== undefined) {
+    const position = decodeCursor(req.query.cursor, HISTORY_SORT);
+    if (!position) {
+      return sendErrorResponse(res, 'Invalid cursor', HTTP_STATUS.BAD_REQUEST);
+    }
+    Object.assign(filters, buildCursorFilter(HISTORY_SORT, position));
+  }
+
+  try {
+    const { item, error } = await findOwnItem(userId, req.params.id);
+    if (error) {
+      return sendErrorResponse(res, error.message, error.status);
+    }
+
+    const wears = await WearEvent.find({ item: item._id, ...filters })
+      .sort({ wornAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = wears.length > limit;
+    const page = hasMore ? wears.slice(0, limit) : wears;
+
+    logClothingSuccess('Usos encontrados', page.length);
+    return sendSuccessResponse(res, {
+      ...toWearStats(item, { wearCount: item.wearCount ?? 0, lastWornAt: item.lastWornAt ?? null }),
+      items: page.map(toWearResponse),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], HISTORY_SORT) : null,
+    });
+  } catch (error) {
+    return handleDatabaseError(res, error, 'obtener historial de usos');
+  }
+};
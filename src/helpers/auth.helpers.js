@@ -0,0 +1,178 @@
+/**
+ * Utilidades compartidas de autenticación
+ *
+ * Centraliza el hasheo de tokens, las cookies de autenticación y la creación
+ * de sesiones para que todos los flujos (login, refresh, reset de contraseña,
+ * verificación de email) traten los tokens exactamente de la misma forma.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import Session from '../models/session.model.js';
+
+const ACCESS_TOKEN_MAX_AGE_MS = 15 * 60 * 1000;           // 15 minutos
+export const REFRESH_TOKEN_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 días
+
+/**
+ * Hashea un token con SHA-256.
+ * ¿Por qué SHA-256 y no bcrypt?
+ * bcrypt tiene límite de 72 bytes → los JWT lo superan → colisiones silenciosas.
+ * SHA-256 no tiene ese límite y es seguro para tokens de alta entropía.
+ *
+ * @param {string} token - Token en texto plano
+ * @returns {string} Hash hexadecimal del token
+ *
+ * @example
+ * const hashedRefreshToken = hashToken(refreshToken);
+ */
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Genera un token opaco aleatorio (32 bytes → 64 caracteres hex).
+ *
+ * Se usa para enlaces enviados por email: el token en texto plano solo viaja
+ * al usuario, en la base de datos se guarda su hash (ver hashToken).
+ *
+ * @returns {string} Token aleatorio en hexadecimal
+ *
+ * @example
+ * const resetToken = generateRandomToken();
+ */
+export const generateRandomToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * URL del frontend para los enlaces de emails y las redirecciones de OAuth.
+ *
+ * @returns {string} FRONTEND_URL o el frontend local por defecto
+ */
+export const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3002';
+
+/**
+ * Opciones base para cookies HTTP-only.
+ * httpOnly: true  → JS del navegador NO puede leer la cookie → protección XSS.
+ * secure: true    → Solo por HTTPS en producción → protección contra sniffing.
+ * sameSite: 'lax' → Bloquea CSRF, compatible con proxy de Next.js.
+ */
+export const COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'none',
+  domain: 'ropabase-backend.onrender.com'
+};
+
+/**
+ * Establece ambas cookies de autenticación.
+ * Error común junior: poner tokens en body/localStorage → expuestos a XSS.
+ *
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {string} accessToken - JWT de acceso (15min)
+ * @param {string} refreshToken - JWT de refresco (7d)
+ */
+export const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie('accessToken', accessToken, {
+    ...COOKIE_OPTIONS,
+    maxAge: ACCESS_TOKEN_MAX_AGE_MS,
+  });
+  res.cookie('refreshToken', refreshToken, {
+    ...COOKIE_OPTIONS,
+    maxAge: REFRESH_TOKEN_MAX_AGE_MS,
+  });
+};
+
+/**
+ * Borra ambas cookies de autenticación.
+ *
+ * @param {Object} res - Objeto de respuesta de Express
+ */
+export const clearAuthCookies = (res) => {
+  res.clearCookie('accessToken', COOKIE_OPTIONS);
+  res.clearCookie('refreshToken', COOKIE_OPTIONS);
+};
+
+/**
+ * Firma un access token para la sesión indicada.
+ * Payload mínimo (userId + sessionId), vida corta (15min).
+ * NUNCA incluir datos sensibles: el payload JWT es solo base64, no está cifrado.
+ *
+ * @param {string} userId - ID del usuario
+ * @param {string} sessionId - ID de la sesión (dispositivo)
+ * @returns {string} JWT firmado con JWT_SECRET
+ */
+export const signAccessToken = (userId, sessionId) =>
+  jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  );
+
+/**
+ * Firma el token temporal "mfa pendiente" que devuelve el login cuando la
+ * cuenta tiene 2FA: solo sirve para llamar a /2fa/verify durante 5 minutos.
+ * El claim purpose hace que protect lo rechace como access token.
+ *
+ * @param {string} userId - ID del usuario que ya superó el primer factor
+ * @returns {string} JWT firmado con JWT_SECRET
+ */
+export const signMfaToken = (userId) =>
+  jwt.sign(
+    { userId, purpose: 'mfa' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+
+/**
+ * Firma un refresh token para la sesión indicada.
+ *
+ * Usa un SECRET DIFERENTE al del access token → si uno se compromete, el otro
+ * sigue seguro. El jwtid aleatorio garantiza que cada rotación produzca un
+ * token (y un hash) distinto aunque se firmen dos en el mismo segundo.
+ *
+ * @param {string} userId - ID del usuario
+ * @param {string} sessionId - ID de la sesión (familia de tokens)
+ * @returns {string} JWT firmado con JWT_REFRESH_SECRET
+ */
+export const signRefreshToken = (userId, sessionId) =>
+  jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: '7d', jwtid: crypto.randomUUID() }
+  );
+
+/**
+ * Crea una sesión nueva (un registro por dispositivo) y emite sus tokens.
+ * Cada sesión es una "familia" de refresh tokens: en cada refresh el token
+ * se rota, pero la sesión (y su _id) se mantiene.
+ *
+ * El _id de la sesión se genera antes de firmar para que el refresh token
+ * lo lleve en el payload y así guardar sesión + hash en una sola escritura.
+ * En DB se guarda el HASH del refresh token, nunca el texto plano:
+ * si la DB se compromete, el atacante no obtiene tokens válidos.
+ *
+ * @param {Object} req - Objeto de petición de Express (user agent e IP del dispositivo)
+ * @param {string} userId - ID del usuario autenticado
+ * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: string}>}
+ *
+ * @example
+ * const { accessToken, refreshToken } = await startSession(req, user._id);
+ * setAuthCookies(res, accessToken, refreshToken);
+ */
+export const startSession = async (req, userId) => {
+  const sessionId = new mongoose.Types.ObjectId().toString();
+
+  const accessToken = signAccessToken(userId, sessionId);
+  const refreshToken = signRefreshToken(userId, sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers?.['user-agent'],
+    ip: req.ip,
+    lastUsedAt: new Date(),
+    expires: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS),
+  });
+
+  return { accessToken, refreshToken, sessionId };
+};
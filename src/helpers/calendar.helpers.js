@@ -0,0 +1,256 @@
+/**
+ * Calendario de conjuntos: fechas, validación de entradas y exportación iCalendar
+ *
+ * Una entrada es un día, no un instante: se guarda a las 00:00 UTC para que
+ * "2026-03-15" sea el mismo día lo consulte quien lo consulte.
+ */
+
+import { parseDate } from './clothingAttributes.helpers.js';
+import { parseItemIds } from './outfit.helpers.js';
+import {
+  CALENDAR_NOTE_MAX_LENGTH,
+  MAX_CALENDAR_RANGE_DAYS,
+  MAX_ITEMS_PER_OUTFIT,
+  CALENDAR_FEED_PAST_DAYS,
+  CALENDAR_FEED_FUTURE_DAYS,
+} from '../constants/clothing.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const isBlank = (value) => value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Interpreta una fecha ("2026-03-15" o ISO con hora) y la lleva al inicio
+ * de su día en UTC.
+ *
+ * @param {*} value - Valor crudo del body o del query
+ * @returns {Date|null} Día a las 00:00 UTC, o null si no es una fecha válida
+ *
+ * @example
+ * toCalendarDay('2026-03-15T18:30:00Z'); // Date('2026-03-15T00:00:00Z')
+ */
+export const toCalendarDay = (value) => {
+  const date = parseDate(value);
+  if (!date) {
+    return null;
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Interpreta el rango from/to (inclusive) de GET /api/calendar.
+ *
+ * @param {Object} query - req.query
+ * @returns {{from?: Date, to?: Date, error?: string}}
+ *
+ * @example
+ * parseCalendarRange({ from: '2026-03-01', to: '2026-03-31' });
+ * // { from: Date('2026-03-01'), to: Date('2026-03-31') }
+ */
+export const parseCalendarRange = (query = {}) => {
+  const from = toCalendarDay(query.from);
+  const to = toCalendarDay(query.to);
+  if (!from || !to) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+  if ((to - from) / DAY_MS + 1 > MAX_CALENDAR_RANGE_DAYS) {
+    return { error: `The range can span at most ${MAX_CALENDAR_RANGE_DAYS} days` };
+  }
+  return { from, to };
+};
+
+/**
+ * Rango de la suscripción .ics: no lleva from/to, cubre los últimos
+ * CALENDAR_FEED_PAST_DAYS días y los próximos CALENDAR_FEED_FUTURE_DAYS.
+ *
+ * @param {Date} now - Momento de la consulta
+ * @returns {{from: Date, to: Date}}
+ */
+export const getCalendarFeedRange = (now = new Date()) => {
+  const today = toCalendarDay(now);
+  return {
+    from: new Date(today.getTime() - CALENDAR_FEED_PAST_DAYS * DAY_MS),
+    to: new Date(today.getTime() + CALENDAR_FEED_FUTURE_DAYS * DAY_MS),
+  };
+};
+
+/**
+ * URL pública de la suscripción .ics. API_BASE_URL en producción (detrás de
+ * un proxy req.protocol puede no ser https, igual que en OAuth).
+ *
+ * @param {Object} req - Objeto de petición de Express
+ * @param {string} token - Token de la suscripción en claro
+ * @returns {string} URL absoluta para añadir en la app de calendario
+ */
+export const buildCalendarFeedUrl = (req, token) => {
+  const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/calendar/feed/${token}.ics`;
+};
+
+/**
+ * Valida el body de create/update de una entrada del calendario. Una entrada
+ * tiene un conjunto o prendas sueltas, nunca las dos cosas: al asignar una se
+ * quita la otra. Con `current` (la entrada guardada) se trata como update
+ * parcial y se valida el resultado de aplicar los cambios.
+ *
+ * La pertenencia del conjunto y las prendas se comprueba en el controlador.
+ *
+ * @param {Object} body - req.body
+ * @param {Object|null} current - Entrada actual en un update (null al crear)
+ * @returns {{data: Object, error: string|null}}
+ *
+ * @example
+ * const { data, error } = parseCalendarEntryData(req.body, entry);
+ */
+export const parseCalendarEntryData = (body = {}, current = null) => {
+  const data = {};
+  const fail = (error) => ({ data: null, error });
+
+  if (body.date !== undefined || !current) {
+    const date = toCalendarDay(body.date);
+    if (!date) {
+      return fail('date must be a valid date');
+    }
+    data.date = date;
+  }
+
+  if (body.outfit !== undefined) {
+    if (!isBlank(body.outfit) && !(typeof body.outfit === 'string' && OBJECT_ID_PATTERN.test(body.outfit))) {
+      return fail('outfit must be an outfit id');
+    }
+    data.outfit = isBlank(body.outfit) ? null : body.outfit;
+  }
+
+  if (body.items !== undefined) {
+    const items = isBlank(body.items) ? [] : parseItemIds(body.items);
+    if (!items) {
+      return fail('Items must be a list of clothing item ids');
+    }
+    if (items.length > MAX_ITEMS_PER_OUTFIT) {
+      return fail(`An entry can have at most ${MAX_ITEMS_PER_OUTFIT} items`);
+    }
+    data.items = items;
+  }
+
+  if (data.outfit && data.items?.length > 0) {
+    return fail('Use either an outfit or a list of items');
+  }
+  // Cambiar de conjunto a prendas sueltas (o al revés) reemplaza lo anterior.
+  if (data.outfit) {
+    data.items = [];
+  } else if (data.items?.length > 0) {
+    data.outfit = null;
+  }
+
+  const outfit = data.outfit !== undefined ? data.outfit : current?.outfit;
+  const items = data.items !== undefined ? data.items : current?.items ?? [];
+  if (!outfit && items.length === 0) {
+    return fail('An outfit or at least one item is required');
+  }
+
+  if (body.note !== undefined) {
+    if (!isBlank(body.note) && typeof body.note !== 'string') {
+      return fail('note must be a string');
+    }
+    if (!isBlank(body.note) && body.note.trim().length > CALENDAR_NOTE_MAX_LENGTH) {
+      return fail(`note must be at most ${CALENDAR_NOTE_MAX_LENGTH} characters`);
+    }
+    data.note = isBlank(body.note) ? null : body.note.trim();
+  }
+
+  return { data, error: null };
+};
+
+/**
+ * Escapa un texto para una propiedad iCalendar (RFC 5545, 3.3.11).
+ *
+ * @param {string} text - Texto libre (nombres, notas)
+ * @returns {string}
+ */
+export const escapeICalText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Parte una línea de más de 75 octetos en líneas de continuación (RFC 5545, 3.1).
+ * Cuenta bytes UTF-8 y no corta caracteres multibyte por la mitad.
+ *
+ * @param {string} line - Línea completa ("SUMMARY:...")
+ * @returns {string} Línea plegada con CRLF + espacio
+ */
+export const foldICalLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // La primera línea admite 75 octetos; las de continuación, 74 + el espacio inicial.
+    const max = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > max) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const formatICalDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+const formatICalTimestamp = (date) => `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+/**
+ * Genera un calendario iCalendar (.ics) con un evento de día completo por entrada.
+ *
+ * @param {Object[]} entries - Entradas con outfit (y sus items) e items poblados con su nombre
+ * @param {{now?: Date}} options - Marca de tiempo DTSTAMP (para tests)
+ * @returns {string} Contenido del archivo, con saltos de línea CRLF
+ *
+ * @example
+ * res.set('Content-Type', 'text/calendar; charset=utf-8');
+ * res.send(buildICalendar(entries));
+ */
+export const buildICalendar = (entries, { now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//RopaBase//Outfit Calendar//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:RopaBase',
+  ];
+
+  entries.forEach((entry) => {
+    const items = entry.outfit ? entry.outfit.items ?? [] : entry.items ?? [];
+    const itemNames = items.map((item) => item?.name).filter(Boolean);
+    const summary = entry.outfit?.name ?? (itemNames.join(', ') || 'Outfit');
+    const description = [itemNames.map((name) => `- ${name}`).join('\n'), entry.note]
+      .filter(Boolean)
+      .join('\n\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${entry._id}@ropabase`,
+      `DTSTAMP:${formatICalTimestamp(now)}`,
+      `DTSTART;VALUE=DATE:${formatICalDate(entry.date)}`,
+      `DTEND;VALUE=DATE:${formatICalDate(new Date(entry.date.getTime() + DAY_MS))}`,
+      `SUMMARY:${escapeICalText(summary)}`
+    );
+    if (description) {
+      lines.push(`DESCRIPTION:${escapeICalText(description)}`);
+    }
+    // Día libre en la agenda: un conjunto planificado no ocupa tiempo.
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldICalLine).join('\r\n')}\r\n`;
+};
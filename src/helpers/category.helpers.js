@@ -0,0 +1,133 @@
+/**
+ * Categorías de prendas: búsqueda, subcategorías y migración
+ *
+ * Las prendas guardan en `category` la clave de la categoría ('SHOES',
+ * 'SNEAKERS'), no su _id: así los clientes que envían los valores del
+ * antiguo enum siguen funcionando y las prendas existentes no cambian.
+ */
+
+import Category from '../models/category.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import { DEFAULT_CATEGORIES, FALLBACK_CATEGORY } from '../constants/clothing.js';
+import { foldAccents } from './search.helpers.js';
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Convierte un nombre o clave en la clave canónica de una categoría:
+ * sin acentos, en mayúsculas y con guiones bajos entre palabras.
+ *
+ * @param {string} value - Nombre ("Zapatillas running") o clave ("shirt")
+ * @returns {string} Clave ('' si no quedan letras ni números)
+ *
+ * @example
+ * toCategoryKey('Ropa interior'); // 'ROPA_INTERIOR'
+ */
+export const toCategoryKey = (value) =>
+  foldAccents(value).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Filtro de las categorías que ve un usuario: las del sistema y las suyas.
+ *
+ * @param {string} userId - ID del usuario autenticado
+ * @returns {Object} Filtro de MongoDB
+ */
+export const visibleCategoriesFilter = (userId) => ({ owner: { $in: [null, userId] } });
+
+/**
+ * Busca una categoría visible para el usuario por _id o por clave
+ * (insensible a mayúsculas: 'shirt', 'Shirt' y 'SHIRT' son la misma).
+ *
+ * @param {string} userId - ID del usuario autenticado
+ * @param {*} value - _id o clave recibida en el body o el query
+ * @returns {Promise<Object|null>} Categoría, o null si no existe o no es visible
+ *
+ * @example
+ * const category = await findCategory(userId, req.body.category);
+ * if (!category) {
+ *   return res.status(400).json({ message: 'Invalid category' });
+ * }
+ */
+export const findCategory = async (userId, value) => {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return null;
+  }
+  const filter = OBJECT_ID_PATTERN.test(value) ? { _id: value } : { key: toCategoryKey(value) };
+  return Category.findOne({ ...filter, ...visibleCategoriesFilter(userId) });
+};
+
+/**
+ * Claves de una categoría y de todas sus subcategorías visibles para el usuario.
+ *
+ * @param {string} userId - ID del usuario autenticado
+ * @param {Object} category - Categoría raíz del filtro
+ * @returns {Promise<string[]>} Claves, empezando por la de la propia categoría
+ */
+export const getCategoryKeys = async (userId, category) => {
+  const descendants = await Category.find({
+    ancestors: category._id,
+    ...visibleCategoriesFilter(userId),
+  }).select('key');
+  return [category.key, ...descendants.map((descendant) => descendant.key)];
+};
+
+/**
+ * Crea las categorías del sistema que falten. Idempotente: no toca las
+ * que ya existen (ni sus nombres, por si se editaron a mano).
+ *
+ * @returns {Promise<void>}
+ */
+export const ensureDefaultCategories = async () => {
+  await Category.bulkWrite(DEFAULT_CATEGORIES.map(({ key, name }) => ({
+    updateOne: {
+      filter: { owner: null, key },
+      update: { $setOnInsert: { key, name, owner: null, parentId: null, ancestors: [] } },
+      upsert: true,
+    },
+  })));
+};
+
+/**
+ * Normaliza la categoría de las prendas existentes: los valores con otras
+ * mayúsculas pasan a su clave canónica y los que no corresponden a ninguna
+ * categoría del dueño pasan a FALLBACK_CATEGORY. Idempotente.
+ *
+ * @returns {Promise<number>} Cantidad de prendas modificadas
+ */
+export const migrateItemCategories = async () => {
+  const systemKeys = DEFAULT_CATEGORIES.map(({ key }) => key);
+  // Las prendas con una clave del sistema ya son válidas: solo se revisa el resto.
+  const items = await ClothingItem.find({ category: { $nin: systemKeys } }).select('owner category');
+  if (items.length === 0) {
+    return 0;
+  }
+
+  const owners = [...new Set(items.map((item) => String(item.owner)))];
+  const userCategories = await Category.find({ owner: { $in: owners } }).select('owner key');
+  const knownKeys = new Set(userCategories.map(({ owner, key }) => `${owner}:${key}`));
+
+  const operations = items.flatMap((item) => {
+    const key = toCategoryKey(item.category);
+    const isKnown = systemKeys.includes(key) || knownKeys.has(`${item.owner}:${key}`);
+    const category = isKnown ? key : FALLBACK_CATEGORY;
+    if (category === item.category) {
+      return [];
+    }
+    return [{ updateOne: { filter: { _id: item._id }, update: { $set: { category } } } }];
+  });
+
+  if (operations.length > 0) {
+    await ClothingItem.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+/**
+ * Migración de categorías al arrancar: crea las del sistema y normaliza las prendas.
+ *
+ * @returns {Promise<number>} Cantidad de prendas modificadas
+ */
+export const migrateCategories = async () => {
+  await ensureDefaultCategories();
+  return migrateItemCategories();
+};
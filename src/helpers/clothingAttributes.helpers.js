@@ -0,0 +1,353 @@
+/**
+ * Atributos opcionales de una prenda: talla, materiales, temporadas,
+ * ocasiones, etiquetas, notas y datos de compra
+ *
+ * Llegan en JSON o en multipart/form-data (donde todo es string), así que
+ * aquí se convierten al tipo del modelo y se validan antes de tocar la DB.
+ * Un string vacío significa "borrar el valor": es lo que envía un campo de
+ * formulario que el usuario dejó en blanco.
+ */
+
+import {
+  SIZE_SYSTEMS,
+  MATERIALS,
+  SEASONS,
+  OCCASIONS,
+  SIZE_MAX_LENGTH,
+  STORE_MAX_LENGTH,
+  NOTES_MAX_LENGTH,
+  TAG_MAX_LENGTH,
+  MAX_TAGS_PER_ITEM,
+} from '../constants/clothing.js';
+
+// Campos de lista y sus valores permitidos.
+const LIST_FIELDS = { materials: MATERIALS, seasons: SEASONS, occasions: OCCASIONS };
+
+// Campos de texto libre y su longitud máxima.
+const TEXT_FIELDS = { size: SIZE_MAX_LENGTH, store: STORE_MAX_LENGTH, notes: NOTES_MAX_LENGTH };
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Convierte el valor de un campo de lista en un array de strings recortados.
+ * Acepta un array (JSON o campos repetidos en multipart), un JSON
+ * serializado ('["COTTON"]') o una lista separada por comas ("cotton, wool").
+ *
+ * @param {*} value - Valor crudo del body o del query
+ * @returns {string[]|null} Valores no vacíos, o null si el tipo no es válido
+ */
+export const splitList = (value) => {
+  let list = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        list = JSON.parse(trimmed);
+      } catch (error) {
+        return null;
+      }
+    } else {
+      list = trimmed.split(',');
+    }
+  }
+  if (!Array.isArray(list) || !list.every((entry) => typeof entry === 'string')) {
+    return null;
+  }
+  return list.map((entry) => entry.trim()).filter(Boolean);
+};
+
+/**
+ * Convierte el valor de un campo de lista con valores fijos (enum) en un
+ * array de strings en mayúsculas, sin duplicados.
+ *
+ * @param {*} value - Valor crudo del body o del query
+ * @returns {string[]|null} Valores sin duplicados, o null si el tipo no es válido
+ *
+ * @example
+ * parseList('cotton, Wool'); // ['COTTON', 'WOOL']
+ */
+export const parseList = (value) => {
+  const list = splitList(value);
+  return list && [...new Set(list.map((entry) => entry.toUpperCase()))];
+};
+
+/**
+ * Normaliza una etiqueta libre: minúsculas y espacios colapsados, así
+ * "Verano ", "verano" y "VERANO" son la misma etiqueta.
+ *
+ * @param {string} tag - Etiqueta tal como la escribió el usuario
+ * @returns {string} Etiqueta normalizada ('' si estaba vacía)
+ *
+ * @example
+ * normalizeTag('  Fin de   Semana'); // 'fin de semana'
+ */
+export const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Convierte el valor de tags (mismos formatos que parseList) en etiquetas
+ * normalizadas y sin duplicados.
+ *
+ * @param {*} value - Valor crudo del body o del query
+ * @returns {string[]|null} Etiquetas, o null si el tipo no es válido
+ */
+export const parseTags = (value) => {
+  const list = splitList(value);
+  return list && [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+/**
+ * Valida una etiqueta ya normalizada.
+ *
+ * @param {string} tag - Etiqueta normalizada
+ * @returns {string|null} Mensaje de error, o null si es válida
+ */
+export const validateTag = (tag) => {
+  if (!tag) {
+    return 'Tag must be a non-empty string';
+  }
+  if (tag.length > TAG_MAX_LENGTH) {
+    return `Tags must be at most ${TAG_MAX_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Interpreta una fecha ISO ("2024-03-15" o con hora). Devuelve null si no es válida.
+ *
+ * @param {*} value - Valor crudo
+ * @returns {Date|null}
+ */
+export const parseDate = (value) => {
+  if (typeof value !== 'string' && !(value instanceof Date)) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Interpreta un importe no negativo (número o string de formulario).
+ *
+ * @param {*} value - Valor crudo
+ * @returns {number|null} Importe redondeado a céntimos, o null si no es válido
+ */
+export const parsePrice = (value) => {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    return null;
+  }
+  const price = typeof value === 'number' ? value : Number(value.trim());
+  if (!Number.isFinite(price) || price < 0 || (typeof value === 'string' && value.trim() === '')) {
+    return null;
+  }
+  return Math.round(price * 100) / 100;
+};
+
+/**
+ * Coste por uso: precio de compra repartido entre las veces que se usó la prenda.
+ * Va en la moneda de la compra (purchaseCurrency).
+ *
+ * @param {number|null} purchasePrice - Precio de compra
+ * @param {number} wearCount - Veces que se usó
+ * @returns {number|null} Importe redondeado a céntimos, o null sin precio o sin usos
+ *
+ * @example
+ * computeCostPerWear(60, 8); // 7.5
+ * computeCostPerWear(60, 0); // null
+ */
+export const computeCostPerWear = (purchasePrice, wearCount) => {
+  if (purchasePrice == null || !(wearCount > 0)) {
+    return null;
+  }
+  return Math.round((purchasePrice / wearCount) * 100) / 100;
+};
+
+/**
+ * Valida y normaliza los atributos opcionales del body de create/update.
+ * Solo devuelve los campos presentes en el body → un update parcial no
+ * pisa los demás. Con `current` (la prenda guardada) se valida también la
+ * combinación precio + moneda tras aplicar los cambios.
+ *
+ * @param {Object} body - req.body (JSON o campos de multipart)
+ * @param {Object} current - Prenda actual en un update ({} al crear)
+ * @returns {{data: Object, error: string|null}}
+ *
+ * @example
+ * const { data, error } = parseClothingAttributes(req.body, item);
+ * if (error) {
+ *   return res.status(400).json({ message: error });
+ * }
+ */
+export const parseClothingAttributes = (body = {}, current = {}) => {
+  const data = {};
+  const fail = (error) => ({ data: {}, error });
+  const isBlank = (value) => value === '' || value === null;
+
+  for (const [field, allowed] of Object.entries(LIST_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const list = isBlank(body[field]) ? [] : parseList(body[field]);
+    if (!list) {
+      return fail(`${field} must be a list of values`);
+    }
+    const invalid = list.find((entry) => !allowed.includes(entry));
+    if (invalid) {
+      return fail(`Invalid ${field} value: ${invalid}. Allowed values: ${allowed.join(', ')}`);
+    }
+    data[field] = list;
+  }
+
+  if (body.tags !== undefined) {
+    const tags = isBlank(body.tags) ? [] : parseTags(body.tags);
+    if (!tags) {
+      return fail('tags must be a list of values');
+    }
+    const tagError = tags.map(validateTag).find(Boolean);
+    if (tagError) {
+      return fail(tagError);
+    }
+    if (tags.length > MAX_TAGS_PER_ITEM) {
+      return fail(`An item can have at most ${MAX_TAGS_PER_ITEM} tags`);
+    }
+    data.tags = tags;
+  }
+
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (isBlank(body[field])) {
+      data[field] = null;
+      continue;
+    }
+    if (typeof body[field] !== 'string') {
+      return fail(`${field} must be a string`);
+    }
+    const text = body[field].trim();
+    if (text.length > maxLength) {
+      return fail(`${field} must be at most ${maxLength} characters`);
+    }
+    // Las tallas se comparan en mayúsculas: "m" y "M" son la misma talla.
+    data[field] = field === 'size' ? text.toUpperCase() : text;
+  }
+
+  if (body.sizeSystem !== undefined) {
+    const sizeSystem = isBlank(body.sizeSystem) ? null : String(body.sizeSystem).trim().toUpperCase();
+    if (sizeSystem !== null && !SIZE_SYSTEMS.includes(sizeSystem)) {
+      return fail(`Invalid sizeSystem value: ${body.sizeSystem}. Allowed values: ${SIZE_SYSTEMS.join(', ')}`);
+    }
+    data.sizeSystem = sizeSystem;
+  }
+
+  if (body.purchaseDate !== undefined) {
+    const purchaseDate = isBlank(body.purchaseDate) ? null : parseDate(body.purchaseDate);
+    if (!isBlank(body.purchaseDate) && !purchaseDate) {
+      return fail('purchaseDate must be a valid date');
+    }
+    if (purchaseDate && purchaseDate.getTime() > Date.now()) {
+      return fail('purchaseDate cannot be in the future');
+    }
+    data.purchaseDate = purchaseDate;
+  }
+
+  if (body.purchasePrice !== undefined) {
+    const purchasePrice = isBlank(body.purchasePrice) ? null : parsePrice(body.purchasePrice);
+    if (!isBlank(body.purchasePrice) && purchasePrice === null) {
+      return fail('purchasePrice must be a non-negative number');
+    }
+    data.purchasePrice = purchasePrice;
+  }
+
+  if (body.purchaseCurrency !== undefined) {
+    const currency = isBlank(body.purchaseCurrency) ? null : String(body.purchaseCurrency).trim().toUpperCase();
+    if (currency !== null && !CURRENCY_PATTERN.test(currency)) {
+      return fail('purchaseCurrency must be a 3-letter ISO 4217 code');
+    }
+    data.purchaseCurrency = currency;
+  }
+
+  // Un importe sin moneda no se puede comparar ni sumar con otros.
+  const price = data.purchasePrice !== undefined ? data.purchasePrice : current.purchasePrice;
+  const currency = data.purchaseCurrency !== undefined ? data.purchaseCurrency : current.purchaseCurrency;
+  if (price != null && !currency) {
+    return fail('purchaseCurrency is required when purchasePrice is set');
+  }
+
+  return { data, error: null };
+};
+
+/**
+ * Construye los filtros de MongoDB para los atributos en GET /api/clothing.
+ * Igual que con category, los valores inválidos se ignoran (no devuelven 400):
+ * se informan en `ignored` para que el controlador los registre.
+ *
+ * Parámetros:
+ * - size, sizeSystem, purchaseCurrency: coincidencia exacta
+ * - materials, seasons, occasions: lista separada por comas, basta con que coincida uno
+ * - tags: lista separada por comas; con tagMatch=all la prenda debe tenerlas todas
+ * - purchaseDateFrom / purchaseDateTo: rango de fechas de compra (inclusive)
+ * - minPrice / maxPrice: rango de precio de compra (inclusive)
+ *
+ * @param {Object} query - req.query
+ * @returns {{filters: Object, ignored: string[]}}
+ *
+ * @example
+ * buildAttributeFilters({ seasons: 'summer,spring', maxPrice: '50' });
+ * // { filters: { seasons: { $in: ['SUMMER', 'SPRING'] }, purchasePrice: { $lte: 50 } }, ignored: [] }
+ */
+export const buildAttributeFilters = (query = {}) => {
+  const filters = {};
+  const ignored = [];
+  const isValidParam = (value) => typeof value === 'string' && value.length > 0;
+
+  for (const [field, allowed] of Object.entries(LIST_FIELDS)) {
+    if (!isValidParam(query[field])) continue;
+    const values = (parseList(query[field]) ?? []).filter((entry) => allowed.includes(entry));
+    if (values.length > 0) {
+      filters[field] = { $in: values };
+    } else {
+      ignored.push(field);
+    }
+  }
+
+  if (isValidParam(query.tags)) {
+    const tags = parseTags(query.tags) ?? [];
+    if (tags.length > 0) {
+      filters.tags = query.tagMatch === 'all' ? { $all: tags } : { $in: tags };
+    } else {
+      ignored.push('tags');
+    }
+  }
+
+  if (isValidParam(query.size)) {
+    filters.size = query.size.trim().toUpperCase();
+  }
+
+  if (isValidParam(query.sizeSystem)) {
+    const sizeSystem = query.sizeSystem.toUpperCase();
+    if (SIZE_SYSTEMS.includes(sizeSystem)) {
+      filters.sizeSystem = sizeSystem;
+    } else {
+      ignored.push('sizeSystem');
+    }
+  }
+
+  if (isValidParam(query.purchaseCurrency)) {
+    const currency = query.purchaseCurrency.toUpperCase();
+    if (CURRENCY_PATTERN.test(currency)) {
+      filters.purchaseCurrency = currency;
+    } else {
+      ignored.push('purchaseCurrency');
+    }
+  }
+
+  const addRange = (field, key, operator, value) => {
+    if (value === null) {
+      ignored.push(key);
+      return;
+    }
+    filters[field] = { ...filters[field], [operator]: value };
+  };
+  if (isValidParam(query.purchaseDateFrom)) addRange('purchaseDate', 'purchaseDateFrom', '$gte', parseDate(query.purchaseDateFrom));
+  if (isValidParam(query.purchaseDateTo)) addRange('purchaseDate', 'purchaseDateTo', '$lte', parseDate(query.purchaseDateTo));
+  if (isValidParam(query.minPrice)) addRange('purchasePrice', 'minPrice', '$gte', parsePrice(query.minPrice));
+  if (isValidParam(query.maxPrice)) addRange('purchasePrice', 'maxPrice', '$lte', parsePrice(query.maxPrice));
+
+  return { filters, ignored };
+};
@@ -0,0 +1,242 @@
+/**
+ * Fotos de las prendas
+ *
+ * Cada prenda guarda sus fotos en `images` (frente, espalda, etiqueta,
+ * detalle), ordenadas por `order` y con una sola `primary`. Cada foto se
+ * guarda completa (url/publicId), en versiones thumbnail y medium y con su
+ * paleta de colores dominantes. La principal se copia en
+ * imageUrl/imagePublicId (y sus versiones y paleta en
+ * thumbnailUrl/mediumUrl/palette) para quienes leen una sola imagen. Toda
+ * modificación pasa por normalizeImages para mantener esas reglas.
+ */
+
+import ClothingItem from '../models/clothing.model.js';
+import { uploadImageVariants, destroyImage, CLOTHING_UPLOAD_OPTIONS } from './upload.helpers.js';
+import { extractPalette } from './imageProcessing.helpers.js';
+import { splitList } from './clothingAttributes.helpers.js';
+import { IMAGE_ROLES, DEFAULT_IMAGE_ROLE, MAX_IMAGES_PER_ITEM } from '../constants/clothing.js';
+
+// Rol por defecto de las fotos nuevas: la primera de la prenda es el frente.
+const defaultRole = (position) => (position === 0 ? DEFAULT_IMAGE_ROLE : 'DETAIL');
+
+/**
+ * Interpreta los roles de las fotos subidas: uno por archivo, en el mismo
+ * orden (array, JSON o separados por comas). Los que faltan toman el rol
+ * por defecto según su posición en la prenda.
+ *
+ * @param {*} value - Valor crudo de req.body.roles (o req.body.role)
+ * @param {number} count - Cantidad de archivos subidos
+ * @param {number} existing - Fotos que ya tiene la prenda
+ * @returns {{roles: string[]|null, error: string|null}}
+ *
+ * @example
+ * parseImageRoles('front,label', 2); // { roles: ['FRONT', 'LABEL'], error: null }
+ */
+export const parseImageRoles = (value, count, existing = 0) => {
+  const list = value === undefined ? [] : splitList(value);
+  if (!list) {
+    return { roles: null, error: `roles must be a list of: ${IMAGE_ROLES.join(', ')}` };
+  }
+  if (list.length > count) {
+    return { roles: null, error: 'roles cannot have more entries than uploaded images' };
+  }
+  const roles = list.map((role) => role.toUpperCase());
+  const invalid = roles.find((role) => !IMAGE_ROLES.includes(role));
+  if (invalid) {
+    return { roles: null, error: `roles must be a list of: ${IMAGE_ROLES.join(', ')}` };
+  }
+  for (let index = roles.length; index < count; index += 1) {
+    roles.push(defaultRole(existing + index));
+  }
+  return { roles, error: null };
+};
+
+/**
+ * Comprueba que la prenda no supere MAX_IMAGES_PER_ITEM fotos.
+ *
+ * @param {number} total - Fotos que tendría la prenda
+ * @returns {string|null} Mensaje de error, o null si cabe
+ */
+export const validateImageCount = (total) => (
+  total > MAX_IMAGES_PER_ITEM ? `A clothing item can have at most ${MAX_IMAGES_PER_ITEM} images` : null
+);
+
+// Public IDs de una foto: la completa y sus versiones (las fotos anteriores no
+// tienen). En Cloudinary las versiones comparten el de la completa.
+const imagePublicIds = (image) => [
+  ...new Set([image.publicId, image.thumbnail?.publicId, image.medium?.publicId].filter(Boolean)),
+];
+
+/**
+ * Borra del almacenamiento una foto con todas sus versiones.
+ *
+ * @param {Object} image - Foto de la prenda
+ * @returns {Promise<void>}
+ */
+export const destroyClothingImage = async (image) => {
+  await Promise.all(imagePublicIds(image).map((publicId) => destroyImage(publicId)));
+};
+
+/**
+ * Sube los archivos de multer al almacenamiento (con sus versiones) y
+ * calcula su paleta, de uno en uno. Si alguno falla se borran los ya
+ * subidos antes de propagar el error: no quedan fotos huérfanas.
+ *
+ * @param {Array<{buffer: Buffer}>} files - req.files / [req.file]
+ * @returns {Promise<Array<{url: string, publicId: string, thumbnail: Object, medium: Object, palette: Array<Object>}>>}
+ */
+export const uploadClothingImages = async (files) => {
+  const uploaded = [];
+  try {
+    for (const file of files) {
+      // Primero la paleta: si el archivo no es una imagen válida, no se sube nada.
+      const palette = await extractPalette(file.buffer);
+      uploaded.push({ ...(await uploadImageVariants(file.buffer, CLOTHING_UPLOAD_OPTIONS)), palette });
+    }
+  } catch (error) {
+    await Promise.all(uploaded.map(destroyClothingImage));
+    throw error;
+  }
+  return uploaded;
+};
+
+/**
+ * Ordena las fotos por `order`, renumera desde 0 y deja una sola principal
+ * (la marcada, o la primera si no hay ninguna). Devuelve objetos planos
+ * listos para guardar.
+ *
+ * @param {Array<Object>} images - Fotos (subdocumentos o nuevas)
+ * @param {*} primaryId - _id de la foto que pasa a ser principal (opcional)
+ * @returns {Array<Object>}
+ */
+export const normalizeImages = (images = [], primaryId = null) => {
+  const sorted = [...images].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  let primaryIndex = primaryId === null
+    ? sorted.findIndex((image) => image.primary)
+    : sorted.findIndex((image) => String(image._id) === String(primaryId));
+  if (primaryIndex === -1) {
+    primaryIndex = 0;
+  }
+  return sorted.map((image, index) => ({
+    ...(image._id ? { _id: image._id } : {}),
+    url: image.url,
+    publicId: image.publicId,
+    ...(image.thumbnail ? { thumbnail: image.thumbnail } : {}),
+    ...(image.medium ? { medium: image.medium } : {}),
+    ...(image.palette ? { palette: image.palette } : {}),
+    role: image.role ?? DEFAULT_IMAGE_ROLE,
+    order: index,
+    primary: index === primaryIndex,
+  }));
+};
+
+/**
+ * Añade fotos recién subidas al final de las de la prenda.
+ *
+ * @param {Array<Object>} images - Fotos actuales
+ * @param {Array<{url: string, publicId: string}>} uploaded - Resultado de uploadClothingImages
+ * @param {string[]} roles - Un rol por foto subida
+ * @param {{primary?: boolean}} options - primary: la primera subida pasa a ser la principal
+ * @returns {Array<Object>} Fotos normalizadas
+ */
+export const appendImages = (images, uploaded, roles, { primary = false } = {}) => {
+  const current = normalizeImages(images);
+  const added = uploaded.map((image, index) => ({
+    ...image,
+    role: roles[index],
+    order: current.length + index,
+    primary: primary && index === 0,
+  }));
+  if (primary && added.length > 0) {
+    current.forEach((image) => { image.primary = false; });
+  }
+  return normalizeImages([...current, ...added]);
+};
+
+/**
+ * Reemplaza la foto principal por una recién subida (PUT con 'image'),
+ * conservando su rol y su posición. Sin fotos, la nueva es la primera.
+ *
+ * @param {Array<Object>} images - Fotos actuales
+ * @param {{url: string, publicId: string}} uploaded - Foto nueva
+ * @returns {{images: Array<Object>, replaced: Object|null}} Fotos y la principal sustituida
+ */
+export const replacePrimaryImage = (images, uploaded) => {
+  const current = normalizeImages(images);
+  const replaced = current.find((image) => image.primary) ?? null;
+  if (!replaced) {
+    return { images: appendImages([], [uploaded], [DEFAULT_IMAGE_ROLE]), replaced };
+  }
+  return {
+    images: current.map((image) => (image === replaced ? { role: image.role, order: image.order, primary: true, ...uploaded } : image)),
+    replaced,
+  };
+};
+
+/**
+ * Campos imageUrl/imagePublicId/thumbnailUrl/mediumUrl/palette que repiten
+ * la foto principal (las versiones quedan en null y la paleta vacía si la
+ * foto no las tiene).
+ *
+ * @param {Array<Object>} images - Fotos normalizadas
+ * @returns {{imageUrl: string|null, imagePublicId: string|null, thumbnailUrl: string|null, mediumUrl: string|null, palette: Array<Object>}}
+ */
+export const getPrimaryImageFields = (images) => {
+  const primary = images.find((image) => image.primary);
+  return {
+    imageUrl: primary?.url ?? null,
+    imagePublicId: primary?.publicId ?? null,
+    thumbnailUrl: primary?.thumbnail?.url ?? null,
+    mediumUrl: primary?.medium?.url ?? null,
+    palette: primary?.palette ?? [],
+  };
+};
+
+/**
+ * Public IDs de todas las fotos de una prenda y sus versiones (incluida la
+ * imagen única de las prendas aún sin migrar), sin repetir.
+ *
+ * @param {Object} item - Prenda
+ * @returns {string[]}
+ */
+export const getImagePublicIds = (item) => [
+  ...new Set([...(item.images ?? []).flatMap(imagePublicIds), item.imagePublicId].filter(Boolean)),
+];
+
+/**
+ * URLs de todas las fotos de una prenda, sin repetir.
+ *
+ * @param {Object} item - Prenda
+ * @returns {string[]}
+ */
+export const getImageUrls = (item) => [
+  ...new Set([...(item.images ?? []).map((image) => image.url), item.imageUrl].filter(Boolean)),
+];
+
+/**
+ * Pasa la imagen única de las prendas anteriores a `images` como foto
+ * principal de frente. Idempotente: solo toca prendas sin fotos.
+ *
+ * @returns {Promise<number>} Cantidad de prendas modificadas
+ */
+export const migrateItemImages = async () => {
+  const items = await ClothingItem.find({
+    imagePublicId: { $nin: [null, ''] },
+    'images.0': { $exists: false },
+  }).select('imageUrl imagePublicId');
+  if (items.length === 0) {
+    return 0;
+  }
+
+  await ClothingItem.bulkWrite(items.map((item) => ({
+    updateOne: {
+      filter: { _id: item._id },
+      update: {
+        $set: {
+          images: [{ url: item.imageUrl, publicId: item.imagePublicId, role: DEFAULT_IMAGE_ROLE, order: 0, primary: true }],
+        },
+      },
+    },
+  })));
+  return items.length;
+};
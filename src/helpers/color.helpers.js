@@ -0,0 +1,305 @@
+/**
+ * Colores de las prendas: normalización, familias y paleta
+ *
+ * `color` es texto libre ("azul", "Blue", "navy", "#1a2b5c"), así que cada
+ * prenda guarda además colorHex (hex normalizado) y colorFamily (BLUE,
+ * RED...): los del texto si se entiende y, si no, los del color dominante
+ * de su foto principal. Cada foto guarda su paleta de colores dominantes,
+ * calculada al subirla (ver extractPalette en imageProcessing.helpers).
+ */
+
+import ClothingItem from '../models/clothing.model.js';
+import { foldAccents, stemSpanish, escapeRegex } from './search.helpers.js';
+import { parseList } from './clothingAttributes.helpers.js';
+import {
+  COLOR_FAMILIES,
+  COLOR_FAMILY_KEYS,
+  COLOR_LANGUAGES,
+  DEFAULT_COLOR_LANGUAGE,
+  NAMED_COLORS,
+  PALETTE_SIZE,
+} from '../constants/colors.js';
+
+const HEX_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+// Distancia (ΔE en CIELAB) por debajo de la cual dos colores se consideran el mismo.
+const SAME_COLOR_DISTANCE = 12;
+// Parte del borde de la foto que debe ocupar un color para tomarlo como fondo.
+const BACKGROUND_SHARE = 0.5;
+// Colores que ocupan menos que esto son ruido (bordes suavizados al reducir, costuras).
+const MIN_SHARE = 0.02;
+
+const hexToRgb = (hex) => [1, 3, 5].map((index) => parseInt(hex.slice(index, index + 2), 16));
+const rgbToHex = (rgb) => `#${rgb.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+// sRGB → CIELAB (D65): la distancia entre dos colores se parece a la que percibe el ojo.
+const toLab = (rgb) => {
+  const [r, g, b] = rgb.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const fx = f((r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047);
+  const fy = f(r * 0.2126 + g * 0.7152 + b * 0.0722);
+  const fz = f((r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+const labDistance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+const REFERENCES = NAMED_COLORS.map(({ hex, family }) => ({ family, lab: toLab(hexToRgb(hex)) }));
+
+// Palabras plegadas y sin plural ni género: "Camisa Blanca" y "blancas" comparten "blanc".
+const toStems = (text) => foldAccents(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(stemSpanish);
+
+// Nombres de más largo a más corto: "azul marino" gana a "azul".
+const NAMES = NAMED_COLORS
+  .flatMap(({ hex, family, names }) => names.map((name) => ({ stems: ` ${toStems(name).join(' ')} `, hex, family })))
+  .sort((a, b) => b.stems.length - a.stems.length);
+
+/**
+ * Normaliza un color hexadecimal a '#rrggbb' en minúsculas.
+ *
+ * @param {*} value - '#1A2B5C', '1a2b5c', '#abc'...
+ * @returns {string|null} Hex normalizado, o null si no es un hex
+ */
+export const normalizeHex = (value) => {
+  const match = typeof value === 'string' ? value.trim().match(HEX_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  const digits = match[1].length === 3 ? [...match[1]].map((digit) => digit + digit).join('') : match[1];
+  return `#${digits.toLowerCase()}`;
+};
+
+/**
+ * Familia de un color: la del color con nombre más parecido (NAMED_COLORS).
+ *
+ * @param {string} hex - Color hexadecimal
+ * @returns {string|null} Clave de COLOR_FAMILIES, o null si no es un hex
+ *
+ * @example
+ * getColorFamily('#1a2b5c'); // 'BLUE'
+ */
+export const getColorFamily = (hex) => {
+  const normalized = normalizeHex(hex);
+  if (!normalized) {
+    return null;
+  }
+  const lab = toLab(hexToRgb(normalized));
+  return REFERENCES.reduce((best, reference) => (
+    labDistance(lab, reference.lab) < labDistance(lab, best.lab) ? reference : best
+  )).family;
+};
+
+/**
+ * Interpreta el texto libre de `color`: un hex o un color con nombre en
+ * español o inglés, también dentro de una frase ("azul marino oscuro").
+ *
+ * @param {*} value - Valor de color de la prenda
+ * @returns {{hex: string, family: string}|null} null si no se reconoce
+ *
+ * @example
+ * parseColor('Navy'); // { hex: '#1f2a44', family: 'BLUE' }
+ */
+export const parseColor = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const hex = normalizeHex(value);
+  if (hex) {
+    return { hex, family: getColorFamily(hex) };
+  }
+  const text = ` ${toStems(value).join(' ')} `;
+  const named = NAMES.find(({ stems }) => text.includes(stems));
+  return named ? { hex: named.hex, family: named.family } : null;
+};
+
+/**
+ * Interpreta una familia de color recibida por el cliente: su clave o su
+ * nombre en español o inglés ('BLUE', 'blue', 'azul', 'marrón').
+ *
+ * @param {*} value - Valor recibido
+ * @returns {string|null} Clave de COLOR_FAMILIES, o null si no es una familia
+ */
+export const parseColorFamily = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const folded = foldAccents(value.trim());
+  return COLOR_FAMILY_KEYS.find((key) => (
+    key.toLowerCase() === folded
+    || COLOR_LANGUAGES.some((language) => foldAccents(COLOR_FAMILIES[key][language]) === folded)
+  )) ?? null;
+};
+
+/**
+ * Idioma de los nombres de color para la petición (Accept-Language: es | en).
+ *
+ * @param {Object} req - Petición de Express
+ * @returns {string} 'es' o 'en' (por defecto DEFAULT_COLOR_LANGUAGE)
+ */
+export const getColorLanguage = (req) => {
+  const [preferred] = String(req.headers?.['accept-language'] ?? '').toLowerCase().split(/[,;-]/);
+  return COLOR_LANGUAGES.includes(preferred?.trim()) ? preferred.trim() : DEFAULT_COLOR_LANGUAGE;
+};
+
+/**
+ * Color sugerido para una prenda sin `color`: el nombre de la familia del
+ * color dominante de su foto.
+ *
+ * @param {Array<{family: string}>} palette - Paleta de la foto principal
+ * @param {string} language - 'es' o 'en'
+ * @returns {string|null} Nombre de la familia, o null sin paleta
+ */
+export const suggestColor = (palette = [], language = DEFAULT_COLOR_LANGUAGE) => {
+  const family = palette[0]?.family;
+  return family ? COLOR_FAMILIES[family][language] : null;
+};
+
+/**
+ * colorHex y colorFamily de una prenda: los del texto de `color` si se
+ * entiende; si no, los del color dominante de su foto principal.
+ *
+ * @param {string} color - Texto de color de la prenda
+ * @param {Array<{hex: string, family: string}>} palette - Paleta de la foto principal
+ * @returns {{colorHex: string|null, colorFamily: string|null}}
+ */
+export const getItemColorFields = (color, palette = []) => {
+  const resolved = parseColor(color) ?? palette[0] ?? null;
+  return { colorHex: resolved?.hex ?? null, colorFamily: resolved?.family ?? null };
+};
+
+/**
+ * Calcula los colores dominantes de una imagen a partir de sus píxeles.
+ * Los píxeles se agrupan por tono; se descartan los transparentes y el
+ * fondo (el color que ocupa la mayor parte del borde, si lo hay), se
+ * unen los grupos casi iguales y se ignoran los que apenas aparecen.
+ *
+ * @param {Buffer} pixels - Píxeles en crudo (RGB o RGBA)
+ * @param {{width: number, height: number, channels: number}} info - Tamaño y canales
+ * @param {number} size - Cantidad máxima de colores
+ * @returns {Array<{hex: string, family: string, share: number}>} De más a menos presente; share entre 0 y 1
+ */
+export const buildPalette = (pixels, { width, height, channels }, size = PALETTE_SIZE) => {
+  // 8 niveles por canal → 512 grupos, cada uno con la suma de sus píxeles.
+  const groups = new Map();
+  let borderPixels = 0;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const index = (y * width + x) * channels;
+      if (channels === 4 && pixels[index + 3] < 128) {
+        continue;
+      }
+      const [r, g, b] = [pixels[index], pixels[index + 1], pixels[index + 2]];
+      const key = ((r >> 5) << 6) | ((g >> 5) << 3) | (b >> 5);
+      const group = groups.get(key) ?? { count: 0, border: 0, sum: [0, 0, 0] };
+      group.count += 1;
+      group.sum[0] += r;
+      group.sum[1] += g;
+      group.sum[2] += b;
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+        group.border += 1;
+        borderPixels += 1;
+      }
+      groups.set(key, group);
+    }
+  }
+
+  let colors = [...groups.values()].map(({ count, border, sum }) => {
+    const rgb = sum.map((total) => total / count);
+    return { count, border, rgb, lab: toLab(rgb) };
+  });
+
+  const background = colors.reduce((best, color) => (color.border > (best?.border ?? 0) ? color : best), null);
+  if (background && background.border >= borderPixels * BACKGROUND_SHARE) {
+    const foreground = colors.filter((color) => labDistance(color.lab, background.lab) >= SAME_COLOR_DISTANCE);
+    // Una foto de un solo color (la prenda llena el encuadre) no tiene fondo.
+    if (foreground.length > 0) {
+      colors = foreground;
+    }
+  }
+
+  const merged = [];
+  colors.sort((a, b) => b.count - a.count).forEach((color) => {
+    const similar = merged.find((entry) => labDistance(entry.lab, color.lab) < SAME_COLOR_DISTANCE);
+    if (similar) {
+      similar.rgb = similar.rgb.map((channel, index) => (
+        (channel * similar.count + color.rgb[index] * color.count) / (similar.count + color.count)
+      ));
+      similar.count += color.count;
+    } else {
+      merged.push({ ...color });
+    }
+  });
+
+  const total = merged.reduce((sum, color) => sum + color.count, 0);
+  return merged
+    .sort((a, b) => b.count - a.count)
+    .filter(({ count }, index) => index === 0 || count / total >= MIN_SHARE)
+    .slice(0, size)
+    .map(({ rgb, count }) => {
+      const hex = rgbToHex(rgb);
+      return { hex, family: getColorFamily(hex), share: Math.round((count / total) * 100) / 100 };
+    });
+};
+
+/**
+ * Filtros de color del listado:
+ * - color: se interpreta como el `color` de las prendas. Un hex busca ese
+ *   tono exacto (colorHex) y un nombre ("azul", "Blue", "navy") toda su
+ *   familia. Un texto que no se entiende ("estampado") se compara con
+ *   `color` tal cual, sin distinguir mayúsculas.
+ * - colorFamily: colorFamily=blue,rojo (clave o nombre en español/inglés).
+ *
+ * @param {Object} query - req.query
+ * @returns {{filters: Object, ignored: string[]}} Filtros de MongoDB y parámetros inválidos
+ */
+export const buildColorFilters = (query = {}) => {
+  const filters = {};
+  const ignored = [];
+
+  if (typeof query.color === 'string' && query.color.length > 0) {
+    const parsed = parseColor(query.color);
+    if (!parsed) {
+      filters.color = { $regex: `^${escapeRegex(query.color)}$`, $options: 'i' };
+    } else if (normalizeHex(query.color)) {
+      filters.colorHex = parsed.hex;
+    } else {
+      filters.colorFamily = { $eq: parsed.family };
+    }
+  }
+
+  if (typeof query.colorFamily === 'string' && query.colorFamily.length > 0) {
+    const families = (parseList(query.colorFamily) ?? []).map(parseColorFamily);
+    if (families.length > 0 && families.every(Boolean)) {
+      // Junto con color=azul deben cumplirse las dos condiciones.
+      filters.colorFamily = { ...filters.colorFamily, $in: [...new Set(families)] };
+    } else {
+      ignored.push('colorFamily');
+    }
+  }
+
+  return { filters, ignored };
+};
+
+/**
+ * Migración al arrancar: calcula colorHex y colorFamily de las prendas
+ * anteriores a partir de su texto de `color`. Idempotente: solo toca las
+ * que no tienen colorFamily (null cuenta como ya calculado).
+ *
+ * @returns {Promise<number>} Cantidad de prendas modificadas
+ */
+export const migrateItemColors = async () => {
+  const items = await ClothingItem.find({ colorFamily: { $exists: false } }).select('color');
+  if (items.length === 0) {
+    return 0;
+  }
+
+  await ClothingItem.bulkWrite(items.map((item) => ({
+    updateOne: {
+      filter: { _id: item._id },
+      update: { $set: getItemColorFields(item.color) },
+    },
+  })));
+  return items.length;
+};
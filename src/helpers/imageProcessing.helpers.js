@@ -0,0 +1,127 @@
+/**
+ * Procesado de imágenes antes de guardarlas
+ *
+ * Paso entre multer y el almacenamiento: endereza la foto según su
+ * orientación EXIF, descarta todos los metadatos (EXIF con la ubicación
+ * GPS, perfiles, comentarios), la reduce a IMAGE_MAX_DIMENSION y la
+ * recodifica en WebP o JPEG (IMAGE_FORMAT). De las fotos de prendas se
+ * generan además versiones reducidas para los listados (IMAGE_VARIANTS).
+ * Así también se convierten las fotos HEIC/HEIF y AVIF, que no todos los
+ * navegadores muestran. También se calcula aquí la paleta de colores
+ * dominantes de cada foto (ver color.helpers).
+ */
+
+import sharp from 'sharp';
+import decodeHeif from 'heic-decode';
+import { detectImageType, HEIF_FORMATS } from './imageType.helpers.js';
+import { buildPalette } from './color.helpers.js';
+import { IMAGE_VARIANTS, IMAGE_FORMATS, DEFAULT_IMAGE_FORMAT } from '../constants/clothing.js';
+import { PALETTE_SIZE } from '../constants/colors.js';
+import { IMAGE_MESSAGES } from '../constants/httpResponses.js';
+
+const QUALITY = 80;
+// Lado mayor de la copia reducida de la que se saca la paleta: sobra para los colores.
+const PALETTE_DIMENSION = 64;
+
+// Se leen en cada llamada para poder ajustarlas por entorno (y en tests).
+export const getImageFormat = () => (
+  IMAGE_FORMATS.includes(process.env.IMAGE_FORMAT) ? process.env.IMAGE_FORMAT : DEFAULT_IMAGE_FORMAT
+);
+export const getMaxImageDimension = () => Number(process.env.IMAGE_MAX_DIMENSION) || IMAGE_VARIANTS.full;
+
+// Un archivo que sharp no puede leer no es una imagen: handleDatabaseError lo convierte en 400.
+const toInvalidImageError = (cause) => {
+  const error = new Error(IMAGE_MESSAGES.INVALID_FILE, { cause });
+  error.name = 'InvalidImageError';
+  return error;
+};
+
+// Los binarios de sharp no traen decodificador HEVC: las fotos HEIC/HEIF se
+// decodifican con libheif (que ya aplica su rotación) y llegan como píxeles RGBA.
+const openImage = async (buffer) => {
+  if (!HEIF_FORMATS.includes(detectImageType(buffer)?.format)) {
+    return sharp(buffer);
+  }
+  const { width, height, data } = await decodeHeif({ buffer });
+  return sharp(Buffer.from(data), { raw: { width, height, channels: 4 } });
+};
+
+// Enderezada, sin metadatos (sharp solo los copia con withMetadata) y con
+// el lado mayor en maxDimension como mucho (las pequeñas no se amplían).
+const encode = (image, maxDimension, format) => image
+  .rotate()
+  .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+  .toFormat(format, format === 'jpeg' ? { quality: QUALITY, mozjpeg: true } : { quality: QUALITY })
+  .toBuffer();
+
+/**
+ * Procesa una imagen subida: orientación, metadatos, tamaño y formato.
+ *
+ * @param {Buffer} buffer - Contenido del archivo (req.file.buffer)
+ * @param {{maxDimension?: number, format?: string}} options - Por defecto IMAGE_MAX_DIMENSION e IMAGE_FORMAT
+ * @returns {Promise<Buffer>} Imagen lista para guardar
+ * @throws {Error} InvalidImageError si el archivo no es una imagen válida
+ */
+export const processImage = async (
+  buffer,
+  { maxDimension = getMaxImageDimension(), format = getImageFormat() } = {}
+) => {
+  try {
+    return await encode(await openImage(buffer), maxDimension, format);
+  } catch (error) {
+    throw toInvalidImageError(error);
+  }
+};
+
+/**
+ * Genera las versiones de IMAGE_VARIANTS de una foto (full limitada por
+ * IMAGE_MAX_DIMENSION), todas procesadas como en processImage.
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {{format?: string}} options - Por defecto IMAGE_FORMAT
+ * @returns {Promise<{thumbnail: Buffer, medium: Buffer, full: Buffer}>}
+ * @throws {Error} InvalidImageError si el archivo no es una imagen válida
+ *
+ * @example
+ * const { thumbnail, medium, full } = await createImageVariants(req.file.buffer);
+ */
+export const createImageVariants = async (buffer, { format = getImageFormat() } = {}) => {
+  const sizes = { ...IMAGE_VARIANTS, full: getMaxImageDimension() };
+  try {
+    // Cada versión parte de un clone() de la misma entrada.
+    const image = await openImage(buffer);
+    const entries = await Promise.all(Object.entries(sizes).map(async ([name, maxDimension]) => (
+      [name, await encode(image.clone(), maxDimension, format)]
+    )));
+    return Object.fromEntries(entries);
+  } catch (error) {
+    throw toInvalidImageError(error);
+  }
+};
+
+/**
+ * Colores dominantes de una foto, sin contar el fondo ni las zonas
+ * transparentes. Se calcula en el servidor sobre una copia reducida.
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {{size?: number}} options - Cantidad máxima de colores (por defecto PALETTE_SIZE)
+ * @returns {Promise<Array<{hex: string, family: string, share: number}>>} De más a menos presente
+ * @throws {Error} InvalidImageError si el archivo no es una imagen válida
+ *
+ * @example
+ * await extractPalette(req.file.buffer); // [{ hex: '#1f2a44', family: 'BLUE', share: 0.82 }, ...]
+ */
+export const extractPalette = async (buffer, { size = PALETTE_SIZE } = {}) => {
+  try {
+    const image = await openImage(buffer);
+    const { data, info } = await image
+      .rotate()
+      .resize({ width: PALETTE_DIMENSION, height: PALETTE_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return buildPalette(data, info, size);
+  } catch (error) {
+    throw toInvalidImageError(error);
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * Tipo de imagen por su contenido
+ *
+ * El nombre y el mimetype de un archivo subido los declara el cliente (y
+ * muchos móviles mandan las fotos HEIC como application/octet-stream), así
+ * que el formato se reconoce por sus primeros bytes (magic bytes). Solo se
+ * reconocen los formatos que la API acepta: cualquier otro archivo es null.
+ */
+
+// Firmas en posiciones fijas. WebP: 'RIFF' + tamaño (4 bytes) + 'WEBP'.
+const SIGNATURES = [
+  { format: 'jpeg', extension: 'jpg', mimetype: 'image/jpeg', parts: [[0, [0xff, 0xd8, 0xff]]] },
+  { format: 'png', extension: 'png', mimetype: 'image/png', parts: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+  { format: 'gif', extension: 'gif', mimetype: 'image/gif', parts: [[0, 'GIF8']] },
+  { format: 'webp', extension: 'webp', mimetype: 'image/webp', parts: [[0, 'RIFF'], [8, 'WEBP']] },
+];
+
+// HEIF (contenedor ISO BMFF): la caja 'ftyp' del byte 4 lleva la marca
+// principal y las compatibles. avif y heic dicen el códec (AV1 / HEVC).
+const HEIF_TYPES = [
+  { format: 'avif', extension: 'avif', mimetype: 'image/avif', brands: ['avif', 'avis'] },
+  { format: 'heic', extension: 'heic', mimetype: 'image/heic', brands: ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs'] },
+  { format: 'heif', extension: 'heif', mimetype: 'image/heif', brands: ['mif1', 'msf1'] },
+];
+
+// Formatos que hay que convertir antes de procesar (ver imageProcessing.helpers).
+export const HEIF_FORMATS = ['heic', 'heif'];
+
+const matches = (buffer, offset, bytes) => {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : bytes;
+  return buffer.length >= offset + expected.length
+    && expected.every((byte, index) => buffer[offset + index] === byte);
+};
+
+// Marcas de la caja ftyp: la principal primero (los bytes 12-15 son la versión).
+const readBrands = (buffer) => {
+  if (buffer.length < 12 || !matches(buffer, 4, 'ftyp')) {
+    return [];
+  }
+  const size = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= size; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+  return brands;
+};
+
+const detectHeifType = (buffer) => {
+  const [major, ...compatible] = readBrands(buffer);
+  const byMajor = HEIF_TYPES.find(({ brands }) => brands.includes(major));
+  if (!byMajor || byMajor.format !== 'heif') {
+    return byMajor ?? null;
+  }
+  // mif1/msf1 solo dicen "HEIF": el códec se deduce de las compatibles.
+  return HEIF_TYPES.find(({ brands }) => compatible.some((brand) => brands.includes(brand))) ?? byMajor;
+};
+
+/**
+ * Reconoce el formato de una imagen por su contenido.
+ *
+ * @param {Buffer} buffer - Contenido del archivo (basta con los primeros bytes)
+ * @returns {{format: string, extension: string, mimetype: string}|null} null si no es un formato aceptado
+ *
+ * @example
+ * detectImageType(req.file.buffer); // { format: 'heic', extension: 'heic', mimetype: 'image/heic' }
+ */
+export const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+  const signature = SIGNATURES.find(({ parts }) => parts.every(([offset, bytes]) => matches(buffer, offset, bytes)));
+  if (signature) {
+    const { parts, ...type } = signature;
+    return type;
+  }
+  const heif = detectHeifType(buffer);
+  if (heif) {
+    const { brands, ...type } = heif;
+    return type;
+  }
+  return null;
+};
@@ -76,6 +76,19 @@ export const logAuthInfo = (message, userId = null) => {
   console.log(fullMessage);
 };
 
+/**
+ * Registra un error de autenticación, sesiones o perfil
+ *
+ * @param {string} action - Descripción de la acción que falló
+ * @param {Error} error - Objeto de error capturado
+ *
+ * @example
+ * logAuthError('revocar sesión', error);
+ */
+export const logAuthError = (action, error) => {
+  console.error(`${LOG_PREFIXES.AUTH} Error al ${action}:`, error);
+};
+
 /**
  * Registra operaciones de base de datos
  *
@@ -0,0 +1,150 @@
+/**
+ * Protección contra fuerza bruta en el login
+ *
+ * Cuenta los intentos fallidos por email y por IP:
+ * - Por email: cada fallo obliga a esperar el doble que el anterior
+ *   (1s, 2s, 4s, ...) y al llegar a LOGIN_MAX_FAILURES la cuenta se bloquea
+ *   temporalmente durante LOGIN_LOCK_MINUTES.
+ * - Por IP: sin retraso progresivo (varios usuarios pueden compartir IP),
+ *   pero con un bloqueo al llegar a LOGIN_MAX_FAILURES_PER_IP.
+ *
+ * Cada intento se reserva (se cuenta) ANTES de comprobar la contraseña, en
+ * una sola operación atómica del store, y se decide con el registro anterior
+ * que esta devuelve: N intentos en paralelo reciben N registros distintos y
+ * no pueden colarse todos por el mismo hueco. Un login correcto devuelve su
+ * intento; los rechazados también cuentan, así que insistir sin esperar solo
+ * alarga la espera.
+ *
+ * El estado vive en el store configurado (ver config/loginAttemptStore.js).
+ */
+
+import { getLoginAttemptStore } from '../config/loginAttemptStore.js';
+import { logAuthInfo } from './logging.helpers.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Se leen en cada llamada para poder ajustarlas por entorno (y en tests).
+const getPolicy = () => ({
+  maxAccountFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  maxIpFailures: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+  lockMs: (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE_MS,
+  // Ventana de observación: los fallos más antiguos se olvidan.
+  windowMs: (Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * MINUTE_MS,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+});
+
+const accountKey = (email) => `email:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const toRetryAfterSeconds = (untilMs) => Math.max(1, Math.ceil((untilMs - Date.now()) / 1000));
+
+/**
+ * Retraso exigido tras n fallos consecutivos: 1s, 2s, 4s... hasta maxDelayMs.
+ */
+const progressiveDelayMs = (failures, policy) =>
+  Math.min(policy.baseDelayMs * 2 ** (failures - 1), policy.maxDelayMs);
+
+/**
+ * Bloquea la clave si el intento supera su umbral.
+ *
+ * @returns {Promise<number|null>} Fin del bloqueo (ms) o null si no está bloqueada
+ */
+const enforceLock = async (store, key, previous, maxFailures, policy, onLock) => {
+  if (previous?.lockedUntil) {
+    return previous.lockedUntil.getTime();
+  }
+  if (!previous || previous.failures < maxFailures) {
+    return null;
+  }
+  const lockedUntil = new Date(Date.now() + policy.lockMs);
+  await store.lock(key, lockedUntil);
+  onLock(previous.failures);
+  return lockedUntil.getTime();
+};
+
+/**
+ * Reserva un intento de login para este email e IP y decide si se permite.
+ * Llamarlo antes de buscar al usuario o comparar la contraseña.
+ *
+ * @param {string} email - Email con el que se intenta el login
+ * @param {string} ip - IP de origen de la petición
+ * @returns {Promise<{allowed: boolean, retryAfter?: number, reason?: string}>}
+ *          retryAfter en segundos, listo para el header Retry-After.
+ *
+ * @example
+ * const throttle = await reserveLoginAttempt(email, req.ip);
+ * if (!throttle.allowed) res.set('Retry-After', String(throttle.retryAfter));
+ */
+export const reserveLoginAttempt = async (email, ip) => {
+  const store = getLoginAttemptStore();
+  const policy = getPolicy();
+  const now = Date.now();
+
+  if (ip) {
+    const ipRecord = await store.reserve(ipKey(ip), policy.windowMs);
+    const ipLockedUntil = await enforceLock(store, ipKey(ip), ipRecord, policy.maxIpFailures, policy, (failures) => {
+      logAuthInfo(`IP ${ip} bloqueada temporalmente tras ${failures} intentos fallidos`);
+    });
+    if (ipLockedUntil) {
+      return { allowed: false, retryAfter: toRetryAfterSeconds(ipLockedUntil), reason: 'ip_locked' };
+    }
+  }
+
+  const accountRecord = await store.reserve(accountKey(email), policy.windowMs);
+  const accountLockedUntil = await enforceLock(
+    store, accountKey(email), accountRecord, policy.maxAccountFailures, policy, (failures) => {
+      logAuthInfo(`Cuenta bloqueada temporalmente tras ${failures} intentos fallidos`, email);
+    }
+  );
+  if (accountLockedUntil) {
+    return { allowed: false, retryAfter: toRetryAfterSeconds(accountLockedUntil), reason: 'account_locked' };
+  }
+
+  if (accountRecord) {
+    const nextAttemptAt = accountRecord.lastFailureAt.getTime() + progressiveDelayMs(accountRecord.failures, policy);
+    if (nextAttemptAt > now) {
+      // Este intento ya contó: la próxima espera es la del contador nuevo.
+      const retryAt = now + progressiveDelayMs(accountRecord.failures + 1, policy);
+      return { allowed: false, retryAfter: toRetryAfterSeconds(retryAt), reason: 'throttled' };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Devuelve a la IP el intento reservado por una contraseña correcta.
+ * El del email se mantiene: con 2FA el segundo factor aún puede fallar.
+ *
+ * @param {string} ip - IP de origen de la petición
+ */
+export const releaseLoginAttempt = async (ip) => {
+  if (ip) {
+    await getLoginAttemptStore().release(ipKey(ip));
+  }
+};
+
+/**
+ * Olvida los intentos del email tras un login correcto y devuelve a la IP
+ * el intento reservado. El resto de intentos de la IP se mantienen: un
+ * atacante con una cuenta propia no debe poder reiniciar su contador de IP
+ * iniciando sesión entre intento e intento.
+ *
+ * @param {string} email - Email que inició sesión correctamente
+ * @param {string} ip - IP de origen de la petición
+ */
+export const registerLoginSuccess = async (email, ip) => {
+  await getLoginAttemptStore().reset(accountKey(email));
+  await releaseLoginAttempt(ip);
+};
+
+/**
+ * Olvida los intentos del email al eliminar la cuenta. Los de la IP se
+ * mantienen: no son de un usuario concreto.
+ *
+ * @param {string} email - Email de la cuenta eliminada
+ */
+export const forgetLoginAttempts = async (email) => {
+  await getLoginAttemptStore().reset(accountKey(email));
+};
@@ -0,0 +1,174 @@
+/**
+ * Utilidades del flujo OAuth2/OIDC (authorization code + PKCE)
+ *
+ * En el login, el estado del flujo (state, code_verifier y proveedor) viaja
+ * en una cookie HTTP-only firmada: el mismo navegador va al proveedor y
+ * vuelve al callback. La vinculación guarda su estado en el servidor
+ * (OAuthLinkFlow, buscado por el state) y además deja una cookie firmada con
+ * el hash del state: sin ella el callback no vincula nada, así una URL de
+ * autorización ajena no puede vincular la identidad de quien la abra a la
+ * cuenta de otro.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import OAuthLinkFlow from '../models/oauthLinkFlow.model.js';
+import { COOKIE_OPTIONS, hashToken } from './auth.helpers.js';
+
+export const OAUTH_STATE_COOKIE = 'oauthState';
+export const OAUTH_LINK_COOKIE = 'oauthLink';
+const OAUTH_STATE_MAX_AGE_MS = 10 * 60 * 1000; // 10 minutos para completar el login en el proveedor
+
+// La cookie solo se envía a las rutas OAuth.
+const OAUTH_STATE_COOKIE_OPTIONS = { ...COOKIE_OPTIONS, path: '/api/auth/oauth' };
+
+/**
+ * Genera el par PKCE: un code_verifier aleatorio y su code_challenge S256.
+ *
+ * @returns {{codeVerifier: string, codeChallenge: string}}
+ *
+ * @example
+ * const { codeVerifier, codeChallenge } = generatePkcePair();
+ */
+export const generatePkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * URL a la que el proveedor devuelve al usuario. Debe coincidir exactamente
+ * con la registrada en el proveedor → OAUTH_REDIRECT_BASE_URL en producción
+ * (detrás de un proxy req.protocol puede no ser https).
+ *
+ * @param {Object} req - Objeto de petición de Express
+ * @param {string} providerId - ID del proveedor
+ * @returns {string} URL absoluta del callback
+ */
+export const buildOAuthRedirectUri = (req, providerId) => {
+  const baseUrl = process.env.OAUTH_REDIRECT_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/auth/oauth/${providerId}/callback`;
+};
+
+/**
+ * Guarda el estado del flujo en una cookie firmada con JWT_SECRET.
+ * El claim purpose impide usarla como access token (protect lo rechaza).
+ *
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {Object} flow - { state, codeVerifier, provider }
+ */
+export const setOAuthStateCookie = (res, flow) => {
+  const token = jwt.sign(
+    { ...flow, purpose: 'oauth_state' },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
+  );
+  res.cookie(OAUTH_STATE_COOKIE, token, { ...OAUTH_STATE_COOKIE_OPTIONS, maxAge: OAUTH_STATE_MAX_AGE_MS });
+};
+
+/**
+ * Lee y borra la cookie de estado (un solo uso). Devuelve null si falta,
+ * expiró, fue manipulada o no corresponde al state recibido en el callback.
+ *
+ * @param {Object} req - Objeto de petición de Express
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {string} state - Parámetro state recibido del proveedor
+ * @returns {Object|null} { state, codeVerifier, provider }
+ */
+export const consumeOAuthStateCookie = (req, res, state) => {
+  const token = req.cookies?.[OAUTH_STATE_COOKIE];
+  res.clearCookie(OAUTH_STATE_COOKIE, OAUTH_STATE_COOKIE_OPTIONS);
+
+  if (!token || typeof state !== 'string') {
+    return null;
+  }
+
+  try {
+    const flow = jwt.verify(token, process.env.JWT_SECRET);
+    const expected = Buffer.from(String(flow.state));
+    const received = Buffer.from(state);
+    // state protege contra CSRF en el callback: compara en tiempo constante.
+    if (flow.purpose !== 'oauth_state' || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+    return flow;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Ata la vinculación al navegador que la pidió: cookie firmada con el hash
+ * del state (el state en claro solo viaja en la URL de autorización).
+ *
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {string} state - state de la vinculación
+ */
+export const setOAuthLinkCookie = (res, state) => {
+  const token = jwt.sign(
+    { state: hashToken(state), purpose: 'oauth_link' },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
+  );
+  res.cookie(OAUTH_LINK_COOKIE, token, { ...OAUTH_STATE_COOKIE_OPTIONS, maxAge: OAUTH_STATE_MAX_AGE_MS });
+};
+
+/**
+ * Lee y borra la cookie de vinculación. Indica si corresponde al state
+ * recibido en el callback (falta, expiró o fue manipulada → false).
+ */
+const consumeOAuthLinkCookie = (req, res, state) => {
+  const token = req.cookies?.[OAUTH_LINK_COOKIE];
+  res.clearCookie(OAUTH_LINK_COOKIE, OAUTH_STATE_COOKIE_OPTIONS);
+
+  if (!token) {
+    return false;
+  }
+
+  try {
+    const cookie = jwt.verify(token, process.env.JWT_SECRET);
+    const expected = Buffer.from(String(cookie.state));
+    const received = Buffer.from(hashToken(state));
+    return cookie.purpose === 'oauth_link' && expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Guarda el estado de una vinculación en curso (expira como la cookie de login).
+ *
+ * @param {{state: string, codeVerifier: string, provider: string, linkUserId: string}} flow
+ * @returns {Promise<void>}
+ */
+export const saveOAuthLinkFlow = async ({ state, codeVerifier, provider, linkUserId }) => {
+  await OAuthLinkFlow.create({
+    state: hashToken(state),
+    codeVerifier,
+    provider,
+    user: linkUserId,
+    expires: new Date(Date.now() + OAUTH_STATE_MAX_AGE_MS),
+  });
+};
+
+/**
+ * Busca y borra la vinculación del state recibido en el callback (un solo
+ * uso: findOneAndDelete es atómico). Devuelve null si no existe, expiró o
+ * el navegador no trae la cookie de quien la inició.
+ *
+ * @param {Object} req - Objeto de petición de Express
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {string} state - Parámetro state recibido del proveedor
+ * @returns {Promise<Object|null>} { state, codeVerifier, provider, linkUserId }
+ */
+export const consumeOAuthLinkFlow = async (req, res, state) => {
+  if (typeof state !== 'string' || state.length === 0 || !consumeOAuthLinkCookie(req, res, state)) {
+    return null;
+  }
+
+  const flow = await OAuthLinkFlow.findOneAndDelete({ state: hashToken(state), expires: { $gt: new Date() } });
+  if (!flow) {
+    return null;
+  }
+  return { state, codeVerifier: flow.codeVerifier, provider: flow.provider, linkUserId: flow.user.toString() };
+};
@@ -0,0 +1,109 @@
+/**
+ * Validación de los datos de un conjunto (outfit)
+ *
+ * Igual que los atributos de las prendas, llegan en JSON o en
+ * multipart/form-data (cuando se adjunta la foto de portada), así que
+ * aquí se convierten al tipo del modelo. Un string vacío borra el valor.
+ */
+
+import mongoose from 'mongoose';
+import { splitList } from './clothingAttributes.helpers.js';
+import {
+  SEASONS,
+  OCCASIONS,
+  OUTFIT_NAME_MAX_LENGTH,
+  MAX_ITEMS_PER_OUTFIT,
+  OUTFIT_RATING_MIN,
+  OUTFIT_RATING_MAX,
+} from '../constants/clothing.js';
+
+const isBlank = (value) => value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Interpreta la lista de prendas de un conjunto: array, JSON serializado o
+ * IDs separados por comas. Elimina duplicados conservando el orden.
+ *
+ * @param {*} value - Valor crudo de req.body.items
+ * @returns {string[]|null} IDs, o null si el tipo o algún ID no es válido
+ *
+ * @example
+ * parseItemIds('64b0...01, 64b0...02'); // ['64b0...01', '64b0...02']
+ */
+export const parseItemIds = (value) => {
+  const list = splitList(value);
+  if (!list || !list.every((id) => mongoose.isValidObjectId(id))) {
+    return null;
+  }
+  return [...new Set(list)];
+};
+
+/**
+ * Valida y normaliza el body de create/update de un conjunto. Solo
+ * devuelve los campos presentes; al crear (partial = false) el nombre y
+ * las prendas son obligatorios.
+ *
+ * La pertenencia de las prendas al usuario se comprueba en el controlador
+ * (requiere consultar la DB).
+ *
+ * @param {Object} body - req.body
+ * @param {{partial?: boolean}} options - partial: true en los updates
+ * @returns {{data: Object, error: string|null}}
+ *
+ * @example
+ * const { data, error } = parseOutfitData(req.body);
+ * if (error) {
+ *   return sendErrorResponse(res, error, HTTP_STATUS.BAD_REQUEST);
+ * }
+ */
+export const parseOutfitData = (body = {}, { partial = false } = {}) => {
+  const data = {};
+  const fail = (error) => ({ data: null, error });
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+      return fail('Name is required');
+    }
+    if (body.name.trim().length > OUTFIT_NAME_MAX_LENGTH) {
+      return fail(`Name must be at most ${OUTFIT_NAME_MAX_LENGTH} characters`);
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.items !== undefined || !partial) {
+    const items = body.items === undefined ? null : parseItemIds(body.items);
+    if (!items) {
+      return fail('Items must be a list of clothing item ids');
+    }
+    if (items.length === 0) {
+      return fail('An outfit needs at least one item');
+    }
+    if (items.length > MAX_ITEMS_PER_OUTFIT) {
+      return fail(`An outfit can have at most ${MAX_ITEMS_PER_OUTFIT} items`);
+    }
+    data.items = items;
+  }
+
+  for (const [field, allowed] of [['occasion', OCCASIONS], ['season', SEASONS]]) {
+    if (body[field] === undefined) continue;
+    if (isBlank(body[field])) {
+      data[field] = null;
+      continue;
+    }
+    const value = String(body[field]).trim().toUpperCase();
+    if (!allowed.includes(value)) {
+      return fail(`${field} must be one of: ${allowed.join(', ')}`);
+    }
+    data[field] = value;
+  }
+
+  if (body.rating !== undefined) {
+    const isNumeric = typeof body.rating === 'number' || typeof body.rating === 'string';
+    const rating = isBlank(body.rating) ? null : Number(isNumeric ? body.rating : NaN);
+    if (rating !== null && !(Number.isInteger(rating) && rating >= OUTFIT_RATING_MIN && rating <= OUTFIT_RATING_MAX)) {
+      return fail(`rating must be an integer between ${OUTFIT_RATING_MIN} and ${OUTFIT_RATING_MAX}`);
+    }
+    data.rating = rating;
+  }
+
+  return { data, error: null };
+};
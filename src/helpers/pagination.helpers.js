@@ -0,0 +1,180 @@
+/**
+ * Paginación por cursor para listados
+ *
+ * ¿Por qué cursor y no skip/offset?
+ * skip obliga a MongoDB a recorrer y descartar todas las filas anteriores
+ * (lento en páginas altas) y, si se crea o borra una prenda entre página y
+ * página, se repiten o se saltan elementos. El cursor guarda el último valor
+ * visto (campo de orden + _id como desempate) y pide "lo que viene después".
+ */
+
+import mongoose from 'mongoose';
+
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+// Campos de orden con fechas: en el cursor viajan como ISO y se reconvierten a Date.
+const DATE_SORT_FIELDS = ['createdAt', 'lastWornAt', 'wornAt', 'changedAt', 'deletedAt'];
+
+/**
+ * Convierte el valor guardado en el cursor al del campo de orden. El cursor
+ * lo manda el cliente: solo se aceptan escalares (un objeto como
+ * {"$ne": null} acabaría como operador en el filtro). Las fechas deben
+ * venir en el mismo ISO que genera encodeCursor.
+ *
+ * @param {*} value - v del cursor
+ * @param {string} field - Campo de orden
+ * @returns {{value: *}|null} null si el valor no es válido para el campo
+ */
+const parseCursorValue = (value, field) => {
+  if (value === null) {
+    return { value };
+  }
+  if (DATE_SORT_FIELDS.includes(field)) {
+    const date = typeof value === 'string' ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) && date.toISOString() === value ? { value: date } : null;
+  }
+  return typeof value === 'string' || Number.isFinite(value) ? { value } : null;
+};
+
+/**
+ * Interpreta el parámetro limit: entero positivo, con tope MAX_PAGE_LIMIT.
+ *
+ * @param {*} value - Valor crudo de req.query.limit
+ * @returns {number} Límite a aplicar
+ *
+ * @example
+ * parseLimit('500'); // 100
+ * parseLimit(undefined); // 20
+ */
+export const parseLimit = (value) => {
+  const limit = Number.parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return DEFAULT_PAGE_LIMIT;
+  }
+  return Math.min(limit, MAX_PAGE_LIMIT);
+};
+
+/**
+ * Interpreta el parámetro sort ("campo" ascendente, "-campo" descendente)
+ * contra una lista blanca. Devuelve null si el campo no está permitido.
+ *
+ * @param {*} value - Valor crudo de req.query.sort
+ * @param {string[]} allowedFields - Campos por los que se puede ordenar
+ * @returns {{field: string, direction: 1|-1}|null}
+ *
+ * @example
+ * parseSort('-name', ['name', 'createdAt']); // { field: 'name', direction: -1 }
+ */
+export const parseSort = (value, allowedFields) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const direction = value.startsWith('-') ? -1 : 1;
+  const field = value.replace(/^[-+]/, '');
+  return allowedFields.includes(field) ? { field, direction } : null;
+};
+
+/**
+ * Codifica la posición del último elemento de la página como cursor opaco.
+ * Incluye el orden con el que se generó: un cursor de "name" no sirve para "-createdAt".
+ *
+ * @param {Object} item - Último documento de la página
+ * @param {{field: string, direction: number}} sort - Orden aplicado
+ * @returns {string} Cursor en base64url
+ */
+export const encodeCursor = (item, { field, direction }) => {
+  const value = item[field] instanceof Date ? item[field].toISOString() : item[field] ?? null;
+  return Buffer.from(JSON.stringify({
+    s: `${direction === -1 ? '-' : ''}${field}`,
+    v: value,
+    id: String(item._id),
+  })).toString('base64url');
+};
+
+/**
+ * Decodifica un cursor y comprueba que corresponde al orden pedido.
+ *
+ * @param {string} cursor - Cursor recibido en req.query.cursor
+ * @param {{field: string, direction: number}} sort - Orden de la petición actual
+ * @returns {{value: *, id: mongoose.Types.ObjectId}|null} null si el cursor no es válido
+ */
+export const decodeCursor = (cursor, { field, direction }) => {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (s !== `${direction === -1 ? '-' : ''}${field}` || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    const parsed = parseCursorValue(v, field);
+    if (!parsed) {
+      return null;
+    }
+    return { value: parsed.value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Construye la condición "documentos posteriores al cursor" para el orden dado.
+ *
+ * Los valores null/ausentes (ej: prendas sin brand) van primero en orden
+ * ascendente y al final en descendente, igual que los ordena MongoDB; como
+ * $gt/$lt no comparan contra null, esos casos se tratan aparte.
+ *
+ * @param {{field: string, direction: number}} sort - Orden aplicado
+ * @param {{value: *, id: mongoose.Types.ObjectId}} position - Cursor decodificado
+ * @returns {Object} Filtro de MongoDB
+ */
+export const buildCursorFilter = ({ field, direction }, { value, id }) => {
+  const idAfter = { _id: direction === 1 ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    return direction === 1
+      // Ascendente: quedan los null restantes y todos los no-null.
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      // Descendente: los null son lo último → solo quedan null restantes.
+      : { [field]: null, ...idAfter };
+  }
+
+  const valueAfter = { [field]: direction === 1 ? { $gt: value } : { $lt: value } };
+  const conditions = [valueAfter, { [field]: value, ...idAfter }];
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * Cursor por posición para órdenes que no admiten comparar "después de"
+ * (ej: relevancia $meta textScore, que no se puede usar en un filtro).
+ *
+ * @param {number} offset - Cantidad de elementos ya devueltos
+ * @param {string} sortKey - Orden con el que se generó (ej: 'score')
+ * @returns {string} Cursor en base64url
+ */
+export const encodeOffsetCursor = (offset, sortKey) =>
+  Buffer.from(JSON.stringify({ s: sortKey, o: offset })).toString('base64url');
+
+/**
+ * Decodifica un cursor por posición. Devuelve null si no es válido o si
+ * se generó con otro orden.
+ *
+ * @param {string} cursor - Cursor recibido en req.query.cursor
+ * @param {string} sortKey - Orden de la petición actual
+ * @returns {number|null} Offset
+ */
+export const decodeOffsetCursor = (cursor, sortKey) => {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+  try {
+    const { s, o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return s === sortKey && Number.isInteger(o) && o >= 0 ? o : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -45,11 +45,13 @@ export const sendErrorResponse = (res, message, status = HTTP_STATUS.INTERNAL_SE
  * el código de estado HTTP apropiado:
  * - ValidationError → 400 Bad Request
  * - CastError (ID inválido) → 404 Not Found
+ * - InvalidImageError (archivo subido que no es una imagen) → 400 Bad Request
  * - Otros errores → 500 Internal Server Error
  *
  * @param {Object} res - Objeto de respuesta de Express
  * @param {Error} error - Error capturado en el bloque catch
  * @param {string} action - Descripción de la acción que falló (para logging)
+ * @param {Function} logError - Función de logging del módulo (default: logClothingError)
  *
  * @example
  * try {
@@ -58,10 +60,12 @@ export const sendErrorResponse = (res, message, status = HTTP_STATUS.INTERNAL_SE
  * } catch (error) {
  *   return handleDatabaseError(res, error, 'obtener prendas');
  * }
+ *
+ * handleDatabaseError(res, error, 'revocar sesión', logAuthError);
  */
-export const handleDatabaseError = (res, error, action) => {
+export const handleDatabaseError = (res, error, action, logError = logClothingError) => {
   // Loggear el error para debugging
-  logClothingError(action, error);
+  logError(action, error);
 
   // ValidationError: datos inválidos (ej: campo requerido faltante)
   if (error.name === 'ValidationError') {
@@ -81,6 +85,15 @@ export const handleDatabaseError = (res, error, action) => {
     );
   }
 
+  // InvalidImageError: lo lanza imageProcessing.helpers con un mensaje para el cliente
+  if (error.name === 'InvalidImageError') {
+    return sendErrorResponse(
+      res,
+      error.message,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
   // Cualquier otro error → 500 Internal Server Error
   return sendErrorResponse(
     res,
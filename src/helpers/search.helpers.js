@@ -0,0 +1,156 @@
+/**
+ * Búsqueda de texto completo en prendas
+ *
+ * MongoDB solo aplica un idioma de stemming por documento y no pliega todos
+ * los acentos igual en todas las versiones. Por eso el texto se normaliza
+ * aquí: cada campo buscable se guarda en searchText como lista de términos
+ * sin acentos + raíces en español e inglés, y el índice de texto usa
+ * default_language 'none' (sin stemming propio). La consulta q pasa por la
+ * misma normalización, así "Camisón", "camison" y "camisones" coinciden.
+ */
+
+import ClothingItem from '../models/clothing.model.js';
+
+// Campos de la prenda que entran en el índice de texto.
+export const SEARCH_FIELDS = ['name', 'brand', 'color', 'notes', 'tags'];
+
+// Palabras vacías frecuentes: no aportan relevancia y solo inflan el índice.
+const STOPWORDS = new Set([
+  'de', 'del', 'la', 'las', 'el', 'los', 'un', 'una', 'y', 'o', 'con', 'sin', 'para', 'por', 'en',
+  'the', 'a', 'an', 'and', 'or', 'of', 'with', 'for', 'in', 'on',
+]);
+
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Quita acentos y diacríticos y pasa a minúsculas ("Camisón" → "camison").
+ *
+ * @param {string} text - Texto original
+ * @returns {string} Texto plegado
+ */
+export const foldAccents = (text) =>
+  String(text ?? '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+
+/**
+ * Divide el texto en palabras alfanuméricas plegadas, sin palabras vacías.
+ * Los signos (comillas, guiones, $...) se descartan → no llegan a $text ni a un regex.
+ *
+ * @param {string} text - Texto original
+ * @returns {string[]} Palabras normalizadas
+ */
+export const tokenize = (text) =>
+  foldAccents(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= MIN_TERM_LENGTH && !STOPWORDS.has(word));
+
+/**
+ * Stemmer ligero de español (plurales y género), al estilo del
+ * SpanishLightStemmer de Lucene: "camisas" → "camis", "luces" → "luz".
+ *
+ * @param {string} word - Palabra ya plegada
+ * @returns {string} Raíz
+ */
+export const stemSpanish = (word) => {
+  if (word.length > 5 && word.endsWith('eses')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('ces')) return `${word.slice(0, -3)}z`;
+  if (word.length > 3 && /(os|as|es)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && /[oae]$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Stemmer ligero de inglés (S-stemmer de Harman, solo plurales):
+ * "dresses" → "dress", "berries" → "berry", "shoes" → "shoe".
+ *
+ * @param {string} word - Palabra ya plegada
+ * @returns {string} Raíz
+ */
+export const stemEnglish = (word) => {
+  if (word.length > 4 && word.endsWith('sses')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('ies') && !/[ea]ies$/.test(word)) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('es') && !/[aeo]es$/.test(word)) return word.slice(0, -1);
+  if (word.length > 2 && word.endsWith('s') && !/[us]s$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Expande un texto a sus términos de búsqueda: palabra plegada + raíces es/en.
+ *
+ * @param {string|string[]} text - Texto (o lista, ej: tags)
+ * @returns {string[]} Términos únicos
+ *
+ * @example
+ * expandTerms('Camisas azules'); // ['camisas', 'camis', 'camisa', 'azules', 'azul', 'azule']
+ */
+export const expandTerms = (text) => {
+  const source = Array.isArray(text) ? text.join(' ') : text;
+  const terms = new Set();
+  tokenize(source).forEach((word) => {
+    terms.add(word);
+    terms.add(stemSpanish(word));
+    terms.add(stemEnglish(word));
+  });
+  return [...terms].filter((term) => term.length >= MIN_TERM_LENGTH);
+};
+
+/**
+ * Calcula el subdocumento searchText de una prenda. Los valores de overrides
+ * (ej: el body de un update) tienen prioridad; los undefined se ignoran.
+ *
+ * @param {Object} item - Prenda actual (o datos de creación)
+ * @param {Object} overrides - Campos que se van a actualizar
+ * @returns {Object} { name, brand, color, notes, tags } con los términos separados por espacios
+ *
+ * @example
+ * dataToUpdate.searchText = buildSearchText(item, dataToUpdate);
+ */
+export const buildSearchText = (item, overrides = {}) =>
+  Object.fromEntries(SEARCH_FIELDS.map((field) => {
+    const value = overrides[field] !== undefined ? overrides[field] : item?.[field];
+    return [field, expandTerms(value).join(' ')];
+  }));
+
+/**
+ * Convierte el parámetro q en la cadena de $text.$search. Devuelve null si
+ * no queda ningún término útil (ej: solo signos o palabras vacías).
+ *
+ * @param {string} q - Texto buscado por el usuario
+ * @returns {string|null} Términos separados por espacios (OR en $text)
+ */
+export const buildTextSearchQuery = (q) => {
+  const terms = expandTerms(q);
+  return terms.length > 0 ? terms.join(' ') : null;
+};
+
+/**
+ * Escapa los metacaracteres de una expresión regular para buscar el texto literal.
+ *
+ * @param {string} text - Texto del usuario
+ * @returns {string} Texto seguro para new RegExp / $regex
+ *
+ * @example
+ * { name: { $regex: escapeRegex('t-shirt (v2)'), $options: 'i' } }
+ */
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Migración al arrancar: calcula searchText de las prendas creadas antes
+ * de la búsqueda de texto (sin él, el índice no las encuentra).
+ * Idempotente: solo toca las que no tienen searchText.
+ *
+ * @returns {Promise<number>} Cantidad de prendas modificadas
+ */
+export const migrateSearchText = async () => {
+  const items = await ClothingItem.find({ searchText: { $exists: false } }).select(SEARCH_FIELDS.join(' '));
+  if (items.length === 0) {
+    return 0;
+  }
+
+  await ClothingItem.bulkWrite(items.map((item) => ({
+    updateOne: {
+      filter: { _id: item._id },
+      update: { $set: { searchText: buildSearchText(item) } },
+    },
+  })));
+  return items.length;
+};
@@ -0,0 +1,156 @@
+/**
+ * Estado de las prendas: transiciones, historial, filtros y migración
+ *
+ * El estado actual se guarda en la prenda (status, statusChangedAt) y cada
+ * cambio añade un StatusChange. Todos los cambios pasan por
+ * applyStatusChange para que la prenda y el historial no se separen.
+ */
+
+import ClothingItem from '../models/clothing.model.js';
+import StatusChange from '../models/statusChange.model.js';
+import { parseList } from './clothingAttributes.helpers.js';
+import {
+  ITEM_STATUSES,
+  DEFAULT_ITEM_STATUS,
+  STATUS_TRANSITIONS,
+  AVAILABLE_STATUSES,
+  STATUS_NOTE_MAX_LENGTH,
+} from '../constants/clothing.js';
+
+/**
+ * Indica si una prenda puede pasar de un estado a otro.
+ *
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado nuevo
+ * @returns {boolean}
+ *
+ * @example
+ * canTransition('WORN', 'LAUNDRY'); // true
+ * canTransition('LAUNDRY', 'WORN'); // false: primero tiene que estar limpia
+ */
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] ?? []).includes(to);
+
+/**
+ * Valida el body de un cambio de estado: { status, note? }.
+ *
+ * @param {Object} body - req.body
+ * @returns {{data: {status: string, note?: string}|null, error: string|null}}
+ */
+export const parseStatusChange = (body = {}) => {
+  const status = typeof body.status === 'string' ? body.status.trim().toUpperCase() : null;
+  if (!ITEM_STATUSES.includes(status)) {
+    return { data: null, error: `status must be one of: ${ITEM_STATUSES.join(', ')}` };
+  }
+
+  const data = { status };
+  if (body.note !== undefined && body.note !== null && body.note !== '') {
+    if (typeof body.note !== 'string') {
+      return { data: null, error: 'note must be a string' };
+    }
+    if (body.note.trim().length > STATUS_NOTE_MAX_LENGTH) {
+      return { data: null, error: `note must be at most ${STATUS_NOTE_MAX_LENGTH} characters` };
+    }
+    data.note = body.note.trim();
+  }
+  return { data, error: null };
+};
+
+/**
+ * Cambia el estado de varias prendas y registra cada cambio en el historial.
+ * No comprueba las transiciones: las prendas ya vienen filtradas por quien
+ * llama (ver canTransition).
+ *
+ * @param {string} userId - ID del dueño de las prendas
+ * @param {Object[]} items - Prendas con _id y status
+ * @param {string} to - Estado nuevo
+ * @param {{note?: string, changedAt?: Date}} options
+ * @returns {Promise<Object[]>} Cambios registrados (StatusChange)
+ */
+export const applyStatusChange = async (userId, items, to, { note, changedAt = new Date() } = {}) => {
+  if (items.length === 0) {
+    return [];
+  }
+  await ClothingItem.updateMany(
+    { _id: { $in: items.map((item) => item._id) } },
+    { $set: { status: to, statusChangedAt: changedAt } }
+  );
+  return StatusChange.insertMany(items.map((item) => ({
+    item: item._id,
+    owner: userId,
+    from: item.status,
+    to,
+    note,
+    changedAt,
+  })));
+};
+
+/**
+ * Pasa a WORN las prendas limpias que se acaban de usar. Un uso anterior
+ * al último cambio de estado (ej: registrado a posteriori, antes del último
+ * lavado) no la ensucia.
+ *
+ * @param {string} userId - ID del dueño de las prendas
+ * @param {string[]} itemIds - Prendas usadas
+ * @param {Date} wornAt - Fecha del uso
+ * @returns {Promise<Object[]>} Cambios registrados
+ */
+export const markItemsWorn = async (userId, itemIds, wornAt) => {
+  const items = await ClothingItem.find({
+    _id: { $in: itemIds },
+    owner: userId,
+    status: 'CLEAN',
+    $or: [{ statusChangedAt: null }, { statusChangedAt: { $lte: wornAt } }],
+  }).select('status');
+  return applyStatusChange(userId, items, 'WORN');
+};
+
+/**
+ * Construye los filtros de estado para GET /api/clothing. Igual que
+ * buildWearFilters, los valores inválidos se ignoran y se informan en `ignored`.
+ *
+ * Parámetros:
+ * - status: lista separada por comas (ej: 'laundry,repair')
+ * - available: true → solo las que se pueden poner ahora (AVAILABLE_STATUSES);
+ *   false → las que no
+ *
+ * @param {Object} query - req.query
+ * @returns {{filters: Object, ignored: string[]}}
+ */
+export const buildStatusFilters = (query = {}) => {
+  const filters = {};
+  const ignored = [];
+
+  if (typeof query.status === 'string' && query.status.length > 0) {
+    const statuses = parseList(query.status);
+    if (statuses?.length > 0 && statuses.every((status) => ITEM_STATUSES.includes(status))) {
+      filters.status = { $in: statuses };
+    } else {
+      ignored.push('status');
+    }
+  }
+
+  if (query.available === 'true') {
+    const current = filters.status?.$in ?? ITEM_STATUSES;
+    filters.status = { $in: current.filter((status) => AVAILABLE_STATUSES.includes(status)) };
+  } else if (query.available === 'false') {
+    filters.status = { ...filters.status, $nin: AVAILABLE_STATUSES };
+  } else if (query.available !== undefined) {
+    ignored.push('available');
+  }
+
+  return { filters, ignored };
+};
+
+/**
+ * Migración al arrancar: las prendas creadas antes de existir el estado
+ * pasan a DEFAULT_ITEM_STATUS. Idempotente.
+ *
+ * @returns {Promise<number>} Cantidad de prendas modificadas
+ */
+export const migrateItemStatuses = async () => {
+  const result = await ClothingItem.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: DEFAULT_ITEM_STATUS, statusChangedAt: null } }
+  );
+  return result.modifiedCount;
+};
@@ -0,0 +1,195 @@
+/**
+ * TOTP (RFC 6238) para la autenticación en dos pasos
+ *
+ * Implementación mínima compatible con Google Authenticator, 1Password,
+ * Authy, etc.: HMAC-SHA1, 6 dígitos, periodos de 30 segundos.
+ * No usa dependencias externas: solo el módulo crypto de Node.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Codifica un buffer en base32 (RFC 4648, sin relleno), el formato que
+ * esperan las apps de autenticación para el secreto.
+ *
+ * @param {Buffer} buffer - Bytes a codificar
+ * @returns {string} Texto base32 en mayúsculas
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodifica texto base32 a un buffer. Ignora espacios, guiones y relleno,
+ * y acepta minúsculas (los usuarios a veces copian el secreto a mano).
+ *
+ * @param {string} text - Texto base32
+ * @returns {Buffer} Bytes decodificados
+ * @throws {Error} Si contiene caracteres fuera del alfabeto base32
+ */
+export const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Genera un secreto TOTP aleatorio de 160 bits (recomendación de RFC 4226).
+ *
+ * @returns {string} Secreto en base32
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcula el código HOTP (RFC 4226) para un contador dado.
+ */
+const generateHotp = (secretBuffer, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', secretBuffer).update(counterBuffer).digest();
+  // Truncamiento dinámico: los 4 bits bajos del último byte indican el offset.
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Devuelve el número de periodo de 30s correspondiente a un instante.
+ *
+ * @param {number} timeMs - Instante en milisegundos (default: ahora)
+ * @returns {number} Periodo TOTP
+ */
+export const getTotpStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Genera el código TOTP de un secreto para un instante.
+ *
+ * @param {string} secret - Secreto en base32
+ * @param {number} timeMs - Instante en milisegundos (default: ahora)
+ * @returns {string} Código de 6 dígitos
+ */
+export const generateTotp = (secret, timeMs = Date.now()) =>
+  generateHotp(base32Decode(secret), getTotpStep(timeMs));
+
+/**
+ * Verifica un código TOTP aceptando ±window periodos de desfase de reloj.
+ *
+ * Devuelve el periodo en el que coincidió (para impedir que el mismo código
+ * se reutilice dentro de su ventana) o null si no coincide.
+ *
+ * @param {string} secret - Secreto en base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {Object} options - { window: periodos de tolerancia (default 1), timeMs }
+ * @returns {number|null} Periodo coincidente o null
+ *
+ * @example
+ * const step = verifyTotp(user.twoFactor.secret, req.body.code);
+ * if (step === null) return sendErrorResponse(res, 'Invalid code', 401);
+ */
+export const verifyTotp = (secret, code, { window = 1, timeMs = Date.now() } = {}) => {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const secretBuffer = base32Decode(secret);
+  const currentStep = getTotpStep(timeMs);
+
+  for (let offset = -window; offset <= window; offset += 1) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secretBuffer, step);
+    // Comparación en tiempo constante para no filtrar dígitos por timing.
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Construye la URI otpauth:// que las apps de autenticación leen del QR.
+ *
+ * @param {Object} params - { secret, accountName (email), issuer }
+ * @returns {string} URI otpauth
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer = 'RopaBase' }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Genera códigos de recuperación de un solo uso con formato "xxxxx-xxxxx".
+ * Solo se muestran una vez al usuario; en DB se guarda su hash.
+ *
+ * @param {number} count - Cantidad de códigos (default 10)
+ * @returns {string[]} Códigos en texto plano
+ */
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+/**
+ * Normaliza un código de recuperación tal como lo escribe el usuario
+ * (mayúsculas, espacios) al formato con el que se hasheó.
+ *
+ * @param {string} code - Código introducido por el usuario
+ * @returns {string} Código normalizado
+ */
+export const normalizeRecoveryCode = (code) => {
+  const raw = String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
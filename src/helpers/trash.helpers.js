@@ -0,0 +1,103 @@
+/**
+ * Papelera de prendas: borrado definitivo y purga programada
+ *
+ * DELETE /api/clothing/:id solo marca la prenda con deletedAt: deja de
+ * aparecer en el armario pero conserva su imagen, sus usos y su lugar en
+ * conjuntos y calendario, así que se puede restaurar tal cual. El borrado
+ * real (imagen incluida) ocurre al vaciarla a mano o cuando la purga
+ * encuentra prendas con más de TRASH_RETENTION_DAYS días en la papelera.
+ */
+
+import ClothingItem from '../models/clothing.model.js';
+import User from '../models/user.model.js';
+import WearEvent from '../models/wearEvent.model.js';
+import StatusChange from '../models/statusChange.model.js';
+import Outfit from '../models/outfit.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import { getImagePublicIds } from './clothingImage.helpers.js';
+import { destroyImage } from './upload.helpers.js';
+import { logClothingSuccess, logClothingError } from './logging.helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Se leen en cada llamada para poder ajustarlas por entorno (y en tests).
+export const getTrashRetentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const getPurgeIntervalMs = () => (Number(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24) * HOUR_MS;
+
+/**
+ * Fecha a partir de la cual la purga borra una prenda de la papelera.
+ *
+ * @param {Date} deletedAt - Cuándo se movió a la papelera
+ * @param {number} retentionDays - Días de retención
+ * @returns {Date}
+ */
+export const getPurgeDate = (deletedAt, retentionDays = getTrashRetentionDays()) =>
+  new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+
+/**
+ * Borra una prenda para siempre: sus fotos del almacenamiento, sus usos e
+ * historial de estados, y sus referencias en conjuntos (que quedan
+ * incompletos), calendario y usuario.
+ *
+ * @param {Object} item - Prenda (documento con _id, owner e images)
+ * @returns {Promise<void>}
+ */
+export const destroyClothingItem = async (item) => {
+  for (const publicId of getImagePublicIds(item)) {
+    await destroyImage(publicId);
+  }
+
+  await ClothingItem.findByIdAndDelete(item._id);
+  await WearEvent.deleteMany({ item: item._id });
+  await StatusChange.deleteMany({ item: item._id });
+  await Outfit.updateMany(
+    { owner: item.owner, items: item._id },
+    { $pull: { items: item._id }, $set: { incomplete: true } }
+  );
+  await CalendarEntry.updateMany(
+    { owner: item.owner, items: item._id },
+    { $pull: { items: item._id } }
+  );
+  await User.updateOne({ _id: item.owner }, { $pull: { clothingItems: item._id } });
+};
+
+/**
+ * Borra las prendas que llevan en la papelera más que el periodo de
+ * retención. Si una falla (ej: el almacenamiento de imágenes no responde) se registra el error
+ * y sigue con las demás: la próxima ejecución la vuelve a intentar.
+ *
+ * @param {{now?: Date, retentionDays?: number}} options
+ * @returns {Promise<number>} Cantidad de prendas borradas
+ */
+export const purgeTrash = async ({ now = new Date(), retentionDays = getTrashRetentionDays() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const items = await ClothingItem.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  let purged = 0;
+  for (const item of items) {
+    try {
+      await destroyClothingItem(item);
+      purged += 1;
+    } catch (error) {
+      logClothingError(`purgar prenda ${item._id} de la papelera`, error);
+    }
+  }
+
+  logClothingSuccess('Papelera purgada', purged);
+  return purged;
+};
+
+/**
+ * Ejecuta la purga al arrancar y luego cada TRASH_PURGE_INTERVAL_HOURS.
+ * El temporizador no mantiene vivo el proceso por sí solo.
+ *
+ * @returns {NodeJS.Timeout} Temporizador (clearInterval para detenerlo)
+ */
+export const startTrashPurgeJob = () => {
+  const run = () => purgeTrash().catch((error) => logClothingError('purgar papelera', error));
+  run();
+  const timer = setInterval(run, getPurgeIntervalMs());
+  timer.unref();
+  return timer;
+};
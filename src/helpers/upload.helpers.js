@@ -0,0 +1,78 @@
+/**
+ * Subida y borrado de imágenes
+ *
+ * Centraliza el acceso al almacenamiento de imágenes (Cloudinary o disco,
+ * según IMAGE_STORAGE) para que prendas, conjuntos y avatares suban los
+ * buffers de multer (memoryStorage) y borren sus imágenes exactamente igual.
+ * Nada llega al almacenamiento sin pasar por imageProcessing.helpers.
+ */
+
+import { getImageStorage } from '../config/imageStorage.js';
+import { processImage, createImageVariants } from './imageProcessing.helpers.js';
+import { IMAGE_VARIANTS } from '../constants/clothing.js';
+
+// Opciones para fotos de prendas: quita el fondo y lo rellena de blanco.
+export const CLOTHING_UPLOAD_OPTIONS = {
+  removeBackground: true,
+};
+
+/**
+ * Procesa un buffer de imagen (sin metadatos, reducido) y lo sube al
+ * almacenamiento activo.
+ *
+ * @param {Buffer} buffer - Contenido del archivo (req.file.buffer)
+ * @param {Object} options - Opciones de subida (ej: AVATAR_UPLOAD_OPTIONS, ver config/imageStorage.js)
+ * @returns {Promise<{url: string, publicId: string}>} URL pública e ID para borrarla
+ *
+ * @example
+ * const { url, publicId } = await uploadImageBuffer(req.file.buffer);
+ */
+export const uploadImageBuffer = async (buffer, options = {}) =>
+  getImageStorage().upload(await processImage(buffer), options);
+
+/**
+ * Sube una foto en las versiones de IMAGE_VARIANTS. La completa es la
+ * url/publicId del resultado; thumbnail y medium van aparte. Si el
+ * almacenamiento sabe reducir imágenes ya subidas (resize) solo se sube la
+ * completa: las opciones de pago como removeBackground se aplican una vez.
+ * Si no, se sube cada versión y, si falla alguna, se borran las ya hechas.
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {Object} options - Opciones de subida, iguales para todas las versiones
+ * @returns {Promise<{url: string, publicId: string, thumbnail: Object, medium: Object}>}
+ *
+ * @example
+ * const { url, thumbnail, medium } = await uploadImageVariants(file.buffer, CLOTHING_UPLOAD_OPTIONS);
+ */
+export const uploadImageVariants = async (buffer, options = {}) => {
+  const storage = getImageStorage();
+  if (storage.resize) {
+    const full = await storage.upload(await processImage(buffer), options);
+    return {
+      ...full,
+      thumbnail: storage.resize(full.publicId, IMAGE_VARIANTS.thumbnail),
+      medium: storage.resize(full.publicId, IMAGE_VARIANTS.medium),
+    };
+  }
+
+  const variants = await createImageVariants(buffer);
+  const uploaded = {};
+  try {
+    for (const [name, variant] of Object.entries(variants)) {
+      uploaded[name] = await storage.upload(variant, options);
+    }
+  } catch (error) {
+    await Promise.all(Object.values(uploaded).map(({ publicId }) => destroyImage(publicId)));
+    throw error;
+  }
+  const { full, ...reduced } = uploaded;
+  return { ...full, ...reduced };
+};
+
+/**
+ * Borra una imagen del almacenamiento activo.
+ *
+ * @param {string} publicId - ID devuelto por uploadImageBuffer
+ * @returns {Promise<void>}
+ */
+export const destroyImage = (publicId) => getImageStorage().destroy(publicId);
@@ -0,0 +1,132 @@
+/**
+ * Registro de usos de las prendas: estadísticas derivadas y filtros
+ *
+ * Cada uso es un WearEvent; la prenda guarda una copia de las cifras que
+ * interesan en el listado (wearCount, lastWornAt) para poder ordenar y
+ * filtrar por ellas con un índice en lugar de agregar en cada consulta.
+ */
+
+import WearEvent from '../models/wearEvent.model.js';
+import ClothingItem from '../models/clothing.model.js';
+import { parseDate, computeCostPerWear } from './clothingAttributes.helpers.js';
+import { markItemsWorn } from './status.helpers.js';
+
+/**
+ * Recalcula wearCount y lastWornAt de una prenda a partir de sus usos.
+ * Se cuenta de nuevo en lugar de usar $inc: deshacer un uso que no era el
+ * último o registrar uno con fecha pasada deja siempre los valores correctos.
+ *
+ * @param {string} itemId - ID de la prenda
+ * @returns {Promise<{wearCount: number, lastWornAt: Date|null}>}
+ *
+ * @example
+ * await WearEvent.create({ item: item._id, owner: userId, wornAt });
+ * const stats = await refreshWearStats(item._id);
+ */
+export const refreshWearStats = async (itemId) => {
+  const [wearCount, lastWear] = await Promise.all([
+    WearEvent.countDocuments({ item: itemId }),
+    WearEvent.findOne({ item: itemId }).sort({ wornAt: -1 }).select('wornAt'),
+  ]);
+  const stats = { wearCount, lastWornAt: lastWear?.wornAt ?? null };
+  await ClothingItem.updateOne({ _id: itemId }, { $set: stats });
+  return stats;
+};
+
+/**
+ * Registra un uso de cada prenda en la misma fecha (ej: al marcar como
+ * puesto un día del calendario), actualiza sus estadísticas y pasa a WORN
+ * las que estaban limpias.
+ *
+ * @param {string} userId - ID del usuario dueño de las prendas
+ * @param {string[]} itemIds - Prendas usadas
+ * @param {Date} wornAt - Fecha del uso
+ * @returns {Promise<Object[]>} Usos creados
+ */
+export const recordWears = async (userId, itemIds, wornAt) => {
+  const wears = await WearEvent.insertMany(itemIds.map((item) => ({ item, owner: userId, wornAt })));
+  await Promise.all(itemIds.map((itemId) => refreshWearStats(itemId)));
+  await markItemsWorn(userId, itemIds, wornAt);
+  return wears;
+};
+
+/**
+ * Borra un conjunto de usos y actualiza las estadísticas de sus prendas.
+ * Los que ya no existen (ej: se deshicieron uno a uno) se ignoran.
+ *
+ * @param {string[]} wearIds - IDs de WearEvent
+ * @returns {Promise<number>} Cantidad de usos borrados
+ */
+export const removeWears = async (wearIds) => {
+  const wears = await WearEvent.find({ _id: { $in: wearIds } }).select('item');
+  if (wears.length === 0) {
+    return 0;
+  }
+  await WearEvent.deleteMany({ _id: { $in: wears.map((wear) => wear._id) } });
+  const itemIds = [...new Set(wears.map((wear) => String(wear.item)))];
+  await Promise.all(itemIds.map((itemId) => refreshWearStats(itemId)));
+  return wears.length;
+};
+
+/**
+ * Estadísticas de uso de una prenda tal como se devuelven en la API.
+ *
+ * @param {Object} item - Prenda (para el precio y la moneda)
+ * @param {{wearCount: number, lastWornAt: Date|null}} stats - Valores actuales
+ * @returns {{wearCount: number, lastWornAt: Date|null, costPerWear: number|null, currency: string|null}}
+ */
+export const toWearStats = (item, { wearCount, lastWornAt }) => ({
+  wearCount,
+  lastWornAt,
+  costPerWear: computeCostPerWear(item.purchasePrice, wearCount),
+  currency: item.purchaseCurrency ?? null,
+});
+
+/**
+ * Construye los filtros de uso para GET /api/clothing. Igual que
+ * buildAttributeFilters, los valores inválidos se ignoran y se informan
+ * en `ignored`.
+ *
+ * Parámetros:
+ * - wornSince: usadas al menos una vez desde esa fecha
+ * - notWornSince: sin usar desde esa fecha (incluye las que nunca se usaron)
+ * - minWears / maxWears: rango de cantidad de usos (inclusive)
+ *
+ * @param {Object} query - req.query
+ * @returns {{filters: Object, ignored: string[]}}
+ *
+ * @example
+ * // "No usadas en los últimos 6 meses"
+ * buildWearFilters({ notWornSince: '2025-04-01' });
+ * // { filters: { lastWornAt: { $not: { $gte: Date('2025-04-01') } } }, ignored: [] }
+ */
+export const buildWearFilters = (query = {}) => {
+  const filters = {};
+  const ignored = [];
+  const isValidParam = (value) => typeof value === 'string' && value.length > 0;
+  const parseCount = (value) => (/^\d+$/.test(value.trim()) ? Number(value.trim()) : null);
+
+  const addCondition = (field, key, condition, value) => {
+    if (value === null) {
+      ignored.push(key);
+      return;
+    }
+    filters[field] = { ...filters[field], ...condition(value) };
+  };
+
+  if (isValidParam(query.wornSince)) {
+    addCondition('lastWornAt', 'wornSince', (date) => ({ $gte: date }), parseDate(query.wornSince));
+  }
+  // $not también encuentra las prendas sin lastWornAt (nunca usadas o anteriores al registro de usos).
+  if (isValidParam(query.notWornSince)) {
+    addCondition('lastWornAt', 'notWornSince', (date) => ({ $not: { $gte: date } }), parseDate(query.notWornSince));
+  }
+  if (isValidParam(query.minWears)) {
+    addCondition('wearCount', 'minWears', (count) => ({ $gte: count }), parseCount(query.minWears));
+  }
+  if (isValidParam(query.maxWears)) {
+    addCondition('wearCount', 'maxWears', (count) => ({ $not: { $gt: count } }), parseCount(query.maxWears));
+  }
+
+  return { filters, ignored };
+};
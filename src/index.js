@@ -1,11 +1,13 @@
 
 import app from './app.js';
 import connectDB from './config/database.js'; // Import connectDB
+import { startTrashPurgeJob } from './helpers/trash.helpers.js';
 
 console.log('[SERVER] Iniciando Wardrobe API...');
 
 // Connect to Database
-connectDB(); // Call connectDB to establish connection
+// La purga de la papelera arranca cuando la conexión y las migraciones están listas.
+connectDB().then(() => startTrashPurgeJob()); // Call connectDB to establish connection
 
 const PORT = process.env.PORT || 8080;
 
@@ -1,23 +1,124 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
+
+/**
+ * Extrae el access token de la petición.
+ *
+ * Precedencia: cookie HTTP-only primero, header Authorization después.
+ * Web:    el navegador envía la cookie automáticamente → req.cookies.accessToken.
+ * Mobile: React Native no tiene jar de cookies → Authorization: Bearer <token>.
+ * Es la misma regla que usa /refresh (cookie ?? body): si hay cookie, manda ella.
+ *
+ * @returns {{ token?: string, malformed?: boolean }}
+ */
+const extractAccessToken = (req) => {
+  const cookieToken = req.cookies?.accessToken;
+  if (cookieToken) {
+    return { token: cookieToken };
+  }
+
+  const header = req.headers?.authorization;
+  if (!header) {
+    return {};
+  }
+
+  // Formato esperado: "Bearer <token>" (esquema insensible a mayúsculas, RFC 6750).
+  const [scheme, token, ...rest] = header.trim().split(/\s+/);
+  if (!/^Bearer$/i.test(scheme) || !token || rest.length > 0) {
+    return { malformed: true };
+  }
+
+  return { token };
+};
+
+/**
+ * Traduce el error de jwt.verify a un motivo concreto para el cliente.
+ * Distinguir "expirado" del resto permite al cliente saber cuándo llamar a
+ * /refresh y cuándo forzar un nuevo login.
+ */
+const describeVerifyError = (error) => {
+  if (error.name === 'TokenExpiredError') {
+    return { message: 'Token expired', code: 'TOKEN_EXPIRED' };
+  }
+  if (error.name === 'JsonWebTokenError' && error.message === 'invalid signature') {
+    return { message: 'Invalid token signature', code: 'TOKEN_INVALID_SIGNATURE' };
+  }
+  if (error.name === 'JsonWebTokenError') {
+    return { message: 'Malformed token', code: 'TOKEN_MALFORMED' };
+  }
+  return { message: 'Token is not valid', code: 'TOKEN_INVALID' };
+};
 
 export const protect = (req, res, next) => {
-  // Lee el access token desde la cookie HTTP-only, NO desde Authorization header.
   // Las cookies HTTP-only son inaccesibles al JS del navegador → protección contra XSS.
-  const token = req.cookies?.accessToken;
-  console.log('[MIDDLEWARE] Verificando token desde cookie:', token ? 'presente' : 'ausente');
+  // El header Authorization solo se usa si no hay cookie (clientes móviles).
+  const { token, malformed } = extractAccessToken(req);
+  console.log('[MIDDLEWARE] Verificando token:', token ? 'presente' : 'ausente');
+
+  if (malformed) {
+    console.log('[MIDDLEWARE] Header Authorization mal formado.');
+    return res.status(401).json({ message: 'Malformed authorization header', code: 'TOKEN_MALFORMED' });
+  }
 
   if (!token) {
     console.log('[MIDDLEWARE] No se proporcionó token.');
-    return res.status(401).json({ message: 'No token provided, authorization denied' });
+    return res.status(401).json({ message: 'No token provided, authorization denied', code: 'TOKEN_MISSING' });
   }
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Los tokens con purpose (ej: 'mfa' pendiente de segundo factor) comparten
+    // secreto con el access token pero NO dan acceso a la API.
+    if (decoded.purpose) {
+      console.log('[MIDDLEWARE] Token de propósito especial rechazado:', decoded.purpose);
+      return res.status(401).json({ message: 'Token is not valid', code: 'TOKEN_INVALID' });
+    }
+
     console.log('[MIDDLEWARE] Token válido. Usuario decodificado:', decoded);
     req.user = decoded; // Adds user payload to request
     next();
   } catch (error) {
     console.log('[MIDDLEWARE] Token inválido:', error);
-    res.status(401).json({ message: 'Token is not valid' });
+    res.status(401).json(describeVerifyError(error));
+  }
+};
+
+// Métodos que no modifican datos: permitidos en modo 'readonly'.
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Aplica la política de verificación de email (EMAIL_VERIFICATION_POLICY):
+ * - 'off' (por defecto): no restringe nada.
+ * - 'readonly': las cuentas sin verificar solo pueden leer (GET/HEAD/OPTIONS).
+ * - 'required': las cuentas sin verificar no pueden usar la ruta.
+ *
+ * Debe ir después de protect, porque necesita req.user.userId.
+ * Consulta la DB en cada petición: el access token no lleva el estado de
+ * verificación, así el usuario no tiene que renovarlo tras verificar.
+ */
+export const requireVerifiedEmail = async (req, res, next) => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || 'off';
+
+  if (policy === 'off') {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('emailVerified');
+
+    if (user?.emailVerified) {
+      return next();
+    }
+
+    if (policy === 'readonly' && SAFE_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    console.log('[MIDDLEWARE] Acceso denegado, email sin verificar. Política:', policy);
+    return res.status(403).json({ message: 'Email verification required' });
+  } catch (error) {
+    console.error('[MIDDLEWARE] Error al comprobar verificación de email:', error);
+    return res.status(500).json({ message: 'Internal server error' });
   }
 };
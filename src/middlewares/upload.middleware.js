@@ -0,0 +1,27 @@
+import multer from 'multer';
+import { sendErrorResponse } from '../helpers/response.helpers.js';
+import { HTTP_STATUS, IMAGE_MESSAGES } from '../constants/httpResponses.js';
+
+/**
+ * Convierte los errores de subida (multer y checkFileType) en respuestas
+ * JSON. Sin él, Express los devuelve como un 500 en HTML. Se monta después
+ * de las rutas; los demás errores siguen su camino.
+ *
+ * - Archivo mayor que el límite de multer → 413 Payload Too Large
+ * - Archivo que no es una imagen aceptada (InvalidImageError) → 400
+ * - Otros errores de multer (campo inesperado, demasiados archivos) → 400
+ */
+export const handleUploadErrors = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    console.log(`[UPLOAD] Subida rechazada (${error.code}${error.field ? `, campo ${error.field}` : ''}).`);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return sendErrorResponse(res, IMAGE_MESSAGES.TOO_LARGE, HTTP_STATUS.PAYLOAD_TOO_LARGE);
+    }
+    return sendErrorResponse(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (error?.name === 'InvalidImageError') {
+    console.log('[UPLOAD] Subida rechazada: no es una imagen aceptada.');
+    return sendErrorResponse(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+  return next(error);
+};
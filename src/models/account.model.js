@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Cuenta de un proveedor externo (OAuth2/OIDC) vinculada a un usuario.
+// Un usuario puede tener varias (Google, Apple, ...) además de su contraseña.
+const accountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['oauth', 'oidc'],
+    default: 'oidc',
+  },
+  // ID del proveedor en el registro (ej: 'google').
+  provider: {
+    type: String,
+    required: true,
+  },
+  // Identificador estable del usuario en el proveedor (claim 'sub' en OIDC).
+  providerAccountId: {
+    type: String,
+    required: true,
+  },
+  // Email que informó el proveedor al vincular (puede diferir del User.email).
+  email: {
+    type: String,
+    required: false,
+    lowercase: true,
+    trim: true,
+  },
+}, { timestamps: true });
+
+// Una identidad del proveedor solo puede pertenecer a un usuario.
+accountSchema.index({ provider: 1, providerAccountId: 1 }, { unique: true });
+// Y un usuario solo puede vincular una cuenta por proveedor.
+accountSchema.index({ user: 1, provider: 1 }, { unique: true });
+
+const Account = mongoose.model('Account', accountSchema);
+
+export default Account;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { CALENDAR_NOTE_MAX_LENGTH } from '../constants/clothing.js';
+
+// Entrada del calendario: qué ponerse (un conjunto o prendas sueltas) un día.
+// Puede haber varias por día (ej: trabajo y gimnasio).
+const calendarEntrySchema = new mongoose.Schema({
+  // Día de la entrada, a las 00:00 UTC (ver toCalendarDay): sin hora ni zona.
+  date: {
+    type: Date,
+    required: true,
+  },
+  outfit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Outfit',
+    default: null,
+  },
+  items: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ClothingItem' }],
+    default: [],
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: CALENDAR_NOTE_MAX_LENGTH,
+  },
+  // Al marcarla como puesta se registra un uso por prenda; se guardan sus
+  // IDs para poder deshacerlo sin tocar los usos registrados por otras vías.
+  wornAt: {
+    type: Date,
+    default: null,
+  },
+  wearEvents: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'WearEvent' }],
+    default: [],
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, { timestamps: true });
+
+// Consultas por rango de fechas del usuario (GET /api/calendar y el .ics).
+calendarEntrySchema.index({ owner: 1, date: 1 });
+// Al borrar un conjunto o una prenda se actualizan las entradas que los usan.
+calendarEntrySchema.index({ outfit: 1 });
+calendarEntrySchema.index({ owner: 1, items: 1 });
+
+const CalendarEntry = mongoose.model('CalendarEntry', calendarEntrySchema);
+
+export default CalendarEntry;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { CATEGORY_NAME_MAX_LENGTH } from '../constants/clothing.js';
+
+// Categoría de prenda. Las del sistema (owner: null) las ven todos los
+// usuarios; cada usuario puede crear las suyas y anidarlas bajo cualquiera.
+const categorySchema = new mongoose.Schema({
+  // Identificador estable que guardan las prendas en ClothingItem.category
+  // (ej: 'SHOES', 'SNEAKERS'). No cambia al renombrar la categoría.
+  key: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: CATEGORY_NAME_MAX_LENGTH,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // "parentId" y no "parent": parent() ya es un método de los documentos de Mongoose.
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  // Cadena de antecesores desde la raíz: "todas las subcategorías de X"
+  // es un find({ ancestors: X._id }) sin recorrer el árbol.
+  ancestors: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    default: [],
+  },
+}, { timestamps: true });
+
+// Una clave por usuario (y una por clave del sistema, con owner null).
+categorySchema.index({ owner: 1, key: 1 }, { unique: true });
+categorySchema.index({ ancestors: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -1,23 +1,216 @@
 import mongoose from 'mongoose';
+import { buildSearchText } from '../helpers/search.helpers.js';
+import { computeCostPerWear } from '../helpers/clothingAttributes.helpers.js';
+import {
+  SIZE_SYSTEMS,
+  MATERIALS,
+  SEASONS,
+  OCCASIONS,
+  SIZE_MAX_LENGTH,
+  STORE_MAX_LENGTH,
+  NOTES_MAX_LENGTH,
+  TAG_MAX_LENGTH,
+  ITEM_STATUSES,
+  DEFAULT_ITEM_STATUS,
+  IMAGE_ROLES,
+  DEFAULT_IMAGE_ROLE,
+} from '../constants/clothing.js';
+import { COLOR_FAMILY_KEYS } from '../constants/colors.js';
+
+// Versión reducida de una foto (ver IMAGE_VARIANTS), guardada aparte en el almacenamiento.
+const imageVariantSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  publicId: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+// Color dominante de una foto (ver extractPalette): share es la parte de la prenda que ocupa, de 0 a 1.
+const paletteColorSchema = new mongoose.Schema({
+  hex: {
+    type: String,
+    required: true,
+    match: /^#[0-9a-f]{6}$/,
+  },
+  family: {
+    type: String,
+    enum: COLOR_FAMILY_KEYS,
+    required: true,
+  },
+  share: {
+    type: Number,
+    min: 0,
+    max: 1,
+  },
+}, { _id: false });
+
+// Foto de la prenda en el almacenamiento de imágenes (ver config/imageStorage.js). order empieza en 0 y solo una es primary.
+// url/publicId son la versión completa; las fotos anteriores al procesado no tienen thumbnail ni medium.
+const clothingImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  publicId: {
+    type: String,
+    required: true,
+  },
+  thumbnail: {
+    type: imageVariantSchema,
+    default: null,
+  },
+  medium: {
+    type: imageVariantSchema,
+    default: null,
+  },
+  palette: {
+    type: [paletteColorSchema],
+    default: undefined,
+  },
+  role: {
+    type: String,
+    enum: IMAGE_ROLES,
+    default: DEFAULT_IMAGE_ROLE,
+  },
+  order: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  primary: {
+    type: Boolean,
+    default: false,
+  },
+});
 
 const clothingItemSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
   },
+  // Clave de una Category del sistema o del dueño (ej: 'SHOES', 'SNEAKERS').
+  // Se valida en el controlador contra la colección: ya no es un enum fijo.
   category: {
     type: String,
     required: true,
-    enum: ['SHIRT', 'PANTS', 'SHOES', 'JACKET', 'ACCESSORY', 'OTHER'],
+    uppercase: true,
+    trim: true,
   },
+  // Texto libre del usuario ("azul", "Navy", "#1a2b5c"). colorHex y
+  // colorFamily son su versión normalizada o, si no se entiende, la del
+  // color dominante de la foto principal (ver getItemColorFields).
   color: {
     type: String,
     required: true,
   },
+  colorHex: {
+    type: String,
+    match: /^#[0-9a-f]{6}$/,
+    default: null,
+  },
+  colorFamily: {
+    type: String,
+    enum: [...COLOR_FAMILY_KEYS, null],
+    default: null,
+  },
   brand: {
     type: String,
     required: false,
   },
+  // Talla tal como aparece en la etiqueta ("M", "42", "10.5"), en mayúsculas.
+  size: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: SIZE_MAX_LENGTH,
+  },
+  sizeSystem: {
+    type: String,
+    enum: [...SIZE_SYSTEMS, null],
+  },
+  materials: {
+    type: [{ type: String, enum: MATERIALS }],
+    default: undefined,
+  },
+  seasons: {
+    type: [{ type: String, enum: SEASONS }],
+    default: undefined,
+  },
+  occasions: {
+    type: [{ type: String, enum: OCCASIONS }],
+    default: undefined,
+  },
+  // Etiquetas libres del usuario, normalizadas en minúsculas (ver normalizeTag).
+  tags: {
+    type: [{ type: String, trim: true, lowercase: true, maxlength: TAG_MAX_LENGTH }],
+    default: undefined,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: NOTES_MAX_LENGTH,
+  },
+  // Datos de compra: el precio siempre va acompañado de su moneda (ISO 4217).
+  purchaseDate: {
+    type: Date,
+  },
+  purchasePrice: {
+    type: Number,
+    min: 0,
+  },
+  purchaseCurrency: {
+    type: String,
+    uppercase: true,
+    match: /^[A-Z]{3}$/,
+    required: function requiresCurrency() {
+      return this.purchasePrice != null;
+    },
+  },
+  store: {
+    type: String,
+    trim: true,
+    maxlength: STORE_MAX_LENGTH,
+  },
+  // Derivados del registro de usos (WearEvent): los mantiene refreshWearStats.
+  // Se guardan en la prenda para ordenar y filtrar el listado sin agregaciones.
+  wearCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  lastWornAt: {
+    type: Date,
+    default: null,
+  },
+  // Estado actual (limpia, usada, lavando...). Solo cambia por las transiciones
+  // de STATUS_TRANSITIONS; cada cambio queda en StatusChange.
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    default: DEFAULT_ITEM_STATUS,
+  },
+  statusChangedAt: {
+    type: Date,
+    default: null,
+  },
+  // Papelera: con fecha, la prenda no aparece en el armario y la purga la
+  // borra pasado TRASH_RETENTION_DAYS (ver trash.helpers).
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  // Fotos ordenadas (ver clothingImage.helpers). imageUrl e imagePublicId
+  // repiten la principal: los listados, los conjuntos y los clientes
+  // anteriores siguen leyendo una sola imagen. thumbnailUrl y mediumUrl son
+  // sus versiones reducidas, las que deberían usar los listados.
+  images: {
+    type: [clothingImageSchema],
+    default: [],
+  },
   imageUrl: {
     type: String,
     required: false,
@@ -26,12 +219,101 @@ const clothingItemSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  thumbnailUrl: {
+    type: String,
+    default: null,
+  },
+  mediumUrl: {
+    type: String,
+    default: null,
+  },
+  // Paleta de la foto principal (la repite, como imageUrl).
+  palette: {
+    type: [paletteColorSchema],
+    default: undefined,
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   },
-}, { timestamps: true });
+  // Términos normalizados (sin acentos + raíces es/en) de cada campo buscable.
+  // Los calcula buildSearchText; solo los usa el índice de texto → select: false.
+  searchText: {
+    name: { type: String, select: false },
+    brand: { type: String, select: false },
+    color: { type: String, select: false },
+    notes: { type: String, select: false },
+    tags: { type: String, select: false },
+  },
+}, {
+  timestamps: true,
+  // Al crear, el documento devuelto incluye searchText: no se expone en la API.
+  // costPerWear no se guarda: se añade a la respuesta a partir del precio y los usos.
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.searchText;
+      // Se calcula al serializar: cambia con cada uso y con el precio.
+      ret.costPerWear = computeCostPerWear(ret.purchasePrice, ret.wearCount);
+      // Fotos subidas antes de generar versiones: los listados usan la completa.
+      ret.thumbnailUrl = ret.thumbnailUrl ?? ret.imageUrl ?? null;
+      ret.mediumUrl = ret.mediumUrl ?? ret.imageUrl ?? null;
+      return ret;
+    },
+  },
+});
+
+// Creaciones y save(): searchText se recalcula siempre desde los campos actuales.
+// Los updates por query (findByIdAndUpdate) lo calculan en el controlador.
+clothingItemSchema.pre('validate', function syncSearchText() {
+  this.searchText = buildSearchText(this);
+});
+
+// Índices del listado GET /api/clothing: todas las consultas filtran por owner
+// y ordenan por uno de los campos permitidos + _id (desempate del cursor).
+clothingItemSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+clothingItemSchema.index({ owner: 1, name: 1, _id: 1 });
+clothingItemSchema.index({ owner: 1, brand: 1, _id: 1 });
+clothingItemSchema.index({ owner: 1, category: 1, _id: 1 });
+// Orden y filtros por uso ("sin usar desde hace 6 meses", las más usadas).
+clothingItemSchema.index({ owner: 1, wearCount: 1, _id: 1 });
+clothingItemSchema.index({ owner: 1, lastWornAt: 1, _id: 1 });
+// Listado de la papelera (más recientes primero) y purga por antigüedad.
+clothingItemSchema.index({ owner: 1, deletedAt: -1, _id: -1 });
+clothingItemSchema.index({ deletedAt: 1 });
+// Filtro por estado ("qué puedo ponerme ahora") y tandas de lavado.
+clothingItemSchema.index({ owner: 1, status: 1 });
+// Filtro por tono exacto (color=#1e88e5). Un color que no se entiende se busca
+// en `color` con una regex anclada sin distinguir mayúsculas, que un índice no
+// resuelve bien: se apoya en owner, igual que los filtros de name y brand.
+clothingItemSchema.index({ owner: 1, colorHex: 1 });
+// Filtro por familia de color ("todo lo azul", escriba el usuario azul, navy o un hex).
+clothingItemSchema.index({ owner: 1, colorFamily: 1 });
+// Filtro por etiquetas y agregación de /api/tags (índice multikey).
+clothingItemSchema.index({ owner: 1, tags: 1 });
+// Búsqueda q: índice de texto con owner como prefijo (toda búsqueda es por usuario).
+// default_language 'none' → MongoDB no aplica su stemming; ya viene hecho en searchText.
+clothingItemSchema.index(
+  {
+    owner: 1,
+    'searchText.name': 'text',
+    'searchText.brand': 'text',
+    'searchText.color': 'text',
+    'searchText.notes': 'text',
+    'searchText.tags': 'text',
+  },
+  {
+    name: 'clothing_text_search',
+    default_language: 'none',
+    weights: {
+      'searchText.name': 10,
+      'searchText.tags': 5,
+      'searchText.brand': 4,
+      'searchText.color': 3,
+      'searchText.notes': 1,
+    },
+  }
+);
 
 const ClothingItem = mongoose.model('ClothingItem', clothingItemSchema);
 
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Contador de intentos de login por clave (email o IP). Cada intento se
+// cuenta antes de comprobar la contraseña; uno correcto lo devuelve.
+// Lo usa el store Mongo de intentos para compartir el estado entre instancias.
+const loginAttemptSchema = new mongoose.Schema({
+  // Ej: 'email:ana@example.com' o 'ip:203.0.113.7'
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+    required: false,
+  },
+  lockedUntil: {
+    type: Date,
+    required: false,
+  },
+  // Índice TTL: el contador se olvida solo cuando pasa la ventana de observación.
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+});
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
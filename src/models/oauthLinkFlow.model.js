@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Vinculación de un proveedor en curso (POST /oauth/:provider/link). Se guarda
+// en el servidor para que cada state se use una sola vez; la cookie oauthLink
+// ata el flujo al navegador que lo inició (ver oauth.helpers).
+const oauthLinkFlowSchema = new mongoose.Schema({
+  // Hash SHA-256 del state (ver hashToken): el callback busca el flujo por él.
+  state: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Índice TTL: MongoDB borra el flujo abandonado. El callback también
+  // compara expires por si el borrado aún no ocurrió.
+  expires: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, { timestamps: true });
+
+const OAuthLinkFlow = mongoose.model('OAuthLinkFlow', oauthLinkFlowSchema);
+
+export default OAuthLinkFlow;
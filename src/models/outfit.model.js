@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import {
+  SEASONS,
+  OCCASIONS,
+  OUTFIT_NAME_MAX_LENGTH,
+  OUTFIT_RATING_MIN,
+  OUTFIT_RATING_MAX,
+} from '../constants/clothing.js';
+
+// Conjunto: combinación de varias prendas del mismo usuario.
+const outfitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: OUTFIT_NAME_MAX_LENGTH,
+  },
+  items: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ClothingItem' }],
+    default: [],
+  },
+  occasion: {
+    type: String,
+    enum: [...OCCASIONS, null],
+    default: null,
+  },
+  season: {
+    type: String,
+    enum: [...SEASONS, null],
+    default: null,
+  },
+  rating: {
+    type: Number,
+    min: OUTFIT_RATING_MIN,
+    max: OUTFIT_RATING_MAX,
+    default: null,
+  },
+  // Foto del conjunto puesto (opcional). Sin quitar el fondo, a diferencia de las prendas.
+  coverImageUrl: {
+    type: String,
+  },
+  coverImagePublicId: {
+    type: String,
+  },
+  // true cuando se borró alguna de sus prendas: el conjunto sigue existiendo
+  // con las demás, pero la app puede avisar de que ya no está completo.
+  // Las respuestas también lo marcan mientras alguna está en la papelera.
+  incomplete: {
+    type: Boolean,
+    default: false,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, { timestamps: true });
+
+// Listado paginado (más recientes primero) y "conjuntos que usan esta prenda".
+outfitSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+outfitSchema.index({ owner: 1, items: 1 });
+
+const Outfit = mongoose.model('Outfit', outfitSchema);
+
+export default Outfit;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Una sesión por dispositivo: iniciar sesión en el móvil ya no invalida la web.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Hash SHA-256 del refresh token activo de este dispositivo.
+  // select: false → no se retorna en queries por defecto (seguridad).
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+    index: true,
+  },
+  userAgent: {
+    type: String,
+    required: false,
+  },
+  ip: {
+    type: String,
+    required: false,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Índice TTL: MongoDB borra la sesión cuando caduca su refresh token.
+  expires: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, { timestamps: true });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { ITEM_STATUSES, STATUS_NOTE_MAX_LENGTH } from '../constants/clothing.js';
+
+// Historial de estados de una prenda: una entrada por cada transición
+// (ej: WORN → LAUNDRY). status y statusChangedAt de ClothingItem guardan
+// el último valor para filtrar el listado sin consultar esta colección.
+const statusChangeSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClothingItem',
+    required: true,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  from: {
+    type: String,
+    enum: ITEM_STATUSES,
+    required: true,
+  },
+  to: {
+    type: String,
+    enum: ITEM_STATUSES,
+    required: true,
+  },
+  // Ej: a quién se prestó o qué hay que arreglar.
+  note: {
+    type: String,
+    trim: true,
+    maxlength: STATUS_NOTE_MAX_LENGTH,
+  },
+  changedAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+}, { timestamps: true });
+
+// Historial de una prenda (más reciente primero) y datos del usuario (exportar, borrar cuenta).
+statusChangeSchema.index({ item: 1, changedAt: -1, _id: -1 });
+statusChangeSchema.index({ owner: 1, changedAt: -1 });
+
+const StatusChange = mongoose.model('StatusChange', statusChangeSchema);
+
+export default StatusChange;
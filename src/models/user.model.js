@@ -20,22 +20,57 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  // Public ID del avatar en Cloudinary → permite borrarlo al reemplazarlo.
+  imagePublicId: {
+    type: String,
+    required: false,
+  },
   emailVerified: {
     type: Date,
     required: false,
   },
+  // Autenticación en dos pasos (TOTP). Los secretos y los hashes de los
+  // códigos de recuperación usan select: false → nunca salen en queries normales.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Secreto base32 activo (solo existe con enabled: true).
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secreto generado en /2fa/enroll a la espera de que /2fa/confirm lo valide.
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Hash SHA-256 de cada código de recuperación sin usar.
+    recoveryCodes: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+    // Último periodo TOTP aceptado → impide reutilizar un código en su ventana.
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+  },
+  // Hash SHA-256 del token de la suscripción al calendario (.ics). Los
+  // calendarios lo piden sin cookies ni Bearer: quien tenga la URL lo lee,
+  // por eso se puede regenerar o revocar.
+  calendarFeedToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true },
+  },
   // We will reference clothing items, not embed them.
   clothingItems: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ClothingItem',
   }],
-  // Hash SHA-256 del refresh token activo.
-  // select: false → no se retorna en queries por defecto (seguridad).
-  refreshToken: {
-    type: String,
-    required: false,
-    select: false,
-  },
 }, { timestamps: true });
 
 const User = mongoose.model('User', userSchema);
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Tipos de token de un solo uso que se envían por email.
+export const VERIFICATION_TOKEN_TYPES = ['PASSWORD_RESET', 'EMAIL_VERIFICATION'];
+
+const verificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: VERIFICATION_TOKEN_TYPES,
+  },
+  // Hash SHA-256 del token (ver hashToken). El token en texto plano solo
+  // viaja en el email, así que un volcado de la DB no permite usarlo.
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Índice TTL: MongoDB borra el documento cuando pasa esta fecha.
+  // El controlador también compara expires por si el borrado aún no ocurrió
+  // (el monitor TTL corre cada ~60s).
+  expires: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, { timestamps: true });
+
+const VerificationToken = mongoose.model('VerificationToken', verificationTokenSchema);
+
+export default VerificationToken;
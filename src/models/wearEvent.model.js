@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Registro de uso de una prenda: una entrada por cada vez que se puso.
+// wearCount y lastWornAt de ClothingItem se derivan de esta colección
+// (ver refreshWearStats) para poder ordenar y filtrar el listado.
+const wearEventSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClothingItem',
+    required: true,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  wornAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+}, { timestamps: true });
+
+// Historial de una prenda (más reciente primero) y datos del usuario (exportar, borrar cuenta).
+wearEventSchema.index({ item: 1, wornAt: -1, _id: -1 });
+wearEventSchema.index({ owner: 1, wornAt: -1 });
+
+const WearEvent = mongoose.model('WearEvent', wearEventSchema);
+
+export default WearEvent;
@@ -1,5 +1,37 @@
 import { Router } from 'express';
-import { register, login, refresh, logout } from '../controllers/auth.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import upload from '../config/multer.js';
+import {
+	register,
+	login,
+	refresh,
+	logout,
+	forgotPassword,
+	resetPassword,
+	verifyEmail,
+	resendVerification,
+} from '../controllers/auth.controller.js';
+import { listSessions, revokeSession } from '../controllers/session.controller.js';
+import {
+	enrollTwoFactor,
+	confirmTwoFactor,
+	disableTwoFactor,
+	verifyTwoFactor,
+} from '../controllers/twoFactor.controller.js';
+import {
+	getMe,
+	updateMe,
+	changePassword,
+	deleteAccount,
+	exportAccount,
+} from '../controllers/profile.controller.js';
+import {
+	startOAuth,
+	linkOAuth,
+	oauthCallback,
+	listAccounts,
+	unlinkAccount,
+} from '../controllers/oauth.controller.js';
 
 const router = Router();
 
@@ -19,5 +51,86 @@ router.post('/logout', (req, res, next) => {
 	console.log('[ROUTE] POST /api/auth/logout llamada');
 	next();
 }, logout);
+router.post('/forgot-password', (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/forgot-password llamada');
+	next();
+}, forgotPassword);
+router.post('/reset-password', (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/reset-password llamada');
+	next();
+}, resetPassword);
+router.post('/verify-email', (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/verify-email llamada');
+	next();
+}, verifyEmail);
+router.post('/resend-verification', protect, (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/resend-verification llamada');
+	next();
+}, resendVerification);
+router.get('/sessions', protect, (req, res, next) => {
+	console.log('[ROUTE] GET /api/auth/sessions llamada');
+	next();
+}, listSessions);
+router.delete('/sessions/:id', protect, (req, res, next) => {
+	console.log('[ROUTE] DELETE /api/auth/sessions/:id llamada');
+	next();
+}, revokeSession);
+router.get('/me', protect, (req, res, next) => {
+	console.log('[ROUTE] GET /api/auth/me llamada');
+	next();
+}, getMe);
+router.patch('/me', protect, upload.single('image'), (req, res, next) => {
+	console.log('[ROUTE] PATCH /api/auth/me llamada');
+	next();
+}, updateMe);
+router.delete('/me', protect, (req, res, next) => {
+	console.log('[ROUTE] DELETE /api/auth/me llamada');
+	next();
+}, deleteAccount);
+router.get('/me/export', protect, (req, res, next) => {
+	console.log('[ROUTE] GET /api/auth/me/export llamada');
+	next();
+}, exportAccount);
+router.post('/change-password', protect, (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/change-password llamada');
+	next();
+}, changePassword);
+router.post('/2fa/enroll', protect, (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/2fa/enroll llamada');
+	next();
+}, enrollTwoFactor);
+router.post('/2fa/confirm', protect, (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/2fa/confirm llamada');
+	next();
+}, confirmTwoFactor);
+router.post('/2fa/disable', protect, (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/2fa/disable llamada');
+	next();
+}, disableTwoFactor);
+// Público: el mfaToken que devuelve /login sustituye al access token.
+router.post('/2fa/verify', (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/2fa/verify llamada');
+	next();
+}, verifyTwoFactor);
+router.get('/oauth/:provider', (req, res, next) => {
+	console.log('[ROUTE] GET /api/auth/oauth/:provider llamada');
+	next();
+}, startOAuth);
+router.post('/oauth/:provider/link', protect, (req, res, next) => {
+	console.log('[ROUTE] POST /api/auth/oauth/:provider/link llamada');
+	next();
+}, linkOAuth);
+router.get('/oauth/:provider/callback', (req, res, next) => {
+	console.log('[ROUTE] GET /api/auth/oauth/:provider/callback llamada');
+	next();
+}, oauthCallback);
+router.get('/accounts', protect, (req, res, next) => {
+	console.log('[ROUTE] GET /api/auth/accounts llamada');
+	next();
+}, listAccounts);
+router.delete('/accounts/:provider', protect, (req, res, next) => {
+	console.log('[ROUTE] DELETE /api/auth/accounts/:provider llamada');
+	next();
+}, unlinkAccount);
 
 export default router;
@@ -0,0 +1,72 @@
+import { Router } from 'express';
+import { protect, requireVerifiedEmail } from '../middlewares/auth.middleware.js';
+import {
+  getCalendar,
+  exportCalendar,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+  createCalendarEntry,
+  updateCalendarEntry,
+  deleteCalendarEntry,
+  markEntryWorn,
+  unmarkEntryWorn,
+} from '../controllers/calendar.controller.js';
+
+const router = Router();
+
+// Suscripción .ics: las apps de calendario no envían cookies ni Bearer, el
+// token secreto de la URL hace de credencial. Va antes de protect.
+router.get('/feed/:token.ics', (req, res, next) => {
+  console.log('[ROUTE] GET /api/calendar/feed/:token.ics llamada');
+  next();
+}, getCalendarFeed);
+
+// Apply the protect middleware to all routes in this file
+router.use(protect);
+// Restrict unverified accounts according to EMAIL_VERIFICATION_POLICY
+router.use(requireVerifiedEmail);
+
+router.route('/')
+  .get((req, res, next) => {
+    console.log('[ROUTE] GET /api/calendar llamada');
+    next();
+  }, getCalendar)
+  .post((req, res, next) => {
+    console.log('[ROUTE] POST /api/calendar llamada');
+    next();
+  }, createCalendarEntry);
+// Antes de /:id para que "export.ics" no se tome como un ID.
+router.get('/export.ics', (req, res, next) => {
+  console.log('[ROUTE] GET /api/calendar/export.ics llamada');
+  next();
+}, exportCalendar);
+router.route('/feed')
+  .post((req, res, next) => {
+    console.log('[ROUTE] POST /api/calendar/feed llamada');
+    next();
+  }, createCalendarFeed)
+  .delete((req, res, next) => {
+    console.log('[ROUTE] DELETE /api/calendar/feed llamada');
+    next();
+  }, revokeCalendarFeed);
+router.route('/:id')
+  .patch((req, res, next) => {
+    console.log('[ROUTE] PATCH /api/calendar/:id llamada');
+    next();
+  }, updateCalendarEntry)
+  .delete((req, res, next) => {
+    console.log('[ROUTE] DELETE /api/calendar/:id llamada');
+    next();
+  }, deleteCalendarEntry);
+router.route('/:id/worn')
+  .post((req, res, next) => {
+    console.log('[ROUTE] POST /api/calendar/:id/worn llamada');
+    next();
+  }, markEntryWorn)
+  .delete((req, res, next) => {
+    console.log('[ROUTE] DELETE /api/calendar/:id/worn llamada');
+    next();
+  }, unmarkEntryWorn);
+
+export default router;
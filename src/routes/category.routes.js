@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { protect, requireVerifiedEmail } from '../middlewares/auth.middleware.js';
+import {
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from '../controllers/category.controller.js';
+
+const router = Router();
+
+// Apply the protect middleware to all routes in this file
+router.use(protect);
+// Restrict unverified accounts according to EMAIL_VERIFICATION_POLICY
+router.use(requireVerifiedEmail);
+
+router.route('/')
+  .get((req, res, next) => {
+    console.log('[ROUTE] GET /api/categories llamada');
+    next();
+  }, listCategories)
+  .post((req, res, next) => {
+    console.log('[ROUTE] POST /api/categories llamada');
+    next();
+  }, createCategory);
+router.route('/:id')
+  .patch((req, res, next) => {
+    console.log('[ROUTE] PATCH /api/categories/:id llamada');
+    next();
+  }, updateCategory)
+  .delete((req, res, next) => {
+    console.log('[ROUTE] DELETE /api/categories/:id llamada');
+    next();
+  }, deleteCategory);
+
+export default router;
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { protect } from '../middlewares/auth.middleware.js';
+import { protect, requireVerifiedEmail } from '../middlewares/auth.middleware.js';
 import upload from '../config/multer.js';
 import {
   getClothingItems,
@@ -7,21 +7,59 @@ import {
   updateClothingItem,
   deleteClothingItem,
 } from '../controllers/clothing.controller.js';
+import {
+  addClothingImages,
+  removeClothingImage,
+  reorderClothingImages,
+} from '../controllers/clothingImage.controller.js';
+import { recordWear, undoWear, getWearHistory } from '../controllers/wear.controller.js';
+import {
+  getTrash,
+  restoreClothingItem,
+  permanentlyDeleteClothingItem,
+} from '../controllers/trash.controller.js';
+import {
+  changeItemStatus,
+  getStatusHistory,
+  loadLaundry,
+  finishLaundry,
+} from '../controllers/status.controller.js';
+import { MAX_IMAGES_PER_ITEM } from '../constants/clothing.js';
 
 const router = Router();
 
 // Apply the protect middleware to all routes in this file
 router.use(protect);
+// Restrict unverified accounts according to EMAIL_VERIFICATION_POLICY
+router.use(requireVerifiedEmail);
 
 router.route('/')
   .get((req, res, next) => {
     console.log('[ROUTE] GET /api/clothing llamada');
     next();
   }, getClothingItems)
-  .post(upload.single('image'), (req, res, next) => {
+  // 'image': una sola foto (clientes anteriores); 'images': varias, con 'roles'.
+  .post(upload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'images', maxCount: MAX_IMAGES_PER_ITEM },
+  ]), (req, res, next) => {
     console.log('[ROUTE] POST /api/clothing llamada');
     next();
   }, createClothingItem);
+// Papelera: antes de /:id para que 'trash' no se lea como un ID.
+router.get('/trash', (req, res, next) => {
+  console.log('[ROUTE] GET /api/clothing/trash llamada');
+  next();
+}, getTrash);
+// Tandas de lavado: cambian el estado de varias prendas a la vez.
+router.post('/laundry/load', (req, res, next) => {
+  console.log('[ROUTE] POST /api/clothing/laundry/load llamada');
+  next();
+}, loadLaundry);
+router.post('/laundry/done', (req, res, next) => {
+  console.log('[ROUTE] POST /api/clothing/laundry/done llamada');
+  next();
+}, finishLaundry);
 router.route('/:id')
   .put(upload.single('image'), (req, res, next) => {
     console.log('[ROUTE] PUT /api/clothing/:id llamada');
@@ -31,5 +69,53 @@ router.route('/:id')
     console.log('[ROUTE] DELETE /api/clothing/:id llamada');
     next();
   }, deleteClothingItem);
+router.post('/:id/restore', (req, res, next) => {
+  console.log('[ROUTE] POST /api/clothing/:id/restore llamada');
+  next();
+}, restoreClothingItem);
+router.delete('/:id/permanent', (req, res, next) => {
+  console.log('[ROUTE] DELETE /api/clothing/:id/permanent llamada');
+  next();
+}, permanentlyDeleteClothingItem);
+router.route('/:id/images')
+  .post(upload.array('images', MAX_IMAGES_PER_ITEM), (req, res, next) => {
+    console.log('[ROUTE] POST /api/clothing/:id/images llamada');
+    next();
+  }, addClothingImages)
+  .patch((req, res, next) => {
+    console.log('[ROUTE] PATCH /api/clothing/:id/images llamada');
+    next();
+  }, reorderClothingImages);
+router.delete('/:id/images/:imageId', (req, res, next) => {
+  console.log('[ROUTE] DELETE /api/clothing/:id/images/:imageId llamada');
+  next();
+}, removeClothingImage);
+router.route('/:id/wear')
+  .get((req, res, next) => {
+    console.log('[ROUTE] GET /api/clothing/:id/wear llamada');
+    next();
+  }, getWearHistory)
+  .post((req, res, next) => {
+    console.log('[ROUTE] POST /api/clothing/:id/wear llamada');
+    next();
+  }, recordWear)
+  // Sin wearId deshace el uso más reciente (botón "deshacer").
+  .delete((req, res, next) => {
+    console.log('[ROUTE] DELETE /api/clothing/:id/wear llamada');
+    next();
+  }, undoWear);
+router.delete('/:id/wear/:wearId', (req, res, next) => {
+  console.log('[ROUTE] DELETE /api/clothing/:id/wear/:wearId llamada');
+  next();
+}, undoWear);
+router.route('/:id/status')
+  .get((req, res, next) => {
+    console.log('[ROUTE] GET /api/clothing/:id/status llamada');
+    next();
+  }, getStatusHistory)
+  .patch((req, res, next) => {
+    console.log('[ROUTE] PATCH /api/clothing/:id/status llamada');
+    next();
+  }, changeItemStatus);
 
 export default router;
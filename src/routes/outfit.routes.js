@@ -0,0 +1,42 @@
+import { Router } from 'express';
+import { protect, requireVerifiedEmail } from '../middlewares/auth.middleware.js';
+import upload from '../config/multer.js';
+import {
+  getOutfits,
+  getOutfit,
+  createOutfit,
+  updateOutfit,
+  deleteOutfit,
+} from '../controllers/outfit.controller.js';
+
+const router = Router();
+
+// Apply the protect middleware to all routes in this file
+router.use(protect);
+// Restrict unverified accounts according to EMAIL_VERIFICATION_POLICY
+router.use(requireVerifiedEmail);
+
+router.route('/')
+  .get((req, res, next) => {
+    console.log('[ROUTE] GET /api/outfits llamada');
+    next();
+  }, getOutfits)
+  .post(upload.single('image'), (req, res, next) => {
+    console.log('[ROUTE] POST /api/outfits llamada');
+    next();
+  }, createOutfit);
+router.route('/:id')
+  .get((req, res, next) => {
+    console.log('[ROUTE] GET /api/outfits/:id llamada');
+    next();
+  }, getOutfit)
+  .put(upload.single('image'), (req, res, next) => {
+    console.log('[ROUTE] PUT /api/outfits/:id llamada');
+    next();
+  }, updateOutfit)
+  .delete((req, res, next) => {
+    console.log('[ROUTE] DELETE /api/outfits/:id llamada');
+    next();
+  }, deleteOutfit);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import { protect, requireVerifiedEmail } from '../middlewares/auth.middleware.js';
+import {
+  listTags,
+  renameTag,
+  mergeTags,
+  deleteTag,
+} from '../controllers/tag.controller.js';
+
+const router = Router();
+
+// Apply the protect middleware to all routes in this file
+router.use(protect);
+// Restrict unverified accounts according to EMAIL_VERIFICATION_POLICY
+router.use(requireVerifiedEmail);
+
+router.get('/', (req, res, next) => {
+  console.log('[ROUTE] GET /api/tags llamada');
+  next();
+}, listTags);
+router.post('/merge', (req, res, next) => {
+  console.log('[ROUTE] POST /api/tags/merge llamada');
+  next();
+}, mergeTags);
+router.route('/:tag')
+  .patch((req, res, next) => {
+    console.log('[ROUTE] PATCH /api/tags/:tag llamada');
+    next();
+  }, renameTag)
+  .delete((req, res, next) => {
+    console.log('[ROUTE] DELETE /api/tags/:tag llamada');
+    next();
+  }, deleteTag);
+
+export default router;